@@ -1,96 +1,276 @@
-import { useState, useMemo, useEffect } from 'react'
-import { Search, Trophy, TrendingUp, History, User, Calendar, Info, Target, BarChart3 } from 'lucide-react'
-import { getHistoricalRecords, getMultipleSeasonLeaders, getPlayerTrajectory, getTopPlayersFromSeasons, getCurrentBaseballSeason, getLastNSeasons, getActiveCareerLeader, getExpectedStats, STAT_TYPES, formatStatValue } from './mlbApi'
-import { staleWhileRevalidate } from './cache'
+import { useState, useMemo, useEffect, useCallback, useRef } from 'react'
+import { Search, Trophy, TrendingUp, History, User, Calendar, Info, Target, BarChart3, Users, X, Calculator, Radio } from 'lucide-react'
+import { getHistoricalRecords, isHistoricalScanPending, getMultipleSeasonLeaders, getPlayerTrajectory, getTopPlayersFromSeasons, getCurrentBaseballSeason, getLastNSeasons, getActiveCareerLeader, getCareerLeaders, getTeamRankings, getTeams, getSportLevels, getDecadeLeaders, getEraAdjustedRecords, applyEraAdjustment, sortByAdjustedValue, getEraAdjustedLabel, getExpectedStats, getExpectedStatsHistory, getExpectedStatsSeasons, PERSISTENT_GAP_SEASONS, STAT_TYPES, LEAGUES, ERAS, HISTORICAL_DEPTHS, STAT_SPLITS, SPLIT_GROUPS, getSplitLabel, formatStatValue } from './mlbApi'
+import { staleWhileRevalidate, getFetchTime } from './cache'
+import { getDataSourceMode, DATA_SOURCE_MODES, downloadRecordings, getFixtureCounts } from './dataSource'
+import PlayerProfile from './PlayerProfile'
+import PlayerComparison, { MAX_COMPARE_PLAYERS } from './PlayerComparison'
+import PlayerSearch from './PlayerSearch'
+import CustomStatBuilder from './CustomStatBuilder'
+import { loadCustomStats } from './customStats'
+import QualificationControl from './QualificationControl'
+import HotColdView from './HotColdView'
+import LiveView from './LiveView'
+import RecordChaseView from './RecordChaseView'
+import { getQualificationSettings, setQualificationSettings, getQualificationKey, describeQualification, PLAYING_TIME } from './qualification'
+import { GAME_TYPES, setGameType, getGameTypeKey } from './gameTypes'
+import PostseasonRecordsView from './PostseasonRecordsView'
+import FranchiseRecordsView from './FranchiseRecordsView'
+import SavantImportControl from './SavantImportControl'
+import ExpectedStatsHistory from './ExpectedStatsHistory'
+import { MLB_SPORT_ID, SPORT_LEVELS, setSportId, getSportKey, getSportLevel } from './sportLevels'
+import { loadHistoricalDataset, getDatasetInfo } from './historicalData'
+import HistoricalDataControl from './HistoricalDataControl'
+import ExportMenu from './ExportMenu'
+import { buildExportMetadata } from './exportData'
+import { readViewState, writeViewState } from './urlState'
 
 function App() {
   const currentSeason = getCurrentBaseballSeason();
   const availableSeasons = getLastNSeasons(10);
+  const dataSourceMode = getDataSourceMode();
+  const [dataSourceNote, setDataSourceNote] = useState(null); // Fixture counts (replay) or the last export (record)
   
-  const [selectedSeason, setSelectedSeason] = useState(currentSeason);
-  const [selectedDecade, setSelectedDecade] = useState(null); // null means single season view
-  const [selectedCategory, setSelectedCategory] = useState('hitting');
-  const [selectedStat, setSelectedStat] = useState('homeRuns');
-  const [searchTerm, setSearchTerm] = useState('');
-  const [activeTab, setActiveTab] = useState('historical');
+  const [customStats, setCustomStats] = useState(() => loadCustomStats()); // Saved definitions, registered into STAT_TYPES
+  // Initial view from the URL (custom stats must be registered first so their links resolve)
+  const [initialView] = useState(() => readViewState());
+  const [selectedSeason, setSelectedSeason] = useState(initialView.season);
+  const [selectedDecade, setSelectedDecade] = useState(initialView.decade); // null means single season view
+  const [selectedTeam, setSelectedTeam] = useState(initialView.team); // null means all teams
+  const [franchiseTeam, setFranchiseTeam] = useState(initialView.franchise); // Franchise record book shown, null until one is picked
+  const [seasonsView, setSeasonsView] = useState(initialView.seasonsView); // 'players' or 'teams'
+  const [selectedLeague, setSelectedLeague] = useState(initialView.league); // 'MLB', 'AL', 'NL' or a historical league (Historical tab only)
+  const [selectedSplit, setSelectedSplit] = useState(initialView.split); // sitCode from STAT_SPLITS, null means full season
+  const [selectedCategory, setSelectedCategory] = useState(initialView.category);
+  const [selectedStat, setSelectedStat] = useState(initialView.stat);
+  const [searchTerm, setSearchTerm] = useState(initialView.search);
+  const [activeTab, setActiveTab] = useState(initialView.tab);
   const [loading, setLoading] = useState(true);
   const [trajectoriesLoaded, setTrajectoriesLoaded] = useState({});
   const [historicalRecords, setHistoricalRecords] = useState([]);
+  const [historicalRecordsKey, setHistoricalRecordsKey] = useState(null); // Stat and scope the loaded records board is for
+  const [historicalDeferred, setHistoricalDeferred] = useState(false); // Board needs a season scan, left for the Historical tab
   const [seasonLeaders, setSeasonLeaders] = useState({});
+  const [teamLeaders, setTeamLeaders] = useState({});
+  const [leagueLeaders, setLeagueLeaders] = useState({});
+  const [splitLeaders, setSplitLeaders] = useState({});
+  const [leagueHistoricalRecords, setLeagueHistoricalRecords] = useState([]);
+  const [historyDepth, setHistoryDepth] = useState(initialView.depth); // Records board depth
+  const [historyEra, setHistoryEra] = useState(initialView.era); // ERAS key
+  const [historyBoard, setHistoryBoard] = useState(null); // Deeper or era-filtered board, null while loading
+  const [decadeLeaders, setDecadeLeaders] = useState(null); // Combined decade board, null while loading
+  const [historicalDataset, setHistoricalDataset] = useState(() => getDatasetInfo());
+  const [eraAdjusted, setEraAdjusted] = useState(initialView.eraAdjusted); // Rank by the era-adjusted index (HR+, ERA+, ...)
+  const [eraRecords, setEraRecords] = useState(null);
+  const [adjustedLeaders, setAdjustedLeaders] = useState({});
+  const [adjustedTrajectories, setAdjustedTrajectories] = useState({});
+  const [teamRankings, setTeamRankings] = useState({});
   const [playerTrajectories, setPlayerTrajectories] = useState({});
   const [activeCareerLeader, setActiveCareerLeader] = useState(null);
+  const [careerLeaders, setCareerLeaders] = useState([]);
   const [expectedStats, setExpectedStats] = useState([]);
   const [expectedStatsLoading, setExpectedStatsLoading] = useState(false);
-  const [sortColumn, setSortColumn] = useState('actualBA'); // Default sort column
-  const [sortDirection, setSortDirection] = useState('desc'); // 'asc' or 'desc'
+  const [expectedSeason, setExpectedSeason] = useState(initialView.expectedSeason);
+  const [expectedStatsKey, setExpectedStatsKey] = useState(null); // Category and season the loaded expected stats are for
+  const [expectedHistory, setExpectedHistory] = useState(null); // Every player's actual vs expected by season, null while loading
+  const [expectedHistoryPlayer, setExpectedHistoryPlayer] = useState(null); // {personId, name} shown in the history panel
+  const [importedExpectedStats, setImportedExpectedStats] = useState(null); // Savant CSV shown instead of live data
+  const pendingExpectedKey = useRef(null); // Category and season of the expected stats load in flight
+  const [sortColumn, setSortColumn] = useState(initialView.sortColumn); // Default sort column
+  const [sortDirection, setSortDirection] = useState(initialView.sortDirection); // 'asc' or 'desc'
+  const [profilePlayerId, setProfilePlayerId] = useState(null); // Player shown in the profile overlay
+  const [comparePlayers, setComparePlayers] = useState([]); // [{personId, name}], up to MAX_COMPARE_PLAYERS
+  const [trendsView, setTrendsView] = useState(initialView.trendsView); // 'top' or 'compare'
+  const [showStatBuilder, setShowStatBuilder] = useState(false);
+  const [qualification, setQualification] = useState(() => getQualificationSettings());
+  const [liveOpened, setLiveOpened] = useState(initialView.tab === 'live'); // Live tab keeps polling in the background once opened
+  const [liveHomeRunTotals, setLiveHomeRunTotals] = useState({}); // personId -> latest season HR total seen live
+  // Rate-stat results depend on the qualification rule; part of every dependent fetch key
+  const qualificationId = STAT_TYPES[selectedStat]?.isRate ? getQualificationKey() : '';
+  const [selectedGameType, setSelectedGameType] = useState(() => setGameType(initialView.gameType));
+  // Every leaderboard, record and trajectory depends on the game type
+  const gameTypeId = getGameTypeKey(selectedGameType);
+  const [selectedSportId, setSelectedSportId] = useState(() => setSportId(initialView.sportId));
+  const [sportLevels, setSportLevels] = useState(() => Object.values(SPORT_LEVELS));
+  // ...and on the level of play
+  const levelId = getSportKey(selectedSportId);
+  const isMlb = selectedSportId === MLB_SPORT_ID;
+  const scopeSuffix = `${isMlb ? '' : ` · ${getSportLevel(selectedSportId)?.label}`}${selectedGameType === 'R' ? '' : ` · ${GAME_TYPES[selectedGameType].label}`}`;
+  // Records boards are rebuilt when a historical dataset is loaded or imported
+  const datasetId = historicalDataset ? `_ds${historicalDataset.id}` : '';
+  const customHistoryBoard = historyDepth !== HISTORICAL_DEPTHS[0] || historyEra !== 'all';
+  const historicalBoardKey = `${selectedStat}${qualificationId}${gameTypeId}${levelId}${datasetId}`;
+  // Raw records boards that need a season scan are only built where they're shown
+  const onHistoricalTab = activeTab === 'historical' && !eraAdjusted;
+
+  // Historical records come from the bundled dataset when one is served with the app
+  useEffect(() => {
+    loadHistoricalDataset().then(() => setHistoricalDataset(getDatasetInfo()));
+  }, []);
+
+  // Replay mode reports how many fixtures it is serving
+  useEffect(() => {
+    if (dataSourceMode !== 'replay') return;
+    getFixtureCounts().then(({ bundled, recorded }) => setDataSourceNote(`${bundled} bundled, ${recorded} recorded fixtures`));
+  }, [dataSourceMode]);
+
+  // Levels beyond MLB and the minors come from the API's sports list
+  useEffect(() => {
+    getSportLevels().then(levels => levels.length > 0 && setSportLevels(levels));
+  }, []);
+
+  // Keep the URL in step with the view so it can be bookmarked and shared
+  useEffect(() => {
+    writeViewState({
+      tab: activeTab,
+      stat: selectedStat,
+      season: selectedSeason,
+      decade: selectedDecade,
+      search: searchTerm,
+      expectedSeason,
+      sortColumn,
+      sortDirection,
+      league: selectedLeague,
+      team: selectedTeam,
+      franchise: franchiseTeam,
+      split: selectedSplit,
+      seasonsView,
+      trendsView,
+      depth: historyDepth,
+      era: historyEra,
+      eraAdjusted,
+      gameType: selectedGameType,
+      sportId: selectedSportId
+    });
+  }, [activeTab, selectedStat, selectedSeason, selectedDecade, searchTerm, expectedSeason, sortColumn, sortDirection, selectedLeague, selectedTeam, franchiseTeam, selectedSplit, seasonsView, trendsView, historyDepth, historyEra, eraAdjusted, selectedGameType, selectedSportId]);
+
+  // Back/forward restore the view from the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      const view = readViewState();
+      setActiveTab(view.tab);
+      if (view.tab === 'live') setLiveOpened(true);
+      setSelectedCategory(view.category);
+      setSelectedStat(view.stat);
+      setSelectedSeason(view.season);
+      setSelectedDecade(view.decade);
+      setSearchTerm(view.search);
+      setExpectedSeason(view.expectedSeason);
+      setSortColumn(view.sortColumn);
+      setSortDirection(view.sortDirection);
+      setSelectedLeague(view.league);
+      setSelectedTeam(view.team);
+      setFranchiseTeam(view.franchise);
+      setSelectedSplit(view.split);
+      setSeasonsView(view.seasonsView);
+      setTrendsView(view.trendsView);
+      setHistoryDepth(view.depth);
+      setHistoryEra(view.era);
+      setEraAdjusted(view.eraAdjusted);
+      setSelectedGameType(setGameType(view.gameType));
+      setSelectedSportId(setSportId(view.sportId));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
   // Fetch data on component mount with stale-while-revalidate
-  // Re-fetch when selectedStat changes
+  // Re-fetch when selectedStat changes; revalidations for a stat or scope no longer shown are dropped
   useEffect(() => {
+    let cancelled = false;
+    const unlessCancelled = (setter) => (data) => !cancelled && setter(data);
+
     async function fetchData() {
       setLoading(true);
       try {
         // Fetch critical data in parallel with SWR pattern
-        const [historical, leaders, careerLeader] = await Promise.all([
+        const [leaders, careerLeader, career] = await Promise.all([
           // Use SWR to show cached data immediately, fetch fresh in background
           staleWhileRevalidate(
-            `initial_historical_${selectedStat}`,
-            () => getHistoricalRecords(selectedStat),
-            (freshData) => setHistoricalRecords(freshData)
-          ),
-          staleWhileRevalidate(
-            `initial_leaders_${selectedStat}`,
+            `initial_leaders_${selectedStat}${qualificationId}${gameTypeId}${levelId}`,
             () => getMultipleSeasonLeaders(getLastNSeasons(10), selectedStat),
-            (freshData) => setSeasonLeaders(freshData)
+            unlessCancelled(setSeasonLeaders)
           ),
           staleWhileRevalidate(
-            `initial_career_leader_${selectedStat}`,
+            `initial_career_leader_${selectedStat}${gameTypeId}${levelId}`,
             () => getActiveCareerLeader(selectedStat),
-            (freshData) => setActiveCareerLeader(freshData)
+            unlessCancelled(setActiveCareerLeader)
+          ),
+          staleWhileRevalidate(
+            `initial_career_leaders_${selectedStat}${gameTypeId}${levelId}`,
+            () => getCareerLeaders(selectedStat),
+            unlessCancelled(setCareerLeaders)
           )
         ]);
-        
+        if (cancelled) return;
+
         // Set initial cached data (may be null on first visit)
-        if (historical) setHistoricalRecords(historical);
         if (leaders) setSeasonLeaders(leaders);
         if (careerLeader) setActiveCareerLeader(careerLeader);
+        if (career) setCareerLeaders(career);
         
       } catch (error) {
         console.error('Error fetching MLB data:', error);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     }
 
     fetchData();
-  }, [selectedStat]);
+    return () => { cancelled = true; };
+  }, [selectedStat, qualificationId, gameTypeId, levelId]);
 
-  // Fetch decade data when decade is selected
+  // The records board loads outside the initial fetch: without a dataset most stats need a scan
+  // of every season, which only starts once the Historical tab is opened
   useEffect(() => {
-    async function fetchDecadeData() {
-      if (selectedDecade) {
-        const decadeSeasons = getSeasonsForDecade(selectedDecade);
-        const seasonsToFetch = decadeSeasons.filter(season => !seasonLeaders[season]);
-        
-        if (seasonsToFetch.length > 0) {
-          console.log(`Fetching data for ${selectedDecade}s:`, seasonsToFetch);
-          try {
-            const leaders = await getMultipleSeasonLeaders(seasonsToFetch, selectedStat);
-            setSeasonLeaders(prev => ({ ...prev, ...leaders }));
-          } catch (error) {
-            console.error('Error fetching decade data:', error);
-          }
-        }
+    if (historicalRecordsKey === historicalBoardKey) return;
+    let cancelled = false;
+    setHistoricalRecords([]);
+    setHistoricalDeferred(false);
+    (async () => {
+      if (!onHistoricalTab && await isHistoricalScanPending(selectedStat)) {
+        if (!cancelled) setHistoricalDeferred(true);
+        return;
+      }
+      const records = await getHistoricalRecords(selectedStat);
+      if (cancelled) return;
+      setHistoricalRecords(records);
+      setHistoricalRecordsKey(historicalBoardKey);
+    })();
+    return () => { cancelled = true; };
+  }, [historicalBoardKey, onHistoricalTab]);
+
+  // Fetch an older season opened from a link (after the initial fetch, which replaces the
+  // last ten seasons' leaders)
+  useEffect(() => {
+    async function fetchSeasonData() {
+      if (loading || selectedDecade || availableSeasons.includes(selectedSeason) || seasonLeaders[selectedSeason]) return;
+      console.log(`Fetching data for ${selectedSeason}`);
+      try {
+        const leaders = await getMultipleSeasonLeaders([selectedSeason], selectedStat);
+        setSeasonLeaders(prev => ({ ...prev, ...leaders }));
+      } catch (error) {
+        console.error('Error fetching season data:', error);
       }
     }
     
-    fetchDecadeData();
-  }, [selectedDecade, selectedStat]);
+    fetchSeasonData();
+  }, [loading, selectedDecade, selectedSeason, selectedStat, qualificationId, gameTypeId, levelId]);
+
+  // Decade boards combine each player's seasons (team, league and split filters apply)
+  useEffect(() => {
+    if (activeTab !== 'seasons' || seasonsView !== 'players' || !selectedDecade) return;
+    let cancelled = false;
+    setDecadeLeaders(null);
+    getDecadeLeaders(selectedDecade, selectedStat, { teamId: selectedTeam, league: selectedLeague, split: selectedSplit })
+      .then(leaders => !cancelled && setDecadeLeaders(leaders));
+    return () => { cancelled = true; };
+  }, [activeTab, seasonsView, selectedDecade, selectedStat, selectedTeam, selectedLeague, selectedSplit, qualificationId, gameTypeId, levelId]);
 
   // Lazy load trajectories when Active Trends tab is opened
   useEffect(() => {
     async function loadTrajectories() {
-      const cacheKey = `${selectedStat}_trajectories`;
+      const cacheKey = `${selectedStat}${qualificationId}${gameTypeId}${levelId}_trajectories`;
       if (activeTab === 'trends' && !trajectoriesLoaded[cacheKey]) {
         console.log('⚡ Lazy loading trajectories for', selectedStat);
         try {
@@ -131,23 +311,34 @@ function App() {
     }
     
     loadTrajectories();
-  }, [activeTab, selectedStat]);
+  }, [activeTab, selectedStat, qualificationId, gameTypeId, levelId]);
 
   const filteredHistory = useMemo(() => {
-    return historicalRecords.filter(r => 
+    const records = eraAdjusted
+      ? eraRecords || []
+      : customHistoryBoard ? historyBoard || []
+      : selectedLeague === 'MLB' ? historicalRecords : leagueHistoricalRecords;
+    return records.filter(r => 
+      r.player.toLowerCase().includes(searchTerm.toLowerCase())
+    );
+  }, [searchTerm, historicalRecords, leagueHistoricalRecords, selectedLeague, eraAdjusted, eraRecords, customHistoryBoard, historyBoard]);
+
+  const filteredCareer = useMemo(() => {
+    return careerLeaders.filter(r => 
       r.player.toLowerCase().includes(searchTerm.toLowerCase())
     );
-  }, [searchTerm, historicalRecords]);
+  }, [searchTerm, careerLeaders]);
 
-  // Get available decades (from 1900s to current decade)
+  // Get available decades (from the 1900s, or the first decade the level and game type have stats, to the current decade)
   const getAvailableDecades = useMemo(() => {
     const currentYear = getCurrentBaseballSeason();
+    const firstSeason = Math.max(GAME_TYPES[selectedGameType].firstSeason, getSportLevel(selectedSportId)?.firstSeason || 0);
     const decades = [];
-    for (let decade = Math.floor(currentYear / 10) * 10; decade >= 1900; decade -= 10) {
+    for (let decade = Math.floor(currentYear / 10) * 10; decade >= Math.max(1900, Math.floor(firstSeason / 10) * 10); decade -= 10) {
       decades.push(decade);
     }
     return decades;
-  }, []);
+  }, [selectedGameType, selectedSportId]);
 
   // Get seasons for a specific decade
   const getSeasonsForDecade = (decade) => {
@@ -169,12 +360,196 @@ function App() {
     return [selectedSeason];
   }, [selectedDecade, selectedSeason]);
 
+  // The last ten seasons, plus an older one opened from a link
+  const seasonOptions = availableSeasons.includes(selectedSeason)
+    ? availableSeasons
+    : [...availableSeasons, selectedSeason];
+
+  // Fetch club-scoped leaders when a team is selected
+  useEffect(() => {
+    async function fetchTeamLeaders() {
+      if (!selectedTeam || selectedDecade) return;
+      setTeamLeaders({});
+      try {
+        const leaders = await getMultipleSeasonLeaders(seasonsToDisplay, selectedStat, { teamId: selectedTeam });
+        setTeamLeaders(leaders);
+      } catch (error) {
+        console.error('Error fetching team leaders:', error);
+      }
+    }
+
+    fetchTeamLeaders();
+  }, [selectedTeam, selectedStat, seasonsToDisplay, qualificationId, gameTypeId, levelId]);
+
+  // Fetch team-vs-team rankings when the team view is active
+  useEffect(() => {
+    async function fetchTeamRankings() {
+      if (activeTab !== 'seasons' || seasonsView !== 'teams') return;
+      try {
+        const results = await Promise.all(
+          seasonsToDisplay.map(season => getTeamRankings(season, selectedStat).then(rankings => [season, rankings]))
+        );
+        setTeamRankings(Object.fromEntries(results));
+      } catch (error) {
+        console.error('Error fetching team rankings:', error);
+      }
+    }
+
+    fetchTeamRankings();
+  }, [activeTab, seasonsView, selectedStat, seasonsToDisplay, gameTypeId, levelId]);
+
+  // Fetch league-scoped leaders when AL or NL is selected (historical leagues only have records)
+  useEffect(() => {
+    async function fetchLeagueLeaders() {
+      if (selectedLeague === 'MLB') return;
+      setLeagueLeaders({});
+      if (LEAGUES[selectedLeague].historical || selectedDecade) return;
+      try {
+        setLeagueLeaders(await getMultipleSeasonLeaders(seasonsToDisplay, selectedStat, { league: selectedLeague }));
+      } catch (error) {
+        console.error('Error fetching league leaders:', error);
+      }
+    }
+
+    fetchLeagueLeaders();
+  }, [selectedLeague, selectedDecade, selectedStat, seasonsToDisplay, qualificationId, gameTypeId, levelId]);
+
+  // League records boards are only shown (and possibly scanned) on the Historical tab
+  useEffect(() => {
+    if (selectedLeague === 'MLB' || !onHistoricalTab) return;
+    let cancelled = false;
+    setLeagueHistoricalRecords([]);
+    getHistoricalRecords(selectedStat, { league: selectedLeague })
+      .then(records => !cancelled && setLeagueHistoricalRecords(records));
+    return () => { cancelled = true; };
+  }, [selectedLeague, onHistoricalTab, selectedStat, qualificationId, gameTypeId, levelId, datasetId]);
+
+  // Deeper or era-filtered records boards are fetched on demand
+  useEffect(() => {
+    if (!onHistoricalTab || !customHistoryBoard) return;
+    let cancelled = false;
+    setHistoryBoard(null);
+    getHistoricalRecords(selectedStat, { league: selectedLeague, limit: historyDepth, era: historyEra })
+      .then(records => !cancelled && setHistoryBoard(records));
+    return () => { cancelled = true; };
+  }, [onHistoricalTab, customHistoryBoard, historyDepth, historyEra, selectedStat, selectedLeague, qualificationId, gameTypeId, levelId, datasetId]);
+
+  // Historical leagues only have records boards (and no era-adjusted ones)
+  useEffect(() => {
+    if (LEAGUES[selectedLeague]?.historical && (activeTab !== 'historical' || eraAdjusted)) setSelectedLeague('MLB');
+  }, [activeTab, eraAdjusted, selectedLeague]);
+
+  // Record each batter's newest season total from the live home run feed
+  const handleLiveHomeRuns = useCallback((season, homeRuns) => {
+    if (season !== currentSeason) return;
+    setLiveHomeRunTotals(prev => {
+      let next = prev;
+      homeRuns.forEach(hr => {
+        if (hr.seasonTotal > (next[hr.batterId]?.total || 0)) {
+          next = { ...next, [hr.batterId]: { player: hr.batter, team: hr.team, teamId: hr.teamId, total: hr.seasonTotal } };
+        }
+      });
+      return next;
+    });
+  }, [currentSeason]);
+
+  // Current season home run leaders with live totals applied, so the cards update as players homer
+  const liveSeasonLeaders = useMemo(() => {
+    const leaders = seasonLeaders[currentSeason];
+    const live = Object.entries(liveHomeRunTotals);
+    if (selectedStat !== 'homeRuns' || selectedGameType !== 'R' || !isMlb || !leaders || live.length === 0) return seasonLeaders;
+
+    const updated = leaders.map(leader => ({ ...leader }));
+    live.forEach(([personId, hr]) => {
+      const existing = updated.find(leader => leader.personId === Number(personId));
+      if (existing) {
+        if (hr.total > existing.statValue) Object.assign(existing, { statValue: hr.total, hr: hr.total, live: true });
+      } else {
+        updated.push({
+          player: hr.player,
+          personId: Number(personId),
+          team: hr.team,
+          teamId: hr.teamId,
+          statValue: hr.total,
+          statType: STAT_TYPES.homeRuns,
+          hr: hr.total,
+          live: true
+        });
+      }
+    });
+    updated.sort((a, b) => b.statValue - a.statValue);
+    return { ...seasonLeaders, [currentSeason]: updated.slice(0, leaders.length) };
+  }, [seasonLeaders, liveHomeRunTotals, selectedStat, selectedGameType, isMlb, currentSeason]);
+
+  // Fetch situational split leaders (within the selected club or league) when a split is selected
+  useEffect(() => {
+    async function fetchSplitLeaders() {
+      if (!selectedSplit || selectedDecade) return;
+      setSplitLeaders({});
+      try {
+        const leaders = await getMultipleSeasonLeaders(seasonsToDisplay, selectedStat, {
+          split: selectedSplit,
+          teamId: selectedTeam,
+          league: selectedLeague
+        });
+        setSplitLeaders(leaders);
+      } catch (error) {
+        console.error('Error fetching split leaders:', error);
+      }
+    }
+
+    fetchSplitLeaders();
+  }, [selectedSplit, selectedTeam, selectedLeague, selectedStat, seasonsToDisplay, qualificationId, gameTypeId, levelId]);
+
+  const teams = useMemo(() => getTeams(), []);
+  const displayedLeaders = selectedSplit
+    ? splitLeaders
+    : selectedTeam ? teamLeaders : selectedLeague !== 'MLB' ? leagueLeaders : liveSeasonLeaders;
+  const selectedSplitLabel = selectedSplit ? getSplitLabel(selectedSplit, selectedCategory) : null;
+  const selectedTeamName = teams.find(t => t.id === selectedTeam)?.name;
+
+  // Era-adjusted records rank every season's leaders in the selected era
+  useEffect(() => {
+    if (!eraAdjusted || activeTab !== 'historical') return;
+    let cancelled = false;
+    setEraRecords(null);
+    getEraAdjustedRecords(selectedStat, { league: selectedLeague, era: historyEra })
+      .then(records => !cancelled && setEraRecords(records));
+    return () => { cancelled = true; };
+  }, [eraAdjusted, activeTab, selectedStat, selectedLeague, historyEra, qualificationId, gameTypeId, levelId]);
+
+  // Index each season's leaders to that season's league average
+  useEffect(() => {
+    if (!eraAdjusted || activeTab !== 'seasons' || selectedDecade) return;
+    let cancelled = false;
+    setAdjustedLeaders({});
+    Promise.all(Object.entries(displayedLeaders).map(([season, leaders]) =>
+      applyEraAdjustment(leaders, selectedStat, { season: Number(season) })
+        .then(adjusted => [season, sortByAdjustedValue(adjusted)])
+    )).then(results => !cancelled && setAdjustedLeaders(Object.fromEntries(results)));
+    return () => { cancelled = true; };
+  }, [eraAdjusted, activeTab, displayedLeaders, selectedStat, selectedDecade]);
+
+  // ...and every trajectory point to its own season (and level, for climbs)
+  useEffect(() => {
+    const trajectories = playerTrajectories[`${selectedStat}${qualificationId}${gameTypeId}${levelId}_trajectories`];
+    if (!eraAdjusted || activeTab !== 'trends' || !trajectories) return;
+    let cancelled = false;
+    setAdjustedTrajectories({});
+    Promise.all(Object.entries(trajectories).map(([name, entry]) =>
+      applyEraAdjustment(entry.data, selectedStat).then(data => [name, { ...entry, data }])
+    )).then(results => !cancelled && setAdjustedTrajectories(Object.fromEntries(results)));
+    return () => { cancelled = true; };
+  }, [eraAdjusted, activeTab, playerTrajectories, selectedStat, qualificationId, gameTypeId, levelId]);
+
+  const seasonCards = eraAdjusted ? adjustedLeaders : displayedLeaders;
+
   // Filter stats by selected category
   const availableStats = useMemo(() => {
     return Object.entries(STAT_TYPES)
       .filter(([key, stat]) => stat.category === selectedCategory)
       .reduce((acc, [key, stat]) => ({ ...acc, [key]: stat }), {});
-  }, [selectedCategory]);
+  }, [selectedCategory, customStats]);
 
   // Sort expected stats based on column and direction
   const sortedExpectedStats = useMemo(() => {
@@ -244,25 +619,288 @@ function App() {
     }
   };
 
-  // Reset sort to default when category changes
-  useEffect(() => {
+  // Reset sort to default when the category changes (here rather than in an effect, so a
+  // sort restored from the URL survives the initial render)
+  const selectCategory = (category) => {
+    setSelectedCategory(category);
     setSortColumn('actualBA');
     setSortDirection('desc');
-  }, [selectedCategory]);
+  };
+
+  // Load live expected stats for the selected category and season (dropping any imported file)
+  // Only the latest request lands: a response for a season or category that has since changed,
+  // or that an import has replaced, is dropped
+  const loadExpectedStats = () => {
+    const key = `${selectedCategory}_${expectedSeason}`;
+    pendingExpectedKey.current = key;
+    setImportedExpectedStats(null);
+    setExpectedStatsLoading(true);
+    getExpectedStats(expectedSeason, selectedCategory).then(data => {
+      if (pendingExpectedKey.current !== key) return;
+      pendingExpectedKey.current = null;
+      setExpectedStats(data);
+      setExpectedStatsKey(key);
+      setExpectedStatsLoading(false);
+    });
+  };
+
+  // Whether the selected category and season still need loading (neither shown nor in flight)
+  const needsExpectedStats = () => {
+    const key = `${selectedCategory}_${expectedSeason}`;
+    return expectedStatsKey !== key && pendingExpectedKey.current !== key;
+  };
+
+  // Show an imported Savant leaderboard, switching category to match it
+  const handleSavantImport = ({ fileName, statGroup, season, rows, errors }) => {
+    if (statGroup !== selectedCategory) {
+      selectCategory(statGroup);
+      const firstStat = Object.keys(STAT_TYPES).find(key => STAT_TYPES[key].category === statGroup);
+      if (firstStat) setSelectedStat(firstStat);
+    }
+    // Boards from before the Statcast era (or without a year column) stay under the selected season
+    const shownSeason = getExpectedStatsSeasons().includes(season) ? season : expectedSeason;
+    setExpectedSeason(shownSeason);
+    pendingExpectedKey.current = null;
+    setExpectedStatsLoading(false);
+    setExpectedStats(rows);
+    setExpectedStatsKey(`${statGroup}_${shownSeason}`);
+    setImportedExpectedStats({ fileName, statGroup, season, count: rows.length, errors });
+  };
 
-  // Load expected stats when projections tab is opened
+  // Load expected stats when projections tab is opened or the category or season changes
   useEffect(() => {
-    if (activeTab === 'projections' && expectedStats.length === 0 && !expectedStatsLoading) {
-      setExpectedStatsLoading(true);
-      getExpectedStats(currentSeason, selectedCategory).then(data => {
-        setExpectedStats(data);
-        setExpectedStatsLoading(false);
-      });
+    if (activeTab === 'projections' && needsExpectedStats()) {
+      loadExpectedStats();
     }
-  }, [activeTab, selectedCategory]);
+  }, [activeTab, selectedCategory, expectedSeason]);
+
+  // Season-by-season history behind the persistent gap flags (imports fill in seasons Savant didn't serve)
+  useEffect(() => {
+    if (activeTab !== 'projections') return;
+    let cancelled = false;
+    setExpectedHistory(null);
+    getExpectedStatsHistory(selectedCategory, expectedSeason)
+      .then(history => !cancelled && setExpectedHistory(history));
+    return () => { cancelled = true; };
+  }, [activeTab, selectedCategory, expectedSeason, importedExpectedStats]);
+
+  // The history panel is per category
+  useEffect(() => {
+    setExpectedHistoryPlayer(null);
+  }, [selectedCategory]);
+
+  // Add or remove a player from the comparison set
+  const toggleComparePlayer = (personId, name) => {
+    setComparePlayers(prev => {
+      if (prev.some(p => p.personId === personId)) {
+        return prev.filter(p => p.personId !== personId);
+      }
+      if (prev.length >= MAX_COMPARE_PLAYERS) return prev;
+      return [...prev, { personId, name }];
+    });
+  };
+  const isCompared = (personId) => comparePlayers.some(p => p.personId === personId);
+
+  // Build the table behind a view for export, in display order with raw values
+  const buildExportTable = (view) => {
+    const stat = STAT_TYPES[selectedStat];
+    const adjustedLabel = getEraAdjustedLabel(selectedStat);
+    const scope = {
+      level: getSportLevel(selectedSportId)?.label,
+      gameType: GAME_TYPES[selectedGameType].label,
+      qualification: stat.isRate ? describeQualification(stat.category) : null
+    };
+    const source = historicalDataset && view === 'historical'
+      ? `Historical dataset (${historicalDataset.source}, ${historicalDataset.firstYear}-${historicalDataset.lastYear}) and MLB Stats API`
+      : 'MLB Stats API (statsapi.mlb.com)';
+    const playerColumns = [
+      { key: 'player', label: 'Player' },
+      { key: 'personId', label: 'Person ID' }
+    ];
+    const valueColumns = [
+      { key: 'statValue', label: stat.abbr },
+      ...(eraAdjusted ? [{ key: 'adjustedValue', label: adjustedLabel }] : [])
+    ];
+
+    if (view === 'historical') {
+      return {
+        columns: [
+          { key: 'rank', label: 'Rank' }, ...playerColumns, ...valueColumns,
+          { key: 'team', label: 'Team' }, { key: 'teamId', label: 'Team ID' },
+          { key: 'league', label: 'League' }, { key: 'year', label: 'Year' }, { key: 'status', label: 'Status' }
+        ],
+        rows: filteredHistory,
+        metadata: buildExportMetadata({
+          title: `${selectedLeague === 'MLB' ? 'All-Time' : LEAGUES[selectedLeague].label} Single Season Leaders`,
+          source,
+          fetchedAt: getFetchTime([`historical_records_${selectedStat}`, 'historical_dataset_', `era_adjusted_records_${selectedStat}`]),
+          stat,
+          filters: {
+            league: selectedLeague,
+            depth: eraAdjusted ? null : historyDepth,
+            era: ERAS[historyEra].label,
+            rankedBy: eraAdjusted ? adjustedLabel : stat.abbr,
+            search: searchTerm,
+            ...scope
+          }
+        })
+      };
+    }
+
+    if (view === 'career') {
+      return {
+        columns: [{ key: 'rank', label: 'Rank' }, ...playerColumns, { key: 'statValue', label: `Career ${stat.abbr}` }, { key: 'active', label: 'Active' }],
+        rows: filteredCareer,
+        metadata: buildExportMetadata({
+          title: 'All-Time Career Leaders',
+          source,
+          fetchedAt: getFetchTime(`career_leaders_${selectedStat}`),
+          stat,
+          filters: { search: searchTerm, ...scope }
+        })
+      };
+    }
+
+    if (view === 'seasons') {
+      const period = selectedDecade ? `${selectedDecade}s` : selectedSeason;
+      if (seasonsView === 'teams') {
+        return {
+          columns: [
+            { key: 'season', label: 'Season' }, { key: 'rank', label: 'Rank' }, { key: 'teamName', label: 'Team' },
+            { key: 'teamId', label: 'Team ID' }, { key: 'statValue', label: `Team ${stat.abbr}` }, { key: 'gamesPlayed', label: 'Games' }
+          ],
+          rows: seasonsToDisplay.flatMap(season => (teamRankings[season] || []).map(row => ({ ...row, season }))),
+          metadata: buildExportMetadata({
+            title: `Team Rankings ${period}`,
+            source,
+            fetchedAt: getFetchTime(seasonsToDisplay.map(season => `team_rankings_${season}_${selectedStat}`)),
+            stat,
+            filters: { seasons: period, ...scope }
+          })
+        };
+      }
+      if (selectedDecade) {
+        return {
+          columns: [
+            { key: 'rank', label: 'Rank' }, ...playerColumns, { key: 'team', label: 'Latest Team' }, { key: 'teamId', label: 'Team ID' },
+            { key: 'statValue', label: `${period} ${stat.abbr}` }, { key: 'seasonsPlayed', label: 'Seasons' },
+            { key: 'playingTime', label: PLAYING_TIME[stat.category].abbr },
+            { key: 'bestSeason', label: 'Best Season', value: row => row.bestSeason?.year ?? null },
+            { key: 'bestSeasonValue', label: `Best Season ${stat.abbr}`, value: row => row.bestSeason?.statValue ?? null },
+            { key: 'bestSeasonTeam', label: 'Best Season Team', value: row => row.bestSeason?.team ?? null }
+          ],
+          rows: decadeLeaders || [],
+          metadata: buildExportMetadata({
+            title: `Decade Leaders ${period}`,
+            source,
+            fetchedAt: getFetchTime(`decade_leaders_${selectedDecade}_${selectedStat}`),
+            stat,
+            filters: {
+              seasons: period,
+              team: selectedTeamName,
+              league: selectedTeam ? null : selectedLeague,
+              split: selectedSplitLabel,
+              ...scope
+            }
+          })
+        };
+      }
+      return {
+        columns: [
+          { key: 'season', label: 'Season' }, { key: 'rank', label: 'Rank' }, ...playerColumns,
+          { key: 'team', label: 'Team' }, { key: 'teamId', label: 'Team ID' }, { key: 'league', label: 'League' }, ...valueColumns
+        ],
+        rows: seasonsToDisplay.flatMap(season => (seasonCards[season] || []).map((leader, i) => ({ ...leader, season, rank: i + 1 }))),
+        metadata: buildExportMetadata({
+          title: `Yearly Leaders ${period}`,
+          source,
+          fetchedAt: getFetchTime(seasonsToDisplay.flatMap(season => [
+            `season_leaders_${season}_${selectedStat}`,
+            `team_leaders_${selectedTeam}_${season}_${selectedStat}`,
+            `split_leaders_${season}_${selectedStat}`
+          ])),
+          stat,
+          filters: {
+            seasons: period,
+            team: selectedTeamName,
+            league: selectedTeam ? null : selectedLeague,
+            split: selectedSplitLabel,
+            rankedBy: eraAdjusted ? adjustedLabel : stat.abbr,
+            ...scope
+          }
+        })
+      };
+    }
+
+    if (view === 'trends') {
+      const trajectories = eraAdjusted
+        ? adjustedTrajectories
+        : playerTrajectories[`${selectedStat}${qualificationId}${gameTypeId}${levelId}_trajectories`] || {};
+      const valueOf = point => (eraAdjusted ? point.adjustedValue : point.statValue) || 0;
+      // Same order as the cards: highest total first
+      const players = Object.entries(trajectories)
+        .map(([name, { data, id }]) => ({ name, id, data, total: data.reduce((sum, point) => sum + valueOf(point), 0) }))
+        .sort((a, b) => b.total - a.total);
+      return {
+        columns: [
+          ...playerColumns, { key: 'year', label: 'Year' },
+          ...(isMlb ? [] : [{ key: 'level', label: 'Level' }]),
+          ...valueColumns, { key: 'qualified', label: 'Qualified' }
+        ],
+        rows: players.flatMap(({ name, id, data }) => data.map(point => ({
+          ...point,
+          player: name,
+          personId: id,
+          qualified: point.qualified !== false
+        }))),
+        metadata: buildExportMetadata({
+          title: isMlb ? 'Active Trends' : 'Prospect Climbs',
+          source,
+          fetchedAt: getFetchTime([`top_players_10_20_${selectedStat}`, 'trajectory_', 'player_climb_']),
+          stat,
+          filters: { rankedBy: eraAdjusted ? adjustedLabel : stat.abbr, ...scope }
+        })
+      };
+    }
+
+    // Expected stats
+    const hitting = selectedCategory === 'hitting';
+    return {
+      columns: [
+        { key: 'rank', label: 'Rank' }, ...playerColumns, { key: 'team', label: 'Team' },
+        ...(hitting
+          ? [
+            { key: 'actualBA', label: 'BA' }, { key: 'xBA', label: 'xBA' }, { key: 'diff', label: 'BA - xBA' },
+            { key: 'hardHitPct', label: 'Hard Hit %' }, { key: 'barrelPct', label: 'Barrel %' }, { key: 'exitVelo', label: 'Exit Velocity' }
+          ]
+          : [
+            { key: 'actualERA', label: 'ERA' }, { key: 'xERA', label: 'xERA' }, { key: 'diff', label: 'ERA - xERA' },
+            { key: 'whiffPct', label: 'Whiff %' }, { key: 'kRate', label: 'K %' }
+          ]),
+        { key: 'luck', label: 'Luck' },
+        {
+          key: 'persistentGap',
+          label: 'Persistent Gap',
+          value: row => {
+            const gap = expectedHistory?.players[row.personId]?.persistentGap;
+            return gap ? `${gap.direction} ${gap.from}-${gap.to}` : null;
+          }
+        }
+      ],
+      rows: sortedExpectedStats.map((row, i) => ({ ...row, rank: i + 1 })),
+      metadata: buildExportMetadata({
+        title: `Expected Statistics ${hitting ? 'Batting' : 'Pitching'} ${importedExpectedStats?.season || expectedSeason}`,
+        source: importedExpectedStats
+          ? `Imported Baseball Savant CSV (${importedExpectedStats.fileName})`
+          : 'Baseball Savant expected statistics (simulated from MLB Stats API leaders when Savant is unavailable)',
+        fetchedAt: importedExpectedStats ? null : getFetchTime(`expected_stats_${selectedCategory}_${expectedSeason}`),
+        filters: { sort: `${sortColumn} ${sortDirection}` }
+      })
+    };
+  };
 
   // Calculate stats for display
-  const currentSeasonLeader = seasonLeaders[currentSeason]?.[0];
+  const currentSeasonLeader = liveSeasonLeaders[currentSeason]?.[0];
   const maxHistoricalRecord = historicalRecords[0];
   const currentStat = STAT_TYPES[selectedStat];
 
@@ -278,6 +916,36 @@ function App() {
     </div>
   );
 
+  const EraToggle = () => (
+    <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+      {[false, true].map(adjusted => (
+        <button
+          key={String(adjusted)}
+          onClick={() => setEraAdjusted(adjusted)}
+          title={adjusted ? "Indexed to each season's league average (100 = average)" : 'Raw values'}
+          className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${eraAdjusted === adjusted ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+        >
+          {adjusted ? getEraAdjustedLabel(selectedStat) : currentStat.abbr}
+        </button>
+      ))}
+    </div>
+  );
+
+  const LeagueToggle = ({ historical = false }) => (
+    <div className="flex flex-wrap bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+      {Object.values(LEAGUES).filter(league => historical || !league.historical).map(league => (
+        <button
+          key={league.key}
+          onClick={() => setSelectedLeague(league.key)}
+          title={league.label}
+          className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${selectedLeague === league.key ? 'bg-blue-600 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+        >
+          {league.key}
+        </button>
+      ))}
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-900 dark:text-slate-100 font-sans p-4 md:p-8">
       {/* Header */}
@@ -290,8 +958,10 @@ function App() {
             <p className="mt-2 text-slate-500 dark:text-slate-400">Tracking historical greatness and modern power.</p>
           </div>
 
-          {/* Category and Stat Selectors */}
-          <div className="flex items-center gap-6">
+          {/* Player Search, Category and Stat Selectors */}
+          <div className="flex items-center gap-6 flex-wrap">
+            <PlayerSearch onSelect={setProfilePlayerId} />
+
             {/* Category Selector */}
             <div className="flex items-center gap-3">
               <label htmlFor="category-selector" className="text-sm font-medium text-slate-600 dark:text-slate-400">
@@ -302,7 +972,7 @@ function App() {
                 value={selectedCategory}
                 onChange={(e) => {
                   const newCategory = e.target.value;
-                  setSelectedCategory(newCategory);
+                  selectCategory(newCategory);
                   // Set first stat of new category
                   const firstStat = Object.keys(STAT_TYPES).find(key => STAT_TYPES[key].category === newCategory);
                   if (firstStat) setSelectedStat(firstStat);
@@ -313,6 +983,59 @@ function App() {
                 <option value="pitching">Pitching</option>
               </select>
             </div>
+
+            {/* Game Type Selector */}
+            <div className="flex items-center gap-3">
+              <label htmlFor="game-type-selector" className="text-sm font-medium text-slate-600 dark:text-slate-400">
+                Games:
+              </label>
+              <select 
+                id="game-type-selector"
+                value={selectedGameType}
+                onChange={(e) => setSelectedGameType(setGameType(e.target.value))}
+                className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+              >
+                {['R', 'P'].map(key => <option key={key} value={key}>{GAME_TYPES[key].label}</option>)}
+                <optgroup label="Postseason Rounds">
+                  {Object.values(GAME_TYPES).filter(type => type.round).map(type => (
+                    <option key={type.key} value={type.key}>{type.label}</option>
+                  ))}
+                </optgroup>
+                {['S', 'A'].map(key => <option key={key} value={key}>{GAME_TYPES[key].label}</option>)}
+              </select>
+            </div>
+
+            {/* Level Selector */}
+            <div className="flex items-center gap-3">
+              <label htmlFor="level-selector" className="text-sm font-medium text-slate-600 dark:text-slate-400">
+                Level:
+              </label>
+              <select 
+                id="level-selector"
+                value={selectedSportId}
+                onChange={(e) => {
+                  // Team and AL/NL filters are MLB clubs and leagues
+                  setSelectedTeam(null);
+                  setSelectedLeague('MLB');
+                  setSelectedSportId(setSportId(e.target.value));
+                }}
+                className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+              >
+                <option value={MLB_SPORT_ID}>{SPORT_LEVELS[MLB_SPORT_ID].label}</option>
+                <optgroup label="Minor Leagues">
+                  {sportLevels.filter(level => level.minors).map(level => (
+                    <option key={level.id} value={level.id}>{level.label}</option>
+                  ))}
+                </optgroup>
+                {sportLevels.some(level => !SPORT_LEVELS[level.id]) && (
+                  <optgroup label="Other Leagues">
+                    {sportLevels.filter(level => !SPORT_LEVELS[level.id]).map(level => (
+                      <option key={level.id} value={level.id}>{level.label}</option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+            </div>
             
             {/* Stat Selector */}
             <div className="flex items-center gap-3">
@@ -326,12 +1049,30 @@ function App() {
                 className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
               >
                 {Object.values(availableStats).map(stat => (
-                  <option key={stat.key} value={stat.key}>
+                  <option key={stat.key} value={stat.key} title={stat.note}>
                     {stat.label}
                   </option>
                 ))}
               </select>
+              <button
+                type="button"
+                onClick={() => setShowStatBuilder(true)}
+                className="p-2 rounded-lg border-2 border-slate-200 dark:border-slate-700 text-slate-500 hover:text-blue-600 hover:border-blue-500 transition-colors"
+                title="Custom stats"
+                aria-label="Custom stats"
+              >
+                <Calculator size={18} />
+              </button>
             </div>
+
+            {/* Qualification rule (rate stats only) */}
+            {STAT_TYPES[selectedStat]?.isRate && (
+              <QualificationControl
+                category={selectedCategory}
+                settings={qualification}
+                onChange={(changes) => setQualification(setQualificationSettings(changes))}
+              />
+            )}
           </div>
         </div>
 
@@ -343,6 +1084,12 @@ function App() {
           >
             Historical Records
           </button>
+          <button 
+            onClick={() => setActiveTab('career')}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${activeTab === 'career' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+          >
+            Career
+          </button>
           <button 
             onClick={() => setActiveTab('seasons')}
             className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${activeTab === 'seasons' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
@@ -355,15 +1102,44 @@ function App() {
           >
             Active Trends
           </button>
+          <button 
+            onClick={() => setActiveTab('streaks')}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${activeTab === 'streaks' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+          >
+            Hot & Cold
+          </button>
+          <button 
+            onClick={() => setActiveTab('chase')}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${activeTab === 'chase' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+          >
+            Record Chase
+          </button>
+          <button 
+            onClick={() => setActiveTab('postseason')}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${activeTab === 'postseason' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+          >
+            Postseason Records
+          </button>
+          <button 
+            onClick={() => setActiveTab('franchise')}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${activeTab === 'franchise' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+          >
+            Franchises
+          </button>
+          <button 
+            onClick={() => {
+              setActiveTab('live');
+              setLiveOpened(true);
+            }}
+            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all flex items-center gap-1.5 ${activeTab === 'live' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+          >
+            <Radio size={14} /> Live
+          </button>
           <button 
             onClick={() => {
               setActiveTab('projections');
-              if (expectedStats.length === 0 && !expectedStatsLoading) {
-                setExpectedStatsLoading(true);
-                getExpectedStats(currentSeason, selectedCategory).then(data => {
-                  setExpectedStats(data);
-                  setExpectedStatsLoading(false);
-                });
+              if (needsExpectedStats()) {
+                loadExpectedStats();
               }
             }}
             className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${activeTab === 'projections' ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
@@ -387,20 +1163,20 @@ function App() {
         {!loading && (
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <StatCard 
-              label={`Single Season Record (${currentStat.abbr})`}
-              value={maxHistoricalRecord ? `${formatStatValue(maxHistoricalRecord.statValue, selectedStat)} (${maxHistoricalRecord.player.split(' ').pop()}, ${maxHistoricalRecord.year})` : "Loading..."}
+              label={`Single Season Record (${currentStat.abbr})${scopeSuffix}`}
+              value={maxHistoricalRecord ? `${formatStatValue(maxHistoricalRecord.statValue, selectedStat)} (${maxHistoricalRecord.player.split(' ').pop()}, ${maxHistoricalRecord.year})` : historicalDeferred ? "See Historical tab" : "Loading..."}
               icon={History} 
               color="bg-blue-500" 
             />
             <StatCard 
-              label={`Current Season Leader (${currentStat.abbr})`}
+              label={`Current Season Leader (${currentStat.abbr})${scopeSuffix}${currentSeasonLeader?.live ? ' · Live' : ''}`}
               value={currentSeasonLeader ? `${formatStatValue(currentSeasonLeader.statValue, selectedStat)} (${currentSeasonLeader.player.split(' ').pop()}, ${currentSeason})` : "Loading..."}
               icon={TrendingUp} 
               color="bg-emerald-500" 
             />
             <StatCard 
-              label={`Career Total Leader (${currentStat.abbr})`}
-              value={activeCareerLeader ? `${formatStatValue(activeCareerLeader.statValue, selectedStat)} (${activeCareerLeader.player})` : "Loading..."}
+              label={`Active Career Leader (${currentStat.abbr})${scopeSuffix}`}
+              value={activeCareerLeader ? `${formatStatValue(activeCareerLeader.statValue, selectedStat)} (${activeCareerLeader.player.split(' ').pop()})` : "Loading..."}
               icon={User} 
               color="bg-purple-500" 
             />
@@ -412,18 +1188,56 @@ function App() {
           <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800 animate-in fade-in slide-in-from-bottom-4 duration-500">
             <div className="p-6 border-b border-slate-200 dark:border-slate-800 flex flex-col md:flex-row md:items-center justify-between gap-4">
               <h2 className="text-xl font-bold flex items-center gap-2">
-                <History className="text-blue-500" size={20} /> All-Time Single Season Leaders
+                <History className="text-blue-500" size={20} /> {selectedLeague === 'MLB' ? 'All-Time' : LEAGUES[selectedLeague].label} Single Season Leaders{scopeSuffix}{historyEra !== 'all' ? ` · ${ERAS[historyEra].label}` : ''}
               </h2>
-              <div className="relative">
-                <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
-                <input 
-                  type="text" 
-                  placeholder="Filter by player..."
-                  className="pl-10 pr-4 py-2 rounded-full bg-slate-100 dark:bg-slate-800 border-none text-sm focus:ring-2 focus:ring-blue-500 w-full md:w-64"
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                />
+              <div className="flex items-center gap-3">
+                <EraToggle />
+                {isMlb && <LeagueToggle historical={!eraAdjusted} />}
+                <ExportMenu getTable={() => buildExportTable('historical')} disabled={filteredHistory.length === 0} />
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+                  <input 
+                    type="text" 
+                    placeholder="Filter by player..."
+                    className="pl-10 pr-4 py-2 rounded-full bg-slate-100 dark:bg-slate-800 border-none text-sm focus:ring-2 focus:ring-blue-500 w-full md:w-64"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                  />
+                </div>
+              </div>
+            </div>
+            <div className="px-6 py-3 border-b border-slate-200 dark:border-slate-800 flex flex-col md:flex-row md:items-center justify-between gap-3">
+              <div className="flex items-center gap-3">
+                {!eraAdjusted && (
+                  <>
+                    <label htmlFor="history-depth-selector" className="text-sm font-medium text-slate-600 dark:text-slate-400">
+                      Show:
+                    </label>
+                    <select
+                      id="history-depth-selector"
+                      value={historyDepth}
+                      onChange={(e) => setHistoryDepth(Number(e.target.value))}
+                      className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-3 py-1 text-sm font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+                    >
+                      {HISTORICAL_DEPTHS.map(depth => <option key={depth} value={depth}>Top {depth}</option>)}
+                    </select>
+                  </>
+                )}
+                <label htmlFor="history-era-selector" className="text-sm font-medium text-slate-600 dark:text-slate-400">
+                  Era:
+                </label>
+                <select
+                  id="history-era-selector"
+                  value={historyEra}
+                  onChange={(e) => setHistoryEra(e.target.value)}
+                  className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-3 py-1 text-sm font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+                >
+                  {Object.values(ERAS).map(era => <option key={era.key} value={era.key}>{era.label}</option>)}
+                </select>
               </div>
+              {isMlb && selectedGameType === 'R' && (
+                <HistoricalDataControl dataset={historicalDataset} onChange={setHistoricalDataset} />
+              )}
             </div>
             <div className="overflow-x-auto">
               <table className="w-full text-left">
@@ -432,7 +1246,9 @@ function App() {
                     <th className="px-6 py-4 sticky left-0 z-20 bg-slate-50 dark:bg-slate-800/50">Rank</th>
                     <th className="px-6 py-4 sticky left-[80px] z-20 bg-slate-50 dark:bg-slate-800/50">Player</th>
                     <th className="px-6 py-4 text-center">{currentStat.abbr}</th>
+                    {eraAdjusted && <th className="px-6 py-4 text-center">{getEraAdjustedLabel(selectedStat)}</th>}
                     <th className="px-6 py-4">Team</th>
+                    <th className="px-6 py-4">League</th>
                     <th className="px-6 py-4">Logo</th>
                     <th className="px-6 py-4">Year</th>
                     <th className="px-6 py-4">Status</th>
@@ -444,14 +1260,13 @@ function App() {
                       <td className="px-6 py-4 font-bold text-slate-400 sticky left-0 z-10 bg-white dark:bg-slate-900">{row.rank}</td>
                       <td className="px-6 py-4 font-semibold sticky left-[80px] z-10 bg-white dark:bg-slate-900">
                         {row.personId ? (
-                          <a 
-                            href={`https://www.mlb.com/player/${row.personId}`}
-                            target="_blank"
-                            rel="noopener noreferrer"
+                          <button 
+                            type="button"
+                            onClick={() => setProfilePlayerId(row.personId)}
                             className="text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors underline decoration-transparent hover:decoration-current"
                           >
                             {row.player}
-                          </a>
+                          </button>
                         ) : (
                           <span className="text-slate-900 dark:text-white">{row.player}</span>
                         )}
@@ -461,7 +1276,15 @@ function App() {
                           {formatStatValue(row.statValue, selectedStat)}
                         </span>
                       </td>
+                      {eraAdjusted && (
+                        <td className="px-6 py-4 text-center">
+                          <span className="inline-block bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300 px-3 py-1 rounded-full font-bold">
+                            {row.adjustedValue ?? '—'}
+                          </span>
+                        </td>
+                      )}
                       <td className="px-6 py-4 text-slate-600 dark:text-slate-400">{row.team}</td>
+                      <td className="px-6 py-4 text-slate-600 dark:text-slate-400">{row.league}</td>
                       <td className="px-6 py-4">
                         {row.teamId && (
                           <img 
@@ -483,6 +1306,95 @@ function App() {
                 </tbody>
               </table>
             </div>
+            {!eraAdjusted && !customHistoryBoard && selectedLeague === 'MLB' && historicalRecordsKey !== historicalBoardKey && (
+              <div className="text-center py-16">
+                <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+                <p className="mt-4 text-sm text-slate-500">Building the all-time top {HISTORICAL_DEPTHS[0]}{historicalDataset ? '' : ' (first run may scan every season)'}...</p>
+              </div>
+            )}
+            {!eraAdjusted && customHistoryBoard && historyBoard === null && (
+              <div className="text-center py-16">
+                <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+                <p className="mt-4 text-sm text-slate-500">Building the {historyEra === 'all' ? 'all-time' : ERAS[historyEra].label} top {historyDepth}{historicalDataset ? '' : ' (first run scans every season)'}...</p>
+              </div>
+            )}
+            {eraAdjusted && eraRecords === null && (
+              <div className="text-center py-16">
+                <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-blue-500"></div>
+                <p className="mt-4 text-sm text-slate-500">Indexing each season's leaders to its league average (first run reads every season in the era)...</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Tab Content: Career */}
+        {activeTab === 'career' && (
+          <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800 animate-in fade-in slide-in-from-bottom-4 duration-500">
+            <div className="p-6 border-b border-slate-200 dark:border-slate-800 flex flex-col md:flex-row md:items-center justify-between gap-4">
+              <h2 className="text-xl font-bold flex items-center gap-2">
+                <User className="text-purple-500" size={20} /> All-Time Career Leaders{scopeSuffix}
+              </h2>
+              <div className="flex items-center gap-3">
+                <ExportMenu getTable={() => buildExportTable('career')} disabled={filteredCareer.length === 0} />
+                <div className="relative">
+                  <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+                  <input 
+                    type="text" 
+                    placeholder="Filter by player..."
+                    className="pl-10 pr-4 py-2 rounded-full bg-slate-100 dark:bg-slate-800 border-none text-sm focus:ring-2 focus:ring-blue-500 w-full md:w-64"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                  />
+                </div>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                  <tr>
+                    <th className="px-6 py-4 sticky left-0 z-20 bg-slate-50 dark:bg-slate-800/50">Rank</th>
+                    <th className="px-6 py-4 sticky left-[80px] z-20 bg-slate-50 dark:bg-slate-800/50">Player</th>
+                    <th className="px-6 py-4 text-center">Career {currentStat.abbr}</th>
+                    <th className="px-6 py-4">Status</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                  {filteredCareer.map((row) => (
+                    <tr key={row.personId} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                      <td className="px-6 py-4 font-bold text-slate-400 sticky left-0 z-10 bg-white dark:bg-slate-900">{row.rank}</td>
+                      <td className="px-6 py-4 font-semibold sticky left-[80px] z-10 bg-white dark:bg-slate-900">
+                        <button 
+                          type="button"
+                          onClick={() => setProfilePlayerId(row.personId)}
+                          className="text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors underline decoration-transparent hover:decoration-current"
+                        >
+                          {row.player}
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 text-center">
+                        <span className="inline-block bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 px-3 py-1 rounded-full font-bold">
+                          {formatStatValue(row.statValue, selectedStat)}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4">
+                        {row.active ? (
+                          <span className="text-xs font-medium px-2 py-1 rounded bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300">
+                            Active{row.personId === activeCareerLeader?.personId ? ' Leader' : ''}
+                          </span>
+                        ) : (
+                          <span className="text-xs font-medium px-2 py-1 rounded bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-400">
+                            Retired
+                          </span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {careerLeaders.length === 0 && (
+              <p className="p-6 text-center text-slate-500">No career data available for {currentStat.label.toLowerCase()}.</p>
+            )}
           </div>
         )}
 
@@ -492,8 +1404,11 @@ function App() {
             <div className="flex items-center justify-between flex-wrap gap-4">
               <h2 className="text-2xl font-bold flex items-center gap-2">
                 <Calendar className="text-emerald-500" size={24} /> 
-                Yearly Leaders: <span className="text-emerald-600">
+                {seasonsView === 'teams' ? 'Team Rankings' : 'Yearly Leaders'}: <span className="text-emerald-600">
                   {selectedDecade ? `${selectedDecade}s` : selectedSeason}
+                  {seasonsView === 'players' && selectedTeamName && ` · ${selectedTeamName}`}
+                  {seasonsView === 'players' && !selectedTeamName && selectedLeague !== 'MLB' && ` · ${selectedLeague}`}
+                  {seasonsView === 'players' && selectedSplitLabel && ` · ${selectedSplitLabel}`}
                 </span>
               </h2>
               <div className="flex items-center gap-3">
@@ -520,27 +1435,118 @@ function App() {
                     onChange={(e) => setSelectedSeason(Number(e.target.value))}
                     className="bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-800 rounded-lg px-4 py-2 focus:ring-2 focus:ring-emerald-500"
                   >
-                    {availableSeasons.map(y => <option key={y} value={y}>{y} Season</option>)}
+                    {seasonOptions.map(y => <option key={y} value={y}>{y} Season</option>)}
+                  </select>
+                )}
+                {seasonsView === 'players' && !selectedDecade && <EraToggle />}
+                {seasonsView === 'players' && !selectedTeam && isMlb && <LeagueToggle />}
+                {seasonsView === 'players' && isMlb && (
+                  <select 
+                    value={selectedTeam || ''}
+                    onChange={(e) => setSelectedTeam(e.target.value === '' ? null : Number(e.target.value))}
+                    className="bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-800 rounded-lg px-4 py-2 focus:ring-2 focus:ring-emerald-500"
+                  >
+                    <option value="">All Teams</option>
+                    {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+                  </select>
+                )}
+                {seasonsView === 'players' && (
+                  <select 
+                    value={selectedSplit || ''}
+                    onChange={(e) => setSelectedSplit(e.target.value || null)}
+                    className="bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-800 rounded-lg px-4 py-2 focus:ring-2 focus:ring-emerald-500"
+                    aria-label="Situational split"
+                  >
+                    <option value="">All Situations</option>
+                    {Object.values(SPLIT_GROUPS).map(group => (
+                      <optgroup key={group.key} label={group.label}>
+                        {Object.values(STAT_SPLITS).filter(split => split.group === group.key).map(split => (
+                          <option key={split.code} value={split.code}>{getSplitLabel(split.code, selectedCategory)}</option>
+                        ))}
+                      </optgroup>
+                    ))}
                   </select>
                 )}
+                <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+                  <button
+                    onClick={() => setSeasonsView('players')}
+                    className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${seasonsView === 'players' ? 'bg-emerald-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                  >
+                    Players
+                  </button>
+                  <button
+                    onClick={() => setSeasonsView('teams')}
+                    className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${seasonsView === 'teams' ? 'bg-emerald-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                  >
+                    Team Rankings
+                  </button>
+                </div>
+                <ExportMenu getTable={() => buildExportTable('seasons')} />
               </div>
             </div>
 
-            {seasonsToDisplay.map((season) => (
-              <div key={season} className="space-y-4">
-                {selectedDecade && (
-                  <h3 className="text-xl font-bold text-slate-700 dark:text-slate-300 flex items-center gap-2">
-                    <span className="text-emerald-500">{season}</span> Season
-                  </h3>
+            {seasonsView === 'players' && selectedDecade && (
+              <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+                <div className="overflow-x-auto">
+                  <table className="w-full text-left">
+                    <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                      <tr>
+                        <th className="px-6 py-4 sticky left-0 z-20 bg-slate-50 dark:bg-slate-800/50">Rank</th>
+                        <th className="px-6 py-4 sticky left-[80px] z-20 bg-slate-50 dark:bg-slate-800/50">Player</th>
+                        <th className="px-6 py-4 text-center">{selectedDecade}s {currentStat.abbr}</th>
+                        <th className="px-6 py-4 text-center">Seasons</th>
+                        <th className="px-6 py-4 text-center">{PLAYING_TIME[selectedCategory].abbr}</th>
+                        <th className="px-6 py-4">Best Season</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                      {(decadeLeaders || []).map((row) => (
+                        <tr key={row.personId} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                          <td className="px-6 py-4 font-bold text-slate-400 sticky left-0 z-10 bg-white dark:bg-slate-900">{row.rank}</td>
+                          <td className="px-6 py-4 font-semibold sticky left-[80px] z-10 bg-white dark:bg-slate-900">
+                            <button 
+                              type="button"
+                              onClick={() => setProfilePlayerId(row.personId)}
+                              className="text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors underline decoration-transparent hover:decoration-current"
+                            >
+                              {row.player}
+                            </button>
+                            <span className="block text-xs font-normal text-slate-500">{row.team}</span>
+                          </td>
+                          <td className="px-6 py-4 text-center">
+                            <span className="inline-block bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300 px-3 py-1 rounded-full font-bold">
+                              {formatStatValue(row.statValue, selectedStat)}
+                            </span>
+                          </td>
+                          <td className="px-6 py-4 text-center font-mono text-slate-500">{row.seasonsPlayed}</td>
+                          <td className="px-6 py-4 text-center font-mono text-slate-500">{row.playingTime}</td>
+                          <td className="px-6 py-4 text-sm text-slate-600 dark:text-slate-400">
+                            {row.bestSeason
+                              ? <><span className="font-semibold text-slate-900 dark:text-white">{formatStatValue(row.bestSeason.statValue, selectedStat)}</span> in {row.bestSeason.year} ({row.bestSeason.team})</>
+                              : '—'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                {!decadeLeaders ? (
+                  <p className="p-6 text-center text-slate-500">Combining every season of the {selectedDecade}s...</p>
+                ) : decadeLeaders.length === 0 && (
+                  <p className="p-6 text-center text-slate-500">No {currentStat.label.toLowerCase()} data for the {selectedDecade}s.</p>
                 )}
+              </div>
+            )}
+
+            {seasonsView === 'players' && !selectedDecade && seasonsToDisplay.map((season) => (
+              <div key={season} className="space-y-4">
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-                  {(seasonLeaders[season] || []).map((leader, i) => (
-                <a 
+                  {(seasonCards[season] || []).map((leader, i) => (
+                <button 
                   key={leader.player}
-                  href={`https://www.mlb.com/player/${leader.personId}`}
-                  target="_blank"
-                  rel="noopener noreferrer"
-                  className="bg-white dark:bg-slate-900 rounded-2xl p-6 border border-slate-200 dark:border-slate-800 shadow-sm relative overflow-hidden group hover:shadow-lg hover:scale-[1.02] transition-all cursor-pointer"
+                  type="button"
+                  onClick={() => setProfilePlayerId(leader.personId)}
+                  className="bg-white dark:bg-slate-900 rounded-2xl p-6 border border-slate-200 dark:border-slate-800 shadow-sm relative overflow-hidden group hover:shadow-lg hover:scale-[1.02] transition-all cursor-pointer text-left"
                 >
                   {leader.teamId && (
                     <div className="absolute top-4 right-4 opacity-10 group-hover:opacity-20 transition-opacity">
@@ -568,26 +1574,94 @@ function App() {
                     <div>
                       <p className="text-xs text-slate-500 dark:text-slate-400">{leader.team}</p>
                       <p className="text-4xl font-black text-slate-900 dark:text-white mt-2">
-                        {formatStatValue(leader.statValue, selectedStat)}
-                        <span className="text-xs ml-2 text-slate-400">{currentStat.abbr}</span>
+                        {eraAdjusted ? leader.adjustedValue ?? '—' : formatStatValue(leader.statValue, selectedStat)}
+                        <span className="text-xs ml-2 text-slate-400">{eraAdjusted ? getEraAdjustedLabel(selectedStat) : currentStat.abbr}</span>
                       </p>
+                      {eraAdjusted && (
+                        <p className="text-xs text-slate-500 mt-1">{formatStatValue(leader.statValue, selectedStat)} {currentStat.abbr}</p>
+                      )}
                     </div>
                     <div className="h-10 w-1 bg-emerald-500 rounded-full"></div>
                   </div>
-                </a>
+                </button>
                   ))}
                 </div>
               </div>
             ))}
 
+            {seasonsView === 'teams' && seasonsToDisplay.map((season) => (
+              <div key={season} className="space-y-4">
+                {selectedDecade && (
+                  <h3 className="text-xl font-bold text-slate-700 dark:text-slate-300 flex items-center gap-2">
+                    <span className="text-emerald-500">{season}</span> Season
+                  </h3>
+                )}
+                <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-left">
+                      <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                        <tr>
+                          <th className="px-6 py-4">Rank</th>
+                          <th className="px-6 py-4">Logo</th>
+                          <th className="px-6 py-4">Team</th>
+                          <th className="px-6 py-4 text-center">Team {currentStat.abbr}</th>
+                          <th className="px-6 py-4 text-center">Games</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                        {(teamRankings[season] || []).map((row) => (
+                          <tr
+                            key={row.teamId}
+                            onClick={() => {
+                              if (!isMlb) return;
+                              setSelectedTeam(row.teamId);
+                              setSeasonsView('players');
+                            }}
+                            className={`hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors ${isMlb ? 'cursor-pointer' : ''}`}
+                          >
+                            <td className="px-6 py-4 font-bold text-slate-400">{row.rank}</td>
+                            <td className="px-6 py-4">
+                              <img 
+                                src={`https://www.mlbstatic.com/team-logos/${row.teamId}.svg`}
+                                alt={`${row.team} logo`}
+                                className="w-8 h-8 object-contain"
+                                onError={(e) => e.target.style.display = 'none'}
+                              />
+                            </td>
+                            <td className="px-6 py-4 font-semibold">{row.teamName}</td>
+                            <td className="px-6 py-4 text-center">
+                              <span className="inline-block bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300 px-3 py-1 rounded-full font-bold">
+                                {formatStatValue(row.statValue, selectedStat)}
+                              </span>
+                            </td>
+                            <td className="px-6 py-4 text-center font-mono text-slate-500">{row.gamesPlayed}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {!teamRankings[season] && (
+                    <p className="p-6 text-center text-slate-500">Loading team totals...</p>
+                  )}
+                </div>
+              </div>
+            ))}
+
             <div className="bg-blue-50 dark:bg-blue-900/10 p-4 rounded-xl flex items-start gap-3 border border-blue-100 dark:border-blue-900/30">
               <Info className="text-blue-500 mt-0.5" size={20} />
               <p className="text-sm text-blue-800 dark:text-blue-300">
-                {selectedDecade ? (
-                  <>Viewing leaders from the {selectedDecade}s decade. Each season shows the top performers in {currentStat.label.toLowerCase()}.</>
-                ) : seasonLeaders[selectedSeason]?.[0] ? (
-                  <>In {selectedSeason}, {seasonLeaders[selectedSeason][0].player} dominated the league with {formatStatValue(seasonLeaders[selectedSeason][0].statValue, selectedStat)} {currentStat.label.toLowerCase()}. 
-                  This total represents a peak in {seasonLeaders[selectedSeason][0].league} {currentStat.category} performance.</>
+                {seasonsView === 'teams' ? (
+                  <>All 30 clubs ranked by team {currentStat.label.toLowerCase()}. Click a team to see its individual leaders.</>
+                ) : selectedDecade ? (
+                  <>{currentStat.label} over the {selectedDecade}s{selectedTeamName && ` with the ${selectedTeamName}`}{selectedSplitLabel && ` (${selectedSplitLabel})`}: each player's seasons combined, {currentStat.isRate
+                    ? `with the rate recomputed from the decade's totals. Only players with enough playing time over the decade qualify (${describeQualification(selectedCategory)}, summed over its seasons).`
+                    : 'summed across every season.'} Best Season is each player's top single season of the decade{currentStat.isRate && ' among qualified seasons'}.</>
+                ) : selectedSplitLabel ? (
+                  <>{currentStat.label} leaders in the {selectedSplitLabel} split{selectedTeamName && ` for the ${selectedTeamName}`}, from the Stats API's situational splits.
+                  {currentStat.isRate && ` Rate stats only rank players who qualify on full-season playing time (${describeQualification(selectedCategory)}).`}</>
+                ) : displayedLeaders[selectedSeason]?.[0] ? (
+                  <>In {selectedSeason}, {displayedLeaders[selectedSeason][0].player} {selectedTeamName ? `led the ${selectedTeamName}` : selectedLeague !== 'MLB' ? `led the ${LEAGUES[selectedLeague].label}` : 'dominated the league'} with {formatStatValue(displayedLeaders[selectedSeason][0].statValue, selectedStat)} {currentStat.label.toLowerCase()}. 
+                  This total represents a peak in {displayedLeaders[selectedSeason][0].league} {currentStat.category} performance.</>
                 ) : (
                   'Loading season data...'
                 )}
@@ -598,15 +1672,60 @@ function App() {
 
         {/* Tab Content: Trends */}
         {activeTab === 'trends' && !loading && (() => {
-          const cacheKey = `${selectedStat}_trajectories`;
-          const currentTrajectories = playerTrajectories[cacheKey] || {};
+          const cacheKey = `${selectedStat}${qualificationId}${gameTypeId}${levelId}_trajectories`;
+          const currentTrajectories = eraAdjusted ? adjustedTrajectories : playerTrajectories[cacheKey] || {};
           const isLoaded = trajectoriesLoaded[cacheKey];
           const currentStat = STAT_TYPES[selectedStat];
+          // Era-adjusted cards chart the index in place of the raw value
+          const trendAbbr = eraAdjusted ? getEraAdjustedLabel(selectedStat) : currentStat.abbr;
+          const formatTrendValue = (value) => eraAdjusted ? Math.round(value) : formatStatValue(value, selectedStat);
           
           return (
-          <div>
+          <div className="space-y-6">
+            <div className="flex items-center justify-between flex-wrap gap-4">
+              <h2 className="text-2xl font-bold flex items-center gap-2">
+                <TrendingUp className="text-indigo-500" size={24} /> 
+                {trendsView === 'compare' ? 'Player Comparison' : isMlb ? 'Active Trends' : 'Prospect Climbs'}
+              </h2>
+              <div className="flex items-center gap-3">
+                {trendsView === 'top' && <EraToggle />}
+                <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+                  <button
+                    onClick={() => setTrendsView('top')}
+                    className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${trendsView === 'top' ? 'bg-indigo-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                  >
+                    Top Players
+                  </button>
+                  <button
+                    onClick={() => setTrendsView('compare')}
+                    className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${trendsView === 'compare' ? 'bg-indigo-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                  >
+                    Compare ({comparePlayers.length})
+                  </button>
+                </div>
+                {trendsView === 'top' && <ExportMenu getTable={() => buildExportTable('trends')} disabled={!isLoaded} />}
+              </div>
+            </div>
+
+            {/* Comparison mode */}
+            {trendsView === 'compare' && (comparePlayers.length >= 2 ? (
+              <PlayerComparison
+                players={comparePlayers}
+                statType={selectedStat}
+                onRemove={(personId) => toggleComparePlayer(personId)}
+                onOpenProfile={setProfilePlayerId}
+              />
+            ) : (
+              <div className="bg-blue-50 dark:bg-blue-900/10 p-4 rounded-xl flex items-start gap-3 border border-blue-100 dark:border-blue-900/30">
+                <Info className="text-blue-500 mt-0.5" size={20} />
+                <p className="text-sm text-blue-800 dark:text-blue-300">
+                  Pick 2 to {MAX_COMPARE_PLAYERS} players to compare. Use the <strong>+ Compare</strong> buttons on trend cards or in any player profile.
+                </p>
+              </div>
+            ))}
+
             {/* Loading indicator for trajectories */}
-            {!isLoaded && (
+            {trendsView === 'top' && !isLoaded && (
               <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800">
                 <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
                 <p className="mt-4 text-slate-500">Loading player trajectories for {currentStat.label}...</p>
@@ -614,10 +1733,25 @@ function App() {
               </div>
             )}
             
+            {trendsView === 'top' && isLoaded && !isMlb && (
+              <p className="text-xs text-slate-500">
+                Top {getSportLevel(selectedSportId)?.label} players of the last 10 seasons, each with one bar per season at every level from the minors into MLB (regular season).
+              </p>
+            )}
+
+            {trendsView === 'top' && isLoaded && currentStat.isRate && (
+              <p className="text-xs text-slate-500">
+                * Faded bars are seasons below the qualification minimum ({describeQualification(currentStat.category)}) and don't count toward the career high.
+              </p>
+            )}
+
             {/* Trajectories grid */}
-            {isLoaded && (
+            {trendsView === 'top' && isLoaded && (
               <div className="grid grid-cols-1 lg:grid-cols-3 gap-8 animate-in fade-in slide-in-from-bottom-4 duration-500">
             {Object.entries(currentTrajectories)
+              .map(([name, { data, id }]) => eraAdjusted
+                ? [name, { id, data: data.map(d => ({ ...d, statValue: d.adjustedValue ?? 0 })) }]
+                : [name, { data, id }])
               .map(([name, { data, id }]) => ({
                 name,
                 id,
@@ -627,18 +1761,27 @@ function App() {
               .sort((a, b) => b.total - a.total)
               .map(({ name, id, data, total }) => {
               const maxStat = Math.max(...data.map(d => d.statValue));
+              // Short seasons don't count toward a rate-stat career high
+              const qualifiedValues = data.filter(d => d.qualified !== false).map(d => d.statValue);
+              const careerHigh = qualifiedValues.length > 0 ? Math.max(...qualifiedValues) : maxStat;
               return (
                 <div key={name} className="bg-white dark:bg-slate-900 rounded-3xl p-6 border border-slate-200 dark:border-slate-800 flex flex-col">
                   <div className="flex items-center justify-between mb-8">
-                    <a 
-                      href={`https://www.mlb.com/player/${id}`}
-                      target="_blank"
-                      rel="noopener noreferrer"
+                    <button 
+                      type="button"
+                      onClick={() => setProfilePlayerId(id)}
                       className="font-bold text-lg text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors underline decoration-transparent hover:decoration-current"
                     >
                       {name}
-                    </a>
-                    <span className="text-[10px] font-bold bg-slate-100 dark:bg-slate-800 text-slate-500 px-2 py-1 rounded uppercase tracking-wider">Historical Trend</span>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => toggleComparePlayer(id, name)}
+                      disabled={!isCompared(id) && comparePlayers.length >= MAX_COMPARE_PLAYERS}
+                      className={`text-[10px] font-bold px-2 py-1 rounded uppercase tracking-wider transition-colors disabled:opacity-40 ${isCompared(id) ? 'bg-indigo-500 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                    >
+                      {isCompared(id) ? '✓ Comparing' : '+ Compare'}
+                    </button>
                   </div>
                   
                   {/* Chart Container - Fixed Height and Flex layout fix */}
@@ -652,22 +1795,24 @@ function App() {
                             name === 'Aaron Judge' ? 'bg-blue-500' : 
                             name === 'Shohei Ohtani' ? 'bg-red-500' : 
                             'bg-indigo-500'
-                          } group-hover:brightness-110 group-hover:shadow-md relative`}
+                          } ${d.qualified === false ? 'opacity-40' : ''} group-hover:brightness-110 group-hover:shadow-md relative`}
                         >
                           {/* Data Label - positioned on top of bar */}
                           <div className="absolute -top-5 left-1/2 -translate-x-1/2 text-xs font-bold text-slate-700 dark:text-slate-300 whitespace-nowrap">
-                            {formatStatValue(d.statValue, selectedStat)}
+                            {formatTrendValue(d.statValue)}{d.qualified === false && '*'}
                           </div>
                         </div>
                         
                         {/* Tooltip */}
                         <div className="absolute -top-8 left-1/2 -translate-x-1/2 bg-slate-800 text-white text-[10px] px-2 py-1 rounded shadow-xl opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10 pointer-events-none">
-                          {formatStatValue(d.statValue, selectedStat)} {currentStat.abbr} in {d.year}
+                          {formatTrendValue(d.statValue)} {trendAbbr} in {d.year}{d.level && ` at ${d.level}`}{d.qualified === false && ' (not qualified)'}
                         </div>
                         
                         {/* Year Label */}
                         <span className="text-[10px] font-mono mt-3 text-slate-400 text-center">
                           {d.year.toString().slice(2)}
+                          {/* Climb charts (levels below MLB) mark each bar's level */}
+                          {d.level && <span className="block font-bold">{d.level}</span>}
                         </span>
                       </div>
                     ))}
@@ -676,18 +1821,18 @@ function App() {
                   <div className="mt-auto space-y-4 pt-4 border-t border-slate-100 dark:border-slate-800">
                     <div className="flex justify-between items-center">
                       <span className="text-xs text-slate-500 font-medium">Career High</span>
-                      <span className="text-sm font-bold px-2 py-0.5 bg-slate-100 dark:bg-slate-800 rounded">{formatStatValue(maxStat, selectedStat)} {currentStat.abbr}</span>
+                      <span className="text-sm font-bold px-2 py-0.5 bg-slate-100 dark:bg-slate-800 rounded">{formatTrendValue(careerHigh)} {trendAbbr}</span>
                     </div>
                     <div className="flex justify-between items-center">
                       <span className="text-xs text-slate-500 font-medium">Average</span>
                       <span className="text-sm font-bold text-slate-700 dark:text-slate-300">
-                        {formatStatValue(total / data.length, selectedStat)} {currentStat.abbr}/yr
+                        {formatTrendValue(total / data.length)} {trendAbbr}/yr
                       </span>
                     </div>
                     <div className="flex justify-between items-center">
                       <span className="text-xs text-slate-500 font-medium">Total (Shown)</span>
                       <span className="text-sm font-bold text-slate-700 dark:text-slate-300">
-                        {formatStatValue(total, selectedStat)}
+                        {formatTrendValue(total)}
                       </span>
                     </div>
                   </div>
@@ -700,6 +1845,47 @@ function App() {
           );
         })()}
 
+        {/* Tab Content: Hot & Cold */}
+        {activeTab === 'streaks' && (
+          <HotColdView
+            statType={selectedStat}
+            qualificationKey={getQualificationKey()}
+            gameTypeId={gameTypeId}
+            levelId={levelId}
+            onOpenProfile={setProfilePlayerId}
+          />
+        )}
+
+        {/* Tab Content: Record Chase */}
+        {activeTab === 'chase' && (
+          <RecordChaseView statType={selectedStat} onOpenProfile={setProfilePlayerId} />
+        )}
+
+        {/* Tab Content: Postseason Records */}
+        {activeTab === 'postseason' && (
+          <PostseasonRecordsView statType={selectedStat} onOpenProfile={setProfilePlayerId} />
+        )}
+
+        {/* Tab Content: Franchise Records */}
+        {activeTab === 'franchise' && (
+          <FranchiseRecordsView
+            teamId={franchiseTeam}
+            onTeamChange={setFranchiseTeam}
+            category={selectedCategory}
+            statType={selectedStat}
+            qualificationKey={getQualificationKey()}
+            datasetId={datasetId}
+            onOpenProfile={setProfilePlayerId}
+          />
+        )}
+
+        {/* Tab Content: Live (stays mounted once opened so polling continues on other tabs) */}
+        {liveOpened && (
+          <div className={activeTab === 'live' ? '' : 'hidden'}>
+            <LiveView onHomeRuns={handleLiveHomeRuns} onOpenProfile={setProfilePlayerId} />
+          </div>
+        )}
+
         {/* Tab Content: Expected Stats (Projections) */}
         {activeTab === 'projections' && (
           <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
@@ -708,20 +1894,45 @@ function App() {
                 <Target className="text-violet-500" size={24} /> 
                 Expected Statistics: <span className="text-violet-600">{selectedCategory === 'hitting' ? 'Batting' : 'Pitching'}</span>
               </h2>
-              <button
-                onClick={() => {
-                  setExpectedStatsLoading(true);
-                  getExpectedStats(currentSeason, selectedCategory).then(data => {
-                    setExpectedStats(data);
-                    setExpectedStatsLoading(false);
-                  });
-                }}
-                className="px-4 py-2 bg-violet-500 hover:bg-violet-600 text-white rounded-lg font-semibold transition-colors"
-              >
-                Refresh Data
-              </button>
+              <div className="flex items-center gap-3">
+                <select
+                  id="expected-season-selector"
+                  value={expectedSeason}
+                  onChange={(e) => setExpectedSeason(Number(e.target.value))}
+                  className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 font-semibold focus:ring-2 focus:ring-violet-500 focus:border-violet-500 transition-all"
+                  aria-label="Season"
+                >
+                  {getExpectedStatsSeasons().map(season => <option key={season} value={season}>{season}</option>)}
+                </select>
+                <ExportMenu getTable={() => buildExportTable('projections')} disabled={sortedExpectedStats.length === 0} />
+                <button
+                  onClick={loadExpectedStats}
+                  className="px-4 py-2 bg-violet-500 hover:bg-violet-600 text-white rounded-lg font-semibold transition-colors"
+                >
+                  Refresh Data
+                </button>
+              </div>
             </div>
 
+            <SavantImportControl
+              imported={importedExpectedStats}
+              season={expectedSeason}
+              onImport={handleSavantImport}
+              onClear={loadExpectedStats}
+            />
+
+            {expectedHistoryPlayer && (
+              <ExpectedStatsHistory
+                key={`${selectedCategory}-${expectedHistoryPlayer.personId}`}
+                player={expectedHistoryPlayer}
+                statGroup={selectedCategory}
+                history={expectedHistory?.players[expectedHistoryPlayer.personId]}
+                missingSeasons={expectedHistory?.missingSeasons || []}
+                onClose={() => setExpectedHistoryPlayer(null)}
+                onOpenProfile={setProfilePlayerId}
+              />
+            )}
+
             {expectedStatsLoading && (
               <div className="text-center py-20">
                 <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-violet-500"></div>
@@ -851,6 +2062,7 @@ function App() {
                             </>
                           )}
                           <th className="px-6 py-4 text-center">Status</th>
+                          <th className="px-6 py-4 text-center" title={`Gap held ${PERSISTENT_GAP_SEASONS}+ straight seasons`}>History</th>
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
@@ -859,14 +2071,13 @@ function App() {
                             <td className="px-6 py-4 font-bold text-slate-400 sticky left-0 z-10 bg-white dark:bg-slate-900">#{index + 1}</td>
                             <td className="px-6 py-4 font-semibold sticky left-[80px] z-10 bg-white dark:bg-slate-900">
                               {player.personId ? (
-                                <a 
-                                  href={`https://www.mlb.com/player/${player.personId}`}
-                                  target="_blank"
-                                  rel="noopener noreferrer"
+                                <button 
+                                  type="button"
+                                  onClick={() => setProfilePlayerId(player.personId)}
                                   className="text-slate-900 dark:text-white hover:text-violet-600 dark:hover:text-violet-400 transition-colors underline decoration-transparent hover:decoration-current"
                                 >
                                   {player.player}
-                                </a>
+                                </button>
                               ) : (
                                 <span className="text-slate-900 dark:text-white">{player.player}</span>
                               )}
@@ -894,14 +2105,15 @@ function App() {
                             </td>
                             {selectedCategory === 'hitting' ? (
                               <>
-                                <td className="px-6 py-4 text-center font-semibold">{player.hardHitPct.toFixed(1)}%</td>
-                                <td className="px-6 py-4 text-center font-semibold">{player.barrelPct.toFixed(1)}%</td>
-                                <td className="px-6 py-4 text-center font-semibold">{player.exitVelo.toFixed(1)} mph</td>
+                                {/* Imported leaderboards may lack the quality of contact columns */}
+                                <td className="px-6 py-4 text-center font-semibold">{player.hardHitPct === null ? '—' : `${player.hardHitPct.toFixed(1)}%`}</td>
+                                <td className="px-6 py-4 text-center font-semibold">{player.barrelPct === null ? '—' : `${player.barrelPct.toFixed(1)}%`}</td>
+                                <td className="px-6 py-4 text-center font-semibold">{player.exitVelo === null ? '—' : `${player.exitVelo.toFixed(1)} mph`}</td>
                               </>
                             ) : (
                               <>
-                                <td className="px-6 py-4 text-center font-semibold">{player.whiffPct.toFixed(1)}%</td>
-                                <td className="px-6 py-4 text-center font-semibold">{player.kRate.toFixed(1)}%</td>
+                                <td className="px-6 py-4 text-center font-semibold">{player.whiffPct === null ? '—' : `${player.whiffPct.toFixed(1)}%`}</td>
+                                <td className="px-6 py-4 text-center font-semibold">{player.kRate === null ? '—' : `${player.kRate.toFixed(1)}%`}</td>
                               </>
                             )}
                             <td className="px-6 py-4 text-center">
@@ -913,6 +2125,28 @@ function App() {
                                 {player.luck === 'lucky' ? '🍀 Lucky' : '📉 Unlucky'}
                               </span>
                             </td>
+                            <td className="px-6 py-4 text-center">
+                              {(() => {
+                                const gap = expectedHistory?.players[player.personId]?.persistentGap;
+                                return (
+                                  <button
+                                    type="button"
+                                    onClick={() => setExpectedHistoryPlayer({ personId: player.personId, name: player.player })}
+                                    disabled={!player.personId}
+                                    title={gap ? `${gap.direction === 'over' ? 'Beat' : 'Fell short of'} expected ${gap.from}-${gap.to}` : 'Actual vs expected by season'}
+                                    className={`text-xs font-semibold px-2 py-1 rounded transition-colors disabled:opacity-50 ${
+                                      gap
+                                        ? gap.direction === 'over'
+                                          ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300 hover:bg-green-200'
+                                          : 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 hover:bg-red-200'
+                                        : 'text-slate-500 hover:text-violet-600'
+                                    }`}
+                                  >
+                                    {gap ? `${gap.direction === 'over' ? '▲' : '▼'} ${gap.seasons} yrs` : 'View'}
+                                  </button>
+                                );
+                              })()}
+                            </td>
                           </tr>
                         ))}
                       </tbody>
@@ -946,11 +2180,91 @@ function App() {
 
       </main>
 
+      {profilePlayerId && (
+        <PlayerProfile
+          personId={profilePlayerId}
+          onClose={() => setProfilePlayerId(null)}
+          isCompared={isCompared(profilePlayerId)}
+          canCompare={comparePlayers.length < MAX_COMPARE_PLAYERS}
+          onToggleCompare={toggleComparePlayer}
+        />
+      )}
+
+      {showStatBuilder && (
+        <CustomStatBuilder
+          category={selectedCategory}
+          definitions={customStats}
+          onChange={(definitions, selectKey) => {
+            setCustomStats(definitions);
+            if (selectKey) {
+              if (STAT_TYPES[selectKey].category !== selectedCategory) selectCategory(STAT_TYPES[selectKey].category);
+              setSelectedStat(selectKey);
+            } else if (!STAT_TYPES[selectedStat]) {
+              // The selected stat was deleted; fall back to the category's first stat
+              setSelectedStat(Object.keys(STAT_TYPES).find(key => STAT_TYPES[key].category === selectedCategory));
+            }
+          }}
+          onClose={() => setShowStatBuilder(false)}
+        />
+      )}
+
+      {/* Comparison tray - follows the user across tabs */}
+      {comparePlayers.length > 0 && !(activeTab === 'trends' && trendsView === 'compare') && (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 bg-white dark:bg-slate-900 rounded-2xl shadow-2xl border border-slate-200 dark:border-slate-800 px-4 py-3 flex items-center gap-3 flex-wrap max-w-[95vw]">
+          <Users className="text-indigo-500" size={18} />
+          {comparePlayers.map(p => (
+            <span key={p.personId} className="inline-flex items-center gap-1 text-sm font-semibold bg-slate-100 dark:bg-slate-800 rounded-full pl-3 pr-1 py-1">
+              {p.name}
+              <button
+                type="button"
+                onClick={() => toggleComparePlayer(p.personId)}
+                className="p-1 rounded-full text-slate-400 hover:text-slate-700 dark:hover:text-slate-200"
+                aria-label={`Remove ${p.name}`}
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+          <button
+            onClick={() => {
+              setActiveTab('trends');
+              setTrendsView('compare');
+            }}
+            disabled={comparePlayers.length < 2}
+            className="px-4 py-1.5 bg-indigo-500 hover:bg-indigo-600 disabled:opacity-40 text-white rounded-lg text-sm font-semibold transition-colors"
+          >
+            Compare
+          </button>
+          <button
+            onClick={() => setComparePlayers([])}
+            className="text-xs font-semibold text-slate-500 hover:text-slate-700 dark:hover:text-slate-300"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
       <footer className="max-w-7xl mx-auto mt-20 pb-10 border-t border-slate-200 dark:border-slate-800 pt-10 text-center">
         <p className="text-slate-500 text-sm">
           Data visualization for MLB Stat Enthusiasts. Single season records include historical milestones and current 2025 leader projections.
         </p>
         <p className="text-slate-400 text-xs mt-2 uppercase tracking-widest">Powered by Stathead & Baseball-Reference Historical Data</p>
+        {dataSourceMode !== 'live' && (
+          <div className="mt-4 flex items-center justify-center gap-3">
+            <span className="text-xs font-medium px-2 py-1 rounded bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300">
+              Data source: {DATA_SOURCE_MODES[dataSourceMode]?.label || dataSourceMode}
+            </span>
+            {dataSourceNote && <span className="text-xs text-slate-500">{dataSourceNote}</span>}
+            {dataSourceMode === 'record' && (
+              <button
+                onClick={() => downloadRecordings().then(count => setDataSourceNote(`Exported ${count} recorded responses`))}
+                className="text-xs font-semibold px-3 py-1 rounded-lg bg-amber-500 hover:bg-amber-600 text-white transition-colors"
+              >
+                Download Fixtures
+              </button>
+            )}
+          </div>
+        )}
       </footer>
     </div>
   )
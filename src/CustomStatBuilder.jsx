@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react'
+import { X, Calculator, Trash2 } from 'lucide-react'
+import { CUSTOM_STAT_FIELDS, CUSTOM_STAT_FORMATS, parseFormula, saveCustomStat, deleteCustomStat } from './customStats'
+
+const EMPTY_FORM = { label: '', abbr: '', formula: '', format: 'decimal3', isRate: true, lowerIsBetter: false };
+
+// Formula builder for user-defined stats, plus the list of saved ones
+function CustomStatBuilder({ category, definitions, onChange, onClose }) {
+  const [form, setForm] = useState({ ...EMPTY_FORM, category });
+  const [editingKey, setEditingKey] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  // Validate the formula as it is typed
+  let formulaError = null;
+  if (form.formula.trim()) {
+    try {
+      parseFormula(form.formula, form.category);
+    } catch (e) {
+      formulaError = e.message;
+    }
+  }
+
+  const update = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+    setError(null);
+  };
+
+  const insertField = (field) => {
+    update({ formula: form.formula ? `${form.formula.trimEnd()} ${field}` : field });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      const updated = saveCustomStat(form, editingKey);
+      const saved = updated[updated.length - 1];
+      onChange(updated, saved.key);
+      setForm({ ...EMPTY_FORM, category: form.category });
+      setEditingKey(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleEdit = (definition) => {
+    const isRate = definition.isRate ?? definition.format !== 'integer';
+    setForm({ ...EMPTY_FORM, ...definition, isRate });
+    setEditingKey(definition.key);
+    setError(null);
+  };
+
+  const handleDelete = (key) => {
+    onChange(deleteCustomStat(key), null);
+    if (editingKey === key) {
+      setForm({ ...EMPTY_FORM, category: form.category });
+      setEditingKey(null);
+    }
+  };
+
+  const inputClass = "w-full bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all";
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-950/60 backdrop-blur-sm flex items-start justify-center p-4 md:p-8 overflow-y-auto" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-slate-900 rounded-3xl shadow-2xl border border-slate-200 dark:border-slate-800 w-full max-w-3xl animate-in fade-in slide-in-from-bottom-4 duration-300"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-6 border-b border-slate-200 dark:border-slate-800 flex items-center justify-between">
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <Calculator className="text-blue-500" size={20} /> {editingKey ? 'Edit Custom Stat' : 'New Custom Stat'}
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+            aria-label="Close custom stat builder"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSave} className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="md:col-span-2 text-sm font-medium text-slate-600 dark:text-slate-400 space-y-1">
+              <span>Name</span>
+              <input className={inputClass} value={form.label} placeholder="Home Runs per 600 PA" onChange={(e) => update({ label: e.target.value })} />
+            </label>
+            <label className="text-sm font-medium text-slate-600 dark:text-slate-400 space-y-1">
+              <span>Abbreviation</span>
+              <input className={inputClass} value={form.abbr} placeholder="HR/600" maxLength={12} onChange={(e) => update({ abbr: e.target.value })} />
+            </label>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <label className="text-sm font-medium text-slate-600 dark:text-slate-400 space-y-1">
+              <span>Category</span>
+              <select className={inputClass} value={form.category} onChange={(e) => update({ category: e.target.value })}>
+                <option value="hitting">Batting</option>
+                <option value="pitching">Pitching</option>
+              </select>
+            </label>
+            <label className="text-sm font-medium text-slate-600 dark:text-slate-400 space-y-1">
+              <span>Format</span>
+              <select className={inputClass} value={form.format} onChange={(e) => update({ format: e.target.value })}>
+                {Object.values(CUSTOM_STAT_FORMATS).map(f => (
+                  <option key={f.key} value={f.key}>{f.label}</option>
+                ))}
+              </select>
+            </label>
+            <div className="flex flex-col gap-1 md:pt-6">
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-600 dark:text-slate-400" title="Rate stats only rank players who meet the qualification minimums">
+                <input type="checkbox" checked={form.isRate} onChange={(e) => update({ isRate: e.target.checked })} />
+                Rate stat
+              </label>
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-600 dark:text-slate-400">
+                <input type="checkbox" checked={form.lowerIsBetter} onChange={(e) => update({ lowerIsBetter: e.target.checked })} />
+                Lower is better
+              </label>
+            </div>
+          </div>
+
+          <label className="block text-sm font-medium text-slate-600 dark:text-slate-400 space-y-1">
+            <span>Formula</span>
+            <input
+              className={`${inputClass} font-mono`}
+              value={form.formula}
+              placeholder="homeRuns / plateAppearances * 600"
+              onChange={(e) => update({ formula: e.target.value })}
+            />
+          </label>
+          <p className={`text-xs ${formulaError ? 'text-red-500' : 'text-slate-400'}`}>
+            {formulaError || 'Use + - * / and parentheses. Division by zero counts as 0. Innings pitched are converted to true innings (45.2 → 45⅔).'}
+          </p>
+
+          <div className="flex flex-wrap gap-2">
+            {CUSTOM_STAT_FIELDS[form.category].map(field => (
+              <button
+                key={field}
+                type="button"
+                onClick={() => insertField(field)}
+                className="px-2 py-1 rounded-full text-xs font-mono bg-slate-100 dark:bg-slate-800 text-slate-500 hover:text-slate-700 dark:hover:text-slate-300 transition-colors"
+              >
+                {field}
+              </button>
+            ))}
+          </div>
+
+          {error && <p className="text-sm font-semibold text-red-500">{error}</p>}
+
+          <div className="flex items-center gap-2">
+            <button
+              type="submit"
+              disabled={!form.formula.trim() || !!formulaError}
+              className="px-4 py-2 rounded-lg text-sm font-semibold bg-blue-600 text-white shadow-md disabled:opacity-40 transition-all"
+            >
+              {editingKey ? 'Save Changes' : 'Add Stat'}
+            </button>
+            {editingKey && (
+              <button
+                type="button"
+                onClick={() => {
+                  setForm({ ...EMPTY_FORM, category: form.category });
+                  setEditingKey(null);
+                }}
+                className="px-4 py-2 rounded-lg text-sm font-semibold text-slate-500 hover:text-slate-700 dark:hover:text-slate-300"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </form>
+
+        {definitions.length > 0 && (
+          <div className="px-6 pb-6">
+            <h3 className="text-sm font-bold uppercase tracking-wider text-slate-500 mb-3">Saved Custom Stats</h3>
+            <ul className="divide-y divide-slate-200 dark:divide-slate-800 rounded-2xl border border-slate-200 dark:border-slate-800">
+              {definitions.map(definition => (
+                <li key={definition.key} className="px-4 py-3 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="font-semibold text-sm">
+                      {definition.label} <span className="text-slate-400">({definition.abbr})</span>
+                      <span className="ml-2 text-xs text-slate-400">{definition.category === 'hitting' ? 'Batting' : 'Pitching'}</span>
+                    </p>
+                    <p className="text-xs font-mono text-slate-500 truncate">{definition.formula}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => handleEdit(definition)}
+                      className="px-3 py-1 rounded-lg text-xs font-semibold bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700 transition-colors"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(definition.key)}
+                      className="p-1.5 rounded-lg text-slate-400 hover:text-red-500 transition-colors"
+                      aria-label={`Delete ${definition.label}`}
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CustomStatBuilder
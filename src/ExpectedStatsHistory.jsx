@@ -0,0 +1,187 @@
+import { useState } from 'react'
+import { X, TrendingUp } from 'lucide-react'
+import { PERSISTENT_GAP_SEASONS } from './mlbApi'
+
+// Actual vs expected pairs by stat group; pitchers' BA/SLG/wOBA are against
+const STAT_PAIRS = {
+  hitting: [
+    { key: 'ba', actual: 'ba', expected: 'xBA', label: 'BA', expectedLabel: 'xBA' },
+    { key: 'slg', actual: 'slg', expected: 'xSLG', label: 'SLG', expectedLabel: 'xSLG' },
+    { key: 'woba', actual: 'woba', expected: 'xwOBA', label: 'wOBA', expectedLabel: 'xwOBA' }
+  ],
+  pitching: [
+    { key: 'era', actual: 'era', expected: 'xERA', label: 'ERA', expectedLabel: 'xERA', decimals: 2, lowerIsBetter: true },
+    { key: 'slg', actual: 'slg', expected: 'xSLG', label: 'SLG', expectedLabel: 'xSLG', lowerIsBetter: true },
+    { key: 'woba', actual: 'woba', expected: 'xwOBA', label: 'wOBA', expectedLabel: 'xwOBA', lowerIsBetter: true }
+  ]
+};
+
+function formatValue(value, pair) {
+  if (value === null || value === undefined) return '—';
+  const text = value.toFixed(pair.decimals || 3);
+  return pair.decimals ? text : text.replace(/^0\./, '.');
+}
+
+// One player's actual vs expected stats season by season, flagging a gap that has persisted
+function ExpectedStatsHistory({ player, statGroup, history, missingSeasons, onClose, onOpenProfile }) {
+  const pairs = STAT_PAIRS[statGroup];
+  const [pairKey, setPairKey] = useState(pairs[0].key);
+  const pair = pairs.find(p => p.key === pairKey) || pairs[0];
+  const seasons = history?.seasons || [];
+  const gap = history?.persistentGap;
+
+  const points = seasons.filter(season => season[pair.actual] !== null && season[pair.expected] !== null);
+  const values = points.flatMap(season => [season[pair.actual], season[pair.expected]]);
+  const yMin = values.length ? Math.min(...values) * 0.95 : 0;
+  const yMax = values.length ? Math.max(...values) * 1.05 : 1;
+  const xMin = points.length ? points[0].season : 0;
+  const xMax = points.length ? points[points.length - 1].season : 1;
+
+  const width = 800;
+  const height = 260;
+  const pad = { top: 20, right: 20, bottom: 36, left: 56 };
+  const xScale = (x) => pad.left + (xMax === xMin ? 0.5 : (x - xMin) / (xMax - xMin)) * (width - pad.left - pad.right);
+  const yScale = (y) => height - pad.bottom - ((y - yMin) / (yMax - yMin || 1)) * (height - pad.top - pad.bottom);
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(t => yMin + t * (yMax - yMin));
+  const lines = [
+    { key: pair.actual, label: pair.label, color: '#3b82f6' },
+    { key: pair.expected, label: pair.expectedLabel, color: '#8b5cf6' }
+  ];
+
+  return (
+    <div className="bg-white dark:bg-slate-900 rounded-3xl p-6 border border-slate-200 dark:border-slate-800 space-y-4">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+        <h3 className="text-xl font-bold flex items-center gap-2">
+          <TrendingUp className="text-violet-500" size={20} />
+          <button type="button" onClick={() => onOpenProfile(player.personId)} className="hover:text-violet-600 transition-colors">
+            {player.name}
+          </button>
+          <span className="text-slate-400 font-semibold">Actual vs Expected</span>
+        </h3>
+        <div className="flex items-center gap-3">
+          <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+            {pairs.map(p => (
+              <button
+                key={p.key}
+                onClick={() => setPairKey(p.key)}
+                className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${pair.key === p.key ? 'bg-violet-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+              >
+                {p.label}/{p.expectedLabel}
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="p-2 rounded-full text-slate-400 hover:text-slate-700 dark:hover:text-slate-200"
+            aria-label="Close history"
+          >
+            <X size={18} />
+          </button>
+        </div>
+      </div>
+
+      {gap && (
+        <p className={`text-sm font-semibold px-4 py-2 rounded-xl ${gap.direction === 'over' ? 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-300' : 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300'}`}>
+          {gap.direction === 'over' ? 'Beat' : 'Fell short of'} expected stats {gap.seasons} straight seasons ({gap.from}–{gap.to}),
+          by {statGroup === 'pitching' ? `${Math.abs(gap.averageGap).toFixed(2)} ERA` : `${Math.abs(gap.averageGap).toFixed(3).replace(/^0\./, '.')} wOBA`} a year on average:
+          likely a real skill rather than luck.
+        </p>
+      )}
+
+      {points.length === 0 ? (
+        <p className="py-8 text-center text-slate-500">No {pair.label}/{pair.expectedLabel} history for {player.name}.</p>
+      ) : (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto bg-slate-50/50 dark:bg-slate-800/30 rounded-xl">
+          {yTicks.map(tick => (
+            <g key={tick}>
+              <line x1={pad.left} x2={width - pad.right} y1={yScale(tick)} y2={yScale(tick)} className="stroke-slate-200 dark:stroke-slate-700" strokeDasharray="4 4" />
+              <text x={pad.left - 8} y={yScale(tick) + 4} textAnchor="end" className="fill-slate-400 text-[10px] font-mono">
+                {formatValue(tick, pair)}
+              </text>
+            </g>
+          ))}
+          {points.map(season => (
+            <text key={season.season} x={xScale(season.season)} y={height - pad.bottom + 18} textAnchor="middle" className="fill-slate-400 text-[10px] font-mono">
+              {season.season}
+            </text>
+          ))}
+          {lines.map(line => (
+            <g key={line.key}>
+              <polyline
+                fill="none"
+                stroke={line.color}
+                strokeWidth="2.5"
+                strokeLinejoin="round"
+                points={points.map(season => `${xScale(season.season)},${yScale(season[line.key])}`).join(' ')}
+              />
+              {points.map(season => (
+                <circle key={season.season} cx={xScale(season.season)} cy={yScale(season[line.key])} r="4" fill={line.color}>
+                  <title>{`${line.label} ${formatValue(season[line.key], pair)} in ${season.season}`}</title>
+                </circle>
+              ))}
+            </g>
+          ))}
+        </svg>
+      )}
+      <div className="flex gap-4 text-xs font-semibold text-slate-500">
+        {lines.map(line => (
+          <span key={line.key} className="flex items-center gap-1.5">
+            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: line.color }}></span>{line.label}
+          </span>
+        ))}
+      </div>
+
+      {seasons.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+              <tr>
+                <th className="px-4 py-2">Season</th>
+                <th className="px-4 py-2">Team</th>
+                <th className="px-4 py-2 text-center">PA</th>
+                {pairs.map(p => (
+                  <th key={p.key} className="px-4 py-2 text-center">{p.label} / {p.expectedLabel}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+              {seasons.map(season => {
+                const inRun = gap && season.season >= gap.from && season.season <= gap.to;
+                return (
+                  <tr key={season.season} className={inRun ? 'bg-violet-50/50 dark:bg-violet-900/10' : ''}>
+                    <td className="px-4 py-2 font-mono">{season.season}</td>
+                    <td className="px-4 py-2 text-slate-500">{season.team}</td>
+                    <td className="px-4 py-2 text-center font-mono">{season.pa ?? '—'}</td>
+                    {pairs.map(p => {
+                      const diff = season[p.actual] !== null && season[p.expected] !== null ? season[p.actual] - season[p.expected] : null;
+                      const beat = diff !== null && (p.lowerIsBetter ? diff < 0 : diff > 0);
+                      return (
+                        <td key={p.key} className="px-4 py-2 text-center font-mono">
+                          {formatValue(season[p.actual], p)} / {formatValue(season[p.expected], p)}
+                          {diff !== null && (
+                            <span className={`ml-2 text-xs ${beat ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}`}>
+                              {diff > 0 ? '+' : ''}{diff.toFixed(p.decimals || 3)}
+                            </span>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs text-slate-500">
+        From each season's Baseball Savant board ({seasons.length > 0 ? `${seasons.length} seasons` : 'none found'}).
+        A gap of the same sign in {PERSISTENT_GAP_SEASONS}+ straight seasons is flagged as persistent.
+        {missingSeasons.length > 0 && ` Savant couldn't be reached for ${missingSeasons.join(', ')}; import those seasons' leaderboard CSVs to fill them in.`}
+      </p>
+    </div>
+  );
+}
+
+export default ExpectedStatsHistory
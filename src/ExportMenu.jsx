@@ -0,0 +1,53 @@
+import { useState } from 'react'
+import { Download } from 'lucide-react'
+import { EXPORT_FORMATS, downloadExport } from './exportData'
+
+// Export button for a view; getTable builds {columns, rows, metadata} at click time so the
+// file matches the current sort, filters and stat
+function ExportMenu({ getTable, disabled = false }) {
+  const [open, setOpen] = useState(false);
+
+  const handleExport = (format) => {
+    setOpen(false);
+    try {
+      downloadExport(format, getTable());
+    } catch (error) {
+      console.error(`Error exporting ${format}:`, error);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border-2 border-slate-200 dark:border-slate-700 text-sm font-semibold text-slate-500 hover:text-blue-600 hover:border-blue-500 transition-colors disabled:opacity-50 disabled:pointer-events-none"
+        aria-haspopup="menu"
+        aria-expanded={open}
+      >
+        <Download size={16} /> Export
+      </button>
+      {open && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-2 z-30 w-32 bg-white dark:bg-slate-900 rounded-lg shadow-xl border border-slate-200 dark:border-slate-800 py-1"
+        >
+          {Object.values(EXPORT_FORMATS).map(format => (
+            <button
+              key={format.key}
+              type="button"
+              role="menuitem"
+              onClick={() => handleExport(format.key)}
+              className="w-full text-left px-4 py-2 text-sm font-semibold text-slate-600 dark:text-slate-300 hover:bg-slate-50 dark:hover:bg-slate-800 transition-colors"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ExportMenu
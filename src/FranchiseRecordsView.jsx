@@ -0,0 +1,245 @@
+import { useState, useEffect, useMemo } from 'react'
+import { BookOpen, Info } from 'lucide-react'
+import { getFranchiseRecords, getFranchiseLineage, getTeams, STAT_TYPES, FRANCHISE_CAREER_MINIMUMS, formatStatValue } from './mlbApi'
+import { PLAYING_TIME, describeQualification } from './qualification'
+import { getFetchTime } from './cache'
+import { buildExportMetadata } from './exportData'
+import ExportMenu from './ExportMenu'
+
+// Franchise record books: single-season and career records for every stat in a category,
+// across the club's whole lineage (relocations and renames included)
+function FranchiseRecordsView({ teamId, onTeamChange, category, statType, qualificationKey, datasetId, onOpenProfile }) {
+  const [book, setBook] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [detailStat, setDetailStat] = useState(statType);
+  const teams = useMemo(() => getTeams(), []);
+  const lineage = teamId ? getFranchiseLineage(teamId) : [];
+
+  // The header stat picks the detail view; a row click overrides it until the header changes
+  useEffect(() => {
+    setDetailStat(statType);
+  }, [statType]);
+
+  useEffect(() => {
+    if (!teamId) return;
+    let cancelled = false;
+    setBook(null);
+    setLoading(true);
+    getFranchiseRecords(teamId, category).then(records => {
+      if (cancelled) return;
+      setBook(records);
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [teamId, category, qualificationKey, datasetId]);
+
+  const stats = book ? Object.keys(book.records) : [];
+  const detail = book?.records[detailStat] ? detailStat : stats[0];
+  const detailRecords = detail ? book.records[detail] : null;
+
+  const buildExportTable = () => ({
+    columns: [
+      { key: 'stat', label: 'Stat' },
+      { key: 'type', label: 'Record' },
+      { key: 'rank', label: 'Rank' },
+      { key: 'player', label: 'Player' },
+      { key: 'personId', label: 'Person ID' },
+      { key: 'statValue', label: 'Value' },
+      { key: 'year', label: 'Year' },
+      { key: 'team', label: 'Team' },
+      { key: 'firstYear', label: 'First Season' },
+      { key: 'lastYear', label: 'Last Season' },
+      { key: 'recordSince', label: 'Record Since' }
+    ],
+    rows: stats.flatMap(key => [
+      ...book.records[key].seasons.map(row => ({ ...row, stat: STAT_TYPES[key].abbr, type: 'Single Season' })),
+      ...book.records[key].career.map(row => ({
+        ...row,
+        stat: STAT_TYPES[key].abbr,
+        type: 'Career',
+        recordSince: row.rank === 1 ? book.records[key].careerRecordSince : null
+      }))
+    ]),
+    metadata: buildExportMetadata({
+      title: `${book.name} Franchise Records (${category === 'hitting' ? 'Batting' : 'Pitching'})`,
+      source: 'MLB Stats API (statsapi.mlb.com) and the historical dataset when loaded',
+      fetchedAt: getFetchTime(`franchise_records_${teamId}_${category}`),
+      filters: {
+        franchise: lineage.map(entry => entry.name).join(' > '),
+        seasons: `${book.firstYear}-${book.lastYear}`,
+        qualification: describeQualification(category),
+        careerMinimum: `${FRANCHISE_CAREER_MINIMUMS[category]} ${PLAYING_TIME[category].abbr}`
+      }
+    })
+  });
+
+  const PlayerButton = ({ row }) => (
+    <button
+      type="button"
+      onClick={(e) => {
+        e.stopPropagation();
+        if (row.personId) onOpenProfile(row.personId);
+      }}
+      className="font-semibold text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors text-left"
+    >
+      {row.player}
+    </button>
+  );
+
+  return (
+    <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <BookOpen className="text-amber-500" size={24} /> Franchise Records: {category === 'hitting' ? 'Batting' : 'Pitching'}
+        </h2>
+        <div className="flex items-center gap-3">
+          <select
+            id="franchise-selector"
+            value={teamId || ''}
+            onChange={(e) => onTeamChange(e.target.value ? Number(e.target.value) : null)}
+            className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+            aria-label="Franchise"
+          >
+            <option value="">Choose a franchise</option>
+            {teams.map(team => <option key={team.id} value={team.id}>{team.name}</option>)}
+          </select>
+          <ExportMenu getTable={buildExportTable} disabled={!book} />
+        </div>
+      </div>
+
+      {!teamId && (
+        <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800 p-12 text-center text-slate-500">
+          Pick a franchise to see its record book.
+        </div>
+      )}
+
+      {teamId && (
+        <p className="text-sm text-slate-600 dark:text-slate-400">
+          {lineage.map((entry, i) => (
+            <span key={`${entry.name}-${entry.from}`}>
+              {i > 0 && <span className="mx-2 text-slate-400">→</span>}
+              <span className="font-semibold">{entry.name}</span> ({entry.from}–{entry.to ?? ''})
+            </span>
+          ))}
+        </p>
+      )}
+
+      {teamId && loading && (
+        <div className="text-center py-16">
+          <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-amber-500"></div>
+          <p className="mt-4 text-sm text-slate-500">Scanning every season since {lineage[0]?.from}...</p>
+        </div>
+      )}
+
+      {teamId && !loading && !book && (
+        <p className="p-6 text-center text-slate-500">No franchise records available.</p>
+      )}
+
+      {book && (
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          {/* Record book: one row per stat */}
+          <div className="xl:col-span-3 bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+            <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800">
+              <h3 className="font-bold text-lg">Record Book {book.firstYear}–{book.lastYear}</h3>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                  <tr>
+                    <th className="px-6 py-3">Stat</th>
+                    <th className="px-4 py-3">Single Season</th>
+                    <th className="px-4 py-3">Career</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                  {stats.map(key => {
+                    const { seasons, career, careerRecordSince } = book.records[key];
+                    const seasonRecord = seasons[0];
+                    const careerRecord = career[0];
+                    return (
+                      <tr
+                        key={key}
+                        onClick={() => setDetailStat(key)}
+                        className={`cursor-pointer transition-colors ${key === detail ? 'bg-amber-50 dark:bg-amber-900/10' : 'hover:bg-slate-50 dark:hover:bg-slate-800/50'}`}
+                      >
+                        <td className="px-6 py-3 font-bold" title={STAT_TYPES[key].label}>{STAT_TYPES[key].abbr}</td>
+                        <td className="px-4 py-3">
+                          {seasonRecord ? (
+                            <>
+                              <span className="font-mono font-bold text-amber-600 dark:text-amber-400 mr-2">{formatStatValue(seasonRecord.statValue, key)}</span>
+                              <PlayerButton row={seasonRecord} />
+                              <span className="ml-2 text-xs text-slate-400">{seasonRecord.year}</span>
+                            </>
+                          ) : <span className="text-slate-400">—</span>}
+                        </td>
+                        <td className="px-4 py-3">
+                          {careerRecord ? (
+                            <>
+                              <span className="font-mono font-bold text-purple-600 dark:text-purple-400 mr-2">{formatStatValue(careerRecord.statValue, key)}</span>
+                              <PlayerButton row={careerRecord} />
+                              {careerRecordSince && <span className="ml-2 text-xs text-slate-400">since {careerRecordSince}</span>}
+                            </>
+                          ) : <span className="text-slate-400">—</span>}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Top seasons and careers for the selected stat */}
+          <div className="xl:col-span-2 space-y-6">
+            {[
+              { title: 'Top Seasons', rows: detailRecords.seasons, career: false },
+              { title: 'Top Careers', rows: detailRecords.career, career: true }
+            ].map(({ title, rows, career }) => (
+              <div key={title} className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+                <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800">
+                  <h3 className="font-bold text-lg">{title}: {STAT_TYPES[detail].label}</h3>
+                </div>
+                <table className="w-full text-left">
+                  <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                    {rows.map(row => (
+                      <tr key={`${row.key}-${row.year ?? 'career'}`} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                        <td className="px-6 py-2 font-bold text-slate-400">{row.rank}</td>
+                        <td className="px-4 py-2">
+                          <PlayerButton row={row} />
+                          <span className="ml-2 text-xs text-slate-400">
+                            {career ? `${row.firstYear}–${row.lastYear}` : `${row.year} ${row.team}`}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-center">
+                          <span className={`inline-block px-3 py-1 rounded-full font-bold ${career ? 'bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300' : 'bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300'}`}>
+                            {formatStatValue(row.statValue, detail)}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {rows.length === 0 && (
+                  <p className="p-6 text-center text-slate-500">No qualified {career ? 'careers' : 'seasons'}.</p>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-blue-50 dark:bg-blue-900/10 p-4 rounded-xl flex items-start gap-3 border border-blue-100 dark:border-blue-900/30">
+        <Info className="text-blue-500 mt-0.5" size={20} />
+        <p className="text-sm text-blue-800 dark:text-blue-300">
+          MLB regular season only. Relocated and renamed clubs share one record book (Expos → Nationals, Senators → Twins).
+          Single-season rate stats follow the qualification rule; career rate stats need {FRANCHISE_CAREER_MINIMUMS.hitting.toLocaleString()} PA
+          or {FRANCHISE_CAREER_MINIMUMS.pitching.toLocaleString()} IP with the franchise. "Since" is the season the career leader took over the record.
+          Seasons before 1901 need the historical dataset; with it loaded, HR/FB is left out.
+          Built from every season's club stats and cached for a week after the first scan.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default FranchiseRecordsView
@@ -0,0 +1,51 @@
+import { useState } from 'react'
+import { Database, Upload } from 'lucide-react'
+import { importHistoricalFiles, getDatasetInfo, DATASET_FILES } from './historicalData'
+
+const FILE_NAMES = Object.values(DATASET_FILES).map(file => file.file);
+
+// Status of the historical dataset behind the records boards, with a local CSV import
+function HistoricalDataControl({ dataset, onChange }) {
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFiles = async (e) => {
+    const files = e.target.files;
+    if (!files?.length) return;
+    setImporting(true);
+    setError(null);
+    try {
+      await importHistoricalFiles(files);
+      onChange(getDatasetInfo());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+      e.target.value = '';
+    }
+  };
+
+  return (
+    <div className="flex items-center gap-3 flex-wrap text-sm">
+      <span className="flex items-center gap-1.5 text-slate-600 dark:text-slate-400" title={dataset ? `Source: ${dataset.source}` : `Add ${FILE_NAMES.join(', ')} to public/data/lahman/ or import them`}>
+        <Database size={16} className={dataset ? 'text-emerald-500' : 'text-slate-400'} />
+        {dataset ? `Historical dataset ${dataset.firstYear}-${dataset.lastYear}` : 'No historical dataset (curated records)'}
+      </span>
+      <label className={`flex items-center gap-1.5 px-3 py-1 rounded-lg border-2 border-slate-200 dark:border-slate-700 font-semibold text-slate-500 transition-colors ${importing ? 'opacity-50' : 'cursor-pointer hover:text-blue-600 hover:border-blue-500'}`}>
+        <Upload size={14} /> {importing ? 'Importing...' : 'Import CSVs'}
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          multiple
+          disabled={importing}
+          onChange={handleFiles}
+          className="hidden"
+          aria-label={`Import ${FILE_NAMES.join(', ')}`}
+        />
+      </label>
+      {error && <span className="text-red-600 dark:text-red-400">{error}</span>}
+    </div>
+  );
+}
+
+export default HistoricalDataControl
@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react'
+import { Flame, Snowflake, Info } from 'lucide-react'
+import { getHotColdPlayers, getCurrentBaseballSeason, ROLLING_WINDOWS, STAT_TYPES, formatStatValue } from './mlbApi'
+
+/**
+ * Tiny trailing-window trend line
+ */
+function Sparkline({ values, color }) {
+  if (!values || values.length < 2) return null;
+  const width = 100;
+  const height = 24;
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const y = (v) => max === min ? height / 2 : height - 2 - ((v - min) / (max - min)) * (height - 4);
+  const points = values.map((v, i) => `${(i / (values.length - 1)) * width},${y(v)}`).join(' ');
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-24 h-6">
+      <polyline fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" points={points} />
+    </svg>
+  );
+}
+
+// Players ranked by recent rolling-window form against their season baseline
+function HotColdView({ statType, qualificationKey, gameTypeId, levelId, onOpenProfile }) {
+  const [windowSize, setWindowSize] = useState(15);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const stat = STAT_TYPES[statType];
+  const season = getCurrentBaseballSeason();
+
+  useEffect(() => {
+    let cancelled = false;
+    async function fetchHotCold() {
+      setLoading(true);
+      const result = await getHotColdPlayers(statType, season);
+      if (cancelled) return;
+      setData(result);
+      setLoading(false);
+    }
+
+    fetchHotCold();
+    return () => { cancelled = true; };
+  }, [statType, season, qualificationKey, gameTypeId, levelId]);
+
+  const ranked = (data?.players || [])
+    .filter(p => p.heat[windowSize] !== undefined)
+    .sort((a, b) => b.heat[windowSize] - a.heat[windowSize]);
+  const hot = ranked.slice(0, 10).filter(p => p.heat[windowSize] > 0);
+  const cold = ranked.slice(-10).reverse().filter(p => p.heat[windowSize] < 0);
+
+  const renderTable = (players, kind) => (
+    <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+      <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800 flex items-center gap-2">
+        {kind === 'hot'
+          ? <Flame className="text-orange-500" size={20} />
+          : <Snowflake className="text-sky-500" size={20} />}
+        <h3 className="font-bold text-lg">{kind === 'hot' ? 'Hot' : 'Cold'}</h3>
+        <span className="text-sm text-slate-500">last {windowSize} games vs. season</span>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-left">
+          <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+            <tr>
+              <th className="px-6 py-3">Player</th>
+              {ROLLING_WINDOWS.map(size => (
+                <th key={size} className={`px-4 py-3 text-center ${size === windowSize ? 'text-slate-900 dark:text-white' : ''}`}>L{size}</th>
+              ))}
+              <th className="px-4 py-3 text-center">Season</th>
+              <th className="px-4 py-3 text-center">Change</th>
+              <th className="px-4 py-3">L{windowSize} Trend</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+            {players.map(p => (
+              <tr key={p.personId} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                <td className="px-6 py-3">
+                  <button
+                    type="button"
+                    onClick={() => onOpenProfile(p.personId)}
+                    className="font-semibold text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors text-left"
+                  >
+                    {p.player}
+                  </button>
+                  <span className="ml-2 text-xs text-slate-400">{p.team} · {p.gamesPlayed} G</span>
+                </td>
+                {ROLLING_WINDOWS.map(size => (
+                  <td key={size} className={`px-4 py-3 text-center font-mono ${size === windowSize ? 'font-bold' : 'text-slate-500'}`}>
+                    {p.windows[size] !== undefined ? formatStatValue(p.windows[size], statType) : '—'}
+                  </td>
+                ))}
+                <td className="px-4 py-3 text-center font-mono">{formatStatValue(p.seasonValue, statType)}</td>
+                <td className={`px-4 py-3 text-center font-bold ${kind === 'hot' ? 'text-orange-600' : 'text-sky-600'}`}>
+                  {p.heat[windowSize] > 0 ? '+' : ''}{Math.round(p.heat[windowSize] * 100)}%
+                </td>
+                <td className="px-4 py-3">
+                  <Sparkline values={p.series?.[windowSize]} color={kind === 'hot' ? '#f97316' : '#0ea5e9'} />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {players.length === 0 && (
+        <p className="p-6 text-center text-slate-500">No {kind} players right now.</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Flame className="text-orange-500" size={24} /> Hot & Cold: {stat.label} ({season})
+        </h2>
+        <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+          {ROLLING_WINDOWS.map(size => (
+            <button
+              key={size}
+              onClick={() => setWindowSize(size)}
+              className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${windowSize === size ? 'bg-orange-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+            >
+              Last {size}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-orange-500"></div>
+          <p className="mt-4 text-slate-500">Loading game logs for every qualified player...</p>
+        </div>
+      ) : (
+        <>
+          {renderTable(hot, 'hot')}
+          {renderTable(cold, 'cold')}
+        </>
+      )}
+
+      <div className="bg-blue-50 dark:bg-blue-900/10 p-4 rounded-xl flex items-start gap-3 border border-blue-100 dark:border-blue-900/30">
+        <Info className="text-blue-500 mt-0.5" size={20} />
+        <p className="text-sm text-blue-800 dark:text-blue-300">
+          Players in the season's qualified pool, ranked by the change from their season {stat.abbr} to their last {windowSize} games
+          {stat.isRate ? '' : ' (per game, since counting stats grow with games played)'}
+          {stat.lowerIsBetter ? '; lower is better, so a drop counts as hot' : ''}.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default HotColdView
@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react'
+import { Radio, Info } from 'lucide-react'
+import { getSchedule, getLiveGameFeed, getCurrentDate, LIVE_POLL_INTERVAL } from './mlbApi'
+
+const STATE_ORDER = { Live: 0, Preview: 1, Final: 2 };
+
+/**
+ * Status line for a game: inning while live, start time before, detailed state otherwise
+ */
+function describeGameState(game) {
+  if (game.state === 'Live' && game.inning) {
+    return `${game.inningHalf === 'Bottom' ? 'Bot' : game.inningHalf === 'Top' ? 'Top' : game.inningHalf} ${game.inning}`;
+  }
+  if (game.state === 'Preview' && game.gameDate) {
+    return new Date(game.gameDate).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+  return game.detailedState;
+}
+
+// Today's scoreboard plus a running feed of every home run hit, polled while games are in progress
+function LiveView({ onHomeRuns, onOpenProfile }) {
+  const today = getCurrentDate();
+  const [date, setDate] = useState(today);
+  const [games, setGames] = useState([]);
+  const [feeds, setFeeds] = useState({}); // gamePk -> latest live feed
+  const [loading, setLoading] = useState(true);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [failed, setFailed] = useState(false); // The schedule couldn't be loaded at all
+  const [newHomeRunIds, setNewHomeRunIds] = useState(new Set()); // Hit since the previous poll
+  const isPolling = date === today && (failed || games.some(game => game.state !== 'Final'));
+
+  // Poll the schedule, then the feed of every game in progress; finished games are fetched once
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+    let latestFeeds = {};
+    let latestSchedule = null;
+    let seenIds = null;
+
+    async function update() {
+      const schedule = await getSchedule(date);
+      if (cancelled) return;
+      // A failed request keeps the last scoreboard; the next poll tries again
+      if (!schedule) {
+        if (!latestSchedule) setFailed(true);
+        setLoading(false);
+        return;
+      }
+
+      const toFetch = schedule.filter(game =>
+        game.state === 'Live' || (game.state === 'Final' && latestFeeds[game.gamePk]?.state !== 'Final')
+      );
+      const fetched = await Promise.all(toFetch.map(game => getLiveGameFeed(game.gamePk)));
+      if (cancelled) return;
+
+      latestFeeds = { ...latestFeeds };
+      fetched.filter(Boolean).forEach(feed => { latestFeeds[feed.gamePk] = feed; });
+
+      const ids = Object.values(latestFeeds).flatMap(feed => feed.homeRuns.map(hr => hr.id));
+      setNewHomeRunIds(seenIds ? new Set(ids.filter(id => !seenIds.has(id))) : new Set());
+      seenIds = new Set(ids);
+
+      latestSchedule = schedule;
+      setGames(schedule);
+      setFeeds(latestFeeds);
+      setFailed(false);
+      setLastUpdated(new Date());
+      setLoading(false);
+    }
+
+    // Today's games are polled until all are final (or until the schedule first loads); errors
+    // never end the loop
+    async function poll() {
+      try {
+        await update();
+      } catch (error) {
+        console.error('Error updating live games:', error);
+      }
+      if (cancelled) return;
+      if (date === getCurrentDate() && (!latestSchedule || latestSchedule.some(game => game.state !== 'Final'))) {
+        timer = setTimeout(poll, LIVE_POLL_INTERVAL);
+      }
+    }
+
+    setLoading(true);
+    setFailed(false);
+    setGames([]);
+    setFeeds({});
+    poll();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [date]);
+
+  // Feeds are fresher than the schedule's linescore
+  const scoreboard = games
+    .map(game => ({ ...game, ...(feeds[game.gamePk] || {}) }))
+    .sort((a, b) => (STATE_ORDER[a.state] ?? 3) - (STATE_ORDER[b.state] ?? 3) || (a.gameDate || '').localeCompare(b.gameDate || ''));
+  const homeRuns = Object.values(feeds)
+    .flatMap(feed => feed.homeRuns)
+    .sort((a, b) => (b.time || '').localeCompare(a.time || ''));
+
+  // Regular-season home runs carry the batter's season total, which keeps the leader cards current
+  useEffect(() => {
+    const regularSeason = new Set(games.filter(game => game.gameType === 'R').map(game => game.gamePk));
+    const counted = homeRuns.filter(hr => regularSeason.has(hr.gamePk) && hr.seasonTotal);
+    if (counted.length > 0) onHomeRuns(parseInt(date.slice(0, 4)), counted);
+  }, [feeds]);
+
+  return (
+    <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Radio className={isPolling ? 'text-red-500 animate-pulse' : 'text-slate-400'} size={24} /> Live Games
+        </h2>
+        <div className="flex items-center gap-3">
+          {lastUpdated && (
+            <span className="text-sm text-slate-500">
+              {isPolling ? `Updating every ${LIVE_POLL_INTERVAL / 1000}s · ` : ''}Last updated {lastUpdated.toLocaleTimeString()}
+            </span>
+          )}
+          <input
+            type="date"
+            value={date}
+            max={today}
+            onChange={(e) => e.target.value && setDate(e.target.value)}
+            className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+            aria-label="Schedule date"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-red-500"></div>
+          <p className="mt-4 text-slate-500">Loading the schedule...</p>
+        </div>
+      ) : failed ? (
+        <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800">
+          <p className="text-slate-500">Couldn't load the schedule for {date}.{date === today ? ' Retrying...' : ''}</p>
+        </div>
+      ) : scoreboard.length === 0 ? (
+        <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800">
+          <p className="text-slate-500">No games scheduled on {date}.</p>
+        </div>
+      ) : (
+        <>
+          {/* Scoreboard */}
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+            {scoreboard.map(game => (
+              <div key={game.gamePk} className="bg-white dark:bg-slate-900 rounded-2xl shadow-sm border border-slate-200 dark:border-slate-800 p-4">
+                <p className={`text-xs font-bold uppercase tracking-wider mb-2 ${game.state === 'Live' ? 'text-red-500' : 'text-slate-400'}`}>
+                  {describeGameState(game)}
+                </p>
+                {['away', 'home'].map(key => (
+                  <div key={key} className="flex items-center justify-between">
+                    <span className="font-semibold">{game[key].team}</span>
+                    <span className="font-mono font-bold">{game[key].score ?? ''}</span>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          {/* Home run ticker */}
+          <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+            <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800 flex items-center gap-2">
+              <h3 className="font-bold text-lg">Home Runs</h3>
+              <span className="text-sm text-slate-500">{homeRuns.length} on {date}</span>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full text-left">
+                <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                  <tr>
+                    <th className="px-6 py-3">Batter</th>
+                    <th className="px-4 py-3">Pitcher</th>
+                    <th className="px-4 py-3 text-center">Inning</th>
+                    <th className="px-4 py-3 text-center">Distance</th>
+                    <th className="px-4 py-3 text-center">Exit Velo</th>
+                    <th className="px-4 py-3 text-center">Season</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                  {homeRuns.map(hr => (
+                    <tr key={hr.id} className={`transition-colors ${newHomeRunIds.has(hr.id) ? 'bg-amber-50 dark:bg-amber-900/20' : 'hover:bg-slate-50 dark:hover:bg-slate-800/50'}`}>
+                      <td className="px-6 py-3">
+                        <button
+                          type="button"
+                          onClick={() => onOpenProfile(hr.batterId)}
+                          className="font-semibold text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors text-left"
+                        >
+                          {hr.batter}
+                        </button>
+                        <span className="ml-2 text-xs text-slate-400">{hr.team}{hr.rbi > 1 ? ` · ${hr.rbi} RBI` : ''}</span>
+                        {newHomeRunIds.has(hr.id) && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-bold bg-amber-500 text-white">NEW</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-slate-500">{hr.pitcher}</td>
+                      <td className="px-4 py-3 text-center">{hr.isTopInning ? 'Top' : 'Bot'} {hr.inning}</td>
+                      <td className="px-4 py-3 text-center font-mono">{hr.distance ? `${hr.distance} ft` : '—'}</td>
+                      <td className="px-4 py-3 text-center font-mono">{hr.exitVelocity ? `${hr.exitVelocity.toFixed(1)} mph` : '—'}</td>
+                      <td className="px-4 py-3 text-center font-bold">{hr.seasonTotal ?? '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {homeRuns.length === 0 && (
+              <p className="p-6 text-center text-slate-500">No home runs yet.</p>
+            )}
+          </div>
+        </>
+      )}
+
+      <div className="bg-blue-50 dark:bg-blue-900/10 p-4 rounded-xl flex items-start gap-3 border border-blue-100 dark:border-blue-900/30">
+        <Info className="text-blue-500 mt-0.5" size={20} />
+        <p className="text-sm text-blue-800 dark:text-blue-300">
+          Today's games are polled every {LIVE_POLL_INTERVAL / 1000} seconds while any are unfinished, including when you switch tabs.
+          Regular-season home runs update the Current Season Leader card and the Seasons tab as they happen.
+          Distance and exit velocity appear when Statcast tracked the ball.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default LiveView
@@ -0,0 +1,239 @@
+import { useState, useEffect, useMemo } from 'react'
+import { X, Users } from 'lucide-react'
+import { getPlayerProfile, STAT_TYPES, formatStatValue } from './mlbApi'
+import { describeQualification } from './qualification'
+
+export const MAX_COMPARE_PLAYERS = 5;
+
+const COMPARE_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6'];
+
+const ALIGNMENTS = {
+  year: { key: 'year', label: 'Calendar Year', axis: 'Season' },
+  age: { key: 'age', label: 'Age', axis: 'Age' },
+  careerSeason: { key: 'careerSeason', label: 'Career Season', axis: 'Career season' }
+};
+
+/**
+ * Baseball age for a season: the player's age on June 30 of that year
+ */
+function getSeasonAge(birthDate, year) {
+  if (!birthDate) return null;
+  const [birthYear, birthMonth, birthDay] = birthDate.split('-').map(Number);
+  const hadBirthday = birthMonth < 6 || (birthMonth === 6 && birthDay <= 30);
+  return year - birthYear - (hadBirthday ? 0 : 1);
+}
+
+// Overlaid career trajectories and a stat-by-stat table for 2-5 players
+function PlayerComparison({ players, statType, onRemove, onOpenProfile }) {
+  const [profiles, setProfiles] = useState({});
+  const [alignment, setAlignment] = useState('year');
+
+  useEffect(() => {
+    async function fetchProfiles() {
+      const missing = players.filter(p => !profiles[p.personId]);
+      if (missing.length === 0) return;
+      const results = await Promise.all(missing.map(p => getPlayerProfile(p.personId)));
+      setProfiles(prev => {
+        const next = { ...prev };
+        results.forEach((profile, i) => {
+          next[missing[i].personId] = profile;
+        });
+        return next;
+      });
+    }
+
+    fetchProfiles();
+  }, [players]);
+
+  const stat = STAT_TYPES[statType];
+  const categoryStats = Object.values(STAT_TYPES).filter(s => s.category === stat.category);
+
+  // One series per player, x positioned by the selected alignment
+  const series = useMemo(() => {
+    return players.map((p, index) => {
+      const profile = profiles[p.personId];
+      const seasons = profile?.[stat.category]?.seasons || [];
+      const points = seasons
+        .map((season, i) => {
+          const x = alignment === 'year'
+            ? season.year
+            : alignment === 'age'
+              ? getSeasonAge(profile.bio.birthDate, season.year)
+              : i + 1;
+          return { x, year: season.year, value: season.values[statType] || 0, qualified: season.qualified !== false };
+        })
+        .filter(point => point.x !== null);
+      return { ...p, color: COMPARE_COLORS[index % COMPARE_COLORS.length], points, loaded: profile !== undefined };
+    });
+  }, [players, profiles, alignment, statType, stat.category]);
+
+  const allPoints = series.flatMap(s => s.points);
+  const xMin = Math.min(...allPoints.map(p => p.x));
+  const xMax = Math.max(...allPoints.map(p => p.x));
+  const yMax = Math.max(...allPoints.map(p => p.value), 0) || 1;
+
+  const width = 800;
+  const height = 300;
+  const pad = { top: 20, right: 20, bottom: 36, left: 50 };
+  const xScale = (x) => pad.left + (xMax === xMin ? 0.5 : (x - xMin) / (xMax - xMin)) * (width - pad.left - pad.right);
+  const yScale = (y) => height - pad.bottom - (y / yMax) * (height - pad.top - pad.bottom);
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(t => t * yMax);
+  const xStep = Math.max(1, Math.ceil((xMax - xMin) / 12));
+  const xTicks = allPoints.length
+    ? Array.from({ length: Math.floor((xMax - xMin) / xStep) + 1 }, (_, i) => xMin + i * xStep)
+    : [];
+
+  // Best value in a row of the comparison table, honoring lowerIsBetter
+  const bestValue = (values, s) => {
+    const present = values.filter(v => v !== null && v !== undefined);
+    if (present.length === 0) return null;
+    return s.lowerIsBetter ? Math.min(...present) : Math.max(...present);
+  };
+
+  const careerValue = (personId, key) => profiles[personId]?.[stat.category]?.career?.values?.[key] ?? null;
+  const peakValue = (personId, key) => {
+    // Rate-stat best seasons only consider qualified seasons
+    const seasons = (profiles[personId]?.[stat.category]?.seasons || [])
+      .filter(season => !STAT_TYPES[key].isRate || season.qualified !== false);
+    if (seasons.length === 0) return null;
+    const values = seasons.map(season => season.values[key] || 0);
+    return STAT_TYPES[key].lowerIsBetter ? Math.min(...values) : Math.max(...values);
+  };
+
+  return (
+    <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="bg-white dark:bg-slate-900 rounded-3xl p-6 border border-slate-200 dark:border-slate-800">
+        <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+          <h2 className="text-xl font-bold flex items-center gap-2">
+            <Users className="text-indigo-500" size={20} /> Career {stat.label} Comparison
+          </h2>
+          <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+            {Object.values(ALIGNMENTS).map(a => (
+              <button
+                key={a.key}
+                onClick={() => setAlignment(a.key)}
+                className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${alignment === a.key ? 'bg-indigo-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+              >
+                {a.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Legend */}
+        <div className="flex flex-wrap gap-3 mb-4">
+          {series.map(s => (
+            <span key={s.personId} className="inline-flex items-center gap-2 text-sm font-semibold bg-slate-100 dark:bg-slate-800 rounded-full pl-3 pr-1 py-1">
+              <span className="w-3 h-3 rounded-full" style={{ backgroundColor: s.color }}></span>
+              <button type="button" onClick={() => onOpenProfile(s.personId)} className="hover:underline">
+                {s.name}
+              </button>
+              {!s.loaded && <span className="text-xs text-slate-400">loading...</span>}
+              <button
+                type="button"
+                onClick={() => onRemove(s.personId)}
+                className="p-1 rounded-full text-slate-400 hover:text-slate-700 dark:hover:text-slate-200"
+                aria-label={`Remove ${s.name}`}
+              >
+                <X size={12} />
+              </button>
+            </span>
+          ))}
+        </div>
+
+        {/* Overlaid trajectories on a shared axis */}
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto bg-slate-50/50 dark:bg-slate-800/30 rounded-xl">
+          {yTicks.map(tick => (
+            <g key={tick}>
+              <line x1={pad.left} x2={width - pad.right} y1={yScale(tick)} y2={yScale(tick)} className="stroke-slate-200 dark:stroke-slate-700" strokeDasharray="4 4" />
+              <text x={pad.left - 8} y={yScale(tick) + 4} textAnchor="end" className="fill-slate-400 text-[10px] font-mono">
+                {formatStatValue(tick, statType)}
+              </text>
+            </g>
+          ))}
+          {xTicks.map(tick => (
+            <text key={tick} x={xScale(tick)} y={height - pad.bottom + 18} textAnchor="middle" className="fill-slate-400 text-[10px] font-mono">
+              {tick}
+            </text>
+          ))}
+          <text x={width / 2} y={height - 4} textAnchor="middle" className="fill-slate-500 text-[11px] font-semibold">
+            {ALIGNMENTS[alignment].axis}
+          </text>
+          {series.map(s => (
+            <g key={s.personId}>
+              <polyline
+                fill="none"
+                stroke={s.color}
+                strokeWidth="2.5"
+                strokeLinejoin="round"
+                points={s.points.map(p => `${xScale(p.x)},${yScale(p.value)}`).join(' ')}
+              />
+              {s.points.map(p => (
+                <circle
+                  key={p.year}
+                  cx={xScale(p.x)}
+                  cy={yScale(p.value)}
+                  r="4"
+                  // Hollow markers for rate stats from non-qualified seasons
+                  fill={stat.isRate && !p.qualified ? 'white' : s.color}
+                  stroke={s.color}
+                  strokeWidth="2"
+                >
+                  <title>{`${s.name}: ${formatStatValue(p.value, statType)} ${stat.abbr} in ${p.year}${stat.isRate && !p.qualified ? ' (not qualified)' : ''}`}</title>
+                </circle>
+              ))}
+            </g>
+          ))}
+        </svg>
+        {stat.isRate && (
+          <p className="mt-3 text-xs text-slate-500">
+            Hollow points are seasons below the qualification minimum ({describeQualification(stat.category)}); they are excluded from best-season values.
+          </p>
+        )}
+      </div>
+
+      {/* Stat-by-stat comparison table */}
+      <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+        <div className="overflow-x-auto">
+          <table className="w-full text-left">
+            <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+              <tr>
+                <th className="px-6 py-4">Stat</th>
+                {series.map(s => (
+                  <th key={s.personId} className="px-6 py-4 text-center" style={{ color: s.color }}>{s.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+              {categoryStats.flatMap(s => [
+                { key: `${s.key}_career`, label: `Career ${s.abbr}`, stat: s, getValue: (id) => careerValue(id, s.key) },
+                { key: `${s.key}_peak`, label: `Best Season ${s.abbr}`, stat: s, getValue: (id) => peakValue(id, s.key) }
+              ]).map(row => {
+                const values = series.map(s => row.getValue(s.personId));
+                const best = bestValue(values, row.stat);
+                return (
+                  <tr key={row.key} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                    <td className="px-6 py-3 font-semibold text-slate-600 dark:text-slate-400">{row.label}</td>
+                    {values.map((value, i) => (
+                      <td key={series[i].personId} className="px-6 py-3 text-center">
+                        {value === null ? (
+                          <span className="text-slate-400">—</span>
+                        ) : (
+                          <span className={`inline-block px-3 py-1 rounded-full font-bold ${value === best && series.length > 1 ? 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-700 dark:text-emerald-300' : ''}`}>
+                            {formatStatValue(value, row.stat.key)}
+                          </span>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PlayerComparison
@@ -0,0 +1,322 @@
+import { useState, useEffect } from 'react'
+import { X, ExternalLink, User } from 'lucide-react'
+import { getPlayerProfile, getPlayerSplits, STAT_TYPES, SPLIT_GROUPS, formatStatValue } from './mlbApi'
+import { PLAYING_TIME, describeQualification } from './qualification'
+
+// In-app player profile: bio, trajectory chart and year-by-year stat lines
+function PlayerProfile({ personId, onClose, isCompared, canCompare, onToggleCompare }) {
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [group, setGroup] = useState('hitting');
+  const [chartStat, setChartStat] = useState(null);
+  const [splitSeason, setSplitSeason] = useState(null); // null means the latest season
+  const [splitGroup, setSplitGroup] = useState('platoon');
+  const [splits, setSplits] = useState(null);
+
+  useEffect(() => {
+    async function fetchProfile() {
+      setLoading(true);
+      const data = await getPlayerProfile(personId);
+      setProfile(data);
+      // Open on the side of the game the player is known for
+      if (data) {
+        const isPitcher = data.bio.positionAbbr === 'P' || (!data.hitting && data.pitching);
+        setGroup(isPitcher && data.pitching ? 'pitching' : 'hitting');
+      }
+      setLoading(false);
+    }
+
+    fetchProfile();
+  }, [personId]);
+
+  const latestSeason = profile?.[group]?.seasons?.slice(-1)[0]?.year;
+  const activeSplitSeason = splitSeason || latestSeason;
+
+  // Situational splits for one season at a time
+  useEffect(() => {
+    if (!activeSplitSeason) return;
+    async function fetchSplits() {
+      setSplits(null);
+      const data = await getPlayerSplits(personId, activeSplitSeason, group);
+      setSplits(data);
+    }
+
+    fetchSplits();
+  }, [personId, group, activeSplitSeason]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => e.key === 'Escape' && onClose();
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const groupStats = Object.values(STAT_TYPES).filter(stat => stat.category === group);
+  const activeChartStat = groupStats.find(stat => stat.key === chartStat) || groupStats[0];
+  const groupData = profile?.[group];
+  const seasons = groupData?.seasons || [];
+  const chartValues = seasons.map(season => season.values[activeChartStat.key] || 0);
+  const maxStat = Math.max(...chartValues, 0);
+  const bio = profile?.bio;
+  const playingTime = PLAYING_TIME[group];
+  // Rate stats from seasons below the qualification minimum are shown but flagged
+  const isFlagged = (season, stat) => stat.isRate && season.qualified === false;
+  const hasFlaggedSeasons = seasons.some(season => season.qualified === false);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-950/60 backdrop-blur-sm flex items-start justify-center p-4 md:p-8 overflow-y-auto" onClick={onClose}>
+      <div
+        className="bg-white dark:bg-slate-900 rounded-3xl shadow-2xl border border-slate-200 dark:border-slate-800 w-full max-w-6xl animate-in fade-in slide-in-from-bottom-4 duration-300"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="p-6 border-b border-slate-200 dark:border-slate-800 flex items-start justify-between gap-4">
+          <div className="flex items-center gap-5">
+            <img
+              src={`https://img.mlbstatic.com/mlb-photos/image/upload/d_people:generic:headshot:67:current.png/w_213,q_auto:best/v1/people/${personId}/headshot/67/current`}
+              alt={profile?.player || 'Player headshot'}
+              className="w-[80px] h-[120px] object-cover border-4 border-white dark:border-slate-800 shadow-lg rounded"
+              onError={(e) => e.target.style.display = 'none'}
+            />
+            <div>
+              <h2 className="text-2xl font-extrabold flex items-center gap-2">
+                <User className="text-blue-500" size={22} />
+                {profile?.player || (loading ? 'Loading...' : 'Player not found')}
+                {bio?.number && <span className="text-slate-400 font-bold">#{bio.number}</span>}
+              </h2>
+              {bio && (
+                <div className="mt-2 flex flex-wrap gap-x-5 gap-y-1 text-sm text-slate-500 dark:text-slate-400">
+                  {bio.position && <span>{bio.position}</span>}
+                  {bio.team && <span>{bio.team}</span>}
+                  {(bio.bats || bio.throws) && <span>B/T: {bio.bats}/{bio.throws}</span>}
+                  {bio.age && <span>Age {bio.age}</span>}
+                  {bio.height && <span>{bio.height}, {bio.weight} lb</span>}
+                  {bio.birthPlace && <span>Born {bio.birthDate} in {bio.birthPlace}</span>}
+                  {bio.debut && <span>Debut {bio.debut}</span>}
+                  <span className={bio.active ? 'text-emerald-600' : ''}>{bio.active ? 'Active' : `Last played ${bio.lastPlayed || 'N/A'}`}</span>
+                </div>
+              )}
+              <a
+                href={`https://www.mlb.com/player/${personId}`}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="mt-2 inline-flex items-center gap-1 text-xs font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                MLB.com profile <ExternalLink size={12} />
+              </a>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {onToggleCompare && profile && (
+              <button
+                onClick={() => onToggleCompare(personId, profile.player)}
+                disabled={!isCompared && !canCompare}
+                className={`px-3 py-1.5 rounded-lg text-sm font-semibold transition-colors disabled:opacity-40 ${isCompared ? 'bg-indigo-500 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-600 dark:text-slate-300 hover:bg-slate-200 dark:hover:bg-slate-700'}`}
+              >
+                {isCompared ? '✓ Comparing' : '+ Compare'}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg text-slate-500 hover:bg-slate-100 dark:hover:bg-slate-800 transition-colors"
+              aria-label="Close profile"
+            >
+              <X size={20} />
+            </button>
+          </div>
+        </div>
+
+        {loading && (
+          <div className="text-center py-20">
+            <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+            <p className="mt-4 text-slate-500">Loading player profile...</p>
+          </div>
+        )}
+
+        {!loading && profile && (
+          <div className="p-6 space-y-8">
+            {/* Hitting / Pitching toggle */}
+            {profile.hitting && profile.pitching && (
+              <div className="flex bg-white dark:bg-slate-900 rounded-xl p-1 shadow-inner border border-slate-200 dark:border-slate-800 w-fit">
+                {['hitting', 'pitching'].map(g => (
+                  <button
+                    key={g}
+                    onClick={() => {
+                      setGroup(g);
+                      setSplitSeason(null);
+                    }}
+                    className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${group === g ? 'bg-blue-600 text-white shadow-md' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                  >
+                    {g === 'hitting' ? 'Batting' : 'Pitching'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {!groupData && (
+              <p className="text-center text-slate-500 py-10">No {group} statistics on record.</p>
+            )}
+
+            {groupData && seasons.length > 0 && (
+              <>
+                {/* Trajectory chart */}
+                <div>
+                  <div className="flex flex-wrap gap-2 mb-4">
+                    {groupStats.map(stat => (
+                      <button
+                        key={stat.key}
+                        onClick={() => setChartStat(stat.key)}
+                        className={`px-3 py-1 rounded-full text-xs font-bold transition-all ${activeChartStat.key === stat.key ? 'bg-indigo-500 text-white' : 'bg-slate-100 dark:bg-slate-800 text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                      >
+                        {stat.abbr}
+                      </button>
+                    ))}
+                  </div>
+                  <div className="relative h-48 w-full flex items-end gap-2 bg-slate-50/50 dark:bg-slate-800/30 rounded-xl p-4 pt-8">
+                    {seasons.map((season, i) => (
+                      <div key={season.year} className="flex-1 h-full flex flex-col justify-end group relative">
+                        <div
+                          style={{ height: `${maxStat > 0 ? Math.max((chartValues[i] / maxStat) * 100, 2) : 2}%` }}
+                          className={`w-full rounded-t-md bg-indigo-500 transition-all duration-700 ease-out shadow-sm group-hover:brightness-110 relative ${isFlagged(season, activeChartStat) ? 'opacity-40' : ''}`}
+                        >
+                          {seasons.length <= 15 && (
+                            <div className="absolute -top-5 left-1/2 -translate-x-1/2 text-xs font-bold text-slate-700 dark:text-slate-300 whitespace-nowrap">
+                              {formatStatValue(chartValues[i], activeChartStat.key)}{isFlagged(season, activeChartStat) && '*'}
+                            </div>
+                          )}
+                        </div>
+                        <div className="absolute -top-8 left-1/2 -translate-x-1/2 bg-slate-800 text-white text-[10px] px-2 py-1 rounded shadow-xl opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10 pointer-events-none">
+                          {formatStatValue(chartValues[i], activeChartStat.key)} {activeChartStat.abbr} in {season.year}{isFlagged(season, activeChartStat) && ' (not qualified)'}
+                        </div>
+                        <span className="text-[10px] font-mono mt-3 text-slate-400 text-center">
+                          {season.year.toString().slice(2)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Year-by-year table */}
+                <div className="overflow-x-auto rounded-2xl border border-slate-200 dark:border-slate-800">
+                  <table className="w-full text-left">
+                    <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                      <tr>
+                        <th className="px-4 py-3">Year</th>
+                        <th className="px-4 py-3">Team</th>
+                        <th className="px-4 py-3 text-center">G</th>
+                        <th className="px-4 py-3 text-center">{playingTime.abbr}</th>
+                        {groupStats.map(stat => (
+                          <th key={stat.key} className="px-4 py-3 text-center">{stat.abbr}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-slate-200 dark:divide-slate-800 text-sm">
+                      {seasons.map(season => (
+                        <tr key={season.year} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                          <td className="px-4 py-3 font-mono">{season.year}</td>
+                          <td className="px-4 py-3 text-slate-600 dark:text-slate-400">{season.teams.join(' / ') || '—'}</td>
+                          <td className="px-4 py-3 text-center font-mono">{season.line.gamesPlayed ?? '—'}</td>
+                          <td
+                            className={`px-4 py-3 text-center font-mono ${season.qualified === false ? 'text-slate-400' : ''}`}
+                            title={season.qualificationMinimum !== null ? `Qualifying minimum: ${season.qualificationMinimum} ${playingTime.abbr}` : undefined}
+                          >
+                            {season.line[playingTime.field] ?? '—'}
+                          </td>
+                          {groupStats.map(stat => (
+                            <td key={stat.key} className={`px-4 py-3 text-center ${isFlagged(season, stat) ? 'text-slate-400 italic' : 'font-semibold'}`}>
+                              {formatStatValue(season.values[stat.key], stat.key)}{isFlagged(season, stat) && '*'}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                      {groupData.career && (
+                        <tr className="bg-slate-50 dark:bg-slate-800/50 font-bold">
+                          <td className="px-4 py-3" colSpan={2}>Career</td>
+                          <td className="px-4 py-3 text-center font-mono">{groupData.career.line.gamesPlayed ?? '—'}</td>
+                          <td className="px-4 py-3 text-center font-mono">{groupData.career.line[playingTime.field] ?? '—'}</td>
+                          {groupStats.map(stat => (
+                            <td key={stat.key} className="px-4 py-3 text-center">
+                              {formatStatValue(groupData.career.values[stat.key], stat.key)}
+                            </td>
+                          ))}
+                        </tr>
+                      )}
+                    </tbody>
+                  </table>
+                </div>
+                {hasFlaggedSeasons && (
+                  <p className="text-xs text-slate-500">
+                    * Rate stats from seasons below the qualification minimum ({describeQualification(group)}).
+                  </p>
+                )}
+
+                {/* Situational splits */}
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between flex-wrap gap-4">
+                    <h3 className="text-lg font-bold">Splits</h3>
+                    <div className="flex items-center gap-3 flex-wrap">
+                      <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+                        {Object.values(SPLIT_GROUPS).map(g => (
+                          <button
+                            key={g.key}
+                            onClick={() => setSplitGroup(g.key)}
+                            className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${splitGroup === g.key ? 'bg-indigo-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+                          >
+                            {g.label}
+                          </button>
+                        ))}
+                      </div>
+                      <select
+                        value={activeSplitSeason || ''}
+                        onChange={(e) => setSplitSeason(Number(e.target.value))}
+                        className="bg-white dark:bg-slate-900 border-slate-200 dark:border-slate-800 rounded-lg px-4 py-2 focus:ring-2 focus:ring-indigo-500"
+                        aria-label="Split season"
+                      >
+                        {[...seasons].reverse().map(season => (
+                          <option key={season.year} value={season.year}>{season.year}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  <div className="overflow-x-auto rounded-2xl border border-slate-200 dark:border-slate-800">
+                    <table className="w-full text-left">
+                      <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                        <tr>
+                          <th className="px-4 py-3">Split</th>
+                          <th className="px-4 py-3 text-center">{playingTime.abbr}</th>
+                          {groupStats.map(stat => (
+                            <th key={stat.key} className="px-4 py-3 text-center">{stat.abbr}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-200 dark:divide-slate-800 text-sm">
+                        {(splits || []).filter(split => split.group === splitGroup).map(split => (
+                          <tr key={split.code} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                            <td className="px-4 py-3 font-semibold">{split.label}</td>
+                            <td className="px-4 py-3 text-center font-mono">{split.line[playingTime.field] ?? '—'}</td>
+                            {groupStats.map(stat => (
+                              <td key={stat.key} className="px-4 py-3 text-center">
+                                {formatStatValue(split.values[stat.key], stat.key)}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {splits === null ? (
+                      <p className="p-6 text-center text-slate-500">Loading splits...</p>
+                    ) : splits.every(split => split.group !== splitGroup) && (
+                      <p className="p-6 text-center text-slate-500">No {SPLIT_GROUPS[splitGroup].label.toLowerCase()} splits for {activeSplitSeason}.</p>
+                    )}
+                  </div>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default PlayerProfile
@@ -0,0 +1,104 @@
+import { useState, useEffect, useRef } from 'react'
+import { Search } from 'lucide-react'
+import { searchPlayer } from './mlbApi'
+
+// Header typeahead over every player in the search index
+function PlayerSearch({ onSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [highlighted, setHighlighted] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [indexing, setIndexing] = useState(false);
+  const containerRef = useRef(null);
+
+  // Re-run the search as the query changes (the first search builds the index)
+  useEffect(() => {
+    let cancelled = false;
+    if (query.trim().length < 2) {
+      setResults([]);
+      return;
+    }
+    setIndexing(true);
+    searchPlayer(query).then(matches => {
+      if (cancelled) return;
+      setResults(matches);
+      setHighlighted(0);
+      setIndexing(false);
+    });
+    return () => { cancelled = true; };
+  }, [query]);
+
+  // Close the dropdown when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const select = (result) => {
+    onSelect(result.personId);
+    setQuery('');
+    setOpen(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(i => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter' && results[highlighted]) {
+      select(results[highlighted]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-full md:w-72">
+      <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-slate-400" size={18} />
+      <input
+        type="text"
+        placeholder="Search any player..."
+        className="pl-10 pr-4 py-2 rounded-full bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-full"
+        value={query}
+        onFocus={() => setOpen(true)}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onKeyDown={handleKeyDown}
+        aria-autocomplete="list"
+      />
+      {open && query.length >= 2 && (
+        <div className="absolute z-30 mt-2 w-full bg-white dark:bg-slate-900 rounded-2xl shadow-2xl border border-slate-200 dark:border-slate-800 overflow-hidden">
+          {results.map((result, i) => (
+            <button
+              key={result.personId}
+              type="button"
+              onMouseEnter={() => setHighlighted(i)}
+              onClick={() => select(result)}
+              className={`w-full text-left px-4 py-2 flex items-center justify-between gap-3 transition-colors ${i === highlighted ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}
+            >
+              <span className="font-semibold text-sm text-slate-900 dark:text-white">{result.name}</span>
+              <span className="text-xs text-slate-400 font-mono whitespace-nowrap">
+                {result.position} {result.firstSeason === null ? '' : result.firstSeason === result.lastSeason ? result.firstSeason : `${result.firstSeason}–${result.lastSeason}`}
+              </span>
+            </button>
+          ))}
+          {results.length === 0 && !indexing && (
+            <p className="px-4 py-3 text-sm text-slate-500">No players found</p>
+          )}
+          {indexing && results.length === 0 && (
+            <p className="px-4 py-3 text-sm text-slate-400">Searching...</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PlayerSearch
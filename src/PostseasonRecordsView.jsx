@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react'
+import { Trophy, Info } from 'lucide-react'
+import { getHistoricalRecords, getCareerLeaders, STAT_TYPES, formatStatValue } from './mlbApi'
+import { GAME_TYPES } from './gameTypes'
+import { MLB_SPORT_ID } from './sportLevels'
+
+const ROUNDS = ['P', 'F', 'D', 'L', 'W'];
+
+// Postseason single-season and career records, for the whole postseason or one round
+function PostseasonRecordsView({ statType, onOpenProfile }) {
+  const [round, setRound] = useState('P');
+  const [records, setRecords] = useState(null);
+  const [careerLeaders, setCareerLeaders] = useState(null);
+  const stat = STAT_TYPES[statType];
+
+  useEffect(() => {
+    let cancelled = false;
+    async function fetchRecords() {
+      setRecords(null);
+      setCareerLeaders(null);
+      // Career boards come back quickly; single-season records may need a full-history scan
+      // MLB postseason only, whatever level is selected elsewhere
+      getCareerLeaders(statType, 25, { gameType: round, sportId: MLB_SPORT_ID }).then(leaders => !cancelled && setCareerLeaders(leaders));
+      const seasonRecords = await getHistoricalRecords(statType, { gameType: round, sportId: MLB_SPORT_ID });
+      if (!cancelled) setRecords(seasonRecords);
+    }
+
+    fetchRecords();
+    return () => { cancelled = true; };
+  }, [statType, round]);
+
+  const roundLabel = round === 'P' ? 'Postseason' : GAME_TYPES[round].label;
+
+  const PlayerButton = ({ row }) => (
+    <button
+      type="button"
+      onClick={() => onOpenProfile(row.personId)}
+      className="font-semibold text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors text-left"
+    >
+      {row.player}
+    </button>
+  );
+
+  return (
+    <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <div className="flex items-center justify-between flex-wrap gap-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Trophy className="text-amber-500" size={24} /> {roundLabel} Records: {stat.label}
+        </h2>
+        <div className="flex bg-white dark:bg-slate-900 rounded-lg p-1 border border-slate-200 dark:border-slate-800">
+          {ROUNDS.map(key => (
+            <button
+              key={key}
+              onClick={() => setRound(key)}
+              title={GAME_TYPES[key].label}
+              className={`px-3 py-1 rounded-md text-sm font-semibold transition-all ${round === key ? 'bg-amber-500 text-white' : 'text-slate-500 hover:text-slate-700 dark:hover:text-slate-300'}`}
+            >
+              {GAME_TYPES[key].abbr || 'All'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Single postseason records */}
+        <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+          <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800">
+            <h3 className="font-bold text-lg">Single {round === 'P' ? 'Postseason' : GAME_TYPES[round].abbr}</h3>
+          </div>
+          {records === null ? (
+            <div className="text-center py-16">
+              <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-amber-500"></div>
+              <p className="mt-4 text-sm text-slate-500">Scanning every {roundLabel.toLowerCase()} since {GAME_TYPES[round].firstSeason}...</p>
+            </div>
+          ) : (
+            <table className="w-full text-left">
+              <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                <tr>
+                  <th className="px-6 py-3">Rank</th>
+                  <th className="px-4 py-3">Player</th>
+                  <th className="px-4 py-3 text-center">{stat.abbr}</th>
+                  <th className="px-4 py-3">Year</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                {records.map(row => (
+                  <tr key={`${row.personId}-${row.year}`} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                    <td className="px-6 py-3 font-bold text-slate-400">{row.rank}</td>
+                    <td className="px-4 py-3">
+                      <PlayerButton row={row} />
+                      <span className="ml-2 text-xs text-slate-400">{row.team}</span>
+                    </td>
+                    <td className="px-4 py-3 text-center">
+                      <span className="inline-block bg-amber-100 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300 px-3 py-1 rounded-full font-bold">
+                        {formatStatValue(row.statValue, statType)}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 font-mono">{row.year}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {records?.length === 0 && (
+            <p className="p-6 text-center text-slate-500">No {roundLabel.toLowerCase()} records found.</p>
+          )}
+        </div>
+
+        {/* Career postseason leaders */}
+        <div className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+          <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800">
+            <h3 className="font-bold text-lg">Career {roundLabel}</h3>
+          </div>
+          {careerLeaders === null ? (
+            <div className="text-center py-16">
+              <div className="inline-block animate-spin rounded-full h-10 w-10 border-b-2 border-amber-500"></div>
+            </div>
+          ) : (
+            <table className="w-full text-left">
+              <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                <tr>
+                  <th className="px-6 py-3">Rank</th>
+                  <th className="px-4 py-3">Player</th>
+                  <th className="px-4 py-3 text-center">{stat.abbr}</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                {careerLeaders.map(row => (
+                  <tr key={row.personId} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                    <td className="px-6 py-3 font-bold text-slate-400">{row.rank}</td>
+                    <td className="px-4 py-3">
+                      <PlayerButton row={row} />
+                      {row.active && <span className="ml-2 text-xs text-emerald-600">Active</span>}
+                    </td>
+                    <td className="px-4 py-3 text-center">
+                      <span className="inline-block bg-purple-100 dark:bg-purple-900/30 text-purple-700 dark:text-purple-300 px-3 py-1 rounded-full font-bold">
+                        {formatStatValue(row.statValue, statType)}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {careerLeaders?.length === 0 && (
+            <p className="p-6 text-center text-slate-500">No career {roundLabel.toLowerCase()} data available for {stat.label.toLowerCase()}.</p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-blue-50 dark:bg-blue-900/10 p-4 rounded-xl flex items-start gap-3 border border-blue-100 dark:border-blue-900/30">
+        <Info className="text-blue-500 mt-0.5" size={20} />
+        <p className="text-sm text-blue-800 dark:text-blue-300">
+          Single-postseason records are built from every season's {roundLabel.toLowerCase()} stat lines (cached for a week after the first scan).
+          Rounds: WC = Wild Card (from 2012), DS = Division Series (1981, then from 1995), LCS = League Championship Series (from 1969), WS = World Series.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default PostseasonRecordsView
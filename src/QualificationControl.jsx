@@ -0,0 +1,57 @@
+import { useState, useEffect } from 'react'
+import { QUALIFICATION_RULES, PLAYING_TIME } from './qualification'
+
+// Header control for the rate-stat qualification rule
+function QualificationControl({ category, settings, onChange }) {
+  const { abbr, perTeamGame } = PLAYING_TIME[category];
+  const settingKey = category === 'pitching' ? 'minInningsPitched' : 'minPlateAppearances';
+  const [draft, setDraft] = useState(settings[settingKey]);
+
+  useEffect(() => {
+    setDraft(settings[settingKey]);
+  }, [settings, settingKey]);
+
+  // Apply the custom minimum on blur or Enter, not on every keystroke
+  const commit = () => {
+    const value = Math.max(0, parseInt(draft) || 0);
+    setDraft(value);
+    if (value !== settings[settingKey]) onChange({ [settingKey]: value });
+  };
+
+  return (
+    <div className="flex items-center gap-3">
+      <label htmlFor="qualification-selector" className="text-sm font-medium text-slate-600 dark:text-slate-400">
+        Qualified:
+      </label>
+      <select
+        id="qualification-selector"
+        value={settings.rule}
+        onChange={(e) => onChange({ rule: e.target.value })}
+        className="bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-4 py-2 font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+      >
+        {Object.values(QUALIFICATION_RULES).map(rule => (
+          <option key={rule.key} value={rule.key} title={rule.description}>
+            {rule.key === 'standard' ? `${perTeamGame} ${abbr}/team game` : 'Custom minimum'}
+          </option>
+        ))}
+      </select>
+      {settings.rule === 'custom' && (
+        <label className="flex items-center gap-2 text-sm font-medium text-slate-600 dark:text-slate-400">
+          <input
+            type="number"
+            min="0"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={commit}
+            onKeyDown={(e) => e.key === 'Enter' && commit()}
+            className="w-20 bg-white dark:bg-slate-900 border-2 border-slate-200 dark:border-slate-700 rounded-lg px-2 py-2 font-semibold focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all"
+            aria-label={`Minimum ${abbr}`}
+          />
+          {abbr}
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default QualificationControl
@@ -0,0 +1,248 @@
+import { useState, useEffect } from 'react'
+import { Flag, Info } from 'lucide-react'
+import { getRecordChase, getRecordPace, getCurrentBaseballSeason, STAT_TYPES, formatStatValue } from './mlbApi'
+
+const LEADER_COLORS = ['#3b82f6', '#10b981', '#8b5cf6'];
+const RECORD_COLORS = ['#f59e0b', '#ef4444', '#64748b', '#ec4899', '#14b8a6'];
+
+/**
+ * A player's cumulative total through a team game number
+ * Seasons without game logs are assumed to have been played at an even pace
+ */
+function valueAtGame(entry, game) {
+  if (entry.series.length === 0) return (entry.statValue * Math.min(game, entry.teamGames)) / entry.teamGames;
+  let value = 0;
+  for (const point of entry.series) {
+    if (point.game > game) break;
+    value = point.value;
+  }
+  return value;
+}
+
+const lastName = (name) => name.split(' ').pop();
+
+// Current leaders' cumulative paths against the record seasons they're chasing
+function RecordChaseView({ statType, onOpenProfile }) {
+  const [chase, setChase] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const stat = STAT_TYPES[statType];
+  const season = getCurrentBaseballSeason();
+  const chaseable = !stat.isRate && !stat.lowerIsBetter;
+
+  useEffect(() => {
+    if (!chaseable) return;
+    async function fetchChase() {
+      setLoading(true);
+      const result = await getRecordChase(statType, season);
+      setChase(result);
+      setLoading(false);
+    }
+
+    fetchChase();
+  }, [statType, season, chaseable]);
+
+  if (!chaseable) {
+    return (
+      <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800 animate-in fade-in slide-in-from-bottom-4 duration-500">
+        <Flag className="mx-auto text-slate-300" size={40} />
+        <p className="mt-4 text-slate-500">Record chases track counting stats. Pick one like Home Runs or Strikeouts.</p>
+      </div>
+    );
+  }
+
+  const leaders = (chase?.leaders || []).map((entry, i) => ({ ...entry, color: LEADER_COLORS[i % LEADER_COLORS.length] }));
+  const records = (chase?.records || []).map((entry, i) => ({ ...entry, color: RECORD_COLORS[i % RECORD_COLORS.length] }));
+  const leaderPaces = leaders.map(leader => ({
+    leader,
+    pace: getRecordPace(leader.statValue, leader.teamGamesPlayed, leader.teamGames, 0)
+  }));
+
+  const xMax = Math.max(...[...leaders, ...records].map(entry => entry.teamGames), 1);
+  const yMax = Math.max(
+    ...records.map(entry => entry.statValue),
+    ...leaderPaces.map(({ pace }) => pace.projected),
+    1
+  );
+
+  const width = 800;
+  const height = 360;
+  const pad = { top: 20, right: 90, bottom: 36, left: 50 };
+  const xScale = (x) => pad.left + (x / xMax) * (width - pad.left - pad.right);
+  const yScale = (y) => height - pad.bottom - (y / yMax) * (height - pad.top - pad.bottom);
+  const yTicks = [0, 0.25, 0.5, 0.75, 1].map(t => Math.round(t * yMax));
+  const xTicks = Array.from({ length: Math.floor(xMax / 20) + 1 }, (_, i) => i * 20);
+  const toPoints = (entry) => [{ game: 0, value: 0 }, ...entry.series]
+    .map(p => `${xScale(p.game)},${yScale(p.value)}`)
+    .join(' ');
+
+  return (
+    <div className="space-y-6 animate-in fade-in slide-in-from-bottom-4 duration-500">
+      <h2 className="text-2xl font-bold flex items-center gap-2">
+        <Flag className="text-amber-500" size={24} /> Record Chase: {stat.label} ({season})
+      </h2>
+
+      {loading ? (
+        <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800">
+          <div className="inline-block animate-spin rounded-full h-12 w-12 border-b-2 border-amber-500"></div>
+          <p className="mt-4 text-slate-500">Loading game logs for the leaders and record seasons...</p>
+        </div>
+      ) : leaders.length === 0 ? (
+        <div className="text-center py-20 bg-white dark:bg-slate-900 rounded-3xl shadow-xl border border-slate-200 dark:border-slate-800">
+          <p className="text-slate-500">No {season} leaders to track yet.</p>
+        </div>
+      ) : (
+        <>
+          {/* Cumulative paths by team game */}
+          <div className="bg-white dark:bg-slate-900 rounded-3xl p-6 border border-slate-200 dark:border-slate-800">
+            <div className="flex flex-wrap gap-3 mb-4">
+              {[...leaders, ...records].map(entry => (
+                <span key={`${entry.personId}_${entry.year || season}`} className="inline-flex items-center gap-2 text-sm font-semibold bg-slate-100 dark:bg-slate-800 rounded-full px-3 py-1">
+                  <span className="w-3 h-3 rounded-full" style={{ backgroundColor: entry.color }}></span>
+                  {entry.player} {entry.year ? `(${entry.year}, ${formatStatValue(entry.statValue, statType)})` : ''}
+                </span>
+              ))}
+            </div>
+
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto bg-slate-50/50 dark:bg-slate-800/30 rounded-xl">
+              {yTicks.map(tick => (
+                <g key={tick}>
+                  <line x1={pad.left} x2={width - pad.right} y1={yScale(tick)} y2={yScale(tick)} className="stroke-slate-200 dark:stroke-slate-700" strokeDasharray="4 4" />
+                  <text x={pad.left - 8} y={yScale(tick) + 4} textAnchor="end" className="fill-slate-400 text-[10px] font-mono">
+                    {formatStatValue(tick, statType)}
+                  </text>
+                </g>
+              ))}
+              {xTicks.map(tick => (
+                <text key={tick} x={xScale(tick)} y={height - pad.bottom + 18} textAnchor="middle" className="fill-slate-400 text-[10px] font-mono">
+                  {tick}
+                </text>
+              ))}
+              <text x={(width - pad.right + pad.left) / 2} y={height - 4} textAnchor="middle" className="fill-slate-500 text-[11px] font-semibold">
+                Team Game
+              </text>
+
+              {/* Record seasons (dashed; a straight line when no game log exists) */}
+              {records.map(entry => (
+                <g key={`${entry.personId}_${entry.year}`}>
+                  {entry.series.length > 0 ? (
+                    <polyline fill="none" stroke={entry.color} strokeWidth="2" strokeDasharray="6 4" strokeLinejoin="round" points={toPoints(entry)} />
+                  ) : (
+                    <line x1={xScale(0)} y1={yScale(0)} x2={xScale(entry.teamGames)} y2={yScale(entry.statValue)} stroke={entry.color} strokeWidth="2" strokeDasharray="2 4" />
+                  )}
+                  <text x={xScale(entry.teamGames) + 6} y={yScale(entry.statValue) + 4} className="text-[10px] font-semibold" fill={entry.color}>
+                    {lastName(entry.player)} {formatStatValue(entry.statValue, statType)}
+                  </text>
+                </g>
+              ))}
+
+              {/* Current leaders with their projection to the end of the season */}
+              {leaderPaces.map(({ leader, pace }) => (
+                <g key={leader.personId}>
+                  <polyline fill="none" stroke={leader.color} strokeWidth="2.5" strokeLinejoin="round" points={toPoints(leader)} />
+                  {pace.remaining > 0 && (
+                    <line
+                      x1={xScale(leader.teamGamesPlayed)}
+                      y1={yScale(leader.statValue)}
+                      x2={xScale(leader.teamGames)}
+                      y2={yScale(pace.projected)}
+                      stroke={leader.color}
+                      strokeWidth="1.5"
+                      strokeDasharray="1 4"
+                    />
+                  )}
+                  <circle cx={xScale(leader.teamGamesPlayed)} cy={yScale(leader.statValue)} r="4" fill={leader.color}>
+                    <title>{`${leader.player}: ${formatStatValue(leader.statValue, statType)} ${stat.abbr} through ${leader.teamGamesPlayed} team games`}</title>
+                  </circle>
+                </g>
+              ))}
+            </svg>
+          </div>
+
+          {/* Pace needed against each record */}
+          {leaderPaces.map(({ leader, pace }) => (
+            <div key={leader.personId} className="bg-white dark:bg-slate-900 rounded-3xl shadow-xl overflow-hidden border border-slate-200 dark:border-slate-800">
+              <div className="px-6 py-4 border-b border-slate-200 dark:border-slate-800 flex items-center justify-between flex-wrap gap-4">
+                <div className="flex items-center gap-2">
+                  <span className="w-3 h-3 rounded-full" style={{ backgroundColor: leader.color }}></span>
+                  <button
+                    type="button"
+                    onClick={() => onOpenProfile(leader.personId)}
+                    className="font-bold text-lg text-slate-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+                  >
+                    {leader.player}
+                  </button>
+                  <span className="text-sm text-slate-400">{leader.team}</span>
+                </div>
+                <div className="flex gap-6 text-sm">
+                  <span><span className="text-slate-500">{stat.abbr}</span> <span className="font-bold">{formatStatValue(leader.statValue, statType)}</span></span>
+                  <span><span className="text-slate-500">Team games</span> <span className="font-bold">{leader.teamGamesPlayed}/{leader.teamGames}</span></span>
+                  <span><span className="text-slate-500">Remaining</span> <span className="font-bold">{pace.remaining}</span></span>
+                  <span><span className="text-slate-500">Projected</span> <span className="font-bold">{formatStatValue(Math.round(pace.projected), statType)}</span></span>
+                </div>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="w-full text-left">
+                  <thead className="bg-slate-50 dark:bg-slate-800/50 text-slate-500 dark:text-slate-400 text-xs uppercase tracking-wider">
+                    <tr>
+                      <th className="px-6 py-3">Record</th>
+                      <th className="px-4 py-3 text-center">Through G{leader.teamGamesPlayed}</th>
+                      <th className="px-4 py-3 text-center">vs. Pace</th>
+                      <th className="px-4 py-3 text-center">To Tie</th>
+                      <th className="px-4 py-3 text-center">To Break</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-slate-200 dark:divide-slate-800">
+                    {records.map(record => {
+                      const target = getRecordPace(leader.statValue, leader.teamGamesPlayed, leader.teamGames, record.statValue);
+                      const then = valueAtGame(record, leader.teamGamesPlayed);
+                      const diff = leader.statValue - then;
+                      // Paces are restated as full-season totals, e.g. "a 74-HR pace"
+                      const describe = (needed, perGame) => {
+                        if (needed === 0) return <span className="font-bold text-emerald-600">Done</span>;
+                        if (perGame === null) return <span className="text-slate-400">Season over</span>;
+                        return (
+                          <>
+                            <span className="font-bold">{needed}</span> in {target.remaining} G
+                            <span className="block text-xs text-slate-400">{Math.round(perGame * leader.teamGames)}-{stat.abbr} pace</span>
+                          </>
+                        );
+                      };
+                      return (
+                        <tr key={`${record.personId}_${record.year}`} className="hover:bg-slate-50 dark:hover:bg-slate-800/50 transition-colors">
+                          <td className="px-6 py-3">
+                            <span className="font-semibold">{record.player}</span>
+                            <span className="ml-2 text-xs text-slate-400">{record.year} · {formatStatValue(record.statValue, statType)} · {record.status}</span>
+                          </td>
+                          <td className="px-4 py-3 text-center font-mono">
+                            {formatStatValue(Math.round(then), statType)}
+                            {record.series.length === 0 && <span className="text-slate-400">*</span>}
+                          </td>
+                          <td className={`px-4 py-3 text-center font-bold ${diff > 0 ? 'text-emerald-600' : diff < 0 ? 'text-red-500' : 'text-slate-500'}`}>
+                            {diff > 0 ? `+${Math.round(diff)} ahead` : diff < 0 ? `${Math.round(-diff)} behind` : 'Even'}
+                          </td>
+                          <td className="px-4 py-3 text-center">{describe(target.toTie, target.tiePace)}</td>
+                          <td className="px-4 py-3 text-center">{describe(target.toBreak, target.breakPace)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+
+      <div className="bg-blue-50 dark:bg-blue-900/10 p-4 rounded-xl flex items-start gap-3 border border-blue-100 dark:border-blue-900/30">
+        <Info className="text-blue-500 mt-0.5" size={20} />
+        <p className="text-sm text-blue-800 dark:text-blue-300">
+          Totals are plotted by the club's game number, so off days and missed games show as flat stretches.
+          Projections extend the leader's current rate per team game over the full schedule.
+          * Record seasons without game logs are assumed to have been played at an even pace.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default RecordChaseView
@@ -0,0 +1,90 @@
+import { useState } from 'react'
+import { FileUp, X } from 'lucide-react'
+import { importBaseballSavantFile } from './mlbApi'
+
+// Drop zone for a Baseball Savant leaderboard CSV downloaded by the user, for when the browser
+// can't reach Savant directly; shows what was imported and which rows were skipped
+function SavantImportControl({ imported, season, onImport, onClear }) {
+  const [dragging, setDragging] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    setImporting(true);
+    setError(null);
+    try {
+      onImport(await importBaseballSavantFile(file, season));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    handleFile(e.dataTransfer.files?.[0]);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      className={`p-4 rounded-xl border-2 border-dashed text-sm transition-colors ${dragging ? 'border-violet-500 bg-violet-50 dark:bg-violet-900/20' : 'border-slate-200 dark:border-slate-700'}`}
+    >
+      <div className="flex items-center gap-3 flex-wrap">
+        <FileUp size={18} className="text-violet-500" />
+        {imported ? (
+          <span className="text-slate-600 dark:text-slate-400">
+            Showing <span className="font-semibold">{imported.fileName}</span>
+            {imported.season && ` (${imported.season})`} · {imported.count} players
+          </span>
+        ) : (
+          <span className="text-slate-600 dark:text-slate-400">
+            {importing ? 'Importing...' : 'Drop a Baseball Savant leaderboard CSV here to use it instead of the live data'}
+          </span>
+        )}
+        <label className={`px-3 py-1 rounded-lg border-2 border-slate-200 dark:border-slate-700 font-semibold text-slate-500 transition-colors ${importing ? 'opacity-50' : 'cursor-pointer hover:text-violet-600 hover:border-violet-500'}`}>
+          Choose file
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            disabled={importing}
+            onChange={(e) => {
+              handleFile(e.target.files?.[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+            aria-label="Import a Baseball Savant leaderboard CSV"
+          />
+        </label>
+        {imported && (
+          <button
+            type="button"
+            onClick={onClear}
+            className="flex items-center gap-1 font-semibold text-slate-500 hover:text-violet-600 transition-colors"
+          >
+            <X size={14} /> Back to live data
+          </button>
+        )}
+      </div>
+      {error && <p className="mt-2 text-red-600 dark:text-red-400">{error}</p>}
+      {imported?.errors.length > 0 && (
+        <details className="mt-2 text-amber-700 dark:text-amber-400">
+          <summary className="cursor-pointer">{imported.errors.length} row{imported.errors.length > 1 ? 's' : ''} skipped</summary>
+          <ul className="mt-1 ml-6 list-disc space-y-0.5 max-h-40 overflow-y-auto">
+            {imported.errors.map(message => <li key={message}>{message}</li>)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+export default SavantImportControl
@@ -1,9 +1,17 @@
 // Simple localStorage-based cache with TTL
 // Optimizes API calls by caching responses with time-to-live
+import { getDataSourceMode } from './dataSource';
 
-const CACHE_PREFIX = 'mlb_stats_hub_v2_'; // v2 - includes personId in all records
+// v2 - includes personId in all records
+// Record/replay modes get their own namespace so live data never leaks into fixtures
+const CACHE_PREFIX = getDataSourceMode() === 'live'
+  ? 'mlb_stats_hub_v2_'
+  : `mlb_stats_hub_v2_${getDataSourceMode()}_`;
 const DEFAULT_TTL = 60 * 60 * 1000; // 1 hour in milliseconds
 
+// When the data served for each key this session was fetched (for export metadata)
+const fetchTimes = new Map();
+
 /**
  * Get item from cache if it exists and is not expired
  * @param {string} key - Cache key
@@ -26,6 +34,7 @@ export function getCached(key) {
     }
     
     console.log(`📦 Cache HIT: ${key}`);
+    fetchTimes.set(key, timestamp);
     return data;
   } catch (error) {
     console.error('Cache read error:', error);
@@ -40,14 +49,15 @@ export function getCached(key) {
  * @param {number} ttl - Time to live in milliseconds (default 1 hour)
  */
 export function setCache(key, data, ttl = DEFAULT_TTL) {
+  const cacheKey = CACHE_PREFIX + key;
+  const item = {
+    data,
+    timestamp: Date.now(),
+    ttl
+  };
+
   try {
-    const cacheKey = CACHE_PREFIX + key;
-    const item = {
-      data,
-      timestamp: Date.now(),
-      ttl
-    };
-    
+    fetchTimes.set(key, item.timestamp);
     localStorage.setItem(cacheKey, JSON.stringify(item));
     console.log(`💾 Cache SET: ${key} (TTL: ${ttl / 1000 / 60}min)`);
   } catch (error) {
@@ -67,6 +77,18 @@ export function setCache(key, data, ttl = DEFAULT_TTL) {
   }
 }
 
+/**
+ * Remove one cache entry
+ * @param {string} key - Cache key
+ */
+export function removeCache(key) {
+  try {
+    localStorage.removeItem(CACHE_PREFIX + key);
+  } catch (error) {
+    console.error('Cache remove error:', error);
+  }
+}
+
 /**
  * Clear all cache entries for this app
  */
@@ -161,3 +183,19 @@ export async function staleWhileRevalidate(key, fetchFn, onUpdate, ttl = DEFAULT
   // Return cached data immediately (or null if no cache)
   return cached;
 }
+
+/**
+ * When the oldest data served this session under some cache keys was fetched
+ * @param {string|string[]} prefixes - Cache key prefixes, e.g. 'historical_records_homeRuns'
+ * @returns {number|null} Timestamp in ms, null if nothing matching was served
+ */
+export function getFetchTime(prefixes) {
+  const matches = [].concat(prefixes);
+  let oldest = null;
+  fetchTimes.forEach((timestamp, key) => {
+    if (matches.some(prefix => key.startsWith(prefix)) && (oldest === null || timestamp < oldest)) {
+      oldest = timestamp;
+    }
+  });
+  return oldest;
+}
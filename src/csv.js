@@ -0,0 +1,158 @@
+// CSV parsing (RFC 4180) with column-schema validation
+// Used for Lahman-style historical files and Baseball Savant leaderboard downloads
+
+/**
+ * Split CSV text into rows of fields
+ * Quoted fields may contain commas, doubled quotes and line breaks; CRLF and LF both end a row;
+ * a leading byte order mark and blank lines are ignored
+ * @param {string} text - CSV file contents
+ * @returns {{fields: string[], line: number}[]} Rows, header first, with the line each starts on
+ * @throws {Error} On a quote that is never closed or stray characters after a closing quote
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let closed = false; // Just left a quoted field, so only a separator may follow
+  let line = 1;
+  let rowLine = 1;
+  let quoteLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push({ fields: row, line: rowLine });
+    row = [];
+    field = '';
+    closed = false;
+  };
+
+  const input = text.replace(/^﻿/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+        closed = true;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+      closed = false;
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (closed) {
+      throw new Error(`Line ${line}: unexpected "${char}" after a closing quote`);
+    } else if (char === '"' && field === '') {
+      quoted = true;
+      quoteLine = line;
+    } else {
+      // A quote inside an unquoted field is kept as text, as spreadsheet apps do
+      field += char;
+    }
+  }
+
+  if (quoted) throw new Error(`Line ${quoteLine}: quoted field is never closed`);
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+/**
+ * Parse CSV text into objects keyed by column name
+ * @param {string} text - CSV file contents
+ * @param {string[]} required - Columns that must be present
+ * @throws {Error} When the CSV is malformed or a required column is missing
+ */
+export function parseCsvObjects(text, required = []) {
+  const [header = { fields: [] }, ...rows] = parseCsv(text);
+  const columns = header.fields.map(name => name.trim());
+  const missing = required.filter(name => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+  return rows.map(({ fields }) => Object.fromEntries(columns.map((name, i) => [name, fields[i] ?? ''])));
+}
+
+const COLUMN_TYPES = {
+  string: value => value,
+  number: value => {
+    const number = Number(value);
+    return value !== '' && Number.isFinite(number) ? number : undefined;
+  },
+  // MLB person IDs and the like
+  id: value => (/^\d+$/.test(value) && Number(value) > 0 ? Number(value) : undefined)
+};
+
+/**
+ * Parse CSV text against a column schema
+ * Each schema field lists the header names it may appear under (first match wins). A missing
+ * required column fails the whole file; a row with a missing or invalid required value is
+ * skipped and reported, and a bad optional value is read as null
+ * @param {string} text - CSV file contents
+ * @param {Object<string, {columns: string[], type?: 'string'|'number'|'id', required?: boolean, label?: string}>} schema
+ * @returns {{rows: Object[], errors: string[], columns: Object<string, string|null>}} Rows keyed by
+ *   schema field; errors name the line and column of every skipped row; columns maps each field
+ *   to the header it was read from
+ * @throws {Error} When the CSV is malformed, has no header or lacks a required column
+ */
+export function parseCsvWithSchema(text, schema) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('The file is empty');
+
+  const names = header.fields.map(name => name.trim());
+  const indexes = {};
+  const columns = {};
+  const missing = [];
+  Object.entries(schema).forEach(([key, field]) => {
+    const name = field.columns.find(column => names.includes(column));
+    indexes[key] = name === undefined ? -1 : names.indexOf(name);
+    columns[key] = name ?? null;
+    if (name === undefined && field.required) {
+      missing.push(`${field.label || key} (${field.columns.join(' or ')})`);
+    }
+  });
+  if (missing.length > 0) {
+    throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+  }
+
+  const errors = [];
+  const parsed = [];
+  rows.forEach(({ fields, line }) => {
+    if (fields.length !== names.length) {
+      errors.push(`Line ${line}: expected ${names.length} fields, found ${fields.length}`);
+      return;
+    }
+    const record = {};
+    const problems = [];
+    Object.entries(schema).forEach(([key, field]) => {
+      if (indexes[key] === -1) {
+        record[key] = null;
+        return;
+      }
+      const raw = fields[indexes[key]].trim();
+      const value = COLUMN_TYPES[field.type || 'string'](raw);
+      if (value === undefined || value === '') {
+        if (field.required) problems.push(`${columns[key]} ${raw === '' ? 'is blank' : `"${raw}" is not valid`}`);
+        record[key] = null;
+      } else {
+        record[key] = value;
+      }
+    });
+    if (problems.length > 0) {
+      errors.push(`Line ${line}: ${problems.join('; ')}`);
+    } else {
+      parsed.push(record);
+    }
+  });
+
+  return { rows: parsed, errors, columns };
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, parseCsvWithSchema } from './csv';
+
+const SCHEMA = {
+  personId: { columns: ['player_id', 'mlbam_id'], type: 'id', required: true, label: 'Player ID' },
+  name: { columns: ['last_name, first_name', 'player_name'], label: 'Name' },
+  xwOBA: { columns: ['est_woba', 'xwoba'], type: 'number', required: true },
+  pa: { columns: ['pa'], type: 'number' }
+};
+
+describe('parseCsv', () => {
+  it('handles quoted commas, doubled quotes, line breaks, CRLF and a byte order mark', () => {
+    const rows = parseCsv('﻿a,b\r\n"x, y","say ""hi"""\r\n"two\nlines",z\n');
+    expect(rows).toEqual([
+      { fields: ['a', 'b'], line: 1 },
+      { fields: ['x, y', 'say "hi"'], line: 2 },
+      { fields: ['two\nlines', 'z'], line: 3 }
+    ]);
+  });
+
+  it('skips blank lines', () => {
+    expect(parseCsv('a\n\n1\n').map(row => row.fields)).toEqual([['a'], ['1']]);
+  });
+
+  it('rejects an unclosed quote and text after a closing quote', () => {
+    expect(() => parseCsv('a\n"open')).toThrow('Line 2: quoted field is never closed');
+    expect(() => parseCsv('"a"b')).toThrow('unexpected "b" after a closing quote');
+  });
+});
+
+describe('parseCsvWithSchema', () => {
+  it('reads fields from whichever header is present and converts types', () => {
+    const { rows, errors, columns } = parseCsvWithSchema(
+      '"last_name, first_name",player_id,est_woba,pa\n"Judge, Aaron",592450,.458,704\n',
+      SCHEMA
+    );
+    expect(errors).toEqual([]);
+    expect(columns).toEqual({ personId: 'player_id', name: 'last_name, first_name', xwOBA: 'est_woba', pa: 'pa' });
+    expect(rows).toEqual([{ personId: 592450, name: 'Judge, Aaron', xwOBA: 0.458, pa: 704 }]);
+  });
+
+  it('reads a missing optional column and a bad optional value as null', () => {
+    const { rows } = parseCsvWithSchema('mlbam_id,xwoba,pa\n660271,.390,n/a\n', SCHEMA);
+    expect(rows).toEqual([{ personId: 660271, name: null, xwOBA: 0.39, pa: null }]);
+  });
+
+  it('skips and reports rows with a bad required value or the wrong field count', () => {
+    const { rows, errors } = parseCsvWithSchema(
+      'player_id,xwoba\n0,.300\n592450,\n660271,.390,extra\n545361,.350\n',
+      SCHEMA
+    );
+    expect(rows.map(row => row.personId)).toEqual([545361]);
+    expect(errors).toEqual([
+      'Line 2: player_id "0" is not valid',
+      'Line 3: xwoba is blank',
+      'Line 4: expected 2 fields, found 3'
+    ]);
+  });
+
+  it('fails the file when a required column is missing or there is no header', () => {
+    expect(() => parseCsvWithSchema('player_id,pa\n1,2\n', SCHEMA)).toThrow('Missing column: xwOBA (est_woba or xwoba)');
+    expect(() => parseCsvWithSchema('', SCHEMA)).toThrow('The file is empty');
+  });
+});
@@ -0,0 +1,290 @@
+// User-defined custom stats
+// Formulas over raw stat line fields are parsed into a small expression tree (never eval'd),
+// saved to localStorage and registered into STAT_TYPES like any built-in stat
+
+import { STAT_TYPES, inningsToOuts } from './mlbApi';
+
+const STORAGE_KEY = 'mlb_stats_hub_custom_stats';
+const KEY_PREFIX = 'custom_';
+
+// Raw per-player stat line fields a formula may reference
+export const CUSTOM_STAT_FIELDS = {
+  hitting: [
+    'gamesPlayed', 'plateAppearances', 'atBats', 'runs', 'hits', 'doubles', 'triples',
+    'homeRuns', 'rbi', 'baseOnBalls', 'intentionalWalks', 'strikeOuts', 'hitByPitch',
+    'stolenBases', 'caughtStealing', 'sacFlies', 'sacBunts', 'totalBases',
+    'groundIntoDoublePlay', 'leftOnBase'
+  ],
+  pitching: [
+    'gamesPlayed', 'gamesStarted', 'wins', 'losses', 'saves', 'holds', 'blownSaves',
+    'inningsPitched', 'outs', 'battersFaced', 'hits', 'runs', 'earnedRuns', 'homeRuns',
+    'baseOnBalls', 'strikeOuts', 'hitByPitch', 'wildPitches', 'groundOuts', 'airOuts',
+    'numberOfPitches', 'strikes'
+  ]
+};
+
+export const CUSTOM_STAT_FORMATS = {
+  integer: { key: 'integer', label: 'Whole number (42)', format: (val) => Math.round(val) },
+  decimal1: { key: 'decimal1', label: 'One decimal (4.2)', format: (val) => val.toFixed(1) },
+  decimal2: { key: 'decimal2', label: 'Two decimals (4.20)', format: (val) => val.toFixed(2) },
+  decimal3: { key: 'decimal3', label: 'Three decimals (.420)', format: (val) => val.toFixed(3) },
+  percent: { key: 'percent', label: 'Percentage (42.0%)', format: (val) => `${(val * 100).toFixed(1)}%` }
+};
+
+/**
+ * Error thrown for formulas that don't parse or reference unknown fields
+ */
+export class FormulaError extends Error {
+  constructor(message, position = null) {
+    super(position === null ? message : `${message} (at character ${position + 1})`);
+    this.name = 'FormulaError';
+    this.position = position;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Formula parsing
+// ---------------------------------------------------------------------------
+
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+  while (i < formula.length) {
+    const char = formula[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = formula.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (!match) throw new FormulaError(`Invalid number "${char}"`, i);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const name = formula.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+      tokens.push({ type: 'field', value: name, position: i });
+      i += name.length;
+    } else if ('+-*/()'.includes(char)) {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else {
+      throw new FormulaError(`Unexpected character "${char}"`, i);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse a formula into an expression tree
+ * Grammar: expr = term (('+'|'-') term)*, term = factor (('*'|'/') factor)*,
+ *          factor = number | field | '(' expr ')' | '-' factor
+ * @param {string} formula - e.g. "homeRuns / plateAppearances * 600"
+ * @param {string} category - 'hitting' or 'pitching' (decides which fields are allowed)
+ * @returns {{tree: Object, fields: string[]}} Expression tree and the fields it references
+ * @throws {FormulaError} On syntax errors or unknown fields
+ */
+export function parseFormula(formula, category) {
+  const tokens = tokenize(formula || '');
+  if (tokens.length === 0) throw new FormulaError('Formula is empty');
+
+  const allowed = CUSTOM_STAT_FIELDS[category] || [];
+  const fields = new Set();
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const endPosition = () => (formula || '').length;
+
+  function parseExpression() {
+    let node = parseTerm();
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const op = tokens[pos++].type;
+      node = { op, left: node, right: parseTerm() };
+    }
+    return node;
+  }
+
+  function parseTerm() {
+    let node = parseFactor();
+    while (peek() && (peek().type === '*' || peek().type === '/')) {
+      const op = tokens[pos++].type;
+      node = { op, left: node, right: parseFactor() };
+    }
+    return node;
+  }
+
+  function parseFactor() {
+    const token = tokens[pos++];
+    if (!token) throw new FormulaError('Formula ends unexpectedly', endPosition());
+    if (token.type === 'number') return { number: token.value };
+    if (token.type === 'field') {
+      if (!allowed.includes(token.value)) {
+        throw new FormulaError(`Unknown ${category} field "${token.value}"`, token.position);
+      }
+      fields.add(token.value);
+      return { field: token.value };
+    }
+    if (token.type === '-') return { op: 'neg', operand: parseFactor() };
+    if (token.type === '(') {
+      const node = parseExpression();
+      if (peek()?.type !== ')') throw new FormulaError('Missing closing parenthesis', peek()?.position ?? endPosition());
+      pos++;
+      return node;
+    }
+    throw new FormulaError(`Unexpected "${token.type}"`, token.position);
+  }
+
+  const tree = parseExpression();
+  if (pos < tokens.length) {
+    throw new FormulaError(`Unexpected "${tokens[pos].value ?? tokens[pos].type}"`, tokens[pos].position);
+  }
+  return { tree, fields: Array.from(fields) };
+}
+
+/**
+ * Read a field from a stat line; innings pitched are converted from "45.2" notation to true innings
+ */
+function fieldValue(line, field) {
+  if (field === 'inningsPitched') return inningsToOuts(line.inningsPitched) / 3;
+  return Number(line[field]) || 0;
+}
+
+/**
+ * Evaluate an expression tree against a stat line (division by zero yields 0)
+ */
+function evaluate(node, line) {
+  if (node.number !== undefined) return node.number;
+  if (node.field) return fieldValue(line, node.field);
+  if (node.op === 'neg') return -evaluate(node.operand, line);
+
+  const left = evaluate(node.left, line);
+  const right = evaluate(node.right, line);
+  switch (node.op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return right === 0 ? 0 : left / right;
+    default: return 0;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Persistence and registration
+// ---------------------------------------------------------------------------
+
+/**
+ * Stable key for a definition; tied to its formula, rate flag and sort direction so cached
+ * (already ranked) leaderboards never outlive an edit
+ */
+function customStatKey(category, formula, isRate, lowerIsBetter) {
+  const source = `${category}:${formula.replace(/\s+/g, '')}${isRate ? '' : ':count'}${lowerIsBetter ? ':asc' : ''}`;
+  let hash = 5381;
+  for (let i = 0; i < source.length; i++) {
+    hash = ((hash * 33) ^ source.charCodeAt(i)) >>> 0;
+  }
+  return `${KEY_PREFIX}${hash.toString(36)}`;
+}
+
+function toStatType(definition) {
+  const { fields, tree } = parseFormula(definition.formula, definition.category);
+  const format = CUSTOM_STAT_FORMATS[definition.format] || CUSTOM_STAT_FORMATS.decimal3;
+  return {
+    key: definition.key,
+    label: definition.label,
+    abbr: definition.abbr,
+    category: definition.category,
+    color: 'slate',
+    format: format.format,
+    // Definitions saved before the rate flag existed inferred it from the format
+    isRate: definition.isRate ?? format.key !== 'integer',
+    lowerIsBetter: !!definition.lowerIsBetter,
+    components: fields.includes('inningsPitched') ? [...fields, 'outs'] : fields,
+    derive: (line) => evaluate(tree, line),
+    custom: true,
+    formula: definition.formula
+  };
+}
+
+function readDefinitions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeDefinitions(definitions) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(definitions));
+  } catch (error) {
+    console.error('Custom stats write error:', error);
+  }
+}
+
+/**
+ * Register every saved custom stat into STAT_TYPES
+ * Definitions that no longer parse are skipped (and reported) rather than breaking the app
+ * @returns {Object[]} Saved definitions
+ */
+export function loadCustomStats() {
+  const definitions = readDefinitions();
+  definitions.forEach(definition => {
+    try {
+      STAT_TYPES[definition.key] = toStatType(definition);
+    } catch (error) {
+      console.error(`Skipping custom stat ${definition.label}:`, error);
+    }
+  });
+  return definitions;
+}
+
+/**
+ * Validate, save and register a custom stat
+ * @param {{label: string, abbr: string, category: string, formula: string, format: string, isRate: boolean, lowerIsBetter: boolean}} input
+ * @param {string} [replaceKey] - Key of the definition being edited
+ * @returns {Object[]} Updated definitions
+ * @throws {FormulaError} If the definition is invalid
+ */
+export function saveCustomStat(input, replaceKey = null) {
+  const label = (input.label || '').trim();
+  const abbr = (input.abbr || '').trim();
+  if (!label) throw new FormulaError('Name is required');
+  if (!abbr) throw new FormulaError('Abbreviation is required');
+  if (!CUSTOM_STAT_FIELDS[input.category]) throw new FormulaError('Choose batting or pitching');
+
+  const formula = input.formula.trim();
+  const isRate = !!input.isRate;
+  const lowerIsBetter = !!input.lowerIsBetter;
+  const definition = {
+    key: customStatKey(input.category, formula, isRate, lowerIsBetter),
+    label,
+    abbr,
+    category: input.category,
+    formula,
+    format: CUSTOM_STAT_FORMATS[input.format] ? input.format : 'decimal3',
+    isRate,
+    lowerIsBetter
+  };
+
+  const definitions = readDefinitions().filter(d => d.key !== replaceKey);
+  const duplicate = definitions.find(d => d.key === definition.key);
+  if (duplicate) throw new FormulaError(`Same formula as "${duplicate.label}"`);
+
+  const statType = toStatType(definition); // throws FormulaError on a bad formula
+  if (replaceKey) delete STAT_TYPES[replaceKey];
+  STAT_TYPES[definition.key] = statType;
+
+  const updated = [...definitions, definition];
+  writeDefinitions(updated);
+  return updated;
+}
+
+/**
+ * Delete a custom stat and unregister it
+ * @param {string} key - Custom stat key
+ * @returns {Object[]} Updated definitions
+ */
+export function deleteCustomStat(key) {
+  const updated = readDefinitions().filter(d => d.key !== key);
+  writeDefinitions(updated);
+  if (STAT_TYPES[key]?.custom) delete STAT_TYPES[key];
+  return updated;
+}
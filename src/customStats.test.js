@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { parseFormula, saveCustomStat, deleteCustomStat, FormulaError } from './customStats';
+import { STAT_TYPES } from './mlbApi';
+
+// In-memory localStorage so definitions persist between calls within a test
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+const ISO_POWER = {
+  label: 'Isolated Power',
+  abbr: 'ISO',
+  category: 'hitting',
+  formula: '(totalBases - hits) / atBats',
+  format: 'decimal3',
+  isRate: true,
+  lowerIsBetter: false
+};
+
+describe('parseFormula', () => {
+  it('respects precedence, parentheses and unary minus', () => {
+    const { tree, fields } = parseFormula('homeRuns + -hits * (runs - 1)', 'hitting');
+    expect(fields).toEqual(['homeRuns', 'hits', 'runs']);
+    expect(tree).toEqual({
+      op: '+',
+      left: { field: 'homeRuns' },
+      right: {
+        op: '*',
+        left: { op: 'neg', operand: { field: 'hits' } },
+        right: { op: '-', left: { field: 'runs' }, right: { number: 1 } }
+      }
+    });
+  });
+
+  it('only allows fields from the stat category', () => {
+    expect(() => parseFormula('earnedRuns / atBats', 'hitting')).toThrow('Unknown hitting field "earnedRuns" (at character 1)');
+    expect(() => parseFormula('earnedRuns * 9 / inningsPitched', 'pitching')).not.toThrow();
+  });
+
+  it('reports syntax errors with their position', () => {
+    expect(() => parseFormula('', 'hitting')).toThrow('Formula is empty');
+    expect(() => parseFormula('hits /', 'hitting')).toThrow('Formula ends unexpectedly (at character 7)');
+    expect(() => parseFormula('(hits + runs', 'hitting')).toThrow('Missing closing parenthesis');
+    expect(() => parseFormula('hits runs', 'hitting')).toThrow('Unexpected "runs" (at character 6)');
+    expect(() => parseFormula('hits % 2', 'hitting')).toThrow(FormulaError);
+  });
+});
+
+describe('custom stat evaluation', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', createStorage());
+  });
+
+  it('evaluates the formula against a stat line', () => {
+    const [definition] = saveCustomStat(ISO_POWER);
+    const stat = STAT_TYPES[definition.key];
+    expect(stat.derive({ totalBases: 300, hits: 150, atBats: 500 })).toBeCloseTo(0.3);
+    expect(stat.components).toEqual(['totalBases', 'hits', 'atBats']);
+    deleteCustomStat(definition.key);
+  });
+
+  it('divides by zero to zero and reads innings pitched as true innings', () => {
+    const [definition] = saveCustomStat({
+      ...ISO_POWER,
+      label: 'Strikeouts per 9',
+      abbr: 'K9',
+      category: 'pitching',
+      formula: 'strikeOuts * 9 / inningsPitched',
+      lowerIsBetter: false
+    });
+    const stat = STAT_TYPES[definition.key];
+    expect(stat.derive({ strikeOuts: 10, inningsPitched: '4.2' })).toBeCloseTo(10 * 9 / (14 / 3));
+    expect(stat.derive({ strikeOuts: 10, inningsPitched: '0.0' })).toBe(0);
+    expect(stat.components).toContain('outs');
+    deleteCustomStat(definition.key);
+  });
+
+  it('keys a definition by its formula, rate flag and sort direction', () => {
+    const [ascending] = saveCustomStat({ ...ISO_POWER, lowerIsBetter: true });
+    const [, descending] = saveCustomStat(ISO_POWER);
+    expect(ascending.key).not.toBe(descending.key);
+    expect(() => saveCustomStat({ ...ISO_POWER, label: 'Copy', formula: '(totalBases-hits)/atBats' }))
+      .toThrow('Same formula as "Isolated Power"');
+    deleteCustomStat(ascending.key);
+    deleteCustomStat(descending.key);
+  });
+});
@@ -0,0 +1,315 @@
+// Pluggable data source for every outbound request made by the API layer
+// Backends: live (network), record (network + save every response), replay (serve recorded fixtures)
+
+const SETTINGS_KEY = 'mlb_stats_hub_data_source';
+const DB_NAME = 'mlb_stats_hub_fixtures';
+const DB_STORE = 'responses';
+const DEFAULT_FIXTURES_URL = '/fixtures/mlb-fixtures.json';
+
+export const DATA_SOURCE_MODES = {
+  live: { key: 'live', label: 'Live' },
+  record: { key: 'record', label: 'Recording' },
+  replay: { key: 'replay', label: 'Replay' }
+};
+
+/**
+ * Error thrown in replay mode when no fixture was recorded for a URL
+ */
+export class FixtureMissError extends Error {
+  constructor(url) {
+    super(`No recorded fixture for ${url}`);
+    this.name = 'FixtureMissError';
+    this.url = url;
+  }
+}
+
+/**
+ * Read persisted settings (set from the console or UI) layered over build-time env vars
+ * VITE_DATA_SOURCE=live|record|replay, VITE_FIXTURES_URL, VITE_DATA_SEASON, VITE_DATA_DATE
+ */
+function readSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+  } catch {
+    stored = {};
+  }
+
+  const env = import.meta.env || {};
+  const mode = stored.mode || env.VITE_DATA_SOURCE || 'live';
+  const season = stored.season || env.VITE_DATA_SEASON;
+  const date = stored.date || env.VITE_DATA_DATE;
+
+  return {
+    mode: DATA_SOURCE_MODES[mode] ? mode : 'live',
+    fixturesUrl: stored.fixturesUrl || env.VITE_FIXTURES_URL || DEFAULT_FIXTURES_URL,
+    season: season ? parseInt(season) : null,
+    date: /^\d{4}-\d{2}-\d{2}$/.test(date || '') ? date : null
+  };
+}
+
+let settings = readSettings();
+
+/**
+ * Get the active data source configuration
+ * @returns {{mode: string, fixturesUrl: string, season: number|null, date: string|null}}
+ */
+export function getDataSourceConfig() {
+  return settings;
+}
+
+/**
+ * Get the active data source mode ('live', 'record' or 'replay')
+ */
+export function getDataSourceMode() {
+  return settings.mode;
+}
+
+/**
+ * Persist data source settings; takes effect after a reload so cached state stays consistent
+ * @param {{mode?: string, fixturesUrl?: string, season?: number|null, date?: string|null}} changes
+ */
+export function setDataSourceConfig(changes) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...stored, ...changes }));
+  } catch (error) {
+    console.error('Data source settings write error:', error);
+  }
+  settings = readSettings();
+}
+
+// ---------------------------------------------------------------------------
+// IndexedDB persistence for recorded responses
+// ---------------------------------------------------------------------------
+
+function openFixtureDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openFixtureDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    const request = fn(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve(request?.result ?? null);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function saveRecording(url, entry) {
+  try {
+    await withStore('readwrite', store => store.put(entry, url));
+  } catch (error) {
+    console.error(`Error recording ${url}:`, error);
+  }
+}
+
+async function readAllRecordings() {
+  const responses = {};
+  try {
+    const db = await openFixtureDb();
+    if (!db) return responses;
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(DB_STORE, 'readonly');
+      const cursorRequest = tx.objectStore(DB_STORE).openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          responses[cursor.key] = cursor.value;
+          cursor.continue();
+        }
+      };
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+    });
+  } catch (error) {
+    console.error('Error reading recordings:', error);
+  }
+  return responses;
+}
+
+// ---------------------------------------------------------------------------
+// Backends
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize a URL into a stable fixture key (query params sorted)
+ */
+export function fixtureKey(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.searchParams.sort();
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+const liveBackend = {
+  async request(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Request failed (${response.status}): ${url}`);
+    }
+    return {
+      status: response.status,
+      contentType: response.headers.get('content-type') || '',
+      body: await response.text()
+    };
+  }
+};
+
+const recordBackend = {
+  async request(url) {
+    const entry = await liveBackend.request(url);
+    await saveRecording(fixtureKey(url), { ...entry, recordedAt: new Date().toISOString() });
+    return entry;
+  }
+};
+
+let fixturesPromise = null;
+let fixtureCounts = { bundled: 0, recorded: 0 };
+
+/**
+ * Load the fixture bundle served at fixturesUrl, merged with anything recorded locally
+ */
+function loadFixtures() {
+  if (!fixturesPromise) {
+    fixturesPromise = (async () => {
+      let bundled = {};
+      try {
+        const response = await fetch(settings.fixturesUrl);
+        if (response.ok) {
+          bundled = (await response.json()).responses || {};
+        } else {
+          console.warn(`Fixture bundle not found at ${settings.fixturesUrl}`);
+        }
+      } catch (error) {
+        console.warn('Error loading fixture bundle:', error);
+      }
+      const recorded = await readAllRecordings();
+      fixtureCounts = { bundled: Object.keys(bundled).length, recorded: Object.keys(recorded).length };
+      return { ...bundled, ...recorded };
+    })();
+  }
+  return fixturesPromise;
+}
+
+/**
+ * How many fixtures replay mode is serving, once the bundle and local recordings have loaded
+ * @returns {Promise<{bundled: number, recorded: number}>}
+ */
+export async function getFixtureCounts() {
+  await loadFixtures();
+  return fixtureCounts;
+}
+
+const replayBackend = {
+  async request(url) {
+    const fixtures = await loadFixtures();
+    const entry = fixtures[fixtureKey(url)];
+    if (!entry) {
+      throw new FixtureMissError(url);
+    }
+    return entry;
+  }
+};
+
+const backends = {
+  live: liveBackend,
+  record: recordBackend,
+  replay: replayBackend
+};
+
+/**
+ * Register (or replace) a backend, e.g. a mock for tests
+ * @param {string} mode - Mode name
+ * @param {{request: Function}} backend - Object whose request(url) resolves to {status, contentType, body}
+ */
+export function registerDataSourceBackend(mode, backend) {
+  backends[mode] = backend;
+  if (!DATA_SOURCE_MODES[mode]) {
+    DATA_SOURCE_MODES[mode] = { key: mode, label: mode };
+  }
+}
+
+async function request(url) {
+  const backend = backends[settings.mode] || liveBackend;
+  return backend.request(url);
+}
+
+/**
+ * Fetch a URL through the active backend and parse it as JSON
+ * @param {string} url - Absolute URL
+ * @returns {Promise<any>} - Parsed response body
+ */
+export async function fetchJson(url) {
+  const { body } = await request(url);
+  return JSON.parse(body);
+}
+
+/**
+ * Fetch a URL through the active backend as raw text (e.g. CSV exports)
+ * @param {string} url - Absolute URL
+ * @returns {Promise<string>} - Response body
+ */
+export async function fetchText(url) {
+  const { body } = await request(url);
+  return body;
+}
+
+// ---------------------------------------------------------------------------
+// Fixture bundle management
+// ---------------------------------------------------------------------------
+
+/**
+ * Build a fixture bundle from everything recorded so far
+ * Serve it at VITE_FIXTURES_URL (default public/fixtures/mlb-fixtures.json) to replay it
+ */
+export async function exportRecordings() {
+  const responses = await readAllRecordings();
+  return {
+    version: 1,
+    recordedAt: new Date().toISOString(),
+    season: settings.season,
+    date: settings.date,
+    responses
+  };
+}
+
+/**
+ * Download the recorded fixture bundle as a JSON file
+ */
+export async function downloadRecordings() {
+  const bundle = await exportRecordings();
+  const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'mlb-fixtures.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+  return Object.keys(bundle.responses).length;
+}
+
+/**
+ * Delete all locally recorded responses
+ */
+export async function clearRecordings() {
+  try {
+    await withStore('readwrite', store => store.clear());
+    fixturesPromise = null;
+  } catch (error) {
+    console.error('Error clearing recordings:', error);
+  }
+}
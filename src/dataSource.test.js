@@ -0,0 +1,58 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+
+// Recorded bundle: the 2024-07-04 schedule
+const FIXTURES_URL = '/fixtures/mlb-fixtures.json';
+const bundle = readFileSync(new URL('./__fixtures__/mlb-fixtures.json', import.meta.url), 'utf8');
+
+describe('replay mode', () => {
+  let api;
+  let dataSource;
+
+  beforeAll(async () => {
+    vi.stubEnv('VITE_DATA_SOURCE', 'replay');
+    vi.stubEnv('VITE_FIXTURES_URL', FIXTURES_URL);
+    vi.stubEnv('VITE_DATA_DATE', '2024-07-04');
+    // Only the bundle may be fetched; anything else would be a live request
+    vi.stubGlobal('fetch', vi.fn(async (url) => {
+      if (url !== FIXTURES_URL) throw new Error(`Unexpected request: ${url}`);
+      return new Response(bundle, { status: 200, headers: { 'Content-Type': 'application/json' } });
+    }));
+    // Settings are read when the modules load
+    vi.resetModules();
+    dataSource = await import('./dataSource');
+    api = await import('./mlbApi');
+  });
+
+  afterAll(() => {
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+  });
+
+  it('serves recorded responses for the pinned date', async () => {
+    expect(dataSource.getDataSourceMode()).toBe('replay');
+    expect(api.getCurrentDate()).toBe('2024-07-04');
+
+    const games = await api.getSchedule();
+    expect(games.map(game => [game.gamePk, game.state, game.away.team, game.home.team])).toEqual([
+      [745001, 'Final', 'NYY', 'BOS'],
+      [745002, 'Live', 'LAD', 'SF']
+    ]);
+    expect(games[1]).toMatchObject({ inning: 6, inningHalf: 'Top', away: { score: 2 }, home: { score: 1 } });
+    expect(await dataSource.getFixtureCounts()).toEqual({ bundled: 1, recorded: 0 });
+  });
+
+  it('matches fixtures whatever the query parameter order', async () => {
+    const [key] = Object.keys(JSON.parse(bundle).responses);
+    const url = new URL(key);
+    const reordered = `${url.origin}${url.pathname}?${Array.from(url.searchParams).reverse().map(([name, value]) => `${name}=${value}`).join('&')}`;
+    expect((await dataSource.fetchJson(reordered)).dates[0].games).toHaveLength(2);
+  });
+
+  it('never falls through to the network for an unrecorded request', async () => {
+    await expect(dataSource.fetchJson('https://statsapi.mlb.com/api/v1/schedule?sportId=1&date=2024-07-05'))
+      .rejects.toBeInstanceOf(dataSource.FixtureMissError);
+    expect(await api.getSchedule('2024-07-05')).toBeNull();
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
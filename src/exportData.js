@@ -0,0 +1,301 @@
+// Export any table as CSV, JSON or Excel (.xlsx)
+// Values stay raw (0.4397, not ".440") and every file carries its source, filters and fetch time
+
+import { getDataSourceMode } from './dataSource';
+
+export const EXPORT_FORMATS = {
+  csv: { key: 'csv', label: 'CSV', mimeType: 'text/csv;charset=utf-8' },
+  json: { key: 'json', label: 'JSON', mimeType: 'application/json' },
+  xlsx: { key: 'xlsx', label: 'Excel', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+/**
+ * Describe a stat for export metadata (custom stats include their formula)
+ * @param {Object} stat - A STAT_TYPES entry
+ */
+export function describeStat(stat) {
+  if (!stat) return null;
+  return {
+    key: stat.key,
+    label: stat.label,
+    abbr: stat.abbr,
+    category: stat.category,
+    ...(stat.custom && { custom: true, formula: stat.formula })
+  };
+}
+
+/**
+ * Build the metadata block written with every export
+ * @param {Object} options
+ * @param {string} options.title - What the table shows, e.g. "All-Time Single Season Leaders"
+ * @param {string} options.source - Where the data came from
+ * @param {number|null} options.fetchedAt - When the data was fetched (see getFetchTime in cache.js)
+ * @param {Object} [options.stat] - Selected STAT_TYPES entry
+ * @param {Object} [options.filters] - Active filters and sort, as label/value pairs
+ */
+export function buildExportMetadata({ title, source, fetchedAt = null, stat = null, filters = {} }) {
+  return {
+    title,
+    source,
+    dataSource: getDataSourceMode(),
+    fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+    exportedAt: new Date().toISOString(),
+    stat: describeStat(stat),
+    // Unset filters are left out rather than written as blanks
+    filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== null && value !== undefined && value !== ''))
+  };
+}
+
+/**
+ * Read each row's cells in column order
+ * @param {{key: string, value?: Function}[]} columns - value(row) overrides row[key]
+ */
+function getCells(columns, rows) {
+  return rows.map(row => columns.map(column => {
+    const value = column.value ? column.value(row) : row[column.key];
+    return value === undefined ? null : value;
+  }));
+}
+
+/**
+ * Flatten metadata into label/value pairs (filters and stat inline)
+ */
+function metadataEntries(metadata) {
+  const { filters, stat, ...rest } = metadata;
+  return [
+    ...Object.entries(rest),
+    ...(stat ? Object.entries(stat).map(([key, value]) => [`stat.${key}`, value]) : []),
+    ...Object.entries(filters).map(([key, value]) => [`filter.${key}`, value])
+  ].map(([key, value]) => [key, value === null ? '' : String(value)]);
+}
+
+function csvField(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with the metadata as leading "# key: value" comment lines, then a header row
+ */
+export function toCsv({ columns, rows, metadata }) {
+  const lines = [
+    ...metadataEntries(metadata).map(([key, value]) => `# ${key}: ${value.replace(/[\r\n]+/g, ' ')}`),
+    columns.map(column => csvField(column.label)).join(','),
+    ...getCells(columns, rows).map(cells => cells.map(csvField).join(','))
+  ];
+  // BOM so Excel reads accented names as UTF-8
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON: {metadata, columns, rows}, with rows keyed by column key
+ */
+export function toJson({ columns, rows, metadata }) {
+  const cells = getCells(columns, rows);
+  return JSON.stringify({
+    metadata,
+    columns: columns.map(({ key, label }) => ({ key, label })),
+    rows: cells.map(row => Object.fromEntries(columns.map((column, i) => [column.key, row[i]])))
+  }, null, 2);
+}
+
+// ---------------------------------------------------------------------------
+// XLSX
+// A workbook is a zip of SpreadsheetML parts. Entries are stored uncompressed, which every
+// spreadsheet app accepts and keeps this free of a compression library
+// ---------------------------------------------------------------------------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a zip archive with stored (uncompressed) entries
+ * @param {{name: string, content: string}[]} files
+ * @returns {Uint8Array}
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);
+    local.setUint16(4, 20, true); // Version needed
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    localParts.push(new Uint8Array(local.buffer), name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra field, comment, disk number, attributes: all zero
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+function escapeXml(text) {
+  return String(text)
+    // Control characters aren't allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * SpreadsheetML for one sheet; numbers and booleans keep their types, the first row is bold
+ */
+function sheetXml(rows) {
+  const rowXml = rows.map((cells, r) => {
+    const cellXml = cells.map((value, c) => {
+      const ref = `${columnName(c)}${r + 1}`;
+      const style = r === 0 ? ' s="1"' : '';
+      if (value === null) return '';
+      if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      if (typeof value === 'boolean') return `<c r="${ref}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cellXml}</row>`;
+  }).join('');
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rowXml}</sheetData></worksheet>`;
+}
+
+/**
+ * Excel workbook with a "Data" sheet and a "Metadata" sheet
+ * @returns {Uint8Array}
+ */
+export function toXlsx({ columns, rows, metadata }) {
+  const sheets = [
+    { name: 'Data', rows: [columns.map(column => column.label), ...getCells(columns, rows)] },
+    { name: 'Metadata', rows: [['Field', 'Value'], ...metadataEntries(metadata)] }
+  ];
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets.map((sheet, i) => `<sheet name="${sheet.name}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/styles.xml',
+      content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>`
+    },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: sheetXml(sheet.rows) }))
+  ]);
+}
+
+/**
+ * File name for an export, e.g. "all-time-single-season-leaders-hr-2025-06-01.csv"
+ */
+function exportFileName(metadata, format) {
+  const slug = [metadata.title, metadata.stat?.abbr]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+  return `${slug || 'export'}-${metadata.exportedAt.slice(0, 10)}.${format}`;
+}
+
+/**
+ * Write a table in one format and download it
+ * @param {string} format - EXPORT_FORMATS key
+ * @param {{columns: {key: string, label: string, value?: Function}[], rows: Object[], metadata: Object}} table
+ *   Rows in display order; metadata from buildExportMetadata
+ * @returns {string} The downloaded file name
+ */
+export function downloadExport(format, table) {
+  const content = format === 'xlsx' ? toXlsx(table) : format === 'json' ? toJson(table) : toCsv(table);
+  const blob = new Blob([content], { type: EXPORT_FORMATS[format].mimeType });
+  const fileName = exportFileName(table.metadata, format);
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(link.href);
+  return fileName;
+}
@@ -0,0 +1,46 @@
+// Game types (Stats API gameType codes) honored by leaderboards, records and trajectories
+// The selection is session state: every page load starts on the regular season unless the URL names one
+
+export const GAME_TYPES = {
+  R: { key: 'R', label: 'Regular Season', firstSeason: 1901 },
+  P: { key: 'P', label: 'Postseason', firstSeason: 1903 },
+  F: { key: 'F', label: 'Wild Card', abbr: 'WC', round: true, firstSeason: 2012 },
+  D: { key: 'D', label: 'Division Series', abbr: 'DS', round: true, firstSeason: 1981 },
+  L: { key: 'L', label: 'League Championship Series', abbr: 'LCS', round: true, firstSeason: 1969 },
+  W: { key: 'W', label: 'World Series', abbr: 'WS', round: true, firstSeason: 1903 },
+  S: { key: 'S', label: 'Spring Training', firstSeason: 2000 },
+  A: { key: 'A', label: 'All-Star Game', firstSeason: 1933 }
+};
+
+let activeGameType = 'R';
+
+/**
+ * Get the active game type code ('R', 'P', 'F', 'D', 'L', 'W', 'S' or 'A')
+ */
+export function getGameType() {
+  return activeGameType;
+}
+
+/**
+ * Set the active game type (unknown codes fall back to the regular season)
+ * @returns {string} The active game type code
+ */
+export function setGameType(gameType) {
+  activeGameType = GAME_TYPES[gameType] ? gameType : 'R';
+  return activeGameType;
+}
+
+/**
+ * Cache key suffix for a game type ('' for the regular season, so existing keys stay valid)
+ * @param {string} [gameType] - Defaults to the active game type
+ */
+export function getGameTypeKey(gameType = activeGameType) {
+  return gameType === 'R' ? '' : `_gt${gameType}`;
+}
+
+/**
+ * Whether a game type is the postseason or one of its rounds
+ */
+export function isPostseason(gameType = activeGameType) {
+  return gameType === 'P' || !!GAME_TYPES[gameType]?.round;
+}
@@ -0,0 +1,244 @@
+// Historical season dataset built from Lahman-style CSVs (People, Teams, Batting, Pitching)
+// Served with the app from public/data/lahman/ (or VITE_HISTORICAL_DATA_URL) or imported from local
+// files; the API layer computes single-season records for any stat, depth, league or era from it
+
+import { parseCsvObjects } from './csv';
+
+const DEFAULT_DATA_URL = '/data/lahman/';
+
+export const DATASET_FILES = {
+  people: { key: 'people', file: 'People.csv', required: ['playerID', 'nameFirst', 'nameLast'] },
+  teams: { key: 'teams', file: 'Teams.csv', required: ['yearID', 'lgID', 'teamID', 'franchID', 'G'] },
+  batting: { key: 'batting', file: 'Batting.csv', required: ['playerID', 'yearID', 'stint', 'teamID', 'lgID', 'AB', 'H', 'HR'] },
+  pitching: { key: 'pitching', file: 'Pitching.csv', required: ['playerID', 'yearID', 'stint', 'teamID', 'lgID', 'IPouts', 'ER', 'SO'] }
+};
+
+// Lahman columns -> Stats API stat line fields
+const BATTING_FIELDS = {
+  G: 'gamesPlayed', AB: 'atBats', R: 'runs', H: 'hits', '2B': 'doubles', '3B': 'triples', HR: 'homeRuns',
+  RBI: 'rbi', SB: 'stolenBases', CS: 'caughtStealing', BB: 'baseOnBalls', SO: 'strikeOuts',
+  IBB: 'intentionalWalks', HBP: 'hitByPitch', SH: 'sacBunts', SF: 'sacFlies', GIDP: 'groundIntoDoublePlay'
+};
+
+const PITCHING_FIELDS = {
+  W: 'wins', L: 'losses', G: 'gamesPitched', GS: 'gamesStarted', CG: 'completeGames', SHO: 'shutouts',
+  SV: 'saves', H: 'hits', R: 'runs', ER: 'earnedRuns', HR: 'homeRuns', BB: 'baseOnBalls', SO: 'strikeOuts',
+  IBB: 'intentionalWalks', WP: 'wildPitches', HBP: 'hitByPitch', BK: 'balks', BFP: 'battersFaced', GF: 'gamesFinished'
+};
+
+// Lahman franchise IDs of the 30 current clubs -> MLB team IDs (defunct franchises have none)
+const FRANCHISE_TEAM_IDS = {
+  ANA: 108, ARI: 109, ATL: 144, BAL: 110, BOS: 111, CHC: 112, CHW: 145, CIN: 113, CLE: 114, COL: 115,
+  DET: 116, FLA: 146, HOU: 117, KCR: 118, LAD: 119, MIL: 158, MIN: 142, NYM: 121, NYY: 147, OAK: 133,
+  PHI: 143, PIT: 134, SDP: 135, SEA: 136, SFG: 137, STL: 138, TBD: 139, TEX: 140, TOR: 141, WSN: 120
+};
+
+let dataset = null;
+let loadPromise = null;
+
+/**
+ * Build a counting-stat line from a Batting or Pitching row
+ * Blank cells (stats not kept in early seasons) count as zero
+ */
+function toStatLine(row, fieldMap) {
+  const line = {};
+  Object.entries(fieldMap).forEach(([column, field]) => {
+    if (column in row) line[field] = parseInt(row[column]) || 0;
+  });
+  return line;
+}
+
+function toBattingLine(row) {
+  const line = toStatLine(row, BATTING_FIELDS);
+  line.totalBases = line.hits + line.doubles + 2 * line.triples + 3 * line.homeRuns;
+  line.plateAppearances = line.atBats + (line.baseOnBalls || 0) + (line.hitByPitch || 0) + (line.sacBunts || 0) + (line.sacFlies || 0);
+  return line;
+}
+
+function toPitchingLine(row) {
+  const line = toStatLine(row, PITCHING_FIELDS);
+  const outs = parseInt(row.IPouts) || 0;
+  line.outs = outs;
+  line.inningsPitched = `${Math.floor(outs / 3)}.${outs % 3}`;
+  return line;
+}
+
+/**
+ * Group stint rows into one entry per player-season, keeping each stint's league and club
+ */
+function groupSeasons(rows, toLine) {
+  const seasons = new Map();
+  rows.forEach(row => {
+    const year = parseInt(row.yearID);
+    if (!row.playerID || !year) return;
+    const key = `${row.playerID}_${year}`;
+    if (!seasons.has(key)) seasons.set(key, { playerId: row.playerID, year, stints: [] });
+    seasons.get(key).stints.push({
+      stint: parseInt(row.stint) || 1,
+      league: row.lgID,
+      teamKey: row.teamID,
+      line: toLine(row)
+    });
+  });
+  return Array.from(seasons.values()).map(season => ({
+    ...season,
+    stints: season.stints.sort((a, b) => a.stint - b.stint)
+  }));
+}
+
+/**
+ * Sum every stint of a season into league-wide counting totals, by year
+ */
+function sumByYear(seasons) {
+  const totals = {};
+  seasons.forEach(season => season.stints.forEach(({ line }) => {
+    const total = totals[season.year] = totals[season.year] || {};
+    Object.entries(line).forEach(([field, value]) => {
+      if (typeof value === 'number') total[field] = (total[field] || 0) + value;
+    });
+  }));
+  Object.values(totals).forEach(total => {
+    if (total.outs) total.inningsPitched = `${Math.floor(total.outs / 3)}.${total.outs % 3}`;
+  });
+  return totals;
+}
+
+/**
+ * Build the in-memory dataset from parsed CSV tables
+ * @param {{people: Object[], teams: Object[], batting: Object[], pitching: Object[]}} tables
+ * @param {string} source - Where the files came from, for display
+ */
+function buildDataset(tables, source) {
+  const people = new Map(tables.people.map(row => [row.playerID, {
+    name: [row.nameFirst, row.nameLast].filter(Boolean).join(' '),
+    // Chadwick-register exports carry MLBAM IDs; plain Lahman files don't
+    personId: parseInt(row.mlbamID || row.key_mlbam) || null
+  }]));
+
+  const teams = new Map();
+  const teamGames = {};
+  tables.teams.forEach(row => {
+    const year = parseInt(row.yearID);
+    const games = parseInt(row.G) || 0;
+    teams.set(`${year}_${row.teamID}`, {
+      abbr: row.teamIDBR || row.teamID,
+      name: row.name,
+      teamId: FRANCHISE_TEAM_IDS[row.franchID] || null
+    });
+    const season = teamGames[year] = teamGames[year] || { byTeam: {}, max: 0 };
+    season.byTeam[row.teamID] = games;
+    season.max = Math.max(season.max, games);
+  });
+
+  const hitting = groupSeasons(tables.batting, toBattingLine);
+  const pitching = groupSeasons(tables.pitching, toPitchingLine);
+  const years = [...hitting, ...pitching].map(season => season.year);
+  const firstYear = Math.min(...years);
+  const lastYear = Math.max(...years);
+
+  return {
+    id: `${firstYear}-${lastYear}_${tables.batting.length}_${tables.pitching.length}`,
+    source,
+    firstYear,
+    lastYear,
+    people,
+    teams,
+    teamGames,
+    hitting,
+    pitching,
+    leagueTotals: { hitting: sumByYear(hitting), pitching: sumByYear(pitching) },
+    // Stat line fields the files provide, so stats needing anything else fall back to the API
+    fields: {
+      hitting: new Set(hitting[0] ? Object.keys(hitting[0].stints[0].line) : []),
+      pitching: new Set(pitching[0] ? Object.keys(pitching[0].stints[0].line) : [])
+    }
+  };
+}
+
+/**
+ * Load the dataset served with the app (once per session)
+ * Missing files are not an error: the app falls back to the Stats API and curated records
+ * @returns {Promise<Object|null>} The dataset, or null when none is available
+ */
+export function loadHistoricalDataset() {
+  if (dataset) return Promise.resolve(dataset);
+  if (!loadPromise) {
+    const env = import.meta.env || {};
+    const baseUrl = env.VITE_HISTORICAL_DATA_URL || DEFAULT_DATA_URL;
+    loadPromise = (async () => {
+      try {
+        const tables = {};
+        for (const { key, file, required } of Object.values(DATASET_FILES)) {
+          const response = await fetch(`${baseUrl}${file}`);
+          if (!response.ok) return null;
+          tables[key] = parseCsvObjects(await response.text(), required);
+        }
+        dataset = buildDataset(tables, baseUrl);
+        console.log(`📚 Historical dataset loaded: ${dataset.firstYear}-${dataset.lastYear}`);
+        return dataset;
+      } catch (error) {
+        console.warn('No historical dataset available:', error.message);
+        return null;
+      }
+    })();
+  }
+  return loadPromise;
+}
+
+/**
+ * Replace the dataset with CSV files picked by the user (kept for this session)
+ * Files are matched by name (People.csv, Teams.csv, Batting.csv, Pitching.csv)
+ * @param {File[]} files - Files from an <input type="file" multiple>
+ * @returns {Promise<Object>} The new dataset
+ * @throws {Error} When a file is missing or malformed
+ */
+export async function importHistoricalFiles(files) {
+  const byName = new Map(Array.from(files).map(file => [file.name.toLowerCase(), file]));
+  const tables = {};
+  for (const { key, file, required } of Object.values(DATASET_FILES)) {
+    const match = byName.get(file.toLowerCase());
+    if (!match) throw new Error(`${file} is missing`);
+    try {
+      tables[key] = parseCsvObjects(await match.text(), required);
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+  dataset = buildDataset(tables, 'Imported files');
+  loadPromise = Promise.resolve(dataset);
+  return dataset;
+}
+
+/**
+ * Summary of the loaded dataset for display, or null when none is loaded
+ * @returns {{id: string, source: string, firstYear: number, lastYear: number}|null}
+ */
+export function getDatasetInfo() {
+  return dataset
+    ? { id: dataset.id, source: dataset.source, firstYear: dataset.firstYear, lastYear: dataset.lastYear }
+    : null;
+}
+
+/**
+ * Players in the loaded dataset who carry an MLBAM ID (Chadwick-register exports), with the
+ * first and last seasons they appear in
+ * @returns {Promise<{personId: number, name: string, firstSeason: number, lastSeason: number}[]>}
+ */
+export async function getDatasetPlayers() {
+  const loaded = await loadHistoricalDataset();
+  if (!loaded) return [];
+  const seasons = new Map();
+  [...loaded.hitting, ...loaded.pitching].forEach(({ playerId, year }) => {
+    const range = seasons.get(playerId);
+    if (range) {
+      range.firstSeason = Math.min(range.firstSeason, year);
+      range.lastSeason = Math.max(range.lastSeason, year);
+    } else {
+      seasons.set(playerId, { firstSeason: year, lastSeason: year });
+    }
+  });
+  return Array.from(seasons, ([playerId, range]) => {
+    const person = loaded.people.get(playerId);
+    return person?.personId ? { personId: person.personId, name: person.name, ...range } : null;
+  }).filter(Boolean);
+}
@@ -1,10 +1,110 @@
 // MLB Stats API Service
-import { cachedFetch } from './cache';
+import { cachedFetch, getCached } from './cache';
+import { fetchJson, fetchText, getDataSourceConfig } from './dataSource';
+import { getQualificationKey, isStandardQualification, isQualified, getQualificationMinimum, PLAYING_TIME } from './qualification';
+import { GAME_TYPES, getGameType, getGameTypeKey } from './gameTypes';
+import { MLB_SPORT_ID, SPORT_LEVELS, getSportLevel, getSportId, getSportKey, registerSportLevels } from './sportLevels';
+import { loadHistoricalDataset } from './historicalData';
+import { normalizeName, loadPlayerIndex, searchPlayers } from './playerSearch';
+import { parseCsv, parseCsvWithSchema } from './csv';
 
 // Base URL for MLB Stats API
 const BASE_URL = 'https://statsapi.mlb.com/api/v1';
+// The live game feed is only served from the v1.1 API
+const LIVE_BASE_URL = 'https://statsapi.mlb.com/api/v1.1';
+
+// ---------------------------------------------------------------------------
+// Derived stats
+// Stat types with `derive` are computed from the component counting stats in a
+// stat line whenever the API doesn't report them (or reports them for one club only)
+// ---------------------------------------------------------------------------
+
+// Fixed wOBA linear weights (FanGraphs, 2015-2024 average), applied to every season. They rank
+// players within a season, but run values differed in other run environments, so comparing wOBA
+// across eras (records, decades, trajectories) measures older seasons by modern weights; the stat
+// is labeled to say so
+const WOBA_WEIGHTS = { bb: 0.69, hbp: 0.72, single: 0.88, double: 1.25, triple: 1.58, homeRun: 2.03 };
+
+const OBP_COMPONENTS = ['hits', 'baseOnBalls', 'hitByPitch', 'atBats', 'sacFlies'];
+const SLG_COMPONENTS = ['totalBases', 'atBats'];
+
+/**
+ * Read a numeric field from a stat line (the API sends some as strings)
+ */
+function statNumber(value) {
+  return Number(value) || 0;
+}
+
+/**
+ * Divide two stat line fields, returning 0 when there is no denominator
+ */
+function ratio(numerator, denominator) {
+  const d = statNumber(denominator);
+  return d > 0 ? statNumber(numerator) / d : 0;
+}
+
+function deriveOnBasePercentage(line) {
+  const timesOnBase = statNumber(line.hits) + statNumber(line.baseOnBalls) + statNumber(line.hitByPitch);
+  const opportunities = statNumber(line.atBats) + statNumber(line.baseOnBalls) + statNumber(line.hitByPitch) + statNumber(line.sacFlies);
+  return ratio(timesOnBase, opportunities);
+}
+
+function deriveSluggingPercentage(line) {
+  return ratio(line.totalBases, line.atBats);
+}
+
+function deriveWeightedOnBase(line) {
+  const doubles = statNumber(line.doubles);
+  const triples = statNumber(line.triples);
+  const homeRuns = statNumber(line.homeRuns);
+  const singles = statNumber(line.hits) - doubles - triples - homeRuns;
+  const unintentionalWalks = statNumber(line.baseOnBalls) - statNumber(line.intentionalWalks);
+  const weighted =
+    WOBA_WEIGHTS.bb * unintentionalWalks +
+    WOBA_WEIGHTS.hbp * statNumber(line.hitByPitch) +
+    WOBA_WEIGHTS.single * singles +
+    WOBA_WEIGHTS.double * doubles +
+    WOBA_WEIGHTS.triple * triples +
+    WOBA_WEIGHTS.homeRun * homeRuns;
+  return ratio(weighted, statNumber(line.atBats) + unintentionalWalks + statNumber(line.sacFlies) + statNumber(line.hitByPitch));
+}
+
+/**
+ * Outs recorded in a pitching stat line
+ */
+function lineOuts(line) {
+  return line.outs !== undefined ? statNumber(line.outs) : inningsToOuts(line.inningsPitched);
+}
+
+/**
+ * Rate per nine innings for a pitching stat line field
+ */
+function perNine(line, field) {
+  return ratio(statNumber(line[field]) * 27, lineOuts(line));
+}
+
+/**
+ * Fielding Independent Pitching: (13*HR + 3*(BB+HBP) - 2*K) / IP + season constant
+ * The constant scales FIP to the league ERA and comes from the stat context (see getStatContext)
+ */
+function deriveFip(line, context = {}) {
+  const outs = lineOuts(line);
+  if (outs === 0) return 0;
+  const raw = 13 * statNumber(line.homeRuns) +
+    3 * (statNumber(line.baseOnBalls) + statNumber(line.hitByPitch)) -
+    2 * statNumber(line.strikeOuts);
+  return raw * 3 / outs + (context.fipConstant ?? FALLBACK_FIP_CONSTANT);
+}
+
+// Only used when league totals can't be loaded; roughly the modern average
+const FALLBACK_FIP_CONSTANT = 3.1;
 
 // Stat Types Configuration
+// isRate: reported as a decimal rather than a count
+// components: stat line fields a derived stat needs (used to trim bulk requests)
+// derive: compute the stat from a stat line's components
+// needsLeagueContext: derive also needs season league totals (passed as its second argument)
+// note: caveat shown with the stat's name (e.g. an approximated input)
 export const STAT_TYPES = {
   // Batting Stats
   homeRuns: {
@@ -48,9 +148,95 @@ export const STAT_TYPES = {
     label: 'Batting Average',
     abbr: 'AVG',
     apiParam: 'battingAverage',
+    statField: 'avg',
     category: 'hitting',
     color: 'red',
-    format: (val) => val.toFixed(3)
+    format: (val) => val.toFixed(3),
+    isRate: true
+  },
+  onBasePercentage: {
+    key: 'onBasePercentage',
+    label: 'On-Base Percentage',
+    abbr: 'OBP',
+    apiParam: 'onBasePercentage',
+    statField: 'obp',
+    category: 'hitting',
+    color: 'teal',
+    format: (val) => val.toFixed(3),
+    isRate: true,
+    components: OBP_COMPONENTS,
+    derive: deriveOnBasePercentage
+  },
+  sluggingPercentage: {
+    key: 'sluggingPercentage',
+    label: 'Slugging Percentage',
+    abbr: 'SLG',
+    apiParam: 'sluggingPercentage',
+    statField: 'slg',
+    category: 'hitting',
+    color: 'indigo',
+    format: (val) => val.toFixed(3),
+    isRate: true,
+    components: SLG_COMPONENTS,
+    derive: deriveSluggingPercentage
+  },
+  onBasePlusSlugging: {
+    key: 'onBasePlusSlugging',
+    label: 'On-Base Plus Slugging',
+    abbr: 'OPS',
+    apiParam: 'onBasePlusSlugging',
+    statField: 'ops',
+    category: 'hitting',
+    color: 'pink',
+    format: (val) => val.toFixed(3),
+    isRate: true,
+    components: [...OBP_COMPONENTS, ...SLG_COMPONENTS],
+    derive: (line) => deriveOnBasePercentage(line) + deriveSluggingPercentage(line)
+  },
+  isolatedPower: {
+    key: 'isolatedPower',
+    label: 'Isolated Power',
+    abbr: 'ISO',
+    category: 'hitting',
+    color: 'amber',
+    format: (val) => val.toFixed(3),
+    isRate: true,
+    components: ['totalBases', 'hits', 'atBats'],
+    derive: (line) => ratio(statNumber(line.totalBases) - statNumber(line.hits), line.atBats)
+  },
+  walkRate: {
+    key: 'walkRate',
+    label: 'Walk Rate',
+    abbr: 'BB%',
+    category: 'hitting',
+    color: 'cyan',
+    format: (val) => `${(val * 100).toFixed(1)}%`,
+    isRate: true,
+    components: ['baseOnBalls', 'plateAppearances'],
+    derive: (line) => ratio(line.baseOnBalls, line.plateAppearances)
+  },
+  strikeoutRate: {
+    key: 'strikeoutRate',
+    label: 'Strikeout Rate',
+    abbr: 'K%',
+    category: 'hitting',
+    color: 'lime',
+    format: (val) => `${(val * 100).toFixed(1)}%`,
+    isRate: true,
+    lowerIsBetter: true,
+    components: ['strikeOuts', 'plateAppearances'],
+    derive: (line) => ratio(line.strikeOuts, line.plateAppearances)
+  },
+  weightedOnBase: {
+    key: 'weightedOnBase',
+    label: 'Weighted On-Base Average (modern weights)',
+    abbr: 'wOBA',
+    category: 'hitting',
+    color: 'violet',
+    format: (val) => val.toFixed(3),
+    isRate: true,
+    components: ['baseOnBalls', 'intentionalWalks', 'hitByPitch', 'hits', 'doubles', 'triples', 'homeRuns', 'atBats', 'sacFlies'],
+    derive: deriveWeightedOnBase
   },
   // Pitching Stats
   earnedRunAverage: {
@@ -58,10 +244,12 @@ export const STAT_TYPES = {
     label: 'Earned Run Average',
     abbr: 'ERA',
     apiParam: 'earnedRunAverage',
+    statField: 'era',
     category: 'pitching',
     color: 'blue',
     format: (val) => val.toFixed(2),
-    lowerIsBetter: true
+    lowerIsBetter: true,
+    isRate: true
   },
   strikeouts: {
     key: 'strikeouts',
@@ -98,7 +286,83 @@ export const STAT_TYPES = {
     category: 'pitching',
     color: 'red',
     format: (val) => val.toFixed(3),
-    lowerIsBetter: true
+    lowerIsBetter: true,
+    isRate: true
+  },
+  fip: {
+    key: 'fip',
+    label: 'Fielding Independent Pitching',
+    abbr: 'FIP',
+    category: 'pitching',
+    color: 'teal',
+    format: (val) => val.toFixed(2),
+    lowerIsBetter: true,
+    isRate: true,
+    needsLeagueContext: true,
+    components: ['homeRuns', 'baseOnBalls', 'hitByPitch', 'strikeOuts', 'inningsPitched', 'outs'],
+    derive: deriveFip
+  },
+  homeRunsPerFlyBall: {
+    key: 'homeRunsPerFlyBall',
+    label: 'Home Runs per Fly Ball (approx.)',
+    abbr: 'HR/FB',
+    note: 'Approximation: air outs stand in for fly balls, so line-drive and pop-up outs count too',
+    category: 'pitching',
+    color: 'amber',
+    format: (val) => `${(val * 100).toFixed(1)}%`,
+    lowerIsBetter: true,
+    isRate: true,
+    components: ['homeRuns', 'airOuts'],
+    derive: (line) => ratio(line.homeRuns, statNumber(line.airOuts) + statNumber(line.homeRuns))
+  },
+  strikeoutsPer9: {
+    key: 'strikeoutsPer9',
+    label: 'Strikeouts per 9',
+    abbr: 'K/9',
+    apiParam: 'strikeoutsPer9Inn',
+    category: 'pitching',
+    color: 'indigo',
+    format: (val) => val.toFixed(2),
+    isRate: true,
+    components: ['strikeOuts', 'inningsPitched', 'outs'],
+    derive: (line) => perNine(line, 'strikeOuts')
+  },
+  walksPer9: {
+    key: 'walksPer9',
+    label: 'Walks per 9',
+    abbr: 'BB/9',
+    apiParam: 'walksPer9Inn',
+    category: 'pitching',
+    color: 'cyan',
+    format: (val) => val.toFixed(2),
+    lowerIsBetter: true,
+    isRate: true,
+    components: ['baseOnBalls', 'inningsPitched', 'outs'],
+    derive: (line) => perNine(line, 'baseOnBalls')
+  },
+  homeRunsPer9: {
+    key: 'homeRunsPer9',
+    label: 'Home Runs per 9',
+    abbr: 'HR/9',
+    apiParam: 'homeRunsPer9',
+    category: 'pitching',
+    color: 'pink',
+    format: (val) => val.toFixed(2),
+    lowerIsBetter: true,
+    isRate: true,
+    components: ['homeRuns', 'inningsPitched', 'outs'],
+    derive: (line) => perNine(line, 'homeRuns')
+  },
+  strikeoutMinusWalkRate: {
+    key: 'strikeoutMinusWalkRate',
+    label: 'Strikeout Minus Walk Rate',
+    abbr: 'K-BB%',
+    category: 'pitching',
+    color: 'violet',
+    format: (val) => `${(val * 100).toFixed(1)}%`,
+    isRate: true,
+    components: ['strikeOuts', 'baseOnBalls', 'battersFaced'],
+    derive: (line) => ratio(statNumber(line.strikeOuts) - statNumber(line.baseOnBalls), line.battersFaced)
   }
 };
 
@@ -113,6 +377,266 @@ const TEAM_ABBREVIATIONS = {
   144: 'ATL', 145: 'CWS', 146: 'MIA', 147: 'NYY', 158: 'MIL'
 };
 
+// Current club names for the team picker (IDs are stable across relocations)
+const TEAM_NAMES = {
+  108: 'Los Angeles Angels', 109: 'Arizona Diamondbacks', 110: 'Baltimore Orioles',
+  111: 'Boston Red Sox', 112: 'Chicago Cubs', 113: 'Cincinnati Reds',
+  114: 'Cleveland Guardians', 115: 'Colorado Rockies', 116: 'Detroit Tigers',
+  117: 'Houston Astros', 118: 'Kansas City Royals', 119: 'Los Angeles Dodgers',
+  120: 'Washington Nationals', 121: 'New York Mets', 133: 'Athletics',
+  134: 'Pittsburgh Pirates', 135: 'San Diego Padres', 136: 'Seattle Mariners',
+  137: 'San Francisco Giants', 138: 'St. Louis Cardinals', 139: 'Tampa Bay Rays',
+  140: 'Texas Rangers', 141: 'Toronto Blue Jays', 142: 'Minnesota Twins',
+  143: 'Philadelphia Phillies', 144: 'Atlanta Braves', 145: 'Chicago White Sox',
+  146: 'Miami Marlins', 147: 'New York Yankees', 158: 'Milwaukee Brewers'
+};
+
+// League ID to Abbreviation mapping
+const LEAGUE_ABBREVIATIONS = {
+  103: 'AL',
+  104: 'NL'
+};
+
+// League filters offered in the UI ('MLB' means both leagues)
+// Historical leagues have no Stats API ID: their records come from the historical dataset
+// (historicalData.js). MLB doesn't count the National Association as a major league, so its
+// seasons only appear on its own board
+export const LEAGUES = {
+  MLB: { key: 'MLB', label: 'MLB', leagueId: null },
+  AL: { key: 'AL', label: 'American League', leagueId: 103 },
+  NL: { key: 'NL', label: 'National League', leagueId: 104 },
+  AA: { key: 'AA', label: 'American Association', leagueId: null, historical: true },
+  UA: { key: 'UA', label: 'Union Association', leagueId: null, historical: true },
+  PL: { key: 'PL', label: "Players' League", leagueId: null, historical: true },
+  FL: { key: 'FL', label: 'Federal League', leagueId: null, historical: true },
+  NA: { key: 'NA', label: 'National Association', leagueId: null, historical: true, unofficial: true }
+};
+
+// Era filters for single-season records (seasons from..to, inclusive)
+export const ERAS = {
+  all: { key: 'all', label: 'All Eras', from: null, to: null },
+  nineteenthCentury: { key: 'nineteenthCentury', label: '19th Century', from: null, to: 1900 },
+  deadBall: { key: 'deadBall', label: 'Dead Ball Era', from: 1901, to: 1919 },
+  liveBall: { key: 'liveBall', label: 'Live Ball Era', from: 1920, to: 1960 },
+  expansion: { key: 'expansion', label: 'Expansion Era', from: 1961, to: 1992 },
+  contemporary: { key: 'contemporary', label: 'Contemporary Era', from: 1993, to: 2005 },
+  recent: { key: 'recent', label: '2006-2019', from: 2006, to: 2019 },
+  modern: { key: 'modern', label: 'Modern Era', from: 2020, to: null }
+};
+
+// Record board depths offered in the UI
+export const HISTORICAL_DEPTHS = [10, 50, 100];
+
+// Situational splits, keyed by Stats API sitCode (see /api/v1/situationCodes)
+// vl/vr are the opposing player's hand: pitcher for batters, batter for pitchers
+export const SPLIT_GROUPS = {
+  homeAway: { key: 'homeAway', label: 'Home/Away' },
+  platoon: { key: 'platoon', label: 'Left/Right' },
+  dayNight: { key: 'dayNight', label: 'Day/Night' },
+  month: { key: 'month', label: 'By Month' },
+  count: { key: 'count', label: 'By Count' }
+};
+
+const COUNT_CODES = ['00', '01', '02', '10', '11', '12', '20', '21', '22', '30', '31', '32'];
+const MONTH_NAMES = ['March', 'April', 'May', 'June', 'July', 'August', 'September', 'October'];
+
+export const STAT_SPLITS = {
+  h: { code: 'h', group: 'homeAway', label: 'Home' },
+  a: { code: 'a', group: 'homeAway', label: 'Away' },
+  vl: { code: 'vl', group: 'platoon', label: 'vs LHP', pitchingLabel: 'vs LHB' },
+  vr: { code: 'vr', group: 'platoon', label: 'vs RHP', pitchingLabel: 'vs RHB' },
+  d: { code: 'd', group: 'dayNight', label: 'Day' },
+  n: { code: 'n', group: 'dayNight', label: 'Night' },
+  ...Object.fromEntries(MONTH_NAMES.map((name, i) => [
+    String(i + 3),
+    { code: String(i + 3), group: 'month', label: name }
+  ])),
+  ...Object.fromEntries(COUNT_CODES.map(count => [
+    `c${count}`,
+    { code: `c${count}`, group: 'count', label: `${count[0]}-${count[1]} Count` }
+  ]))
+};
+
+/**
+ * Display label for a split, e.g. "vs LHP" for batters and "vs LHB" for pitchers
+ */
+export function getSplitLabel(code, category = 'hitting') {
+  const split = STAT_SPLITS[code];
+  if (!split) return code;
+  return category === 'pitching' && split.pitchingLabel ? split.pitchingLabel : split.label;
+}
+
+/**
+ * Get all 30 MLB clubs for team pickers, sorted by name
+ * @returns {{id: number, abbr: string, name: string}[]}
+ */
+export function getTeams() {
+  return Object.entries(TEAM_NAMES)
+    .map(([id, name]) => ({ id: Number(id), abbr: TEAM_ABBREVIATIONS[id], name }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get every level of play for the level picker: MLB and the minors first, then the other
+ * active sports the API exposes (cached for a week)
+ * @returns {Promise<{id: number, label: string, abbr: string}[]>}
+ */
+export async function getSportLevels() {
+  const sports = await cachedFetch('sport_levels', async () => {
+    try {
+      const data = await fetchJson(`${BASE_URL}/sports?fields=sports,id,name,abbreviation,activeStatus`);
+      return (data.sports || [])
+        .filter(sport => sport.activeStatus)
+        .map(sport => ({ id: sport.id, label: sport.name, abbr: sport.abbreviation || sport.name }));
+    } catch (error) {
+      console.error('Error fetching sport levels:', error);
+      return [];
+    }
+  }, 7 * 24 * 60 * 60 * 1000);
+
+  registerSportLevels(sports || []);
+  return [...Object.values(SPORT_LEVELS), ...(sports || []).filter(sport => !SPORT_LEVELS[sport.id])];
+}
+
+/**
+ * Build the leagueId query fragment for a league filter
+ */
+function leagueParam(league) {
+  const leagueId = LEAGUES[league]?.leagueId;
+  return leagueId ? `&leagueId=${leagueId}` : '';
+}
+
+/**
+ * Get the league abbreviation for an API league object
+ */
+function getLeagueAbbr(league) {
+  return LEAGUE_ABBREVIATIONS[league?.id] || league?.abbreviation || 'MLB';
+}
+
+/**
+ * Get the team abbreviation for an API team object
+ */
+function getTeamAbbr(team) {
+  return TEAM_ABBREVIATIONS[team?.id] || team?.name?.substring(0, 3).toUpperCase();
+}
+
+/**
+ * Read a stat type's value from a Stats API stat line (e.g. split.stat)
+ * @param {Object} statLine - Raw stat line from the API
+ * @param {string} statType - The stat type key
+ * @returns {number} Parsed stat value
+ */
+function getStatLineValue(statLine, statType, context = {}) {
+  const stat = STAT_TYPES[statType];
+  const raw = statLine?.[stat.statField || stat.apiParam];
+  if ((raw === undefined || raw === null) && stat.derive) {
+    return stat.derive(statLine || {}, context);
+  }
+  return parseStatValue(raw, statType);
+}
+
+/**
+ * Convert innings pitched in baseball notation ("45.2") to outs
+ */
+export function inningsToOuts(inningsPitched) {
+  const [whole, partial = '0'] = String(inningsPitched || 0).split('.');
+  return parseInt(whole || 0) * 3 + parseInt(partial);
+}
+
+/**
+ * Convert outs back to innings pitched in baseball notation
+ */
+function outsToInnings(outs) {
+  return `${Math.floor(outs / 3)}.${outs % 3}`;
+}
+
+/**
+ * Combine several stat lines (e.g. one per club after a trade) into one
+ * Counting stats are summed and rate stats are recomputed from their components
+ * @param {Object[]} lines - Raw stat lines from the API
+ * @returns {Object} Combined stat line
+ */
+export function combineStatLines(lines) {
+  if (lines.length === 1) return lines[0];
+
+  const combined = {};
+  lines.forEach(line => {
+    Object.entries(line || {}).forEach(([field, value]) => {
+      if (typeof value === 'number') {
+        combined[field] = (combined[field] || 0) + value;
+      }
+    });
+  });
+
+  // Rates stay unrounded: combined lines feed rolling windows and league totals, and STAT_TYPES formats them
+  const outs = lines.reduce((sum, line) => sum + inningsToOuts(line?.inningsPitched), 0);
+  if (combined.atBats) {
+    combined.avg = combined.hits / combined.atBats;
+    combined.obp = deriveOnBasePercentage(combined);
+    combined.slg = deriveSluggingPercentage(combined);
+    combined.ops = combined.obp + combined.slg;
+  }
+  if (outs > 0) {
+    combined.inningsPitched = outsToInnings(outs);
+    combined.era = (combined.earnedRuns || 0) * 27 / outs;
+    combined.whip = ((combined.baseOnBalls || 0) + (combined.hits || 0)) * 3 / outs;
+  }
+  return combined;
+}
+
+/**
+ * Playing time in a stat line: plate appearances for hitters, true innings for pitchers
+ * @param {Object} statLine - Raw stat line from the API
+ * @param {string} category - 'hitting' or 'pitching'
+ */
+function getPlayingTime(statLine, category) {
+  return category === 'pitching'
+    ? inningsToOuts(statLine?.inningsPitched) / 3
+    : statNumber(statLine?.plateAppearances);
+}
+
+/**
+ * Cache key suffix for a stat's results under the active qualification rule
+ * Counting stats ignore qualification, so their caches are shared across rules
+ */
+function qualificationSuffix(statType) {
+  return STAT_TYPES[statType]?.isRate ? getQualificationKey() : '';
+}
+
+/**
+ * Check one stat line against the active qualification rule
+ * @param {Object} statLine - Raw stat line from the API
+ * @param {string} category - 'hitting' or 'pitching'
+ * @param {number} teamId - The player's club that season
+ * @param {{byTeam: Object, max: number}|null} teamGames - From getTeamGamesPlayed
+ */
+function isStatLineQualified(statLine, category, teamId, teamGames) {
+  const games = teamGames ? (teamGames.byTeam[teamId] || teamGames.max) : null;
+  return isQualified(getPlayingTime(statLine, category), category, games);
+}
+
+/**
+ * Sort records by stat value, honoring lowerIsBetter
+ */
+function sortByStatValue(records, statType) {
+  const stat = STAT_TYPES[statType];
+  return [...records].sort((a, b) =>
+    stat.lowerIsBetter ? a.statValue - b.statValue : b.statValue - a.statValue
+  );
+}
+
+/**
+ * Parse a raw API stat value into a number
+ * @param {string|number} value - Raw value from the API
+ * @param {string} statType - The stat type key
+ * @returns {number} Parsed stat value
+ */
+function parseStatValue(value, statType) {
+  return STAT_TYPES[statType]?.isRate
+    ? parseFloat(value || 0)
+    : parseInt(value || 0);
+}
+
 /**
  * Format stat value based on stat type
  * @param {number} value - The stat value
@@ -128,8 +652,13 @@ export function formatStatValue(value, statType) {
 /**
  * Get the current baseball season year
  * If current month is Jan-Apr, use previous year (offseason)
+ * A season pinned in the data source config (VITE_DATA_SEASON) takes precedence
  */
 export function getCurrentBaseballSeason() {
+  // Replay fixtures are tied to the season they were recorded in
+  const pinnedSeason = getDataSourceConfig().season;
+  if (pinnedSeason) return pinnedSeason;
+
   const now = new Date();
   const year = now.getFullYear();
   const month = now.getMonth(); // 0-indexed (0 = January, 3 = April)
@@ -138,6 +667,20 @@ export function getCurrentBaseballSeason() {
   return month <= 3 ? year - 1 : year;
 }
 
+/**
+ * Get today's date as YYYY-MM-DD (local time)
+ * A date pinned in the data source config (VITE_DATA_DATE) takes precedence, so a
+ * recorded day of games can be replayed
+ */
+export function getCurrentDate() {
+  const pinnedDate = getDataSourceConfig().date;
+  if (pinnedDate) return pinnedDate;
+
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
 /**
  * Get array of last N baseball seasons
  */
@@ -154,33 +697,58 @@ export function getLastNSeasons(n = 10) {
  * Fetch season leaders for a given stat type
  * @param {number} season - The season year
  * @param {string} statType - The stat type key (e.g., 'homeRuns', 'rbi')
+ * @param {Object} options - Optional filters
+ * @param {number} [options.teamId] - Only include players on this club
+ * @param {string} [options.league] - 'AL' or 'NL' (omit or 'MLB' for both leagues)
+ * @param {string} [options.split] - Situational split sitCode from STAT_SPLITS (e.g. 'vl' for vs LHP)
+ * @param {string} [options.gameType] - Game type code (defaults to the active game type)
+ * @param {number} [options.sportId] - Level of play (defaults to the active level)
  */
-export async function getSeasonLeaders(season, statType = 'homeRuns') {
+export async function getSeasonLeaders(season, statType = 'homeRuns', options = {}) {
   const stat = STAT_TYPES[statType];
   if (!stat) {
     console.error(`Invalid stat type: ${statType}`);
     return [];
   }
 
-  return cachedFetch(`season_leaders_${season}_${statType}`, async () => {
+  const sportId = getSportLevel(options.sportId) ? options.sportId : getSportId();
+  // The AL/NL filter only applies to MLB
+  const league = sportId === MLB_SPORT_ID && LEAGUES[options.league]?.leagueId ? options.league : null;
+  const gameType = GAME_TYPES[options.gameType] ? options.gameType : getGameType();
+
+  if (STAT_SPLITS[options.split]) {
+    return getSplitSeasonLeaders(season, statType, options.split, { teamId: options.teamId, league, gameType, sportId });
+  }
+
+  if (options.teamId) {
+    return getTeamSeasonLeaders(season, statType, options.teamId, gameType, sportId);
+  }
+
+  const scopeKey = `${qualificationSuffix(statType)}${getGameTypeKey(gameType)}${getSportKey(sportId)}`;
+  const cacheKey = league
+    ? `season_leaders_${season}_${statType}_${league}${scopeKey}`
+    : `season_leaders_${season}_${statType}${scopeKey}`;
+
+  return cachedFetch(cacheKey, async () => {
     try {
-      const response = await fetch(
-        `${BASE_URL}/stats/leaders?leaderCategories=${stat.apiParam}&season=${season}&statGroup=${stat.category}&limit=16&leaderGameTypes=R&sportId=1`
+      // Derived stats have no leader category, and the leaders endpoint only knows the standard
+      // qualification rule; in both cases rank the qualified players' stat lines instead
+      if (!stat.apiParam || (stat.isRate && !isStandardQualification())) {
+        const records = await getQualifiedSeasonRecords(season, statType, league, gameType, sportId);
+        return sortByStatValue(records, statType).slice(0, 16);
+      }
+
+      const data = await fetchJson(
+        `${BASE_URL}/stats/leaders?leaderCategories=${stat.apiParam}&season=${season}&statGroup=${stat.category}&limit=16&leaderGameTypes=${gameType}&sportId=${sportId}${leagueParam(league)}`
       );
-      const data = await response.json();
     
     if (!data.leagueLeaders?.[0]?.leaders) return [];
     
     return data.leagueLeaders[0].leaders.map(leader => {
       // Use team ID mapping for accurate abbreviations (NYY, NYM, etc.)
-      const teamAbbr = TEAM_ABBREVIATIONS[leader.team?.id] || 
-                       leader.team?.name?.substring(0, 3).toUpperCase();
+      const teamAbbr = getTeamAbbr(leader.team);
       
-      // Use parseFloat for decimal stats, parseInt for counting stats
-      const needsDecimal = ['battingAverage', 'earnedRunAverage', 'whip'].includes(statType);
-      const statValue = needsDecimal 
-        ? parseFloat(leader.value) 
-        : parseInt(leader.value);
+      const statValue = parseStatValue(leader.value, statType);
       
       return {
         player: leader.person.fullName,
@@ -191,7 +759,7 @@ export async function getSeasonLeaders(season, statType = 'homeRuns') {
         statType: stat,
         // Keep legacy 'hr' field for backwards compatibility
         hr: statType === 'homeRuns' ? statValue : undefined,
-        league: leader.league?.abbreviation || 'MLB'
+        league: getLeagueAbbr(leader.league)
       };
     });
     } catch (error) {
@@ -202,93 +770,711 @@ export async function getSeasonLeaders(season, statType = 'homeRuns') {
 }
 
 /**
- * Fetch multiple seasons of leaders (parallelized)
- * @param {number[]} seasons - Array of season years
+ * Fetch season leaders within a situational split (cached)
+ * Rate stats only rank players who qualify on their full-season playing time under the active rule
+ * @param {number} season - The season year
  * @param {string} statType - The stat type key
+ * @param {string} split - sitCode from STAT_SPLITS
+ * @param {{teamId?: number, league?: string|null, gameType?: string, sportId?: number}} options - Club or league filter, game type and level
  */
-export async function getMultipleSeasonLeaders(seasons = null, statType = 'homeRuns') {
-  // If no seasons provided, get last 4 seasons
-  const seasonsToFetch = seasons || getLastNSeasons(4);
-  
-  // Fetch all seasons in parallel
-  const leadersPromises = seasonsToFetch.map(season => 
-    getSeasonLeaders(season, statType).then(leaders => ({ season, leaders }))
-  );
-  
-  const leadersResults = await Promise.all(leadersPromises);
-  
-  const results = {};
-  leadersResults.forEach(({ season, leaders }) => {
-    if (leaders.length > 0) {
-      results[season] = leaders.slice(0, 16); // Top 16 per season
+async function getSplitSeasonLeaders(season, statType, split, { teamId = null, league = null, gameType = 'R', sportId = MLB_SPORT_ID } = {}) {
+  const stat = STAT_TYPES[statType];
+  const scope = teamId ? `_team${teamId}` : league ? `_${league}` : '';
+  const statFields = [stat.statField || stat.apiParam, ...(stat.components || [])].filter(Boolean);
+  const fields = ['stats', 'splits', 'player', 'team', 'league', 'id', 'fullName', 'name', 'stat', ...new Set(statFields)];
+
+  return cachedFetch(`split_leaders_${season}_${statType}_${split}${scope}${qualificationSuffix(statType)}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
+    try {
+      const [data, context, qualified] = await Promise.all([
+        fetchJson(
+          `${BASE_URL}/stats?stats=statSplits&sitCodes=${split}&group=${stat.category}&season=${season}&playerPool=ALL&limit=2000&gameType=${gameType}&sportId=${sportId}${leagueParam(league)}${teamId ? `&teamId=${teamId}` : ''}&fields=${fields.join(',')}`
+        ),
+        getStatContext(season, statType, sportId),
+        stat.isRate
+          ? getQualifiedSeasonRecords(season, statType, league, gameType, sportId).then(records => new Set(records.map(record => record.personId)))
+          : null
+      ]);
+
+      // Traded players get one split per club; combine them
+      const byPlayer = new Map();
+      (data.stats?.[0]?.splits || []).forEach(row => {
+        if (!row.player || (qualified && !qualified.has(row.player.id))) return;
+        if (!byPlayer.has(row.player.id)) byPlayer.set(row.player.id, []);
+        byPlayer.get(row.player.id).push(row);
+      });
+
+      const records = Array.from(byPlayer.values()).map(rows => {
+        const latest = rows[rows.length - 1];
+        const line = rows.length > 1 ? combineStatLines(rows.map(row => row.stat)) : latest.stat;
+        const statValue = getStatLineValue(line, statType, context);
+        return {
+          player: latest.player.fullName,
+          personId: latest.player.id,
+          team: getTeamAbbr(latest.team),
+          teamId: latest.team?.id,
+          statValue,
+          statType: stat,
+          // Keep legacy 'hr' field for backwards compatibility
+          hr: statType === 'homeRuns' ? statValue : undefined,
+          league: getLeagueAbbr(latest.league),
+          split
+        };
+      });
+
+      return sortByStatValue(records, statType).slice(0, 16);
+    } catch (error) {
+      console.error(`Error fetching ${season} ${split} split leaders:`, error);
+      return [];
     }
   });
-  
-  return results;
 }
 
 /**
- * Get top players dynamically from the past N seasons (parallelized & cached)
- * Returns array of {name, id, totalStat} sorted by total stat value
- * @param {number} numSeasons - Number of seasons to analyze
- * @param {number} limit - Number of top players to return
- * @param {string} statType - The stat type key
+ * Fetch a player's situational splits for a season (cached), for the selected game type and level
+ * @param {number} personId - Player ID
+ * @param {number} season - The season year
+ * @param {string} group - 'hitting' or 'pitching'
+ * @returns {Promise<{code: string, label: string, group: string, line: Object, values: Object}[]>}
+ *   One entry per split the player has, in STAT_SPLITS order; values are keyed by stat type
  */
-export async function getTopPlayersFromSeasons(numSeasons = 10, limit = 20, statType = 'homeRuns') {
-  return cachedFetch(`top_players_${numSeasons}_${limit}_${statType}`, async () => {
+export async function getPlayerSplits(personId, season, group = 'hitting') {
+  // Finished seasons never change
+  const ttl = season < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : undefined;
+  const codes = Object.keys(STAT_SPLITS);
+  const gameType = getGameType();
+  const sportId = getSportId();
+
+  // Only raw lines are cached, so custom stats added later still get values
+  const lines = await cachedFetch(`player_splits_${personId}_${season}_${group}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
     try {
-      const seasons = getLastNSeasons(numSeasons);
-      const playerMap = new Map();
-      
-      // Fetch all season leaders in parallel
-      const leadersPromises = seasons.map(season => getSeasonLeaders(season, statType));
-      const allLeaders = await Promise.all(leadersPromises);
-      
-      // Aggregate players and their stats
-      allLeaders.forEach((leaders, idx) => {
-        const season = seasons[idx];
-        leaders.forEach(leader => {
-          const existingPlayer = playerMap.get(leader.player);
-          if (existingPlayer) {
-            existingPlayer.totalStat += leader.statValue;
-            existingPlayer.appearances += 1;
-            existingPlayer.seasons.push(season);
-            existingPlayer.id = existingPlayer.id || leader.personId;
-          } else {
-            playerMap.set(leader.player, {
-              name: leader.player,
-              id: leader.personId,
-              totalStat: leader.statValue,
-              appearances: 1,
-              seasons: [season]
-            });
-          }
-        });
-      });
-      
-      // Convert to array and sort by total stat value
-      const sortedPlayers = Array.from(playerMap.values())
-        .filter(p => p.id) // Only include players with IDs
-        .sort((a, b) => b.totalStat - a.totalStat)
-        .slice(0, limit);
-      
-      return sortedPlayers;
+      const data = await fetchJson(
+        `${BASE_URL}/people/${personId}/stats?stats=statSplits&group=${group}&season=${season}&sitCodes=${codes.join(',')}&gameType=${gameType}&sportId=${sportId}`
+      );
+      return (data.stats?.[0]?.splits || [])
+        .filter(row => STAT_SPLITS[row.split?.code])
+        .map(row => ({ code: row.split.code, line: row.stat }));
     } catch (error) {
-      console.error('Error fetching top players:', error);
+      console.error(`Error fetching splits for ${personId}:`, error);
       return [];
     }
-  });
+  }, ttl);
+
+  const context = group === 'pitching' ? await getStatContext(season, 'fip', sportId) : {};
+  const statTypes = Object.keys(STAT_TYPES).filter(key => STAT_TYPES[key].category === group);
+  return lines
+    .sort((a, b) => codes.indexOf(a.code) - codes.indexOf(b.code))
+    .map(({ code, line }) => ({
+      code,
+      label: getSplitLabel(code, group),
+      group: STAT_SPLITS[code].group,
+      line,
+      values: Object.fromEntries(statTypes.map(key => [key, getStatLineValue(line, key, context)]))
+    }));
 }
 
 /**
- * Get player ID by name from a specific season
+ * Fetch every qualified player's stat line for a season as leaderboard records (not cached)
+ * Rate stats use the API's qualified pool under the standard rule, or every player filtered by
+ * the custom minimums; counting stats use every player
+ * Requests are trimmed to the fields the stat needs, so whole-history scans stay small
+ * @param {number} season - The season year
+ * @param {string} statType - The stat type key
+ * @param {string|null} league - 'AL', 'NL' or null for both leagues
+ * @param {string} gameType - Game type code
+ * @param {number} sportId - Level of play
  */
-async function getPlayerIdByName(playerName, season) {
-  try {
-    const response = await fetch(
-      `${BASE_URL}/stats/leaders?leaderCategories=homeRuns&season=${season}&statGroup=hitting&limit=50&leaderGameTypes=R&sportId=1`
+async function getQualifiedSeasonRecords(season, statType, league = null, gameType = 'R', sportId = MLB_SPORT_ID) {
+  const stat = STAT_TYPES[statType];
+  const playingTimeField = PLAYING_TIME[stat.category].field;
+  const statFields = [stat.statField || stat.apiParam, ...(stat.components || []), playingTimeField].filter(Boolean);
+  const fields = ['stats', 'splits', 'season', 'player', 'team', 'league', 'id', 'fullName', 'name', 'stat', ...new Set(statFields)];
+  const useQualifiedPool = stat.isRate && isStandardQualification();
+
+  const [data, context] = await Promise.all([
+    fetchJson(
+      `${BASE_URL}/stats?stats=season&group=${stat.category}&season=${season}&playerPool=${useQualifiedPool ? 'QUALIFIED' : 'ALL'}&limit=2000&gameType=${gameType}&sportId=${sportId}${leagueParam(league)}&fields=${fields.join(',')}`
+    ),
+    getStatContext(season, statType, sportId)
+  ]);
+
+  return (data.stats?.[0]?.splits || [])
+    // Custom minimums don't depend on team games, so no lookup is needed here
+    .filter(split => !stat.isRate || useQualifiedPool || isStatLineQualified(split.stat, stat.category, null, null))
+    .map(split => {
+      const statValue = getStatLineValue(split.stat, statType, context);
+      return {
+        player: split.player.fullName,
+        personId: split.player.id,
+        team: getTeamAbbr(split.team),
+        teamId: split.team?.id,
+        statValue,
+        statType: stat,
+        // Keep legacy 'hr' field for backwards compatibility
+        hr: statType === 'homeRuns' ? statValue : undefined,
+        league: getLeagueAbbr(split.league),
+        year: parseInt(split.season) || season
+      };
+    });
+}
+
+/**
+ * Fetch the top players on one club for a season (cached)
+ * Uses the full team stat lines so any stat can be ranked locally
+ * @param {number} season - The season year
+ * @param {string} statType - The stat type key
+ * @param {number} teamId - Team ID
+ * @param {string} gameType - Game type code
+ * @param {number} sportId - Level of play
+ */
+async function getTeamSeasonLeaders(season, statType, teamId, gameType = 'R', sportId = MLB_SPORT_ID) {
+  const stat = STAT_TYPES[statType];
+
+  return cachedFetch(`team_leaders_${teamId}_${season}_${statType}${qualificationSuffix(statType)}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
+    try {
+      const [data, context, teamGames] = await Promise.all([
+        fetchJson(
+          `${BASE_URL}/stats?stats=season&group=${stat.category}&season=${season}&teamId=${teamId}&playerPool=ALL&limit=100&gameType=${gameType}&sportId=${sportId}`
+        ),
+        getStatContext(season, statType, sportId),
+        stat.isRate ? getTeamGamesPlayed(season, gameType, sportId) : null
+      ]);
+
+      const splits = data.stats?.[0]?.splits || [];
+
+      const records = splits
+        // Rate-stat boards only rank qualified players (no 2-for-3 September call-ups)
+        .filter(split => !stat.isRate || isStatLineQualified(split.stat, stat.category, teamId, teamGames))
+        .map(split => {
+          const statValue = getStatLineValue(split.stat, statType, context);
+          return {
+            player: split.player.fullName,
+            personId: split.player.id,
+            team: getTeamAbbr(split.team) || TEAM_ABBREVIATIONS[teamId],
+            teamId,
+            statValue,
+            statType: stat,
+            // Keep legacy 'hr' field for backwards compatibility
+            hr: statType === 'homeRuns' ? statValue : undefined,
+            league: getLeagueAbbr(split.league)
+          };
+        });
+
+      return sortByStatValue(records, statType).slice(0, 16);
+    } catch (error) {
+      console.error(`Error fetching ${season} team leaders for ${teamId}:`, error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Rank all clubs by their team total for a stat in one season (cached)
+ * @param {number} season - The season year
+ * @param {string} statType - The stat type key
+ * @returns {Promise<Object[]>} Team records sorted best to worst
+ */
+export async function getTeamRankings(season, statType = 'homeRuns') {
+  const stat = STAT_TYPES[statType];
+  if (!stat) {
+    console.error(`Invalid stat type: ${statType}`);
+    return [];
+  }
+
+  const gameType = getGameType();
+  const sportId = getSportId();
+
+  return cachedFetch(`team_rankings_${season}_${statType}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
+    try {
+      const [data, context] = await Promise.all([
+        fetchJson(
+          `${BASE_URL}/teams/stats?stats=season&group=${stat.category}&season=${season}&gameType=${gameType}&sportIds=${sportId}`
+        ),
+        getStatContext(season, statType, sportId)
+      ]);
+
+      const records = (data.stats?.[0]?.splits || []).map(split => ({
+        team: getTeamAbbr(split.team),
+        teamId: split.team?.id,
+        teamName: split.team?.name,
+        statValue: getStatLineValue(split.stat, statType, context),
+        statType: stat,
+        gamesPlayed: split.stat?.gamesPlayed
+      }));
+
+      return sortByStatValue(records, statType).map((record, index) => ({
+        ...record,
+        rank: index + 1
+      }));
+    } catch (error) {
+      console.error(`Error fetching ${season} team rankings:`, error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Sum every club's stat line into league-wide totals for a season (cached)
+ * Rate stats (ERA, AVG, ...) are recomputed from the summed components
+ * @param {number} season - The season year
+ * @param {string} group - 'hitting' or 'pitching'
+ * @param {number} sportId - Level of play (each level is its own run environment)
+ * @returns {Promise<Object|null>} Combined stat line, null on failure
+ */
+export async function getLeagueTotals(season, group = 'pitching', sportId = MLB_SPORT_ID) {
+  // Finished seasons never change
+  const ttl = season < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : undefined;
+
+  return cachedFetch(`league_totals_${season}_${group}${getSportKey(sportId)}`, async () => {
+    try {
+      const data = await fetchJson(
+        `${BASE_URL}/teams/stats?stats=season&group=${group}&season=${season}&gameType=R&sportIds=${sportId}`
+      );
+      const lines = (data.stats?.[0]?.splits || []).map(split => split.stat);
+      if (lines.length === 0) return null;
+      return combineStatLines(lines);
+    } catch (error) {
+      console.error(`Error fetching ${season} league totals:`, error);
+      return null;
+    }
+  }, ttl);
+}
+
+/**
+ * Games played by every club in a season, for per-team-game qualification (cached)
+ * @param {number} season - The season year
+ * @param {string} gameType - Game type code
+ * @param {number} sportId - Level of play
+ * @returns {Promise<{byTeam: Object<number, number>, max: number}|null>} null on failure
+ */
+export async function getTeamGamesPlayed(season, gameType = 'R', sportId = MLB_SPORT_ID) {
+  // Finished seasons never change
+  const ttl = season < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : undefined;
+
+  return cachedFetch(`team_games_${season}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
+    try {
+      const data = await fetchJson(
+        `${BASE_URL}/teams/stats?stats=season&group=pitching&season=${season}&gameType=${gameType}&sportIds=${sportId}&fields=stats,splits,team,id,stat,gamesPlayed`
+      );
+      const byTeam = {};
+      (data.stats?.[0]?.splits || []).forEach(split => {
+        if (split.team?.id) byTeam[split.team.id] = statNumber(split.stat?.gamesPlayed);
+      });
+      const games = Object.values(byTeam);
+      return games.length > 0 ? { byTeam, max: Math.max(...games) } : null;
+    } catch (error) {
+      console.error(`Error fetching ${season} team games:`, error);
+      return null;
+    }
+  }, ttl);
+}
+
+/**
+ * Compute the FIP constant that puts league FIP on the same scale as league ERA
+ * cFIP = lgERA - (13*lgHR + 3*(lgBB+lgHBP) - 2*lgK) / lgIP
+ * @param {Object} totals - League pitching totals from getLeagueTotals
+ * @returns {number|null} The constant, null if the totals are incomplete
+ */
+export function getFipConstant(totals) {
+  const outs = totals ? inningsToOuts(totals.inningsPitched) : 0;
+  if (outs === 0) return null;
+  const raw = 13 * statNumber(totals.homeRuns) +
+    3 * (statNumber(totals.baseOnBalls) + statNumber(totals.hitByPitch)) -
+    2 * statNumber(totals.strikeOuts);
+  return parseFloat(totals.era) - raw * 3 / outs;
+}
+
+/**
+ * Build the season context a derived stat needs (league constants), or {} if it needs none
+ * @param {number} season - The season year
+ * @param {string} statType - The stat type key
+ * @param {number} sportId - Level of play
+ */
+async function getStatContext(season, statType, sportId = MLB_SPORT_ID) {
+  if (!STAT_TYPES[statType]?.needsLeagueContext) return {};
+  const totals = await getLeagueTotals(season, 'pitching', sportId);
+  const fipConstant = getFipConstant(totals);
+  return fipConstant === null ? {} : { fipConstant };
+}
+
+// ---------------------------------------------------------------------------
+// Era-adjusted stats
+// Every stat indexed to its season's league average, 100 = average (HR+, AVG+, ERA+, ...).
+// Rate stats compare to the league rate; counting stats compare to what a league-average
+// player would total at that season's rate over a full-time season (3.1 PA / 1 IP per team
+// game), so short seasons and low-offense eras are both accounted for. No park factors.
+// ---------------------------------------------------------------------------
+
+/**
+ * Display label for a stat's era-adjusted index, e.g. 'HR+' or 'ERA+'
+ */
+export function getEraAdjustedLabel(statType) {
+  return `${STAT_TYPES[statType]?.abbr}+`;
+}
+
+/**
+ * One season's league-wide batting and pitching lines and schedule length (cached)
+ * Shared by every stat's era index, so a season is only fetched once whatever the stat
+ * @param {number} season - The season year
+ * @param {number} sportId - Level of play
+ * @returns {Promise<{hitting: Object|null, pitching: Object|null, teamGames: number|null}|null>}
+ *   null (and not cached) when neither line is available
+ */
+async function getLeagueAverages(season, sportId = MLB_SPORT_ID) {
+  // Finished seasons never change
+  const ttl = season < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : undefined;
+
+  return cachedFetch(`league_averages_${season}${getSportKey(sportId)}`, async () => {
+    const [hitting, pitching, teamGames] = await Promise.all([
+      getLeagueTotals(season, 'hitting', sportId),
+      getLeagueTotals(season, 'pitching', sportId),
+      getTeamGamesPlayed(season, 'R', sportId)
+    ]);
+    // A null result reads back as a cache miss, so a failed season is retried next time
+    if (!hitting && !pitching) return null;
+    return { hitting, pitching, teamGames: teamGames?.max ?? null };
+  }, ttl);
+}
+
+/**
+ * League-average value a stat is indexed against in one season (built from getLeagueAverages)
+ * @param {number} season - The season year
+ * @param {string} statType - The stat type key
+ * @param {number} sportId - Level of play
+ * @returns {Promise<number|null>} null when the season's league totals are unavailable
+ */
+async function getEraBaseline(season, statType, sportId = MLB_SPORT_ID) {
+  const stat = STAT_TYPES[statType];
+  const averages = await getLeagueAverages(season, sportId);
+  const totals = averages?.[stat.category];
+  if (!totals) return null;
+
+  const fipConstant = stat.needsLeagueContext ? getFipConstant(averages.pitching) : null;
+  const leagueValue = getStatLineValue(totals, statType, fipConstant === null ? {} : { fipConstant });
+  if (stat.isRate) return leagueValue || null;
+
+  const playingTime = getPlayingTime(totals, stat.category);
+  if (!playingTime || !averages.teamGames) return null;
+  return leagueValue / playingTime * PLAYING_TIME[stat.category].perTeamGame * averages.teamGames;
+}
+
+/**
+ * Index a value to a league-average baseline; higher is always better (ERA+ inverts ERA)
+ * @returns {number|null} Rounded index, null when it can't be computed
+ */
+export function getEraIndex(value, baseline, statType) {
+  if (!baseline || value === null || value === undefined) return null;
+  if (STAT_TYPES[statType]?.lowerIsBetter) {
+    return value > 0 ? Math.round(100 * baseline / value) : null;
+  }
+  return Math.round(100 * value / baseline);
+}
+
+/**
+ * Add an era-adjusted `adjustedValue` to leaderboard records or trajectory points
+ * Each record is indexed to its own season (`year`) and level (`sportId`) unless overridden
+ * @param {Object[]} records - Records with a statValue
+ * @param {string} statType - The stat type key
+ * @param {Object} options - Optional overrides
+ * @param {number} [options.season] - Season for every record (season leaderboards have no year)
+ * @param {number} [options.sportId] - Level for records without one (defaults to the active level)
+ * @returns {Promise<Object[]>} Copies of the records, in the same order
+ */
+export async function applyEraAdjustment(records, statType, options = {}) {
+  const defaultSportId = getSportLevel(options.sportId) ? options.sportId : getSportId();
+  const scopeOf = record => ({ season: options.season || record.year, sportId: record.sportId || defaultSportId });
+
+  const baselines = new Map();
+  await Promise.all(records.map(async record => {
+    const { season, sportId } = scopeOf(record);
+    const key = `${season}_${sportId}`;
+    if (!season || baselines.has(key)) return;
+    baselines.set(key, null); // Claim the key so each season is only looked up once
+    baselines.set(key, await getEraBaseline(season, statType, sportId));
+  }));
+
+  return records.map(record => {
+    const { season, sportId } = scopeOf(record);
+    return { ...record, adjustedValue: getEraIndex(record.statValue, baselines.get(`${season}_${sportId}`), statType) };
+  });
+}
+
+/**
+ * Sort records by adjusted value, best first; records without one go last
+ */
+export function sortByAdjustedValue(records) {
+  return [...records].sort((a, b) => (b.adjustedValue ?? -Infinity) - (a.adjustedValue ?? -Infinity));
+}
+
+/**
+ * Fetch multiple seasons of leaders (parallelized)
+ * @param {number[]} seasons - Array of season years
+ * @param {string} statType - The stat type key
+ * @param {Object} options - Filters passed through to getSeasonLeaders
+ */
+export async function getMultipleSeasonLeaders(seasons = null, statType = 'homeRuns', options = {}) {
+  // If no seasons provided, get last 4 seasons
+  const seasonsToFetch = seasons || getLastNSeasons(4);
+  
+  // Fetch all seasons in parallel
+  const leadersPromises = seasonsToFetch.map(season => 
+    getSeasonLeaders(season, statType, options).then(leaders => ({ season, leaders }))
+  );
+  
+  const leadersResults = await Promise.all(leadersPromises);
+  
+  const results = {};
+  leadersResults.forEach(({ season, leaders }) => {
+    if (leaders.length > 0) {
+      results[season] = leaders.slice(0, 16); // Top 16 per season
+    }
+  });
+  
+  return results;
+}
+
+// ---------------------------------------------------------------------------
+// Decade leaderboards
+// Each player's seasons in a decade combined into one line: counting stats are summed and rate
+// stats recomputed from the summed components (AVG = total H / total AB), so a full season
+// weighs more than a cup of coffee. Stats that need league context (FIP) use each season's own
+// constant, weighted by playing time
+// ---------------------------------------------------------------------------
+
+const DECADE_LEADERS_LIMIT = 25;
+
+// Components of API rate stats that don't declare them (needed to recompute multi-season lines)
+const RATE_STAT_COMPONENTS = {
+  battingAverage: ['hits', 'atBats'],
+  earnedRunAverage: ['earnedRuns', 'inningsPitched', 'outs'],
+  whip: ['hits', 'baseOnBalls', 'inningsPitched', 'outs']
+};
+
+/**
+ * Fetch every player's stat line for one season, traded players' clubs combined
+ * @param {number} season - The season year
+ * @param {string} statType - The stat type key
+ * @param {{teamId?: number|null, league?: string|null, split?: string|null, gameType?: string, sportId?: number}} options - Resolved filters
+ * @returns {Promise<Map<number, {player: string, personId: number, team: string, teamId: number, league: string, line: Object}>>} Keyed by personId
+ */
+async function getSeasonStatLines(season, statType, { teamId = null, league = null, split = null, gameType = 'R', sportId = MLB_SPORT_ID } = {}) {
+  const stat = STAT_TYPES[statType];
+  const statFields = [
+    stat.statField || stat.apiParam,
+    ...(stat.components || []),
+    ...(RATE_STAT_COMPONENTS[statType] || []),
+    PLAYING_TIME[stat.category].field
+  ].filter(Boolean);
+  const fields = ['stats', 'splits', 'player', 'team', 'league', 'id', 'fullName', 'name', 'stat', ...new Set(statFields)];
+
+  const data = await fetchJson(
+    `${BASE_URL}/stats?stats=${split ? `statSplits&sitCodes=${split}` : 'season'}&group=${stat.category}&season=${season}&playerPool=ALL&limit=2000&gameType=${gameType}&sportId=${sportId}${leagueParam(league)}${teamId ? `&teamId=${teamId}` : ''}&fields=${fields.join(',')}`
+  );
+
+  const byPlayer = new Map();
+  (data.stats?.[0]?.splits || []).forEach(row => {
+    if (!row.player) return;
+    if (!byPlayer.has(row.player.id)) byPlayer.set(row.player.id, []);
+    byPlayer.get(row.player.id).push(row);
+  });
+
+  return new Map(Array.from(byPlayer.entries()).map(([personId, rows]) => {
+    const latest = rows[rows.length - 1];
+    return [personId, {
+      player: latest.player.fullName,
+      personId,
+      team: getTeamAbbr(latest.team),
+      teamId: latest.team?.id,
+      league: getLeagueAbbr(latest.league),
+      line: combineStatLines(rows.map(row => row.stat))
+    }];
+  }));
+}
+
+/**
+ * Decade leaderboard: every player's seasons in the decade combined (cached)
+ * Rate stats rank players whose playing time over the decade meets the active rule: the standard
+ * rule scales with the decade's schedules (3.1 PA / 1 IP per team game, summed over its seasons)
+ * and custom minimums apply once per season. Split boards qualify on full-season playing time
+ * @param {number} decade - First year of the decade (e.g. 1990)
+ * @param {string} statType - The stat type key
+ * @param {Object} [options] - Same filters as getSeasonLeaders
+ * @param {number} [options.teamId] - Only count seasons with this club
+ * @param {string} [options.league] - 'AL' or 'NL' (omit or 'MLB' for both leagues)
+ * @param {string} [options.split] - Situational split sitCode from STAT_SPLITS
+ * @param {string} [options.gameType] - Game type code (defaults to the active game type)
+ * @param {number} [options.sportId] - Level of play (defaults to the active level)
+ * @returns {Promise<Object[]>} Records best first, with the seasons played, total playing time
+ *   (PA, or IP in baseball notation) and the player's best (qualified) season of the decade
+ */
+export async function getDecadeLeaders(decade, statType = 'homeRuns', options = {}) {
+  const stat = STAT_TYPES[statType];
+  if (!stat) {
+    console.error(`Invalid stat type: ${statType}`);
+    return [];
+  }
+
+  const sportId = getSportLevel(options.sportId) ? options.sportId : getSportId();
+  // AL/NL and club filters only apply to MLB
+  const league = sportId === MLB_SPORT_ID && LEAGUES[options.league]?.leagueId ? options.league : null;
+  const teamId = sportId === MLB_SPORT_ID ? options.teamId || null : null;
+  const split = STAT_SPLITS[options.split] ? options.split : null;
+  const gameType = GAME_TYPES[options.gameType] ? options.gameType : getGameType();
+
+  const currentSeason = getCurrentBaseballSeason();
+  const firstSeason = Math.max(decade, GAME_TYPES[gameType].firstSeason, getSportLevel(sportId).firstSeason);
+  const lastSeason = Math.min(decade + 9, currentSeason);
+  const scope = `${split ? `_${split}` : ''}${teamId ? `_team${teamId}` : league ? `_${league}` : ''}`;
+  // Finished decades never change
+  const ttl = lastSeason < currentSeason ? 30 * 24 * 60 * 60 * 1000 : undefined;
+
+  return cachedFetch(`decade_leaders_${decade}_${statType}${scope}${qualificationSuffix(statType)}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
+    try {
+      const seasons = [];
+      for (let season = lastSeason; season >= firstSeason; season--) seasons.push(season);
+      const seasonScope = { teamId, league, gameType, sportId };
+
+      const seasonData = (await Promise.all(seasons.map(season => Promise.all([
+        getSeasonStatLines(season, statType, { ...seasonScope, split }),
+        split && stat.isRate ? getSeasonStatLines(season, statType, seasonScope) : null,
+        getStatContext(season, statType, sportId),
+        stat.isRate ? getTeamGamesPlayed(season, gameType, sportId) : null
+      ]).then(([lines, fullSeasonLines, context, teamGames]) => ({
+        season,
+        lines,
+        playingTimeLines: fullSeasonLines || lines,
+        context,
+        teamGames
+      })).catch(error => {
+        console.error(`Error scanning ${season} for the ${decade}s ${statType} leaders:`, error);
+        return null;
+      })))).filter(Boolean);
+
+      // Seasons newest first, so each player's first entry has their latest club
+      const players = new Map();
+      seasonData.forEach(({ season, lines, playingTimeLines, context, teamGames }) => {
+        lines.forEach((entry, personId) => {
+          const playingTime = getPlayingTime(playingTimeLines.get(personId)?.line, stat.category);
+          const games = teamGames ? (teamGames.byTeam[teamId || entry.teamId] || teamGames.max) : null;
+          if (!players.has(personId)) players.set(personId, { ...entry, lines: [], seasons: [] });
+          const player = players.get(personId);
+          player.lines.push(entry.line);
+          player.seasons.push({
+            year: season,
+            team: entry.team,
+            teamId: entry.teamId,
+            statValue: getStatLineValue(entry.line, statType, context),
+            weight: getPlayingTime(entry.line, stat.category),
+            playingTime,
+            qualified: !stat.isRate || isQualified(playingTime, stat.category, games)
+          });
+        });
+      });
+
+      let minimum = null;
+      if (stat.isRate) {
+        const scheduledGames = seasonData.reduce((sum, { teamGames }) =>
+          sum + (teamGames ? (teamGames.byTeam[teamId] || teamGames.max) : 0), 0);
+        minimum = isStandardQualification()
+          ? getQualificationMinimum(stat.category, scheduledGames || null)
+          : getQualificationMinimum(stat.category) * seasonData.length;
+      }
+
+      const records = Array.from(players.values()).map(({ lines, seasons: playerSeasons, ...entry }) => {
+        const playingTime = playerSeasons.reduce((sum, season) => sum + season.playingTime, 0);
+        const weight = playerSeasons.reduce((sum, season) => sum + season.weight, 0);
+        const statValue = stat.needsLeagueContext
+          ? ratio(playerSeasons.reduce((sum, season) => sum + season.statValue * season.weight, 0), weight)
+          : getStatLineValue(combineStatLines(lines), statType);
+        const best = sortByStatValue(playerSeasons.filter(season => season.qualified), statType)[0];
+        return {
+          player: entry.player,
+          personId: entry.personId,
+          team: entry.team,
+          teamId: entry.teamId,
+          statValue,
+          statType: stat,
+          // Keep legacy 'hr' field for backwards compatibility
+          hr: statType === 'homeRuns' ? statValue : undefined,
+          league: entry.league,
+          seasonsPlayed: playerSeasons.length,
+          playingTime,
+          bestSeason: best ? { year: best.year, team: best.team, teamId: best.teamId, statValue: best.statValue } : null
+        };
+      }).filter(record => minimum === null || record.playingTime >= minimum);
+
+      return sortByStatValue(records, statType).slice(0, DECADE_LEADERS_LIMIT).map((record, i) => ({
+        ...record,
+        rank: i + 1,
+        playingTime: stat.category === 'pitching' ? outsToInnings(Math.round(record.playingTime * 3)) : record.playingTime
+      }));
+    } catch (error) {
+      console.error(`Error building ${decade}s leaders:`, error);
+      return [];
+    }
+  }, ttl);
+}
+
+/**
+ * Get top players dynamically from the past N seasons (parallelized & cached)
+ * Returns array of {name, id, totalStat} sorted by total stat value
+ * @param {number} numSeasons - Number of seasons to analyze
+ * @param {number} limit - Number of top players to return
+ * @param {string} statType - The stat type key
+ */
+export async function getTopPlayersFromSeasons(numSeasons = 10, limit = 20, statType = 'homeRuns') {
+  return cachedFetch(`top_players_${numSeasons}_${limit}_${statType}${qualificationSuffix(statType)}${getGameTypeKey()}${getSportKey()}`, async () => {
+    try {
+      const seasons = getLastNSeasons(numSeasons);
+      const playerMap = new Map();
+      
+      // Fetch all season leaders in parallel
+      const leadersPromises = seasons.map(season => getSeasonLeaders(season, statType));
+      const allLeaders = await Promise.all(leadersPromises);
+      
+      // Aggregate players and their stats
+      allLeaders.forEach((leaders, idx) => {
+        const season = seasons[idx];
+        leaders.forEach(leader => {
+          const existingPlayer = playerMap.get(leader.player);
+          if (existingPlayer) {
+            existingPlayer.totalStat += leader.statValue;
+            existingPlayer.appearances += 1;
+            existingPlayer.seasons.push(season);
+            existingPlayer.id = existingPlayer.id || leader.personId;
+          } else {
+            playerMap.set(leader.player, {
+              name: leader.player,
+              id: leader.personId,
+              totalStat: leader.statValue,
+              appearances: 1,
+              seasons: [season]
+            });
+          }
+        });
+      });
+      
+      // Convert to array and sort by total stat value
+      const sortedPlayers = Array.from(playerMap.values())
+        .filter(p => p.id) // Only include players with IDs
+        .sort((a, b) => b.totalStat - a.totalStat)
+        .slice(0, limit);
+      
+      return sortedPlayers;
+    } catch (error) {
+      console.error('Error fetching top players:', error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Get player ID by name from a specific season
+ */
+async function getPlayerIdByName(playerName, season) {
+  try {
+    const data = await fetchJson(
+      `${BASE_URL}/stats/leaders?leaderCategories=homeRuns&season=${season}&statGroup=hitting&limit=50&leaderGameTypes=${getGameType()}&sportId=${getSportId()}`
     );
-    const data = await response.json();
     
     if (!data.leagueLeaders?.[0]?.leaders) return null;
     
@@ -305,28 +1491,37 @@ async function getPlayerIdByName(playerName, season) {
 
 /**
  * Fetch player season stats for trajectory (parallelized & cached)
+ * Below MLB, the trajectory is the player's whole climb (see getPlayerClimb) rather than the given seasons
  * @param {number} playerId - Player ID
  * @param {number[]} seasons - Array of season years
  * @param {string} statType - The stat type key (e.g., 'homeRuns', 'hits')
  */
 export async function getPlayerTrajectory(playerId, seasons = [], statType = 'homeRuns') {
+  if (getSportId() !== MLB_SPORT_ID) {
+    return getPlayerClimb(playerId, statType);
+  }
+
   const stat = STAT_TYPES[statType];
-  return cachedFetch(`trajectory_${playerId}_${seasons.join('_')}_${statType}`, async () => {
+  const gameType = getGameType();
+  return cachedFetch(`trajectory_${playerId}_${seasons.join('_')}_${statType}${qualificationSuffix(statType)}${getGameTypeKey(gameType)}`, async () => {
     try {
       // Fetch all seasons in parallel
       const fetchPromises = seasons.map(season =>
-        fetch(`${BASE_URL}/people/${playerId}?hydrate=stats(group=${stat.category},type=season,season=${season},sportId=1)`)
-          .then(res => res.json())
-          .then(data => {
+        Promise.all([
+          fetchJson(`${BASE_URL}/people/${playerId}?hydrate=stats(group=${stat.category},type=season,season=${season}${gameType === 'R' ? '' : `,gameType=${gameType}`},sportId=1)`),
+          getStatContext(season, statType),
+          stat.isRate ? getTeamGamesPlayed(season, gameType) : null
+        ])
+          .then(([data, context, teamGames]) => {
             if (data.people?.[0]?.stats?.[0]?.splits?.[0]) {
               const split = data.people[0].stats[0].splits[0];
-              const statValue = statType === 'battingAverage'
-                ? parseFloat(split.stat[stat.apiParam] || 0)
-                : parseInt(split.stat[stat.apiParam] || 0);
+              const statValue = getStatLineValue(split.stat, statType, context);
               return {
                 year: parseInt(split.season),
                 statValue: statValue,
-                hr: statType === 'homeRuns' ? statValue : undefined // Keep for backwards compatibility
+                hr: statType === 'homeRuns' ? statValue : undefined, // Keep for backwards compatibility
+                // Rate stats from short seasons are flagged, not dropped
+                qualified: !stat.isRate || isStatLineQualified(split.stat, stat.category, split.team?.id, teamGames)
               };
             }
             return null;
@@ -346,26 +1541,750 @@ export async function getPlayerTrajectory(playerId, seasons = [], statType = 'ho
 }
 
 /**
- * Search for a player by name
+ * Fetch a player's regular-season lines at every level, minors through MLB, in climb order (cached)
+ * One point per season and level; clubs at the same level in one season are combined
+ * @param {number} personId - Player ID
+ * @param {string} statType - The stat type key
+ * @returns {Promise<{year: number, sportId: number, level: string, teams: string[], statValue: number, qualified: boolean}[]>}
  */
-export async function searchPlayer(name) {
-  try {
-    const response = await fetch(
-      `${BASE_URL}/sports/1/players?season=2025&gameType=R`
-    );
-    const data = await response.json();
-    
-    const players = data.people || [];
-    return players.filter(p => 
-      p.fullName.toLowerCase().includes(name.toLowerCase())
-    ).slice(0, 5);
-  } catch (error) {
-    console.error('Error searching for player:', error);
-    return [];
-  }
-}
-
-/**
+export async function getPlayerClimb(personId, statType = 'homeRuns') {
+  const stat = STAT_TYPES[statType];
+  return cachedFetch(`player_climb_${personId}_${statType}${qualificationSuffix(statType)}`, async () => {
+    try {
+      const data = await fetchJson(
+        `${BASE_URL}/people/${personId}/stats?stats=yearByYear&group=${stat.category}&leagueListId=mlb_milb`
+      );
+
+      const bySeasonLevel = new Map();
+      (data.stats?.[0]?.splits || []).forEach(split => {
+        // Season totals across levels have no team; other leagues in the list have no level here
+        if (!split.team || !getSportLevel(split.sport?.id)) return;
+        const key = `${split.season}_${split.sport.id}`;
+        if (!bySeasonLevel.has(key)) bySeasonLevel.set(key, []);
+        bySeasonLevel.get(key).push(split);
+      });
+
+      const points = await Promise.all(Array.from(bySeasonLevel.values()).map(async splits => {
+        const year = parseInt(splits[0].season);
+        const sportId = splits[0].sport.id;
+        const line = splits.length > 1 ? combineStatLines(splits.map(split => split.stat)) : splits[0].stat;
+        const [context, teamGames] = await Promise.all([
+          getStatContext(year, statType, sportId),
+          stat.isRate ? getTeamGamesPlayed(year, 'R', sportId) : null
+        ]);
+        return {
+          year,
+          sportId,
+          level: getSportLevel(sportId).abbr,
+          teams: splits.map(split => getTeamAbbr(split.team)),
+          statValue: getStatLineValue(line, statType, context),
+          qualified: !stat.isRate || isStatLineQualified(line, stat.category, splits[splits.length - 1].team.id, teamGames)
+        };
+      }));
+
+      // Within a season, lower levels come first
+      return points.sort((a, b) =>
+        a.year - b.year || getSportLevel(b.sportId).order - getSportLevel(a.sportId).order
+      );
+    } catch (error) {
+      console.error(`Error fetching climb for ${personId}:`, error);
+      return [];
+    }
+  });
+}
+
+/**
+ * Fetch a player's bio, year-by-year stat lines and career totals (cached)
+ * Uses the same people hydration as getPlayerTrajectory, for both hitting and pitching
+ * @param {number} personId - Player ID
+ */
+export async function getPlayerProfile(personId) {
+  const profile = await cachedFetch(`player_profile_${personId}`, async () => {
+    try {
+      const data = await fetchJson(
+        `${BASE_URL}/people/${personId}?hydrate=currentTeam,stats(group=[hitting,pitching],type=[yearByYear,career],sportId=1)`
+      );
+      const person = data.people?.[0];
+      if (!person) return null;
+
+      const profile = {
+        personId: person.id,
+        player: person.fullName,
+        bio: {
+          position: person.primaryPosition?.name,
+          positionAbbr: person.primaryPosition?.abbreviation,
+          bats: person.batSide?.code,
+          throws: person.pitchHand?.code,
+          age: person.currentAge,
+          birthDate: person.birthDate,
+          birthPlace: [person.birthCity, person.birthStateProvince, person.birthCountry].filter(Boolean).join(', '),
+          height: person.height,
+          weight: person.weight,
+          debut: person.mlbDebutDate,
+          lastPlayed: person.lastPlayedDate,
+          active: person.active,
+          team: getTeamAbbr(person.currentTeam),
+          teamId: person.currentTeam?.id,
+          number: person.primaryNumber
+        },
+        hitting: null,
+        pitching: null
+      };
+
+      (person.stats || []).forEach(entry => {
+        const group = entry.group?.displayName;
+        const type = entry.type?.displayName;
+        if (!['hitting', 'pitching'].includes(group)) return;
+
+        profile[group] = profile[group] || { seasons: [], career: null };
+        const statTypes = Object.keys(STAT_TYPES).filter(key => STAT_TYPES[key].category === group);
+        const toValues = line => Object.fromEntries(statTypes.map(key => [key, getStatLineValue(line, key)]));
+
+        if (type === 'career') {
+          const line = entry.splits?.[0]?.stat;
+          if (line) profile[group].career = { line, values: toValues(line) };
+          return;
+        }
+
+        if (type === 'yearByYear') {
+          // Traded players get one split per club; collapse them into a season line
+          const bySeason = new Map();
+          (entry.splits || []).forEach(split => {
+            const year = parseInt(split.season);
+            if (!bySeason.has(year)) bySeason.set(year, []);
+            bySeason.get(year).push(split);
+          });
+
+          profile[group].seasons = Array.from(bySeason.entries())
+            .map(([year, splits]) => {
+              const teamSplits = splits.filter(split => split.team);
+              // Prefer the API's own season total (a split without a team) when present
+              const totalSplit = splits.length > 1 ? splits.find(split => !split.team) : null;
+              const line = totalSplit
+                ? totalSplit.stat
+                : combineStatLines(splits.map(split => split.stat));
+              return {
+                year,
+                teams: teamSplits.map(split => getTeamAbbr(split.team)),
+                teamId: teamSplits[teamSplits.length - 1]?.team?.id,
+                line,
+                values: toValues(line)
+              };
+            })
+            .sort((a, b) => a.year - b.year);
+        }
+      });
+
+      if (profile.pitching) {
+        await applySeasonContexts(profile.pitching, 'pitching');
+      }
+
+      return profile;
+    } catch (error) {
+      console.error(`Error fetching player profile for ${personId}:`, error);
+      return null;
+    }
+  });
+
+  if (profile) {
+    fillMissingStatValues(profile);
+    await applyQualification(profile);
+  }
+  return profile;
+}
+
+/**
+ * Flag each profile season as qualified or not under the active rule
+ * Not cached with the profile, since the rule can change at any time
+ * @param {Object} profile - Profile from getPlayerProfile
+ */
+async function applyQualification(profile) {
+  const groups = ['hitting', 'pitching'].filter(group => profile[group]);
+  const years = [...new Set(groups.flatMap(group => profile[group].seasons.map(season => season.year)))];
+  const teamGames = Object.fromEntries(await Promise.all(
+    years.map(year => getTeamGamesPlayed(year).then(games => [year, games]))
+  ));
+
+  groups.forEach(group => {
+    profile[group].seasons.forEach(season => {
+      season.qualified = isStatLineQualified(season.line, group, season.teamId, teamGames[season.year]);
+      season.qualificationMinimum = getQualificationMinimum(
+        group,
+        teamGames[season.year] ? (teamGames[season.year].byTeam[season.teamId] || teamGames[season.year].max) : null
+      );
+    });
+  });
+}
+
+/**
+ * Compute values for stat types registered after a profile was cached (e.g. custom stats)
+ * @param {Object} profile - Profile from getPlayerProfile
+ */
+function fillMissingStatValues(profile) {
+  ['hitting', 'pitching'].forEach(group => {
+    const groupData = profile[group];
+    if (!groupData) return;
+    const entries = groupData.career ? [...groupData.seasons, groupData.career] : groupData.seasons;
+    Object.keys(STAT_TYPES)
+      .filter(key => STAT_TYPES[key].category === group)
+      .forEach(key => {
+        entries.forEach(entry => {
+          if (entry.values[key] === undefined) {
+            entry.values[key] = getStatLineValue(entry.line, key);
+          }
+        });
+      });
+  });
+}
+
+/**
+ * Recompute a profile group's league-context stats (e.g. FIP) with each season's own constants
+ * The career value uses the innings-weighted average of the season constants
+ * @param {{seasons: Object[], career: Object|null}} groupData - Profile hitting or pitching data
+ * @param {string} group - 'hitting' or 'pitching'
+ */
+async function applySeasonContexts(groupData, group) {
+  const contextStats = Object.keys(STAT_TYPES).filter(key =>
+    STAT_TYPES[key].category === group && STAT_TYPES[key].needsLeagueContext
+  );
+  if (contextStats.length === 0 || groupData.seasons.length === 0) return;
+
+  const contexts = await Promise.all(groupData.seasons.map(season => getStatContext(season.year, contextStats[0])));
+  groupData.seasons.forEach((season, i) => {
+    contextStats.forEach(key => {
+      season.values[key] = getStatLineValue(season.line, key, contexts[i]);
+    });
+  });
+
+  if (groupData.career) {
+    let weightedConstant = 0;
+    let totalOuts = 0;
+    groupData.seasons.forEach((season, i) => {
+      const outs = inningsToOuts(season.line.inningsPitched);
+      if (contexts[i].fipConstant === undefined) return;
+      weightedConstant += contexts[i].fipConstant * outs;
+      totalOuts += outs;
+    });
+    const careerContext = totalOuts > 0 ? { fipConstant: weightedConstant / totalOuts } : {};
+    contextStats.forEach(key => {
+      groupData.career.values[key] = getStatLineValue(groupData.career.line, key, careerContext);
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Game logs and rolling windows
+// ---------------------------------------------------------------------------
+
+export const ROLLING_WINDOWS = [7, 15, 30];
+
+// Stat line fields kept in bulk game-log requests (enough to recompute every built-in rate stat)
+const GAME_LOG_FIELDS = {
+  hitting: ['gamesPlayed', 'plateAppearances', 'atBats', 'runs', 'hits', 'doubles', 'triples', 'homeRuns', 'rbi',
+    'baseOnBalls', 'intentionalWalks', 'strikeOuts', 'hitByPitch', 'stolenBases', 'sacFlies', 'totalBases'],
+  pitching: ['gamesPlayed', 'gamesStarted', 'wins', 'saves', 'inningsPitched', 'outs', 'battersFaced', 'hits',
+    'earnedRuns', 'homeRuns', 'baseOnBalls', 'strikeOuts', 'hitByPitch', 'airOuts']
+};
+
+const GAME_LOG_BATCH_SIZE = 25;
+const HOT_COLD_LIST_SIZE = 10;
+const HOT_COLD_SERIES_GAMES = 40; // Sparkline length
+
+/**
+ * Convert raw gameLog splits into game entries, oldest first
+ */
+function toGameLog(splits) {
+  return (splits || [])
+    .map(split => ({
+      date: split.date,
+      gamePk: split.game?.gamePk,
+      teamId: split.team?.id,
+      opponent: getTeamAbbr(split.opponent),
+      isHome: split.isHome,
+      line: split.stat
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Fetch a player's game-by-game stat lines for a season (cached)
+ * @param {number} personId - Player ID
+ * @param {number} season - The season year
+ * @param {string} group - 'hitting' or 'pitching'
+ * @returns {Promise<{date: string, gamePk: number, teamId: number, opponent: string, isHome: boolean, line: Object}[]>} Oldest game first
+ */
+export async function getPlayerGameLog(personId, season, group = 'hitting') {
+  // Finished seasons never change
+  const ttl = season < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : undefined;
+
+  return cachedFetch(`game_log_${personId}_${season}_${group}`, async () => {
+    try {
+      const data = await fetchJson(
+        `${BASE_URL}/people/${personId}/stats?stats=gameLog&group=${group}&season=${season}&gameType=R&sportId=1`
+      );
+      return toGameLog(data.stats?.[0]?.splits);
+    } catch (error) {
+      console.error(`Error fetching game log for ${personId}:`, error);
+      return [];
+    }
+  }, ttl);
+}
+
+/**
+ * Value of a stat over a player's last N games
+ * Counting stats are summed; rate stats are recomputed from the combined components
+ * @param {Object[]} games - Game log from getPlayerGameLog, oldest first
+ * @param {string} statType - The stat type key
+ * @param {number} size - Window size in games (omit for the whole log)
+ * @param {Object} context - Season context for league-adjusted stats (e.g. FIP)
+ * @returns {number|null} null if the log is empty
+ */
+export function getRollingWindow(games, statType, size = null, context = {}) {
+  const window = size ? games.slice(-size) : games;
+  if (window.length === 0) return null;
+  return getStatLineValue(combineStatLines(window.map(game => game.line)), statType, context);
+}
+
+/**
+ * Trailing N-game value after every game of the log (shorter windows at the start)
+ * @param {Object[]} games - Game log from getPlayerGameLog, oldest first
+ * @param {string} statType - The stat type key
+ * @param {number} size - Window size in games
+ * @param {Object} context - Season context for league-adjusted stats
+ * @returns {{date: string, value: number}[]}
+ */
+export function getRollingSeries(games, statType, size, context = {}) {
+  return games.map((game, i) => ({
+    date: game.date,
+    value: getRollingWindow(games.slice(0, i + 1), statType, size, context)
+  }));
+}
+
+/**
+ * Fetch game logs for many players at once via people hydrations (batches in parallel),
+ * trimmed to the needed fields
+ * @returns {Promise<Map<number, {player: string, games: Object[]}>>}
+ */
+async function getGameLogsForPlayers(personIds, season, statType, gameType = 'R', sportId = MLB_SPORT_ID) {
+  const stat = STAT_TYPES[statType];
+  const statFields = [...GAME_LOG_FIELDS[stat.category], stat.statField || stat.apiParam, ...(stat.components || [])].filter(Boolean);
+  const fields = ['people', 'id', 'fullName', 'stats', 'splits', 'date', 'game', 'gamePk', 'opponent', 'isHome', 'stat', ...new Set(statFields)];
+  const batches = [];
+  for (let i = 0; i < personIds.length; i += GAME_LOG_BATCH_SIZE) {
+    batches.push(personIds.slice(i, i + GAME_LOG_BATCH_SIZE));
+  }
+
+  const results = await Promise.all(batches.map(batch =>
+    fetchJson(
+      `${BASE_URL}/people?personIds=${batch.join(',')}&hydrate=stats(group=[${stat.category}],type=[gameLog],season=${season},gameType=[${gameType}],sportId=${sportId})&fields=${fields.join(',')}`
+    ).catch(error => {
+      console.error('Error fetching game logs:', error);
+      return {};
+    })
+  ));
+
+  const logs = new Map();
+  results.forEach(data => (data.people || []).forEach(person => {
+    logs.set(person.id, { player: person.fullName, games: toGameLog(person.stats?.[0]?.splits) });
+  }));
+  return logs;
+}
+
+/**
+ * Rank the season's regulars by how their recent form compares to their season baseline (cached)
+ * Regulars are the API's qualified pool under the standard rule, or players meeting the custom minimums
+ * Heat is the relative change from the season rate (per game for counting stats), flipped for lowerIsBetter
+ * @param {string} statType - The stat type key
+ * @param {number} season - The season year (defaults to the current season)
+ * @returns {Promise<{players: Object[], windows: number[]}>} Each player has windows/heat keyed by window size;
+ *   sparkline series are kept only for players in a hot or cold list
+ */
+export async function getHotColdPlayers(statType = 'homeRuns', season = null) {
+  const stat = STAT_TYPES[statType];
+  const targetSeason = season || getCurrentBaseballSeason();
+  const gameType = getGameType();
+  const sportId = getSportId();
+  const useQualifiedPool = isStandardQualification();
+  const playingTimeField = PLAYING_TIME[stat.category].field;
+
+  // Every stat is limited to regulars, so the key carries the rule even for counting stats
+  return cachedFetch(`hot_cold_${targetSeason}_${statType}${getQualificationKey()}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
+    try {
+      const [poolData, context] = await Promise.all([
+        fetchJson(
+          `${BASE_URL}/stats?stats=season&group=${stat.category}&season=${targetSeason}&playerPool=${useQualifiedPool ? 'QUALIFIED' : 'ALL'}&limit=${useQualifiedPool ? 500 : 2000}&gameType=${gameType}&sportId=${sportId}&fields=stats,splits,player,team,id,fullName,stat,${playingTimeField}`
+        ),
+        getStatContext(targetSeason, statType, sportId)
+      ]);
+      const pool = (poolData.stats?.[0]?.splits || [])
+        .filter(split => useQualifiedPool || isStatLineQualified(split.stat, stat.category, null, null));
+      const teams = new Map(pool.map(split => [split.player.id, split.team]));
+      const logs = await getGameLogsForPlayers(pool.map(split => split.player.id), targetSeason, statType, gameType, sportId);
+
+      const perGame = (value, games) => stat.isRate ? value : value / games;
+      const players = [];
+      logs.forEach(({ player, games }, personId) => {
+        if (games.length < ROLLING_WINDOWS[0]) return;
+        const seasonValue = getRollingWindow(games, statType, null, context);
+        const baseline = perGame(seasonValue, games.length);
+        const windows = {};
+        const heat = {};
+        ROLLING_WINDOWS.forEach(size => {
+          if (games.length < size) return;
+          windows[size] = getRollingWindow(games, statType, size, context);
+          const change = baseline > 0 ? (perGame(windows[size], size) - baseline) / baseline : 0;
+          heat[size] = stat.lowerIsBetter ? -change : change;
+        });
+        players.push({
+          player,
+          personId,
+          team: getTeamAbbr(teams.get(personId)),
+          teamId: teams.get(personId)?.id,
+          games,
+          gamesPlayed: games.length,
+          seasonValue,
+          windows,
+          heat
+        });
+      });
+
+      // Keep sparklines only for players who make a hot or cold list
+      const listed = new Set();
+      ROLLING_WINDOWS.forEach(size => {
+        const ranked = players.filter(p => p.heat[size] !== undefined).sort((a, b) => b.heat[size] - a.heat[size]);
+        [...ranked.slice(0, HOT_COLD_LIST_SIZE), ...ranked.slice(-HOT_COLD_LIST_SIZE)].forEach(p => listed.add(p.personId));
+      });
+
+      return {
+        windows: ROLLING_WINDOWS,
+        players: players.map(({ games, ...p }) => ({
+          ...p,
+          series: listed.has(p.personId)
+            ? Object.fromEntries(ROLLING_WINDOWS.map(size => [
+              size,
+              getRollingSeries(games, statType, size, context).slice(-HOT_COLD_SERIES_GAMES).map(point => point.value)
+            ]))
+            : null
+        }))
+      };
+    } catch (error) {
+      console.error('Error building hot & cold rankings:', error);
+      return { windows: ROLLING_WINDOWS, players: [] };
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Record chase
+// Cumulative counting-stat paths by team game number, current leaders against record seasons
+// ---------------------------------------------------------------------------
+
+const CHASE_LEADERS = 3;
+const CHASE_TOP_RECORDS = 3; // Plus the standing AL and NL records
+
+/**
+ * Season length to assume when a club's schedule isn't available (154 games before expansion)
+ */
+function defaultSeasonLength(season) {
+  return season >= 1961 ? 162 : 154;
+}
+
+/**
+ * Fetch a club's regular-season schedule (cached)
+ * Postponed games appear on both dates under one gamePk; the makeup date wins. Cancelled games are dropped.
+ * @returns {Promise<{gamePk: number, final: boolean}[]>} Scheduled games in order
+ */
+async function getTeamSchedule(teamId, season) {
+  // Finished seasons never change; the current schedule changes with every game
+  const ttl = season < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : 60 * 60 * 1000;
+
+  return cachedFetch(`team_schedule_${season}_${teamId}`, async () => {
+    try {
+      const data = await fetchJson(
+        `${BASE_URL}/schedule?sportId=1&teamId=${teamId}&season=${season}&gameType=R&fields=dates,games,gamePk,status,abstractGameState,detailedState`
+      );
+      const games = new Map();
+      (data.dates || []).forEach(day => (day.games || []).forEach(game => {
+        games.delete(game.gamePk);
+        games.set(game.gamePk, {
+          gamePk: game.gamePk,
+          final: game.status?.abstractGameState === 'Final' && game.status?.detailedState !== 'Postponed',
+          cancelled: game.status?.detailedState === 'Cancelled'
+        });
+      }));
+      return Array.from(games.values())
+        .filter(game => !game.cancelled)
+        .map(({ gamePk, final }) => ({ gamePk, final }));
+    } catch (error) {
+      console.error(`Error fetching ${season} schedule for team ${teamId}:`, error);
+      return [];
+    }
+  }, ttl);
+}
+
+/**
+ * Cumulative stat after each of a player's games, keyed by the club's game number
+ * Traded players are numbered by whichever club they played each game for; games missing from
+ * the schedule (or seasons without one) fall back to the player's own game count
+ * @returns {Promise<{series: {game: number, value: number}[], teamGamesPlayed: number, teamGames: number}>}
+ */
+async function getCumulativeSeries(personId, season, statType, teamId) {
+  const stat = STAT_TYPES[statType];
+  const games = await getPlayerGameLog(personId, season, stat.category);
+  const loggedTeamIds = games.map(game => game.teamId).filter(Boolean);
+  const teamIds = loggedTeamIds.length > 0 ? [...new Set(loggedTeamIds)] : [teamId].filter(Boolean);
+  const schedules = new Map(await Promise.all(
+    teamIds.map(async id => [id, await getTeamSchedule(id, season)])
+  ));
+  const gameNumbers = new Map();
+  schedules.forEach(schedule => {
+    schedule.filter(game => game.final).forEach((game, i) => gameNumbers.set(game.gamePk, i + 1));
+  });
+
+  let total = 0;
+  const series = games.map((game, i) => {
+    total += getStatLineValue(game.line, statType);
+    return { game: gameNumbers.get(game.gamePk) ?? i + 1, value: total };
+  });
+
+  // Season length and progress come from the club the player finished with
+  const finalSchedule = schedules.get(games[games.length - 1]?.teamId || teamId) || [];
+  const teamGames = finalSchedule.length || defaultSeasonLength(season);
+  const teamGamesPlayed = finalSchedule.length
+    ? finalSchedule.filter(game => game.final).length
+    : series[series.length - 1]?.game || 0;
+  return { series, teamGamesPlayed, teamGames };
+}
+
+/**
+ * What a player needs to reach a target total over the rest of the season
+ * @param {number} current - Current total
+ * @param {number} teamGamesPlayed - Club games played so far
+ * @param {number} teamGames - Club games on the schedule
+ * @param {number} target - Record total to chase
+ * @returns {{remaining: number, projected: number, toTie: number, toBreak: number, tiePace: number|null, breakPace: number|null}}
+ *   tiePace/breakPace are per remaining team game (null when no games remain)
+ */
+export function getRecordPace(current, teamGamesPlayed, teamGames, target) {
+  const remaining = Math.max(0, teamGames - teamGamesPlayed);
+  const toTie = Math.max(0, target - current);
+  const toBreak = current > target ? 0 : target - current + 1;
+  return {
+    remaining,
+    projected: teamGamesPlayed > 0 ? (current / teamGamesPlayed) * teamGames : current,
+    toTie,
+    toBreak,
+    tiePace: remaining > 0 ? toTie / remaining : null,
+    breakPace: remaining > 0 ? toBreak / remaining : null
+  };
+}
+
+/**
+ * Current season leaders against the record seasons they're chasing (cached)
+ * Only counting stats where higher is better can be chased; the chase is paced per team game of
+ * the MLB regular season, so leaders and records ignore the active game type and level
+ * @param {string} statType - The stat type key
+ * @param {number} season - The season year (defaults to the current season)
+ * @returns {Promise<{season: number, leaders: Object[], records: Object[]}>} Each entry has
+ *   {player, personId, team, statValue, series, teamGamesPlayed, teamGames}; records also have year and status
+ */
+export async function getRecordChase(statType = 'homeRuns', season = null) {
+  const stat = STAT_TYPES[statType];
+  const targetSeason = season || getCurrentBaseballSeason();
+  if (!stat || stat.isRate || stat.lowerIsBetter) {
+    return { season: targetSeason, leaders: [], records: [] };
+  }
+
+  const ttl = targetSeason < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : undefined;
+
+  return cachedFetch(`record_chase_${targetSeason}_${statType}`, async () => {
+    try {
+      const [leaders, records] = await Promise.all([
+        getSeasonLeaders(targetSeason, statType, { gameType: 'R', sportId: MLB_SPORT_ID }),
+        getHistoricalRecords(statType, { gameType: 'R', sportId: MLB_SPORT_ID })
+      ]);
+      const chased = records.filter((record, index) =>
+        record.year && record.year !== targetSeason && record.personId &&
+        (index < CHASE_TOP_RECORDS || /^(AL|NL) Record$/.test(record.status))
+      );
+
+      const toEntry = async (record, year) => ({
+        player: record.player,
+        personId: record.personId,
+        team: record.team,
+        statValue: record.statValue,
+        ...(await getCumulativeSeries(record.personId, year, statType, record.teamId))
+      });
+
+      return {
+        season: targetSeason,
+        leaders: await Promise.all(leaders.slice(0, CHASE_LEADERS).map(leader => toEntry(leader, targetSeason))),
+        records: await Promise.all(chased.map(async record => ({
+          ...(await toEntry(record, record.year)),
+          year: record.year,
+          status: record.status
+        })))
+      };
+    } catch (error) {
+      console.error('Error building record chase:', error);
+      return { season: targetSeason, leaders: [], records: [] };
+    }
+  }, ttl);
+}
+
+// ---------------------------------------------------------------------------
+// Live games
+// Schedule and game feeds are never cached: the Live tab polls them while games are in progress
+// ---------------------------------------------------------------------------
+
+export const LIVE_POLL_INTERVAL = 30 * 1000;
+
+const SCHEDULE_FIELDS = [
+  'dates', 'games', 'gamePk', 'gameDate', 'gameType', 'status', 'abstractGameState', 'detailedState',
+  'teams', 'away', 'home', 'team', 'id', 'name', 'score', 'linescore', 'currentInning', 'inningHalf', 'outs'
+];
+
+const LIVE_FEED_FIELDS = [
+  'gamePk', 'gameData', 'status', 'abstractGameState', 'detailedState', 'teams', 'away', 'home', 'id', 'name',
+  'liveData', 'linescore', 'currentInning', 'inningHalf', 'outs', 'runs', 'plays', 'allPlays',
+  'result', 'eventType', 'description', 'rbi', 'about', 'atBatIndex', 'inning', 'isTopInning', 'endTime',
+  'matchup', 'batter', 'pitcher', 'fullName', 'playEvents', 'hitData', 'launchSpeed', 'launchAngle', 'totalDistance'
+];
+
+/**
+ * Fetch the games scheduled on a date with their current score and inning
+ * @param {string} date - YYYY-MM-DD (defaults to today)
+ * @returns {Promise<Object[]|null>} [{gamePk, gameDate, gameType, state, detailedState, away, home, inning, inningHalf, outs}],
+ *   state is 'Preview', 'Live' or 'Final'; away/home are {teamId, team, score}; null on failure
+ */
+export async function getSchedule(date = null) {
+  const targetDate = date || getCurrentDate();
+  try {
+    const data = await fetchJson(
+      `${BASE_URL}/schedule?sportId=1&date=${targetDate}&hydrate=linescore&fields=${SCHEDULE_FIELDS.join(',')}`
+    );
+    return (data.dates?.[0]?.games || []).map(game => {
+      const side = (key) => ({
+        teamId: game.teams?.[key]?.team?.id,
+        team: getTeamAbbr(game.teams?.[key]?.team),
+        score: game.teams?.[key]?.score ?? null
+      });
+      return {
+        gamePk: game.gamePk,
+        gameDate: game.gameDate,
+        gameType: game.gameType,
+        state: game.status?.abstractGameState,
+        detailedState: game.status?.detailedState,
+        away: side('away'),
+        home: side('home'),
+        inning: game.linescore?.currentInning ?? null,
+        inningHalf: game.linescore?.inningHalf ?? null,
+        outs: game.linescore?.outs ?? null
+      };
+    });
+  } catch (error) {
+    console.error(`Error fetching schedule for ${targetDate}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Pull every home run out of a live feed's play-by-play
+ * Distance and exit velocity come from the batted ball's Statcast hit data when it was tracked;
+ * the batter's season total is the "(N)" the API writes into the play description
+ */
+function extractHomeRuns(feed) {
+  const teams = feed.gameData?.teams || {};
+  return (feed.liveData?.plays?.allPlays || [])
+    .filter(play => play.result?.eventType === 'home_run')
+    .map(play => {
+      const hitData = (play.playEvents || []).map(event => event.hitData).filter(Boolean).pop() || {};
+      const seasonTotal = play.result.description?.match(/\((\d+)\)/);
+      const battingTeam = play.about?.isTopInning ? teams.away : teams.home;
+      return {
+        id: `${feed.gamePk}_${play.about?.atBatIndex}`,
+        gamePk: feed.gamePk,
+        batter: play.matchup?.batter?.fullName,
+        batterId: play.matchup?.batter?.id,
+        pitcher: play.matchup?.pitcher?.fullName,
+        pitcherId: play.matchup?.pitcher?.id,
+        team: getTeamAbbr(battingTeam),
+        teamId: battingTeam?.id,
+        inning: play.about?.inning,
+        isTopInning: play.about?.isTopInning,
+        rbi: play.result.rbi,
+        distance: hitData.totalDistance ?? null,
+        exitVelocity: hitData.launchSpeed ?? null,
+        launchAngle: hitData.launchAngle ?? null,
+        seasonTotal: seasonTotal ? parseInt(seasonTotal[1]) : null,
+        time: play.about?.endTime ?? null
+      };
+    });
+}
+
+/**
+ * Fetch a game's live feed
+ * @param {number} gamePk - Game ID from the schedule
+ * @returns {Promise<Object|null>} {gamePk, state, detailedState, inning, inningHalf, outs, away, home, homeRuns},
+ *   null on failure
+ */
+export async function getLiveGameFeed(gamePk) {
+  try {
+    const feed = await fetchJson(`${LIVE_BASE_URL}/game/${gamePk}/feed/live?fields=${LIVE_FEED_FIELDS.join(',')}`);
+    const linescore = feed.liveData?.linescore || {};
+    const side = (key) => ({
+      teamId: feed.gameData?.teams?.[key]?.id,
+      team: getTeamAbbr(feed.gameData?.teams?.[key]),
+      score: linescore.teams?.[key]?.runs ?? null
+    });
+    return {
+      gamePk: feed.gamePk ?? gamePk,
+      state: feed.gameData?.status?.abstractGameState,
+      detailedState: feed.gameData?.status?.detailedState,
+      inning: linescore.currentInning ?? null,
+      inningHalf: linescore.inningHalf ?? null,
+      outs: linescore.outs ?? null,
+      away: side('away'),
+      home: side('home'),
+      homeRuns: extractHomeRuns({ ...feed, gamePk: feed.gamePk ?? gamePk })
+    };
+  } catch (error) {
+    console.error(`Error fetching live feed for game ${gamePk}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Search for a player by name: fuzzy and accent-insensitive ("Acuna" finds "Acuña")
+ * Builds the search index (playerSearch.js) on first use
+ * @param {string} name - Full or partial name
+ * @param {number} limit - Maximum results
+ * @returns {Promise<{personId: number, name: string, position: string, firstSeason: number|null, lastSeason: number|null}[]>}
+ */
+export async function searchPlayer(name, limit = 8) {
+  await loadPlayerIndex();
+  return searchPlayers(name, limit);
+}
+
+/**
+ * Fetch every player who appeared in a season, trimmed to the fields the search index needs
+ * Not cached here: the search index (playerSearch.js) stores a compact merged copy
+ * @param {number} season - The season year
+ * @returns {Promise<Object[]|null>} Raw people records ({id, fullName, primaryPosition}), null on failure
+ */
+export async function getSeasonPlayers(season) {
+  try {
+    const data = await fetchJson(
+      `${BASE_URL}/sports/1/players?season=${season}&gameType=R&fields=people,id,fullName,primaryPosition,abbreviation`
+    );
+    return data.people || [];
+  } catch (error) {
+    console.error(`Error fetching ${season} players:`, error);
+    return null;
+  }
+}
+
+/**
  * Get notable player IDs (hardcoded for known stars - DEPRECATED, use getTopPlayersFromSeasons)
  * Kept for backwards compatibility
  */
@@ -379,247 +2298,1062 @@ export const NOTABLE_PLAYERS = {
 };
 
 /**
- * Fetch historical single season records from MLB API (cached)
+ * Resolve getHistoricalRecords options into a board's filters and cache keys
+ */
+function resolveHistoricalBoard(statType, options = {}) {
+  const sportId = getSportLevel(options.sportId) ? options.sportId : getSportId();
+  const leagueFilter = LEAGUES[options.league];
+  const league = sportId === MLB_SPORT_ID && (leagueFilter?.leagueId || leagueFilter?.historical) ? options.league : null;
+  const gameType = GAME_TYPES[options.gameType] ? options.gameType : getGameType();
+  const limit = HISTORICAL_DEPTHS.includes(Number(options.limit)) ? Number(options.limit) : HISTORICAL_DEPTHS[0];
+  const era = ERAS[options.era] ? options.era : 'all';
+  // Depth and era go last so the default boards keep their existing cache keys
+  const boardKey = `${league ? `_${league}` : ''}${qualificationSuffix(statType)}${getGameTypeKey(gameType)}${getSportKey(sportId)}${limit !== HISTORICAL_DEPTHS[0] ? `_top${limit}` : ''}${era !== 'all' ? `_${era}` : ''}`;
+  return { sportId, leagueFilter, league, gameType, limit, era, boardKey, cacheKey: `historical_records_${statType}${boardKey}` };
+}
+
+/**
+ * Where a records board comes from: 'dataset', 'curated', 'none', 'scan' (every season's stat
+ * lines) or 'endpoint' (the leaders endpoint)
+ */
+async function getHistoricalBoardSource(statType, { leagueFilter, gameType, sportId, era }) {
+  const stat = STAT_TYPES[statType];
+  if (gameType === 'R' && sportId === MLB_SPORT_ID) {
+    const dataset = await loadHistoricalDataset();
+    if (dataset && isDatasetStat(dataset, statType)) return 'dataset';
+    // Without the dataset, only the curated records reach back before 1901
+    if (leagueFilter?.historical || getSeasonRange(GAME_TYPES.R.firstSeason, era).length === 0) return 'curated';
+  } else if (leagueFilter?.historical) {
+    return 'none';
+  }
+
+  // Endpoint records assume the standard rule, the regular season, MLB and every era, and are
+  // only trusted for some stats; rescan the seasons for anything else
+  if (stat.derive || (stat.isRate && !isStandardQualification()) || gameType !== 'R' || sportId !== MLB_SPORT_ID ||
+      era !== 'all' || UNRELIABLE_LEADER_STATS.includes(statType)) {
+    return 'scan';
+  }
+  return 'endpoint';
+}
+
+/**
+ * Whether a records board still needs a full season scan (~125 requests) to build
+ * Views outside the Historical tab skip such boards rather than start a scan
+ * @param {string} statType - The stat type key
+ * @param {Object} options - Same filters as getHistoricalRecords
+ */
+export async function isHistoricalScanPending(statType = 'homeRuns', options = {}) {
+  if (!STAT_TYPES[statType]) return false;
+  const board = resolveHistoricalBoard(statType, options);
+  return await getHistoricalBoardSource(statType, board) === 'scan' && getCached(board.cacheKey) === null;
+}
+
+/**
+ * Fetch historical single season records (cached)
+ * Regular-season MLB boards come from the historical dataset when one is loaded (see
+ * historicalData.js); otherwise from the leaders endpoint, season scans or curated records
+ * @param {string} statType - The stat type key
+ * @param {Object} options - Optional filters
+ * @param {string} [options.league] - 'AL', 'NL' or a historical league key (omit or 'MLB' for all leagues)
+ * @param {string} [options.gameType] - Game type code (defaults to the active game type)
+ * @param {number} [options.sportId] - Level of play (defaults to the active level)
+ * @param {number} [options.limit] - Board depth, one of HISTORICAL_DEPTHS (default 10)
+ * @param {string} [options.era] - ERAS key (default 'all')
+ */
+export async function getHistoricalRecords(statType = 'homeRuns', options = {}) {
+  const stat = STAT_TYPES[statType];
+  if (!stat) {
+    console.error(`Invalid stat type: ${statType}`);
+    return [];
+  }
+
+  const board = resolveHistoricalBoard(statType, options);
+  const { sportId, league, gameType, limit, era, boardKey, cacheKey } = board;
+
+  switch (await getHistoricalBoardSource(statType, board)) {
+    case 'dataset': {
+      const dataset = await loadHistoricalDataset();
+      return getDatasetHistoricalRecords(dataset, statType, `historical_dataset_${dataset.id}_${statType}${boardKey}`, { league, limit, era });
+    }
+    case 'curated':
+      return getHistoricalRecordsFallback(statType, league, { limit, era });
+    case 'none':
+      return [];
+    case 'scan': {
+      // The curated records supply the marks from before 1901, which the scan can't reach, and
+      // stand in if no season could be scanned
+      const curated = gameType === 'R' && sportId === MLB_SPORT_ID && !stat.derive
+        ? getHistoricalRecordsFallback(statType, league, { limit, era })
+        : [];
+      return getDerivedHistoricalRecords(statType, cacheKey, {
+        league, gameType, sportId, limit, era,
+        seedRecords: curated.filter(record => record.year < GAME_TYPES.R.firstSeason),
+        fallbackRecords: curated
+      });
+    }
+  }
+
+  return cachedFetch(cacheKey, async () => {
+    try {
+      const data = await fetchJson(
+        `${BASE_URL}/stats/leaders?leaderCategories=${stat.apiParam}&statType=statsSingleSeason&limit=${limit}&sportId=1${leagueParam(league)}`
+      );
+    
+    if (!data.leagueLeaders?.[0]?.leaders) {
+      console.error('No historical leaders data found');
+      return getHistoricalRecordsFallback(statType, league, { limit });
+    }
+    
+    const leaders = data.leagueLeaders[0].leaders;
+    
+    // Validate data - check if values seem reasonable for single season
+    const firstValue = leaders[0] ? parseFloat(leaders[0].value) : 0;
+    
+    // If hits > 300 or RBI > 200, likely getting career stats instead of season
+    if ((statType === 'hits' && firstValue > 300) || 
+        (statType === 'rbi' && firstValue > 200) ||
+        (statType === 'stolenBases' && firstValue > 150)) {
+      console.warn(`API returning unrealistic ${statType} values - using fallback data`);
+      return getHistoricalRecordsFallback(statType, league, { limit });
+    }
+    
+    const records = leaders.map(leader => {
+      const statValue = parseStatValue(leader.value, statType);
+      return {
+        player: leader.person.fullName,
+        personId: leader.person.id,
+        team: getTeamAbbr(leader.team),
+        teamId: leader.team?.id,
+        league: getLeagueAbbr(leader.league),
+        statValue: statValue,
+        statType: stat,
+        // Keep legacy 'hr' field for backwards compatibility
+        hr: statType === 'homeRuns' ? statValue : undefined,
+        year: leader.season ? parseInt(leader.season) : null
+      };
+    });
+
+    return rankHistoricalRecords(records, statType, league);
+  } catch (error) {
+    console.error('Error fetching historical records:', error);
+    return getHistoricalRecordsFallback(statType, league, { limit });
+    }
+  }, 24 * 60 * 60 * 1000); // Cache for 24 hours (historical data doesn't change)
+}
+
+// The leaders endpoint's statsSingleSeason boards are wrong for these (career totals, missing
+// seasons), so without the dataset they come from season scans
+const UNRELIABLE_LEADER_STATS = ['hits', 'rbi', 'stolenBases', 'battingAverage', 'earnedRunAverage', 'strikeouts', 'wins', 'saves', 'whip'];
+
+// Seasons scanned in parallel by derived record scans
+const DERIVED_RECORDS_BATCH_SIZE = 10;
+
+/**
+ * Seasons from the current one back to the first, limited to an era
+ * @param {number} firstSeason - Earliest season to include
+ * @param {string} era - ERAS key
+ * @returns {number[]} Seasons, newest first
+ */
+function getSeasonRange(firstSeason, era = 'all') {
+  const { from, to } = ERAS[era];
+  const seasons = [];
+  for (let season = Math.min(getCurrentBaseballSeason(), to ?? Infinity); season >= Math.max(firstSeason, from ?? 0); season--) {
+    seasons.push(season);
+  }
+  return seasons;
+}
+
+/**
+ * Whether a season falls within an era
+ */
+function isInEra(year, era = 'all') {
+  const { from, to } = ERAS[era];
+  return (from === null || year >= from) && (to === null || year <= to);
+}
+
+/**
+ * Build single-season records by scanning every season's qualified players (cached)
+ * Used for derived stats, which have no single-season boards in the leaders endpoint, for rate
+ * stats under custom qualification minimums, for game types other than the regular season, for
+ * levels below MLB and for era filters; each season's best marks are computed locally and merged
+ * @param {string} statType - The stat type key
+ * @param {string} cacheKey - Cache key shared with getHistoricalRecords
+ * @param {Object} options - Resolved filters from getHistoricalRecords
+ * @param {string|null} options.league - 'AL', 'NL' or null for all leagues
+ * @param {string} options.gameType - Game type code (the scan starts at its first season)
+ * @param {number} options.sportId - Level of play (or at the level's first season, if later)
+ * @param {number} options.limit - Board depth
+ * @param {string} options.era - ERAS key
+ * @param {Object[]} [options.seedRecords] - Records from before the scanned seasons to rank alongside them
+ * @param {Object[]} [options.fallbackRecords] - Records to return if no season could be scanned
+ */
+async function getDerivedHistoricalRecords(statType, cacheKey, { league = null, gameType = 'R', sportId = MLB_SPORT_ID, limit = 10, era = 'all', seedRecords = [], fallbackRecords = [] } = {}) {
+  return cachedFetch(cacheKey, async () => {
+    try {
+      const firstSeason = Math.max(GAME_TYPES[gameType].firstSeason, getSportLevel(sportId)?.firstSeason || 0);
+      const seasons = getSeasonRange(firstSeason, era);
+
+      let best = sortByStatValue(seedRecords, statType).slice(0, limit);
+      let scanned = 0;
+      for (let i = 0; i < seasons.length; i += DERIVED_RECORDS_BATCH_SIZE) {
+        const batch = seasons.slice(i, i + DERIVED_RECORDS_BATCH_SIZE);
+        const results = await Promise.all(batch.map(season =>
+          getQualifiedSeasonRecords(season, statType, league, gameType, sportId)
+            .then(records => {
+              scanned++;
+              return records;
+            })
+            .catch(error => {
+              console.error(`Error scanning ${season} for ${statType} records:`, error);
+              return [];
+            })
+        ));
+        // Only the top marks overall can survive, so trim after every batch
+        best = sortByStatValue([...best, ...results.flat()], statType).slice(0, limit);
+      }
+
+      if (scanned === 0 && seasons.length > 0) {
+        console.warn(`No seasons scanned for ${statType} records - using fallback data`);
+        return fallbackRecords;
+      }
+      return rankHistoricalRecords(best, statType, league);
+    } catch (error) {
+      console.error('Error building derived historical records:', error);
+      return fallbackRecords;
+    }
+  }, 7 * 24 * 60 * 60 * 1000); // Cache for a week (a full scan is ~125 requests)
+}
+
+// ---------------------------------------------------------------------------
+// Historical dataset records
+// Single-season boards computed from a Lahman-style dataset (historicalData.js): every league
+// back to 1871, any stat whose components the files carry, any depth and era. Seasons after the
+// dataset's last year are scanned from the API like getDerivedHistoricalRecords
+// ---------------------------------------------------------------------------
+
+// Rate fields withRateFields adds to dataset stat lines
+const DATASET_RATE_FIELDS = {
+  hitting: ['avg', 'obp', 'slg', 'ops'],
+  pitching: ['era', 'whip']
+};
+
+/**
+ * Whether the dataset carries every field a stat needs (HR/FB needs air outs, which it doesn't)
+ * @param {Object} dataset - From loadHistoricalDataset
+ * @param {string} statType - The stat type key
+ */
+function isDatasetStat(dataset, statType) {
+  const stat = STAT_TYPES[statType];
+  const fields = dataset.fields[stat.category];
+  const has = field => fields.has(field) || DATASET_RATE_FIELDS[stat.category].includes(field);
+  if (stat.derive) return (stat.components || []).every(has);
+  return [stat.statField, stat.apiParam].some(field => field && has(field));
+}
+
+/**
+ * Add unrounded rate stats to a counting-stat line, so close marks rank correctly
+ */
+function withRateFields(line) {
+  const outs = lineOuts(line);
+  return {
+    ...line,
+    ...(statNumber(line.atBats) > 0 && {
+      avg: ratio(line.hits, line.atBats),
+      obp: deriveOnBasePercentage(line),
+      slg: deriveSluggingPercentage(line),
+      ops: deriveOnBasePercentage(line) + deriveSluggingPercentage(line)
+    }),
+    ...(outs > 0 && {
+      era: statNumber(line.earnedRuns) * 27 / outs,
+      whip: (statNumber(line.baseOnBalls) + statNumber(line.hits)) * 3 / outs
+    })
+  };
+}
+
+/**
+ * Find MLB person IDs for dataset players by matching names against each season's roster
+ * Plain Lahman files have no MLB IDs; rows that can't be matched keep personId null
+ * @param {Object[]} records - Records with player, year and personId
+ */
+async function resolveDatasetPersonIds(records) {
+  const years = [...new Set(records.filter(record => !record.personId).map(record => record.year))];
+  for (let i = 0; i < years.length; i += DERIVED_RECORDS_BATCH_SIZE) {
+    const batch = years.slice(i, i + DERIVED_RECORDS_BATCH_SIZE);
+    const rosters = await Promise.all(batch.map(year => getSeasonPlayers(year)));
+    batch.forEach((year, index) => {
+      const people = rosters[index] || [];
+      records.filter(record => record.year === year && !record.personId).forEach(record => {
+        const name = normalizeName(record.player);
+        const lastName = name.split(' ').pop();
+        // Exact name first; otherwise the only player with the same initial and last name
+        const match = people.find(person => normalizeName(person.fullName) === name) || (() => {
+          const candidates = people.filter(person => {
+            const personName = normalizeName(person.fullName);
+            return personName[0] === name[0] && personName.split(' ').pop() === lastName;
+          });
+          return candidates.length === 1 ? candidates[0] : null;
+        })();
+        if (match) record.personId = match.id;
+      });
+    });
+  }
+  return records;
+}
+
+/**
+ * Build single-season records from the historical dataset (cached per dataset)
+ * Stints are combined per player-season (only the filtered league's stints when a league is set)
+ * and rate stats are qualified against the player's club games that season
+ * @param {Object} dataset - From loadHistoricalDataset
+ * @param {string} statType - The stat type key
+ * @param {string} cacheKey - Includes the dataset ID, so a new import is never served stale boards
+ * @param {Object} options - Resolved filters from getHistoricalRecords ({league, limit, era})
+ */
+async function getDatasetHistoricalRecords(dataset, statType, cacheKey, { league = null, limit = 10, era = 'all' } = {}) {
+  const stat = STAT_TYPES[statType];
+
+  return cachedFetch(cacheKey, async () => {
+    try {
+      const contexts = new Map();
+      const getContext = year => {
+        if (!stat.needsLeagueContext) return {};
+        if (!contexts.has(year)) {
+          const totals = dataset.leagueTotals.pitching[year];
+          const fipConstant = totals ? getFipConstant(withRateFields(totals)) : null;
+          contexts.set(year, fipConstant === null ? {} : { fipConstant });
+        }
+        return contexts.get(year);
+      };
+
+      const candidates = [];
+      dataset[stat.category].forEach(season => {
+        if (!isInEra(season.year, era)) return;
+        const stints = season.stints.filter(stint => league ? stint.league === league : !LEAGUES[stint.league]?.unofficial);
+        if (stints.length === 0) return;
+        const line = withRateFields(combineStatLines(stints.map(stint => stint.line)));
+        const lastStint = stints[stints.length - 1];
+        if (stat.isRate && !isStatLineQualified(line, stat.category, lastStint.teamKey, dataset.teamGames[season.year] || null)) return;
+        const statValue = getStatLineValue(line, statType, getContext(season.year));
+        if (Number.isFinite(statValue)) candidates.push({ season, stints, statValue });
+      });
+
+      const records = sortByStatValue(candidates, statType).slice(0, limit).map(({ season, stints, statValue }) => {
+        const person = dataset.people.get(season.playerId);
+        const teams = stints.map(stint => dataset.teams.get(`${season.year}_${stint.teamKey}`));
+        const leagues = [...new Set(stints.map(stint => stint.league))];
+        return {
+          player: person?.name || season.playerId,
+          personId: person?.personId || null,
+          team: [...new Set(teams.map((team, i) => team?.abbr || stints[i].teamKey))].join('/'),
+          teamId: teams[teams.length - 1]?.teamId || null,
+          league: leagues.length === 1 ? leagues[0] : 'MLB',
+          statValue,
+          statType: stat,
+          // Keep legacy 'hr' field for backwards compatibility
+          hr: statType === 'homeRuns' ? statValue : undefined,
+          year: season.year
+        };
+      });
+
+      // Seasons the files don't cover yet come from the API (AL/NL only)
+      const laterSeasons = LEAGUES[league]?.historical ? [] : getSeasonRange(dataset.lastYear + 1, era);
+      let best = records;
+      for (let i = 0; i < laterSeasons.length; i += DERIVED_RECORDS_BATCH_SIZE) {
+        const batch = laterSeasons.slice(i, i + DERIVED_RECORDS_BATCH_SIZE);
+        const results = await Promise.all(batch.map(season =>
+          getQualifiedSeasonRecords(season, statType, league).catch(error => {
+            console.error(`Error scanning ${season} for ${statType} records:`, error);
+            return [];
+          })
+        ));
+        best = sortByStatValue([...best, ...results.flat()], statType).slice(0, limit);
+      }
+
+      await resolveDatasetPersonIds(best);
+      return rankHistoricalRecords(best, statType, league);
+    } catch (error) {
+      console.error('Error building dataset historical records:', error);
+      return getHistoricalRecordsFallback(statType, league, { limit, era });
+    }
+  }, 30 * 24 * 60 * 60 * 1000); // Cache for 30 days (a dataset never changes; new imports get new keys)
+}
+
+// Leaders taken from each season for the era-adjusted board: within a season every player
+// shares one baseline, so only that season's top raw marks can rank
+const ERA_ADJUSTED_SEASON_DEPTH = 10;
+
+/**
+ * Get single-season records ranked by era-adjusted value (cached)
+ * Takes each season's leaders (the cached season boards) in the selected era and indexes them to
+ * that season's league average; the raw records board is merged in so 19th-century marks (before
+ * the first season scanned) are still compared, unless building it would need its own scan
  * @param {string} statType - The stat type key
+ * @param {Object} options - Same filters as getHistoricalRecords (depth is always the top 10)
+ * @returns {Promise<Object[]>} Top 10 records with `adjustedValue`, best first
  */
-export async function getHistoricalRecords(statType = 'homeRuns') {
+export async function getEraAdjustedRecords(statType = 'homeRuns', options = {}) {
   const stat = STAT_TYPES[statType];
   if (!stat) {
     console.error(`Invalid stat type: ${statType}`);
     return [];
   }
 
-  return cachedFetch(`historical_records_${statType}`, async () => {
+  const sportId = getSportLevel(options.sportId) ? options.sportId : getSportId();
+  const league = sportId === MLB_SPORT_ID && LEAGUES[options.league]?.leagueId ? options.league : null;
+  const gameType = GAME_TYPES[options.gameType] ? options.gameType : getGameType();
+  const era = ERAS[options.era] ? options.era : 'all';
+  const scopeKey = `${league ? `_${league}` : ''}${qualificationSuffix(statType)}${getGameTypeKey(gameType)}${getSportKey(sportId)}${era !== 'all' ? `_${era}` : ''}`;
+
+  return cachedFetch(`era_adjusted_records_${statType}${scopeKey}`, async () => {
     try {
-      // Note: MLB API's statsSingleSeason is unreliable for some stats
-      // Always use fallback for non-home run stats
-      const unreliableStats = ['hits', 'rbi', 'stolenBases', 'battingAverage', 'earnedRunAverage', 'strikeouts', 'wins', 'saves', 'whip'];
-      if (unreliableStats.includes(statType)) {
-        console.log(`Using fallback data for ${statType} - API unreliable`);
-        return getHistoricalRecordsFallback(statType);
+      const firstSeason = Math.max(GAME_TYPES[gameType].firstSeason, getSportLevel(sportId)?.firstSeason || 0);
+      const seasons = getSeasonRange(firstSeason, era);
+
+      const boardOptions = { league, gameType, sportId, era };
+      const rawRecords = await isHistoricalScanPending(statType, boardOptions)
+        ? (gameType === 'R' && sportId === MLB_SPORT_ID && !stat.derive
+          ? getHistoricalRecordsFallback(statType, league, { era }).filter(record => record.year < firstSeason)
+          : [])
+        : await getHistoricalRecords(statType, boardOptions);
+      let best = await applyEraAdjustment(rawRecords, statType, { sportId });
+      for (let i = 0; i < seasons.length; i += DERIVED_RECORDS_BATCH_SIZE) {
+        const batch = seasons.slice(i, i + DERIVED_RECORDS_BATCH_SIZE);
+        const results = await Promise.all(batch.map(season =>
+          getSeasonLeaders(season, statType, { league, gameType, sportId })
+            .then(leaders => applyEraAdjustment(
+              leaders.slice(0, ERA_ADJUSTED_SEASON_DEPTH).map(leader => ({ ...leader, year: season })),
+              statType,
+              { season, sportId }
+            ))
+            .catch(error => {
+              console.error(`Error ranking ${season} for era-adjusted ${statType} records:`, error);
+              return [];
+            })
+        ));
+        // Raw records reappear in their season's leaders; keep one copy of each player-season
+        const unique = new Map();
+        [...best, ...results.flat()].forEach(record => {
+          const key = `${record.personId || record.player}_${record.year}`;
+          if (!unique.has(key)) unique.set(key, record);
+        });
+        best = sortByAdjustedValue(Array.from(unique.values())).slice(0, 10);
       }
-      
-      const response = await fetch(
-        `${BASE_URL}/stats/leaders?leaderCategories=${stat.apiParam}&statType=statsSingleSeason&limit=10&sportId=1`
-      );
-      const data = await response.json();
-    
-    if (!data.leagueLeaders?.[0]?.leaders) {
-      console.error('No historical leaders data found');
-      return getHistoricalRecordsFallback(statType);
-    }
-    
-    const leaders = data.leagueLeaders[0].leaders;
-    
-    // Validate data - check if values seem reasonable for single season
-    const firstValue = leaders[0] ? parseFloat(leaders[0].value) : 0;
-    
-    // If hits > 300 or RBI > 200, likely getting career stats instead of season
-    if ((statType === 'hits' && firstValue > 300) || 
-        (statType === 'rbi' && firstValue > 200) ||
-        (statType === 'stolenBases' && firstValue > 150)) {
-      console.warn(`API returning unrealistic ${statType} values - using fallback data`);
-      return getHistoricalRecordsFallback(statType);
+
+      return best.map((record, index) => ({
+        ...record,
+        rank: index + 1,
+        status: index === 0 ? 'Era-Adjusted Record' : getEraLabel(record.year)
+      }));
+    } catch (error) {
+      console.error('Error building era-adjusted records:', error);
+      return [];
     }
-    
-    // Map and determine status for each record
-    return leaders.map((leader, index) => {
-      const year = leader.season ? parseInt(leader.season) : null;
-      const statValue = statType === 'battingAverage' 
-        ? parseFloat(leader.value) 
-        : parseInt(leader.value);
-      const player = leader.person.fullName;
-      const teamId = leader.team?.id;
-      const team = TEAM_ABBREVIATIONS[teamId] || leader.team?.name?.substring(0, 3).toUpperCase();
-      
-      // Determine status based on ranking and other criteria
-      let status = '';
-      if (index === 0) {
-        status = 'All-Time Record';
-      } else if (statType === 'homeRuns' && player === 'Aaron Judge' && statValue === 62) {
-        status = 'AL Record';
-      } else if (statType === 'homeRuns' && player === 'Roger Maris') {
-        status = 'AL Record (Former)';
-      } else if (player === 'Babe Ruth') {
-        status = 'Historical Legend';
-      } else if (year && year >= 1998 && year <= 2001) {
-        status = index === 1 ? 'NL Record (Former)' : 'Active Era';
-      } else if (year && year >= 2020) {
-        status = 'Modern Era';
-      } else {
-        status = 'Historic Record';
+  }, 7 * 24 * 60 * 60 * 1000); // Cache for a week (a first build reads every season's leaders)
+}
+
+/**
+ * Label a season by baseball era
+ * @param {number} year - Season year
+ */
+function getEraLabel(year) {
+  if (!year) return 'Historic Record';
+  if (year < 1901) return 'Historic Record';
+  if (year < 1920) return 'Dead Ball Era';
+  if (year < 1961) return 'Live Ball Era';
+  if (year < 1993) return 'Expansion Era';
+  if (year < 2006) return 'Contemporary Era';
+  if (year < 2020) return 'Recent Record';
+  return 'Modern Era';
+}
+
+/**
+ * Sort single-season records, assign ranks and derive each record's status from the data
+ * - The best mark overall is the all-time record (or the league record when filtered)
+ * - The best mark in each league is that league's record
+ * - A mark that was the league best when it was set but has since been passed is a former record
+ * @param {Object[]} records - Records with statValue, year and league
+ * @param {string} statType - The stat type key
+ * @param {string|null} league - Active league filter
+ */
+function rankHistoricalRecords(records, statType, league = null) {
+  const stat = STAT_TYPES[statType];
+  const isBetter = (a, b) => stat.lowerIsBetter ? a < b : a > b;
+  const sorted = sortByStatValue(records, statType);
+
+  // Walk each league chronologically to find who held its record at the time
+  const leagueBest = {};
+  const formerRecords = new Set();
+  [...sorted]
+    .sort((a, b) => (a.year || 0) - (b.year || 0))
+    .forEach(record => {
+      const current = leagueBest[record.league];
+      if (!current || isBetter(record.statValue, current.statValue)) {
+        if (current) formerRecords.add(current);
+        leagueBest[record.league] = record;
       }
-      
-      return {
-        rank: index + 1,
-        player,
-        personId: leader.person.id,
-        team,
-        teamId,
-        statValue: statValue,
-        statType: stat,
-        // Keep legacy 'hr' field for backwards compatibility
-        hr: statType === 'homeRuns' ? statValue : undefined,
-        year,
-        status
-      };
     });
-  } catch (error) {
-    console.error('Error fetching historical records:', error);
-    return getHistoricalRecordsFallback(statType);
+  const leagueRecords = new Set(Object.values(leagueBest));
+
+  return sorted.map((record, index) => {
+    let status;
+    if (index === 0) {
+      status = league ? `${league} Record` : 'All-Time Record';
+    } else if (leagueRecords.has(record) && record.league && record.league !== 'MLB') {
+      status = `${record.league} Record`;
+    } else if (formerRecords.has(record) && record.league && record.league !== 'MLB') {
+      status = `${record.league} Record (Former)`;
+    } else {
+      status = getEraLabel(record.year);
     }
-  }, 24 * 60 * 60 * 1000); // Cache for 24 hours (historical data doesn't change)
+
+    return {
+      ...record,
+      rank: index + 1,
+      status
+    };
+  });
 }
 
 /**
- * Fallback historical records data when API fails or returns incorrect data
+ * Curated historical records, used when no historical dataset is loaded and the API fails or
+ * returns incorrect data (a handful of marks per stat, so deeper boards come back short)
  * @param {string} statType - The stat type key
+ * @param {string|null} league - Optional league filter ('AL', 'NL' or a historical league)
+ * @param {{limit: number, era: string}} options - Board depth and ERAS key
  */
-function getHistoricalRecordsFallback(statType) {
+function getHistoricalRecordsFallback(statType, league = null, { limit = 10, era = 'all' } = {}) {
   const stat = STAT_TYPES[statType];
   
   const fallbackData = {
     homeRuns: [
-      { rank: 1, player: "Barry Bonds", personId: 111188, team: "SF", teamId: 137, statValue: 73, year: 2001, status: "All-Time Record" },
-      { rank: 2, player: "Mark McGwire", personId: 118219, team: "STL", teamId: 138, statValue: 70, year: 1998, status: "NL Record (Former)" },
-      { rank: 3, player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, statValue: 66, year: 1998, status: "Active Era" },
-      { rank: 4, player: "Mark McGwire", personId: 118219, team: "STL", teamId: 138, statValue: 65, year: 1999, status: "Active Era" },
-      { rank: 5, player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, statValue: 64, year: 2001, status: "Active Era" },
-      { rank: 6, player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, statValue: 63, year: 1999, status: "Active Era" },
-      { rank: 7, player: "Aaron Judge", personId: 592450, team: "NYY", teamId: 147, statValue: 62, year: 2022, status: "AL Record" },
-      { rank: 8, player: "Roger Maris", personId: 118140, team: "NYY", teamId: 147, statValue: 61, year: 1961, status: "AL Record (Former)" },
-      { rank: 9, player: "Babe Ruth", personId: 121093, team: "NYY", teamId: 147, statValue: 60, year: 1927, status: "Historical Legend" }
+      { player: "Barry Bonds", personId: 111188, team: "SF", teamId: 137, league: "NL", statValue: 73, year: 2001 },
+      { player: "Mark McGwire", personId: 118219, team: "STL", teamId: 138, league: "NL", statValue: 70, year: 1998 },
+      { player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, league: "NL", statValue: 66, year: 1998 },
+      { player: "Mark McGwire", personId: 118219, team: "STL", teamId: 138, league: "NL", statValue: 65, year: 1999 },
+      { player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, league: "NL", statValue: 64, year: 2001 },
+      { player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, league: "NL", statValue: 63, year: 1999 },
+      { player: "Aaron Judge", personId: 592450, team: "NYY", teamId: 147, league: "AL", statValue: 62, year: 2022 },
+      { player: "Roger Maris", personId: 118140, team: "NYY", teamId: 147, league: "AL", statValue: 61, year: 1961 },
+      { player: "Babe Ruth", personId: 121093, team: "NYY", teamId: 147, league: "AL", statValue: 60, year: 1927 }
     ],
     hits: [
-      { rank: 1, player: "Ichiro Suzuki", personId: 400085, team: "SEA", teamId: 136, statValue: 262, year: 2004, status: "All-Time Record" },
-      { rank: 2, player: "George Sisler", personId: 121365, team: "STL", teamId: 138, statValue: 257, year: 1920, status: "Historic Record" },
-      { rank: 3, player: "Lefty O'Doul", personId: 118666, team: "PHI", teamId: 143, statValue: 254, year: 1929, status: "Historic Record" },
-      { rank: 4, player: "Bill Terry", personId: 122043, team: "NYG", teamId: 137, statValue: 254, year: 1930, status: "Historic Record" },
-      { rank: 5, player: "Al Simmons", personId: 121352, team: "PHI", teamId: 143, statValue: 253, year: 1925, status: "Historic Record" },
-      { rank: 6, player: "Rogers Hornsby", personId: 116511, team: "STL", teamId: 138, statValue: 250, year: 1922, status: "Historic Record" },
-      { rank: 7, player: "Chuck Klein", personId: 117137, team: "PHI", teamId: 143, statValue: 250, year: 1930, status: "Historic Record" },
-      { rank: 8, player: "Ty Cobb", personId: 112935, team: "DET", teamId: 116, statValue: 248, year: 1911, status: "Historical Legend" }
+      { player: "Ichiro Suzuki", personId: 400085, team: "SEA", teamId: 136, league: "AL", statValue: 262, year: 2004 },
+      { player: "George Sisler", personId: 121365, team: "SLB", teamId: 110, league: "AL", statValue: 257, year: 1920 },
+      { player: "Lefty O'Doul", personId: 118666, team: "PHI", teamId: 143, league: "NL", statValue: 254, year: 1929 },
+      { player: "Bill Terry", personId: 122043, team: "NYG", teamId: 137, league: "NL", statValue: 254, year: 1930 },
+      { player: "Al Simmons", personId: 121352, team: "PHA", teamId: 133, league: "AL", statValue: 253, year: 1925 },
+      { player: "Rogers Hornsby", personId: 116511, team: "STL", teamId: 138, league: "NL", statValue: 250, year: 1922 },
+      { player: "Chuck Klein", personId: 117137, team: "PHI", teamId: 143, league: "NL", statValue: 250, year: 1930 },
+      { player: "Ty Cobb", personId: 112935, team: "DET", teamId: 116, league: "AL", statValue: 248, year: 1911 }
     ],
     rbi: [
-      { rank: 1, player: "Hack Wilson", personId: 123160, team: "CHC", teamId: 112, statValue: 191, year: 1930, status: "All-Time Record" },
-      { rank: 2, player: "Lou Gehrig", personId: 115167, team: "NYY", teamId: 147, statValue: 185, year: 1931, status: "Historical Legend" },
-      { rank: 3, player: "Hank Greenberg", personId: 115600, team: "DET", teamId: 116, statValue: 183, year: 1937, status: "Historic Record" },
-      { rank: 4, player: "Lou Gehrig", personId: 115167, team: "NYY", teamId: 147, statValue: 174, year: 1927, status: "Historical Legend" },
-      { rank: 5, player: "Jimmie Foxx", personId: 114945, team: "BOS", teamId: 111, statValue: 175, year: 1938, status: "Historic Record" },
-      { rank: 6, player: "Lou Gehrig", personId: 115167, team: "NYY", teamId: 147, statValue: 173, year: 1930, status: "Historical Legend" },
-      { rank: 7, player: "Babe Ruth", personId: 121093, team: "NYY", teamId: 147, statValue: 171, year: 1921, status: "Historical Legend" },
-      { rank: 8, player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, statValue: 160, year: 2001, status: "Modern Era" }
+      { player: "Hack Wilson", personId: 123160, team: "CHC", teamId: 112, league: "NL", statValue: 191, year: 1930 },
+      { player: "Lou Gehrig", personId: 115167, team: "NYY", teamId: 147, league: "AL", statValue: 185, year: 1931 },
+      { player: "Hank Greenberg", personId: 115600, team: "DET", teamId: 116, league: "AL", statValue: 183, year: 1937 },
+      { player: "Lou Gehrig", personId: 115167, team: "NYY", teamId: 147, league: "AL", statValue: 174, year: 1927 },
+      { player: "Jimmie Foxx", personId: 114945, team: "BOS", teamId: 111, league: "AL", statValue: 175, year: 1938 },
+      { player: "Lou Gehrig", personId: 115167, team: "NYY", teamId: 147, league: "AL", statValue: 173, year: 1930 },
+      { player: "Babe Ruth", personId: 121093, team: "NYY", teamId: 147, league: "AL", statValue: 171, year: 1921 },
+      { player: "Sammy Sosa", personId: 121471, team: "CHC", teamId: 112, league: "NL", statValue: 160, year: 2001 }
     ],
     stolenBases: [
-      { rank: 1, player: "Hugh Nicol", personId: 118617, team: "CIN", teamId: 113, statValue: 138, year: 1887, status: "All-Time Record" },
-      { rank: 2, player: "Rickey Henderson", personId: 116282, team: "OAK", teamId: 133, statValue: 130, year: 1982, status: "Modern Record" },
-      { rank: 3, player: "Arlie Latham", personId: 117607, team: "STL", teamId: 138, statValue: 129, year: 1887, status: "Historic Record" },
-      { rank: 4, player: "Lou Brock", personId: 111979, team: "STL", teamId: 138, statValue: 118, year: 1974, status: "Historic Record" },
-      { rank: 5, player: "Charlie Comiskey", personId: 113093, team: "STL", teamId: 138, statValue: 117, year: 1887, status: "Historic Record" },
-      { rank: 6, player: "Rickey Henderson", personId: 116282, team: "OAK", teamId: 133, statValue: 108, year: 1983, status: "Modern Record" },
-      { rank: 7, player: "Vince Coleman", personId: 113045, team: "STL", teamId: 138, statValue: 110, year: 1985, status: "Modern Era" },
-      { rank: 8, player: "Vince Coleman", personId: 113045, team: "STL", teamId: 138, statValue: 109, year: 1987, status: "Modern Era" }
+      { player: "Hugh Nicol", personId: 118617, team: "CIN", teamId: 113, league: "AA", statValue: 138, year: 1887 },
+      { player: "Rickey Henderson", personId: 116282, team: "OAK", teamId: 133, league: "AL", statValue: 130, year: 1982 },
+      { player: "Arlie Latham", personId: 117607, team: "STL", teamId: 138, league: "AA", statValue: 129, year: 1887 },
+      { player: "Lou Brock", personId: 111979, team: "STL", teamId: 138, league: "NL", statValue: 118, year: 1974 },
+      { player: "Charlie Comiskey", personId: 113093, team: "STL", teamId: 138, league: "AA", statValue: 117, year: 1887 },
+      { player: "Rickey Henderson", personId: 116282, team: "OAK", teamId: 133, league: "AL", statValue: 108, year: 1983 },
+      { player: "Vince Coleman", personId: 113045, team: "STL", teamId: 138, league: "NL", statValue: 110, year: 1985 },
+      { player: "Vince Coleman", personId: 113045, team: "STL", teamId: 138, league: "NL", statValue: 109, year: 1987 }
     ],
     battingAverage: [
-      { rank: 1, player: "Hugh Duffy", personId: 114358, team: "BOS", teamId: 111, statValue: 0.440, year: 1894, status: "All-Time Record" },
-      { rank: 2, player: "Tip O'Neill", personId: 118664, team: "STL", teamId: 138, statValue: 0.435, year: 1887, status: "Historic Record" },
-      { rank: 3, player: "Pete Browning", personId: 112059, team: "LOU", teamId: 0, statValue: 0.457, year: 1887, status: "Historic Record" },
-      { rank: 4, player: "Willie Keeler", personId: 117023, team: "BAL", teamId: 110, statValue: 0.424, year: 1897, status: "Historic Record" },
-      { rank: 5, player: "Rogers Hornsby", personId: 116511, team: "STL", teamId: 138, statValue: 0.424, year: 1924, status: "Historic Record" },
-      { rank: 6, player: "Nap Lajoie", personId: 117552, team: "PHI", teamId: 143, statValue: 0.426, year: 1901, status: "Historic Record" },
-      { rank: 7, player: "George Sisler", personId: 121365, team: "STL", teamId: 138, statValue: 0.420, year: 1922, status: "Historic Record" },
-      { rank: 8, player: "Ty Cobb", personId: 112935, team: "DET", teamId: 116, statValue: 0.420, year: 1911, status: "Historical Legend" }
+      { player: "Hugh Duffy", personId: 114358, team: "BSN", teamId: 144, league: "NL", statValue: 0.440, year: 1894 },
+      { player: "Tip O'Neill", personId: 118664, team: "STL", teamId: 138, league: "AA", statValue: 0.435, year: 1887 },
+      { player: "Pete Browning", personId: 112059, team: "LOU", teamId: null, league: "AA", statValue: 0.402, year: 1887 },
+      { player: "Willie Keeler", personId: 117023, team: "BLN", teamId: null, league: "NL", statValue: 0.424, year: 1897 },
+      { player: "Rogers Hornsby", personId: 116511, team: "STL", teamId: 138, league: "NL", statValue: 0.424, year: 1924 },
+      { player: "Nap Lajoie", personId: 117552, team: "PHA", teamId: 133, league: "AL", statValue: 0.426, year: 1901 },
+      { player: "George Sisler", personId: 121365, team: "SLB", teamId: 110, league: "AL", statValue: 0.420, year: 1922 },
+      { player: "Ty Cobb", personId: 112935, team: "DET", teamId: 116, league: "AL", statValue: 0.420, year: 1911 }
     ],
     earnedRunAverage: [
-      { rank: 1, player: "Dutch Leonard", personId: 117683, team: "BOS", teamId: 111, statValue: 0.96, year: 1914, status: "All-Time Record" },
-      { rank: 2, player: "Mordecai Brown", personId: 112063, team: "CHC", teamId: 112, statValue: 1.04, year: 1906, status: "Dead Ball Era" },
-      { rank: 3, player: "Bob Gibson", personId: 115178, team: "STL", teamId: 138, statValue: 1.12, year: 1968, status: "Expansion Era" },
-      { rank: 4, player: "Christy Mathewson", personId: 118161, team: "NYG", teamId: 137, statValue: 1.14, year: 1909, status: "Dead Ball Era" },
-      { rank: 5, player: "Walter Johnson", personId: 116911, team: "WSH", teamId: 120, statValue: 1.14, year: 1913, status: "Dead Ball Era" },
-      { rank: 6, player: "Jack Pfiester", personId: 119261, team: "CHC", teamId: 112, statValue: 1.15, year: 1907, status: "Dead Ball Era" },
-      { rank: 7, player: "Addie Joss", personId: 116922, team: "CLE", teamId: 114, statValue: 1.16, year: 1908, status: "Dead Ball Era" },
-      { rank: 8, player: "Carl Lundgren", personId: 117981, team: "CHC", teamId: 112, statValue: 1.17, year: 1907, status: "Dead Ball Era" }
+      { player: "Dutch Leonard", personId: 117683, team: "BOS", teamId: 111, league: "AL", statValue: 0.96, year: 1914 },
+      { player: "Mordecai Brown", personId: 112063, team: "CHC", teamId: 112, league: "NL", statValue: 1.04, year: 1906 },
+      { player: "Bob Gibson", personId: 115178, team: "STL", teamId: 138, league: "NL", statValue: 1.12, year: 1968 },
+      { player: "Christy Mathewson", personId: 118161, team: "NYG", teamId: 137, league: "NL", statValue: 1.14, year: 1909 },
+      { player: "Walter Johnson", personId: 116911, team: "WSH", teamId: 142, league: "AL", statValue: 1.14, year: 1913 },
+      { player: "Jack Pfiester", personId: 119261, team: "CHC", teamId: 112, league: "NL", statValue: 1.15, year: 1907 },
+      { player: "Addie Joss", personId: 116922, team: "CLE", teamId: 114, league: "AL", statValue: 1.16, year: 1908 },
+      { player: "Carl Lundgren", personId: 117981, team: "CHC", teamId: 112, league: "NL", statValue: 1.17, year: 1907 }
     ],
     strikeouts: [
-      { rank: 1, player: "Nolan Ryan", personId: 121188, team: "CAL", teamId: 108, statValue: 383, year: 1973, status: "All-Time Record" },
-      { rank: 2, player: "Sandy Koufax", personId: 117251, team: "LAD", teamId: 119, statValue: 382, year: 1965, status: "Expansion Era" },
-      { rank: 3, player: "Randy Johnson", personId: 116539, team: "ARI", teamId: 109, statValue: 372, year: 2001, status: "Modern Era" },
-      { rank: 4, player: "Nolan Ryan", personId: 121188, team: "CAL", teamId: 108, statValue: 367, year: 1974, status: "Expansion Era" },
-      { rank: 5, player: "Randy Johnson", personId: 116539, team: "ARI", teamId: 109, statValue: 364, year: 1999, status: "Contemporary Era" },
-      { rank: 6, player: "Nolan Ryan", personId: 121188, team: "HOU", teamId: 117, statValue: 341, year: 1987, status: "Expansion Era" },
-      { rank: 7, player: "Nolan Ryan", personId: 121188, team: "TEX", teamId: 140, statValue: 332, year: 1989, status: "Contemporary Era" },
-      { rank: 8, player: "Curt Schilling", personId: 121213, team: "ARI", teamId: 109, statValue: 319, year: 2002, status: "Recent Record" }
+      { player: "Nolan Ryan", personId: 121188, team: "CAL", teamId: 108, league: "AL", statValue: 383, year: 1973 },
+      { player: "Sandy Koufax", personId: 117251, team: "LAD", teamId: 119, league: "NL", statValue: 382, year: 1965 },
+      { player: "Randy Johnson", personId: 116539, team: "ARI", teamId: 109, league: "NL", statValue: 372, year: 2001 },
+      { player: "Nolan Ryan", personId: 121188, team: "CAL", teamId: 108, league: "AL", statValue: 367, year: 1974 },
+      { player: "Randy Johnson", personId: 116539, team: "ARI", teamId: 109, league: "NL", statValue: 364, year: 1999 },
+      { player: "Nolan Ryan", personId: 121188, team: "HOU", teamId: 117, league: "NL", statValue: 341, year: 1987 },
+      { player: "Nolan Ryan", personId: 121188, team: "TEX", teamId: 140, league: "AL", statValue: 332, year: 1989 },
+      { player: "Curt Schilling", personId: 121213, team: "ARI", teamId: 109, league: "NL", statValue: 319, year: 2002 }
     ],
     wins: [
-      { rank: 1, player: "Jack Chesbro", personId: 112725, team: "NYY", teamId: 147, statValue: 41, year: 1904, status: "All-Time Record" },
-      { rank: 2, player: "Ed Walsh", personId: 123092, team: "CWS", teamId: 145, statValue: 40, year: 1908, status: "Dead Ball Era" },
-      { rank: 3, player: "Christy Mathewson", personId: 118161, team: "NYG", teamId: 137, statValue: 37, year: 1908, status: "Dead Ball Era" },
-      { rank: 4, player: "Walter Johnson", personId: 116911, team: "WSH", teamId: 120, statValue: 36, year: 1913, status: "Dead Ball Era" },
-      { rank: 5, player: "Joe McGinnity", personId: 118223, team: "NYG", teamId: 137, statValue: 35, year: 1904, status: "Dead Ball Era" },
-      { rank: 6, player: "Smoky Joe Wood", personId: 123172, team: "BOS", teamId: 111, statValue: 34, year: 1912, status: "Dead Ball Era" },
-      { rank: 7, player: "Cy Young", personId: 124156, team: "BOS", teamId: 111, statValue: 33, year: 1901, status: "Dead Ball Era" },
-      { rank: 8, player: "Denny McLain", personId: 118207, team: "DET", teamId: 116, statValue: 31, year: 1968, status: "Expansion Era" }
+      { player: "Jack Chesbro", personId: 112725, team: "NYY", teamId: 147, league: "AL", statValue: 41, year: 1904 },
+      { player: "Ed Walsh", personId: 123092, team: "CWS", teamId: 145, league: "AL", statValue: 40, year: 1908 },
+      { player: "Christy Mathewson", personId: 118161, team: "NYG", teamId: 137, league: "NL", statValue: 37, year: 1908 },
+      { player: "Walter Johnson", personId: 116911, team: "WSH", teamId: 142, league: "AL", statValue: 36, year: 1913 },
+      { player: "Joe McGinnity", personId: 118223, team: "NYG", teamId: 137, league: "NL", statValue: 35, year: 1904 },
+      { player: "Smoky Joe Wood", personId: 123172, team: "BOS", teamId: 111, league: "AL", statValue: 34, year: 1912 },
+      { player: "Cy Young", personId: 124156, team: "BOS", teamId: 111, league: "AL", statValue: 33, year: 1901 },
+      { player: "Denny McLain", personId: 118207, team: "DET", teamId: 116, league: "AL", statValue: 31, year: 1968 }
     ],
     saves: [
-      { rank: 1, player: "Francisco Rodríguez", personId: 121359, team: "LAA", teamId: 108, statValue: 62, year: 2008, status: "All-Time Record" },
-      { rank: 2, player: "Bobby Thigpen", personId: 122045, team: "CWS", teamId: 145, statValue: 57, year: 1990, status: "Contemporary Era" },
-      { rank: 3, player: "John Smoltz", personId: 121371, team: "ATL", teamId: 144, statValue: 55, year: 2002, status: "Recent Record" },
-      { rank: 4, player: "Eric Gagné", personId: 115030, team: "LAD", teamId: 119, statValue: 55, year: 2003, status: "Recent Record" },
-      { rank: 5, player: "Dennis Eckersley", personId: 114404, team: "OAK", teamId: 133, statValue: 51, year: 1992, status: "Contemporary Era" },
-      { rank: 6, player: "Trevor Hoffman", personId: 116440, team: "SD", teamId: 135, statValue: 53, year: 1998, status: "Contemporary Era" },
-      { rank: 7, player: "Randy Myers", personId: 118640, team: "CHC", teamId: 112, statValue: 53, year: 1993, status: "Contemporary Era" },
-      { rank: 8, player: "Mariano Rivera", personId: 121250, team: "NYY", teamId: 147, statValue: 53, year: 2004, status: "Recent Record" }
+      { player: "Francisco Rodríguez", personId: 121359, team: "LAA", teamId: 108, league: "AL", statValue: 62, year: 2008 },
+      { player: "Bobby Thigpen", personId: 122045, team: "CWS", teamId: 145, league: "AL", statValue: 57, year: 1990 },
+      { player: "John Smoltz", personId: 121371, team: "ATL", teamId: 144, league: "NL", statValue: 55, year: 2002 },
+      { player: "Eric Gagné", personId: 115030, team: "LAD", teamId: 119, league: "NL", statValue: 55, year: 2003 },
+      { player: "Dennis Eckersley", personId: 114404, team: "OAK", teamId: 133, league: "AL", statValue: 51, year: 1992 },
+      { player: "Trevor Hoffman", personId: 116440, team: "SD", teamId: 135, league: "NL", statValue: 53, year: 1998 },
+      { player: "Randy Myers", personId: 118640, team: "CHC", teamId: 112, league: "NL", statValue: 53, year: 1993 },
+      { player: "Mariano Rivera", personId: 121250, team: "NYY", teamId: 147, league: "AL", statValue: 53, year: 2004 }
     ],
     whip: [
-      { rank: 1, player: "Pedro Martínez", personId: 118173, team: "BOS", teamId: 111, statValue: 0.737, year: 2000, status: "All-Time Record" },
-      { rank: 2, player: "Guy Hecker", personId: 116184, team: "LOU", teamId: 0, statValue: 0.808, year: 1882, status: "Historic Record" },
-      { rank: 3, player: "Walter Johnson", personId: 116911, team: "WSH", teamId: 120, statValue: 0.780, year: 1913, status: "Dead Ball Era" },
-      { rank: 4, player: "Pedro Martínez", personId: 118173, team: "BOS", teamId: 111, statValue: 0.791, year: 1999, status: "Contemporary Era" },
-      { rank: 5, player: "Mordecai Brown", personId: 112063, team: "CHC", teamId: 112, statValue: 0.805, year: 1906, status: "Dead Ball Era" },
-      { rank: 6, player: "Christy Mathewson", personId: 118161, team: "NYG", teamId: 137, statValue: 0.827, year: 1909, status: "Dead Ball Era" },
-      { rank: 7, player: "Bob Gibson", personId: 115178, team: "STL", teamId: 138, statValue: 0.853, year: 1968, status: "Expansion Era" },
-      { rank: 8, player: "Randy Johnson", personId: 116539, team: "ARI", teamId: 109, statValue: 0.866, year: 1995, status: "Contemporary Era" }
+      { player: "Pedro Martínez", personId: 118173, team: "BOS", teamId: 111, league: "AL", statValue: 0.737, year: 2000 },
+      { player: "Guy Hecker", personId: 116184, team: "LOU", teamId: null, league: "AA", statValue: 0.808, year: 1882 },
+      { player: "Walter Johnson", personId: 116911, team: "WSH", teamId: 142, league: "AL", statValue: 0.780, year: 1913 },
+      { player: "Pedro Martínez", personId: 118173, team: "BOS", teamId: 111, league: "AL", statValue: 0.923, year: 1999 },
+      { player: "Mordecai Brown", personId: 112063, team: "CHC", teamId: 112, league: "NL", statValue: 0.805, year: 1906 },
+      { player: "Christy Mathewson", personId: 118161, team: "NYG", teamId: 137, league: "NL", statValue: 0.827, year: 1909 },
+      { player: "Bob Gibson", personId: 115178, team: "STL", teamId: 138, league: "NL", statValue: 0.853, year: 1968 },
+      { player: "Randy Johnson", personId: 116539, team: "SEA", teamId: 136, league: "AL", statValue: 1.045, year: 1995 }
     ]
   };
 
-  const records = fallbackData[statType] || fallbackData.homeRuns;
-  
-  return records.map(record => ({
-    ...record,
-    statType: stat,
-    hr: statType === 'homeRuns' ? record.statValue : undefined
-  }));
+  const records = (fallbackData[statType] || [])
+    .filter(record => (!league || record.league === league) && isInEra(record.year, era))
+    .map(record => ({
+      ...record,
+      statType: stat,
+      hr: statType === 'homeRuns' ? record.statValue : undefined
+    }));
+
+  return rankHistoricalRecords(records, statType, league).slice(0, limit);
+}
+
+/**
+ * Fetch all-time career leaders for a stat type (cached)
+ * Each record is flagged with whether the player is still active
+ * @param {string} statType - The stat type key
+ * @param {number} limit - Number of leaders to return
+ * @param {Object} options - Optional filters
+ * @param {string} [options.gameType] - Game type code (defaults to the active game type)
+ * @param {number} [options.sportId] - Level of play (defaults to the active level)
+ */
+export async function getCareerLeaders(statType = 'homeRuns', limit = 50, options = {}) {
+  const stat = STAT_TYPES[statType];
+  if (!stat) {
+    console.error(`Invalid stat type: ${statType}`);
+    return [];
+  }
+
+  // Derived stats have no career leaderboard in the API
+  if (!stat.apiParam) {
+    return [];
+  }
+
+  try {
+    const leaders = await fetchCareerLeaders(statType, limit, options);
+    return leaders.map(leader => ({
+      ...leader,
+      statType: stat,
+      // Keep legacy 'hr' field for backwards compatibility
+      hr: statType === 'homeRuns' ? leader.statValue : undefined
+    }));
+  } catch (error) {
+    console.error('Error fetching career leaders:', error);
+    return [];
+  }
+}
+
+/**
+ * Career leaderboard rows as cached: {rank, player, personId, statValue, active} only, since
+ * boards run up to 1000 deep. Throws on failure so nothing incomplete is cached
+ */
+async function fetchCareerLeaders(statType, limit, options = {}) {
+  const stat = STAT_TYPES[statType];
+  const gameType = GAME_TYPES[options.gameType] ? options.gameType : getGameType();
+  const sportId = getSportLevel(options.sportId) ? options.sportId : getSportId();
+
+  return cachedFetch(`career_leaders_${statType}_${limit}${getGameTypeKey(gameType)}${getSportKey(sportId)}`, async () => {
+    const data = await fetchJson(
+      `${BASE_URL}/stats/leaders?leaderCategories=${stat.apiParam}&statType=career&statGroup=${stat.category}&limit=${limit}${gameType === 'R' ? '' : `&leaderGameTypes=${gameType}`}&sportId=${sportId}`
+    );
+
+    const leaders = data.leagueLeaders?.[0]?.leaders;
+    if (!leaders) {
+      throw new Error('No career leaders data found');
+    }
+
+    // Leader entries don't include active status, so look it up in batch requests
+    const activeIds = await getActivePersonIds(leaders.map(leader => leader.person.id));
+
+    return leaders.map((leader, index) => ({
+      rank: leader.rank || index + 1,
+      player: leader.person.fullName,
+      personId: leader.person.id,
+      statValue: parseStatValue(leader.value, statType),
+      active: activeIds.has(leader.person.id)
+    }));
+  }, 24 * 60 * 60 * 1000); // Cache for 24 hours (career totals change slowly)
+}
+
+const PEOPLE_BATCH_SIZE = 200;
+
+/**
+ * Look up which of the given players are currently active
+ * Throws if any batch fails, rather than reporting those players as retired
+ * @param {number[]} personIds - Player IDs
+ * @returns {Promise<Set<number>>} IDs of active players
+ */
+async function getActivePersonIds(personIds) {
+  if (personIds.length === 0) return new Set();
+  // Batched so deep leaderboards stay within URL length limits
+  const batches = [];
+  for (let i = 0; i < personIds.length; i += PEOPLE_BATCH_SIZE) {
+    batches.push(personIds.slice(i, i + PEOPLE_BATCH_SIZE));
+  }
+  const responses = await Promise.all(batches.map(batch => fetchJson(
+    `${BASE_URL}/people?personIds=${batch.join(',')}&fields=people,id,active`
+  )));
+  return new Set(responses.flatMap(data => data.people || []).filter(p => p.active).map(p => p.id));
 }
 
+// Career leaderboard depths searched in turn for an active player: rate stats such as AVG and
+// ERA are topped by retired players well past the first 50
+const ACTIVE_LEADER_DEPTHS = [50, 200, 1000];
+
 /**
- * Get active career home run leader (cached)
- * Fetches current season leaders and returns the one with highest career total
- * Only includes players active in the current season
+ * Get active career leader (cached)
+ * Returns the highest-ranked active player on the all-time career leaderboard
+ * The N/A fallback isn't cached, so a failed lookup is retried on the next load
+ * @param {string} statType - The stat type key
  */
 export async function getActiveCareerLeader(statType = 'homeRuns') {
   const currentSeason = getCurrentBaseballSeason();
-  
-  return cachedFetch(`active_career_leader_${statType}_${currentSeason}`, async () => {
+  const stat = STAT_TYPES[statType];
+  if (!stat?.apiParam) {
+    return { player: 'N/A', statValue: 0 }; // No career leaderboard for derived stats
+  }
+
+  try {
+    return await cachedFetch(`active_career_${statType}_${currentSeason}${getGameTypeKey()}${getSportKey()}`, async () => {
+      for (const depth of ACTIVE_LEADER_DEPTHS) {
+        const careerLeaders = await fetchCareerLeaders(statType, depth);
+        const activeLeader = careerLeaders.find(leader => leader.active);
+
+        if (activeLeader) {
+          return {
+            player: activeLeader.player,
+            personId: activeLeader.personId,
+            statValue: activeLeader.statValue,
+            allTimeRank: activeLeader.rank
+          };
+        }
+        // A short board means the whole leaderboard has been searched
+        if (careerLeaders.length < depth) break;
+      }
+      throw new Error(`No active career leader found for ${statType}`);
+    });
+  } catch (error) {
+    console.error('Error fetching active career leader:', error);
+    return { player: 'N/A', statValue: 0 }; // Fallback
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Franchise record books
+// Single-season and career records for every stat within one club's history (MLB regular
+// season). Team IDs follow a franchise through relocations and renames, so the Expos' seasons
+// count toward the Nationals' book; FRANCHISE_HISTORY names each stretch of the lineage.
+// Seasons come from the historical dataset when one is loaded, otherwise from the API from 1901
+// ---------------------------------------------------------------------------
+
+// Names each club has played under, as [first season, name]
+const FRANCHISE_HISTORY = {
+  108: [[1961, 'Los Angeles Angels'], [1965, 'California Angels'], [1997, 'Anaheim Angels'], [2005, 'Los Angeles Angels of Anaheim'], [2016, 'Los Angeles Angels']],
+  109: [[1998, 'Arizona Diamondbacks']],
+  110: [[1901, 'Milwaukee Brewers'], [1902, 'St. Louis Browns'], [1954, 'Baltimore Orioles']],
+  111: [[1901, 'Boston Americans'], [1908, 'Boston Red Sox']],
+  112: [[1876, 'Chicago White Stockings'], [1890, 'Chicago Colts'], [1898, 'Chicago Orphans'], [1903, 'Chicago Cubs']],
+  113: [[1882, 'Cincinnati Red Stockings'], [1890, 'Cincinnati Reds'], [1954, 'Cincinnati Redlegs'], [1959, 'Cincinnati Reds']],
+  114: [[1901, 'Cleveland Blues'], [1902, 'Cleveland Bronchos'], [1903, 'Cleveland Naps'], [1915, 'Cleveland Indians'], [2022, 'Cleveland Guardians']],
+  115: [[1993, 'Colorado Rockies']],
+  116: [[1901, 'Detroit Tigers']],
+  117: [[1962, 'Houston Colt .45s'], [1965, 'Houston Astros']],
+  118: [[1969, 'Kansas City Royals']],
+  119: [[1884, 'Brooklyn Atlantics'], [1888, 'Brooklyn Bridegrooms'], [1899, 'Brooklyn Superbas'], [1911, 'Brooklyn Dodgers'], [1914, 'Brooklyn Robins'], [1932, 'Brooklyn Dodgers'], [1958, 'Los Angeles Dodgers']],
+  120: [[1969, 'Montreal Expos'], [2005, 'Washington Nationals']],
+  121: [[1962, 'New York Mets']],
+  133: [[1901, 'Philadelphia Athletics'], [1955, 'Kansas City Athletics'], [1968, 'Oakland Athletics'], [2025, 'Athletics']],
+  134: [[1882, 'Pittsburgh Alleghenys'], [1891, 'Pittsburgh Pirates']],
+  135: [[1969, 'San Diego Padres']],
+  136: [[1977, 'Seattle Mariners']],
+  137: [[1883, 'New York Gothams'], [1885, 'New York Giants'], [1958, 'San Francisco Giants']],
+  138: [[1882, 'St. Louis Brown Stockings'], [1883, 'St. Louis Browns'], [1899, 'St. Louis Perfectos'], [1900, 'St. Louis Cardinals']],
+  139: [[1998, 'Tampa Bay Devil Rays'], [2008, 'Tampa Bay Rays']],
+  140: [[1961, 'Washington Senators'], [1972, 'Texas Rangers']],
+  141: [[1977, 'Toronto Blue Jays']],
+  142: [[1901, 'Washington Senators'], [1961, 'Minnesota Twins']],
+  143: [[1883, 'Philadelphia Quakers'], [1890, 'Philadelphia Phillies']],
+  144: [[1876, 'Boston Red Caps'], [1883, 'Boston Beaneaters'], [1907, 'Boston Doves'], [1911, 'Boston Rustlers'], [1912, 'Boston Braves'], [1936, 'Boston Bees'], [1941, 'Boston Braves'], [1953, 'Milwaukee Braves'], [1966, 'Atlanta Braves']],
+  145: [[1901, 'Chicago White Sox']],
+  146: [[1993, 'Florida Marlins'], [2012, 'Miami Marlins']],
+  147: [[1903, 'New York Highlanders'], [1913, 'New York Yankees']],
+  158: [[1969, 'Seattle Pilots'], [1970, 'Milwaukee Brewers']]
+};
+
+const FRANCHISE_RECORDS_LIMIT = 10;
+
+// Career rate stats within a franchise need this much playing time (Baseball-Reference's
+// career standards), whatever the single-season qualification rule
+export const FRANCHISE_CAREER_MINIMUMS = { hitting: 3000, pitching: 1000 };
+
+/**
+ * A franchise's lineage: every name it has played under, oldest first
+ * @param {number} teamId - MLB team ID
+ * @returns {{name: string, from: number, to: number|null}[]} `to` is null for the current name
+ */
+export function getFranchiseLineage(teamId) {
+  const history = FRANCHISE_HISTORY[teamId] || [];
+  return history.map(([from, name], i) => ({ name, from, to: history[i + 1] ? history[i + 1][0] - 1 : null }));
+}
+
+/**
+ * The name a franchise played under in a season
+ */
+function getFranchiseName(teamId, year) {
+  const lineage = getFranchiseLineage(teamId);
+  return (lineage.filter(entry => entry.from <= year).pop() || lineage[0])?.name || TEAM_NAMES[teamId];
+}
+
+/**
+ * A franchise's player-seasons from the historical dataset (stints with the club combined)
+ * Players without an MLB ID are keyed by name, so their seasons after the dataset ends can join them
+ */
+function getDatasetFranchiseSeasons(dataset, teamId, category) {
+  const contexts = new Map();
+  const entries = [];
+  dataset[category].forEach(season => {
+    const stints = season.stints.filter(stint => dataset.teams.get(`${season.year}_${stint.teamKey}`)?.teamId === teamId);
+    if (stints.length === 0) return;
+    const person = dataset.people.get(season.playerId);
+    const name = person?.name || season.playerId;
+    const teamGames = dataset.teamGames[season.year];
+    if (!contexts.has(season.year)) {
+      const totals = category === 'pitching' ? dataset.leagueTotals.pitching[season.year] : null;
+      const fipConstant = totals ? getFipConstant(withRateFields(totals)) : null;
+      contexts.set(season.year, fipConstant === null ? {} : { fipConstant });
+    }
+    entries.push({
+      year: season.year,
+      key: person?.personId || `name:${normalizeName(name)}`,
+      player: name,
+      personId: person?.personId || null,
+      line: combineStatLines(stints.map(stint => stint.line)),
+      games: teamGames ? teamGames.byTeam[stints[stints.length - 1].teamKey] || teamGames.max : null,
+      context: contexts.get(season.year)
+    });
+  });
+  return entries;
+}
+
+/**
+ * A franchise's player-seasons for one season from the API
+ * Same request as the club's season leaders, so both share recorded fixtures
+ */
+async function getApiFranchiseSeason(teamId, season, category, stats) {
+  const contextStat = stats.find(statType => STAT_TYPES[statType].needsLeagueContext);
+  const [data, context, teamGames] = await Promise.all([
+    fetchJson(
+      `${BASE_URL}/stats?stats=season&group=${category}&season=${season}&teamId=${teamId}&playerPool=ALL&limit=100&gameType=R&sportId=${MLB_SPORT_ID}`
+    ),
+    contextStat ? getStatContext(season, contextStat) : {},
+    // Custom minimums don't depend on team games
+    isStandardQualification() ? getTeamGamesPlayed(season) : null
+  ]);
+
+  const games = teamGames ? teamGames.byTeam[teamId] || teamGames.max : null;
+  return (data.stats?.[0]?.splits || []).filter(split => split.player).map(split => ({
+    year: season,
+    key: split.player.id,
+    player: split.player.fullName,
+    personId: split.player.id,
+    line: split.stat,
+    games,
+    context
+  }));
+}
+
+/**
+ * Get a franchise's record book for one category (cached)
+ * For every stat: the top single seasons and careers with the club, and the season the current
+ * career record holder took the franchise lead. Single-season rate stats follow the active
+ * qualification rule; career rate stats need FRANCHISE_CAREER_MINIMUMS. League-context stats
+ * (FIP) weight each season's value by innings over a career
+ * @param {number} teamId - MLB team ID (the franchise's current club)
+ * @param {string} category - 'hitting' or 'pitching'
+ * @returns {Promise<Object|null>} {teamId, name, category, firstYear, lastYear, records}, where
+ *   records[statType] is {seasons, career, careerRecordSince}; null on failure
+ */
+export async function getFranchiseRecords(teamId, category = 'hitting') {
+  if (!FRANCHISE_HISTORY[teamId]) {
+    console.error(`Unknown franchise: ${teamId}`);
+    return null;
+  }
+
+  const dataset = await loadHistoricalDataset();
+  // Stats the dataset can't compute (HR/FB) are left out rather than shown from partial careers
+  const stats = Object.keys(STAT_TYPES).filter(statType =>
+    STAT_TYPES[statType].category === category && (!dataset || isDatasetStat(dataset, statType)));
+  // Custom stat keys change with their formulas, so edits and new stats get a fresh book
+  const customKey = stats.filter(statType => STAT_TYPES[statType].custom).map(statType => `_${statType}`).join('');
+
+  return cachedFetch(`franchise_records_${teamId}_${category}${getQualificationKey()}${dataset ? `_ds${dataset.id}` : ''}${customKey}`, async () => {
     try {
-      // Get top 10 players from current season to find active career leader
-      const leaders = await getSeasonLeaders(currentSeason, statType);
-      
-      if (!leaders || leaders.length === 0) {
-        console.error('No season leaders found for', statType);
-        return { player: 'N/A', statValue: 0 }; // Fallback
+      const firstSeason = Math.max(FRANCHISE_HISTORY[teamId][0][0], GAME_TYPES.R.firstSeason);
+      const apiSeasons = [];
+      for (let season = dataset ? dataset.lastYear + 1 : firstSeason; season <= getCurrentBaseballSeason(); season++) {
+        apiSeasons.push(season);
       }
-      
-      // Return the top leader
-      const topLeader = leaders[0];
+
+      const entries = dataset ? getDatasetFranchiseSeasons(dataset, teamId, category) : [];
+      const datasetKeys = new Set(entries.map(entry => entry.key));
+      for (let i = 0; i < apiSeasons.length; i += DERIVED_RECORDS_BATCH_SIZE) {
+        const batch = apiSeasons.slice(i, i + DERIVED_RECORDS_BATCH_SIZE);
+        const results = await Promise.all(batch.map(season =>
+          getApiFranchiseSeason(teamId, season, category, stats).catch(error => {
+            console.error(`Error scanning ${season} for franchise ${teamId} records:`, error);
+            return [];
+          })
+        ));
+        results.flat().forEach(entry => {
+          // Careers that span the end of the dataset continue under the dataset's name key
+          const nameKey = `name:${normalizeName(entry.player)}`;
+          entries.push(datasetKeys.has(nameKey) && !datasetKeys.has(entry.key) ? { ...entry, key: nameKey } : entry);
+        });
+      }
+      if (entries.length === 0) return null;
+
+      const players = new Map();
+      const seasonRecords = Object.fromEntries(stats.map(statType => [statType, []]));
+      const holders = {};
+      const years = [...new Set(entries.map(entry => entry.year))].sort((a, b) => a - b);
+
+      years.forEach(year => {
+        entries.filter(entry => entry.year === year).forEach(entry => {
+          const seasonLine = withRateFields(entry.line);
+          const playingTime = getPlayingTime(seasonLine, category);
+          const qualified = isQualified(playingTime, category, entry.games);
+
+          if (!players.has(entry.key)) {
+            players.set(entry.key, { player: entry.player, personId: null, line: null, seasons: 0, firstYear: year, weighted: {}, values: {} });
+          }
+          const player = players.get(entry.key);
+          player.personId = player.personId || entry.personId;
+          // Counting lines are combined before rate fields are added, so rates are never summed
+          player.line = player.line ? combineStatLines([player.line, entry.line]) : entry.line;
+          player.seasons++;
+          player.lastYear = year;
+          const careerLine = withRateFields(player.line);
+          player.careerTime = getPlayingTime(careerLine, category);
+
+          stats.forEach(statType => {
+            const stat = STAT_TYPES[statType];
+            const statValue = getStatLineValue(seasonLine, statType, entry.context);
+            if (!Number.isFinite(statValue)) return;
+            if (!stat.isRate || qualified) {
+              seasonRecords[statType].push({ player: entry.player, personId: entry.personId, key: entry.key, statValue, year });
+            }
+            if (stat.needsLeagueContext) {
+              const weighted = player.weighted[statType] = player.weighted[statType] || { sum: 0, time: 0 };
+              weighted.sum += statValue * playingTime;
+              weighted.time += playingTime;
+              player.values[statType] = ratio(weighted.sum, weighted.time);
+            } else {
+              player.values[statType] = getStatLineValue(careerLine, statType);
+            }
+          });
+        });
+
+        // Track who holds each career record after every season, and since when
+        stats.forEach(statType => {
+          const stat = STAT_TYPES[statType];
+          seasonRecords[statType] = sortByStatValue(seasonRecords[statType], statType).slice(0, FRANCHISE_RECORDS_LIMIT);
+          const holder = holders[statType];
+          let best = holder && isCareerEligible(players.get(holder.key), statType) ? { key: holder.key, value: players.get(holder.key).values[statType] } : null;
+          players.forEach((player, key) => {
+            const value = player.values[statType];
+            if (value === undefined || !isCareerEligible(player, statType)) return;
+            if (!best || (stat.lowerIsBetter ? value < best.value : value > best.value)) best = { key, value };
+          });
+          if (best && best.key !== holder?.key) holders[statType] = { key: best.key, since: year };
+        });
+      });
+
+      const records = Object.fromEntries(stats.map(statType => {
+        const careers = [];
+        players.forEach((player, key) => {
+          if (player.values[statType] === undefined || !isCareerEligible(player, statType)) return;
+          careers.push({
+            player: player.player,
+            personId: player.personId,
+            key,
+            statValue: player.values[statType],
+            seasons: player.seasons,
+            firstYear: player.firstYear,
+            lastYear: player.lastYear
+          });
+        });
+        return [statType, {
+          seasons: seasonRecords[statType].map((record, i) => ({ ...record, rank: i + 1, team: getFranchiseName(teamId, record.year) })),
+          career: sortByStatValue(careers, statType).slice(0, FRANCHISE_RECORDS_LIMIT).map((record, i) => ({ ...record, rank: i + 1 })),
+          careerRecordSince: holders[statType]?.since ?? null
+        }];
+      }));
+
+      // Plain Lahman files have no MLB IDs; look them up by name for the players on the board
+      if (dataset) {
+        const lookups = Object.values(records)
+          .flatMap(({ seasons, career }) => [
+            ...seasons.map(record => ({ record, year: record.year })),
+            ...career.map(record => ({ record, year: record.lastYear }))
+          ])
+          .filter(({ record }) => !record.personId)
+          .map(({ record, year }) => ({ record, player: record.player, year, personId: null }));
+        await resolveDatasetPersonIds(lookups);
+        lookups.forEach(lookup => { lookup.record.personId = lookup.personId; });
+      }
+
       return {
-        player: topLeader.player.split(' ').pop(), // Last name only
-        statValue: topLeader.statValue
+        teamId,
+        name: TEAM_NAMES[teamId],
+        category,
+        firstYear: years[0],
+        lastYear: years[years.length - 1],
+        records
       };
     } catch (error) {
-      console.error('Error fetching active career leader:', error);
-      return { player: 'N/A', statValue: 0 }; // Fallback
+      console.error(`Error building franchise ${teamId} records:`, error);
+      return null;
     }
-  });
+  }, 7 * 24 * 60 * 60 * 1000); // Cache for a week (a full scan is a few hundred requests)
+}
+
+/**
+ * Whether a player's franchise career counts for a stat's career board
+ */
+function isCareerEligible(player, statType) {
+  const stat = STAT_TYPES[statType];
+  return !stat.isRate || player.careerTime >= FRANCHISE_CAREER_MINIMUMS[stat.category];
 }
 
 /**
@@ -663,16 +3397,11 @@ async function fetchBaseballSavantExpectedStats(season, statGroup, limit) {
       const minPA = 100; // Minimum plate appearances
       const url = `https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=batter&year=${season}&position=&team=&min=${minPA}&csv=true`;
       
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Baseball Savant API error: ${response.status}`);
-      }
-      
-      const csvText = await response.text();
+      const csvText = await fetchText(url);
       const parsedData = parseBaseballSavantCSV(csvText, 'hitting', limit);
+      if (parsedData.errors.length > 0) console.warn(`Skipped ${parsedData.errors.length} Savant rows:`, parsedData.errors);
       
-      return parsedData;
+      return parsedData.rows;
       
     } else {
       // Pitcher expected stats
@@ -680,16 +3409,11 @@ async function fetchBaseballSavantExpectedStats(season, statGroup, limit) {
       const minBF = 100; // Minimum batters faced
       const url = `https://baseballsavant.mlb.com/leaderboard/expected_statistics?type=pitcher&year=${season}&position=&team=&min=${minBF}&csv=true`;
       
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Baseball Savant API error: ${response.status}`);
-      }
-      
-      const csvText = await response.text();
+      const csvText = await fetchText(url);
       const parsedData = parseBaseballSavantCSV(csvText, 'pitching', limit);
+      if (parsedData.errors.length > 0) console.warn(`Skipped ${parsedData.errors.length} Savant rows:`, parsedData.errors);
       
-      return parsedData;
+      return parsedData.rows;
     }
   } catch (error) {
     console.error('Baseball Savant fetch error:', error);
@@ -697,77 +3421,135 @@ async function fetchBaseballSavantExpectedStats(season, statGroup, limit) {
   }
 }
 
+// Baseball Savant leaderboard columns -> expected stats fields, by stat group
+// Savant renames columns between leaderboards and years, so each field lists every name seen
+const SAVANT_PLAYER_COLUMNS = {
+  personId: { columns: ['player_id', 'mlbam_id', 'batter', 'pitcher'], type: 'id', required: true, label: 'Player ID' },
+  player: { columns: ['last_name, first_name', 'player_name', 'name'], required: true, label: 'Player name' },
+  firstName: { columns: ['first_name'] },
+  lastName: { columns: ['last_name'] },
+  team: { columns: ['team_name_alt', 'team_name', 'team', 'team_abbrev'] },
+  league: { columns: ['league'] },
+  season: { columns: ['year'], type: 'id' },
+  plateAppearances: { columns: ['pa'], type: 'number' },
+  // Against, for pitchers
+  slg: { columns: ['slg'], type: 'number' },
+  expectedSlg: { columns: ['est_slg', 'xslg'], type: 'number' },
+  woba: { columns: ['woba'], type: 'number' },
+  expectedWoba: { columns: ['est_woba', 'xwoba'], type: 'number' }
+};
+
+const SAVANT_SCHEMAS = {
+  hitting: {
+    ...SAVANT_PLAYER_COLUMNS,
+    actual: { columns: ['ba', 'avg', 'batting_avg'], type: 'number', required: true, label: 'BA' },
+    expected: { columns: ['est_ba', 'xba'], type: 'number', required: true, label: 'xBA' },
+    hardHitPct: { columns: ['hard_hit_percent', 'hardhit_percent'], type: 'number' },
+    barrelPct: { columns: ['barrel_batted_rate', 'brl_percent', 'barrel_percent'], type: 'number' },
+    exitVelo: { columns: ['exit_velocity_avg', 'avg_hit_speed', 'launch_speed'], type: 'number' }
+  },
+  pitching: {
+    ...SAVANT_PLAYER_COLUMNS,
+    actual: { columns: ['era', 'earned_run_avg', 'p_era'], type: 'number', required: true, label: 'ERA' },
+    expected: { columns: ['xera', 'est_era'], type: 'number', required: true, label: 'xERA' },
+    whiffPct: { columns: ['whiff_percent'], type: 'number' },
+    kRate: { columns: ['k_percent', 'strikeout_percent', 'p_k_percent'], type: 'number' }
+  }
+};
+
+// Imported Savant boards for this session, by `${statGroup}_${season}`
+const importedExpectedStats = new Map();
+
+// Savant writes names as "Last, First" (and sometimes splits them over two columns)
+function getSavantPlayerName(row) {
+  if (row.firstName && row.lastName) return `${row.firstName} ${row.lastName}`;
+  const [last, first] = row.player.split(',').map(part => part.trim());
+  return first ? `${first} ${last}` : last;
+}
+
+/**
+ * Parse a Baseball Savant leaderboard CSV into our expected stats format
+ * Pitcher boards also carry BA/xBA (against), so a board with ERA/xERA columns reads as pitching
+ * @param {string} csvText - CSV file contents
+ * @param {string} [statGroup] - 'hitting' or 'pitching'; detected from the columns when omitted
+ * @param {number|null} [limit] - Keep at most this many players (in file order), null for all
+ * @returns {{statGroup: string, season: number|null, rows: Object[], errors: string[]}} errors
+ *   lists every row that was skipped and why
+ * @throws {Error} When the CSV is malformed or lacks the player or expected stat columns
+ */
+export function parseBaseballSavantCSV(csvText, statGroup = null, limit = null) {
+  let group = statGroup;
+  if (!group) {
+    const header = (parseCsv(csvText)[0]?.fields || []).map(name => name.trim());
+    const isPitching = ['actual', 'expected'].every(key =>
+      SAVANT_SCHEMAS.pitching[key].columns.some(column => header.includes(column)));
+    group = isPitching ? 'pitching' : 'hitting';
+  }
+
+  const { rows, errors } = parseCsvWithSchema(csvText, SAVANT_SCHEMAS[group]);
+  const results = rows.slice(0, limit ?? rows.length).map(row => {
+    const record = {
+      player: getSavantPlayerName(row),
+      personId: row.personId,
+      team: row.team || 'N/A',
+      teamId: null,
+      statValue: row.actual,
+      diff: row.actual - row.expected,
+      league: row.league || 'MLB',
+      pa: row.plateAppearances,
+      slg: row.slg,
+      xSLG: row.expectedSlg,
+      woba: row.woba,
+      xwOBA: row.expectedWoba
+    };
+    if (group === 'hitting') {
+      return {
+        ...record,
+        actualBA: row.actual,
+        xBA: row.expected,
+        hardHitPct: row.hardHitPct,
+        barrelPct: row.barrelPct,
+        exitVelo: row.exitVelo,
+        luck: row.actual > row.expected ? 'lucky' : 'unlucky'
+      };
+    }
+    return {
+      ...record,
+      actualERA: row.actual,
+      xERA: row.expected,
+      whiffPct: row.whiffPct,
+      kRate: row.kRate,
+      luck: row.actual < row.expected ? 'lucky' : 'unlucky'
+    };
+  });
+
+  return { statGroup: group, season: rows[0]?.season ?? null, rows: results, errors };
+}
+
 /**
- * Parse Baseball Savant CSV data into our expected stats format
+ * Read a Baseball Savant leaderboard CSV the user downloaded
+ * The board is kept for this session as its season's history source (see getExpectedStatsHistory)
+ * @param {File} file - From a file input or a drop
+ * @param {number} [season] - Season the board is for when the file has no year column
+ * @returns {Promise<{fileName: string, statGroup: string, season: number|null, rows: Object[], errors: string[]}>}
+ * @throws {Error} When the file can't be read, doesn't match a leaderboard or has no usable rows
  */
-function parseBaseballSavantCSV(csvText, statGroup, limit) {
+export async function importBaseballSavantFile(file, season = getCurrentBaseballSeason()) {
+  if (!/\.csv$/i.test(file.name) && file.type !== 'text/csv') {
+    throw new Error(`${file.name} is not a CSV file`);
+  }
+  let parsed;
   try {
-    const lines = csvText.trim().split('\n');
-    if (lines.length < 2) return null;
-    
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    const dataLines = lines.slice(1, limit + 1);
-    
-    const results = dataLines.map(line => {
-      const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-      const row = {};
-      
-      headers.forEach((header, index) => {
-        row[header] = values[index];
-      });
-      
-      if (statGroup === 'hitting') {
-        // Map Baseball Savant columns to our format
-        const actualBA = parseFloat(row.ba || row.avg || 0);
-        const xBA = parseFloat(row.est_ba || row.xba || 0);
-        const hardHitPct = parseFloat(row.hardhit_percent || row.hard_hit_percent || 0);
-        const barrelPct = parseFloat(row.barrel_batted_rate || row.barrel_percent || 0);
-        const exitVelo = parseFloat(row.exit_velocity_avg || row.avg_hit_speed || 0);
-        
-        return {
-          player: row.last_name ? `${row.first_name} ${row.last_name}` : row.player_name,
-          personId: parseInt(row.player_id || row.mlbam_id || 0),
-          team: row.team_name_alt || row.team || 'N/A',
-          teamId: null,
-          statValue: actualBA,
-          actualBA: actualBA,
-          xBA: xBA,
-          diff: actualBA - xBA,
-          hardHitPct: hardHitPct,
-          barrelPct: barrelPct,
-          exitVelo: exitVelo,
-          luck: actualBA > xBA ? 'lucky' : 'unlucky',
-          league: row.league || 'MLB'
-        };
-      } else {
-        // Pitching stats
-        const actualERA = parseFloat(row.era || row.earned_run_avg || 0);
-        const xERA = parseFloat(row.est_era || row.xera || 0);
-        const whiffPct = parseFloat(row.whiff_percent || 0);
-        const kRate = parseFloat(row.k_percent || row.strikeout_percent || 0);
-        
-        return {
-          player: row.last_name ? `${row.first_name} ${row.last_name}` : row.player_name,
-          personId: parseInt(row.player_id || row.mlbam_id || 0),
-          team: row.team_name_alt || row.team || 'N/A',
-          teamId: null,
-          statValue: actualERA,
-          actualERA: actualERA,
-          xERA: xERA,
-          diff: actualERA - xERA,
-          whiffPct: whiffPct,
-          kRate: kRate,
-          luck: actualERA < xERA ? 'lucky' : 'unlucky',
-          league: row.league || 'MLB'
-        };
-      }
-    });
-    
-    return results.filter(r => r.player && r.personId);
+    parsed = parseBaseballSavantCSV(await file.text());
   } catch (error) {
-    console.error('CSV parsing error:', error);
-    return null;
+    throw new Error(`${file.name}: ${error.message}`);
+  }
+  if (parsed.rows.length === 0) {
+    throw new Error(`${file.name}: no usable rows${parsed.errors.length > 0 ? ` (${parsed.errors[0]})` : ''}`);
   }
+  const boardSeason = parsed.season || season;
+  importedExpectedStats.set(`${parsed.statGroup}_${boardSeason}`, parsed.rows.map(row => toExpectedHistoryRow(row, parsed.statGroup)));
+  return { fileName: file.name, ...parsed, season: boardSeason };
 }
 
 /**
@@ -818,3 +3600,143 @@ async function generateSimulatedExpectedStats(season, statGroup, limit) {
   
   return playersWithExpectedStats;
 }
+
+// ---------------------------------------------------------------------------
+// Expected stats history
+// Actual vs expected (BA/xBA, SLG/xSLG, wOBA/xwOBA, ERA/xERA) for every player across the
+// Statcast era, from each season's full Savant board (or a board imported for that season).
+// A gap that holds in the same direction for several straight seasons points to skill (sprint
+// speed, pull-side power, pitch shape) that the batted-ball model misses, not luck
+// ---------------------------------------------------------------------------
+
+// First season of Statcast expected stats
+export const EXPECTED_STATS_FIRST_SEASON = 2015;
+
+// Straight seasons a gap must hold to count as persistent
+export const PERSISTENT_GAP_SEASONS = 3;
+
+// Smallest gap that counts toward a persistent run, per stat group (wOBA points / ERA runs)
+const PERSISTENT_GAP_THRESHOLDS = { hitting: 0.010, pitching: 0.30 };
+
+/**
+ * Seasons with Savant expected stats, newest first
+ */
+export function getExpectedStatsSeasons() {
+  const seasons = [];
+  for (let season = getCurrentBaseballSeason(); season >= EXPECTED_STATS_FIRST_SEASON; season--) {
+    seasons.push(season);
+  }
+  return seasons;
+}
+
+/**
+ * The fields of an expected stats record the history keeps (every season is stored)
+ */
+function toExpectedHistoryRow(row, statGroup) {
+  const hitting = statGroup === 'hitting';
+  return {
+    personId: row.personId,
+    player: row.player,
+    team: row.team,
+    pa: row.pa ?? null,
+    ba: hitting ? row.actualBA : null,
+    xBA: hitting ? row.xBA : null,
+    slg: row.slg ?? null,
+    xSLG: row.xSLG ?? null,
+    woba: row.woba ?? null,
+    xwOBA: row.xwOBA ?? null,
+    era: hitting ? null : row.actualERA,
+    xERA: hitting ? null : row.xERA
+  };
+}
+
+/**
+ * A season's full Savant expected stats board (cached, null when Savant can't be reached)
+ */
+async function getExpectedStatsBoard(season, statGroup) {
+  const imported = importedExpectedStats.get(`${statGroup}_${season}`);
+  if (imported) return imported;
+
+  // Finished seasons never change
+  const ttl = season < getCurrentBaseballSeason() ? 30 * 24 * 60 * 60 * 1000 : 3600000;
+  return cachedFetch(`expected_stats_board_${statGroup}_${season}`, async () => {
+    const rows = await fetchBaseballSavantExpectedStats(season, statGroup, null);
+    return rows?.length > 0 ? rows.map(row => toExpectedHistoryRow(row, statGroup)) : null;
+  }, ttl);
+}
+
+/**
+ * The gap a player's persistence is judged on, signed so positive means beating expected:
+ * wOBA - xwOBA for hitters (BA - xBA when the board has no wOBA), xERA - ERA for pitchers
+ */
+function getExpectedGap(season, statGroup) {
+  if (statGroup === 'pitching') {
+    return Number.isFinite(season.era) && Number.isFinite(season.xERA) ? season.xERA - season.era : null;
+  }
+  if (Number.isFinite(season.woba) && Number.isFinite(season.xwOBA)) return season.woba - season.xwOBA;
+  return Number.isFinite(season.ba) && Number.isFinite(season.xBA) ? season.ba - season.xBA : null;
+}
+
+/**
+ * The run of straight seasons, ending with the player's latest, in which they beat (or fell
+ * short of) their expected stats by at least the threshold
+ * @param {Object[]} seasons - A player's expected stats seasons, oldest first
+ * @param {string} statGroup - 'hitting' or 'pitching'
+ * @returns {{direction: 'over'|'under', seasons: number, from: number, to: number, averageGap: number}|null}
+ *   null when the run is shorter than PERSISTENT_GAP_SEASONS
+ */
+export function getPersistentGap(seasons, statGroup) {
+  const threshold = PERSISTENT_GAP_THRESHOLDS[statGroup];
+  const run = [];
+  for (let i = seasons.length - 1; i >= 0; i--) {
+    const gap = getExpectedGap(seasons[i], statGroup);
+    const next = run[0];
+    if (gap === null || Math.abs(gap) < threshold) break;
+    // Straight seasons only; a missing year (injury, demotion) ends the run
+    if (next && (Math.sign(gap) !== Math.sign(next.gap) || seasons[i].season !== next.season - 1)) break;
+    run.unshift({ season: seasons[i].season, gap });
+  }
+  if (run.length < PERSISTENT_GAP_SEASONS) return null;
+  return {
+    direction: run[0].gap > 0 ? 'over' : 'under',
+    seasons: run.length,
+    from: run[0].season,
+    to: run[run.length - 1].season,
+    averageGap: run.reduce((sum, entry) => sum + entry.gap, 0) / run.length
+  };
+}
+
+/**
+ * Every player's actual vs expected history through a season, with persistent gaps flagged
+ * Seasons whose board can't be loaded are listed in missingSeasons; simulated boards are never
+ * used, so gaps always come from real Savant data
+ * @param {string} statGroup - 'hitting' or 'pitching'
+ * @param {number} [throughSeason] - Last season included (defaults to the current season)
+ * @returns {Promise<{players: Object<number, {player: string, seasons: Object[], persistentGap: Object|null}>, missingSeasons: number[]}>}
+ *   Each player's seasons run oldest first: {season, team, pa, ba, xBA, slg, xSLG, woba, xwOBA, era, xERA}
+ */
+export async function getExpectedStatsHistory(statGroup = 'hitting', throughSeason = null) {
+  const lastSeason = throughSeason || getCurrentBaseballSeason();
+  const seasons = getExpectedStatsSeasons().filter(season => season <= lastSeason).reverse();
+  const boards = await Promise.all(seasons.map(season =>
+    getExpectedStatsBoard(season, statGroup).catch(error => {
+      console.error(`Error loading ${season} expected stats:`, error);
+      return null;
+    })
+  ));
+
+  const players = {};
+  boards.forEach((board, i) => {
+    (board || []).forEach(({ personId, player, ...season }) => {
+      const entry = players[personId] = players[personId] || { player, seasons: [] };
+      entry.player = player;
+      entry.seasons.push({ season: seasons[i], ...season });
+    });
+  });
+
+  Object.values(players).forEach(entry => {
+    entry.persistentGap = getPersistentGap(entry.seasons, statGroup);
+  });
+
+  return { players, missingSeasons: seasons.filter((season, i) => !boards[i]) };
+}
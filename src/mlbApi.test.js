@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { getPersistentGap, combineStatLines } from './mlbApi';
+
+const hitter = (season, woba, xwOBA) => ({ season, woba, xwOBA, ba: null, xBA: null });
+
+describe('getPersistentGap', () => {
+  it('flags a run of straight seasons beating expected', () => {
+    const gap = getPersistentGap([
+      hitter(2020, 0.300, 0.310),
+      hitter(2021, 0.360, 0.340),
+      hitter(2022, 0.370, 0.345),
+      hitter(2023, 0.350, 0.335)
+    ], 'hitting');
+    expect(gap).toMatchObject({ direction: 'over', seasons: 3, from: 2021, to: 2023 });
+    expect(gap.averageGap).toBeCloseTo(0.02);
+  });
+
+  it('needs at least three seasons over the threshold, ending with the latest', () => {
+    expect(getPersistentGap([
+      hitter(2021, 0.360, 0.340),
+      hitter(2022, 0.370, 0.345),
+      hitter(2023, 0.340, 0.335)
+    ], 'hitting')).toBeNull();
+  });
+
+  it('ends the run at a missing season or a change of direction', () => {
+    expect(getPersistentGap([
+      hitter(2019, 0.360, 0.340),
+      hitter(2021, 0.370, 0.345),
+      hitter(2022, 0.350, 0.335)
+    ], 'hitting')).toBeNull();
+    expect(getPersistentGap([
+      hitter(2020, 0.320, 0.340),
+      hitter(2021, 0.360, 0.340),
+      hitter(2022, 0.370, 0.345)
+    ], 'hitting')).toBeNull();
+  });
+
+  it('falls back to BA - xBA and signs pitchers by xERA - ERA', () => {
+    const byAverage = [2021, 2022, 2023].map(season => ({ season, ba: 0.260, xBA: 0.280 }));
+    expect(getPersistentGap(byAverage, 'hitting')).toMatchObject({ direction: 'under', seasons: 3 });
+
+    const pitcher = [2021, 2022, 2023].map(season => ({ season, era: 3.00, xERA: 3.60 }));
+    expect(getPersistentGap(pitcher, 'pitching')).toMatchObject({ direction: 'over', averageGap: expect.closeTo(0.6) });
+  });
+});
+
+describe('combineStatLines', () => {
+  it('sums counting stats and recomputes unrounded rates', () => {
+    const combined = combineStatLines([
+      { hits: 50, baseOnBalls: 20, earnedRuns: 20, inningsPitched: '60.1' },
+      { hits: 31, baseOnBalls: 9, earnedRuns: 11, inningsPitched: '40.2' }
+    ]);
+    expect(combined.inningsPitched).toBe('101.0');
+    expect(combined.whip).toBeCloseTo(110 / 101, 10);
+    expect(combined.era).toBeCloseTo(31 * 9 / 101, 10);
+  });
+});
@@ -0,0 +1,254 @@
+// Global player search index
+// Built from a small set of sources rather than every season's roster: the last two seasons'
+// player lists (the active players), the all-time career leaders of every built-in stat, and the
+// historical dataset's players when one is loaded. Stored in IndexedDB, matched accent-insensitively
+
+import { removeCache } from './cache';
+import { getDataSourceMode } from './dataSource';
+import { getDatasetPlayers } from './historicalData';
+import { getSeasonPlayers, getCareerLeaders, getCurrentBaseballSeason, STAT_TYPES } from './mlbApi';
+import { MLB_SPORT_ID } from './sportLevels';
+
+const LEGACY_CACHE_KEY = 'player_search_index';
+const DB_NAME = 'mlb_stats_hub_player_index';
+const DB_STORE = 'index';
+// Record/replay modes keep their own index, like the cache
+const INDEX_KEY = `player_search_index_${getDataSourceMode()}`;
+const INDEX_TTL = 24 * 60 * 60 * 1000; // Rosters and career boards change daily in season
+const ACTIVE_SEASONS = 2; // The current season's list is short until Opening Day, so add the last one
+const CAREER_LEADERS_DEPTH = 50; // Shared with the Career tab's cached boards
+const INDEX_VERSION = 2; // Version 1 indexed every season's roster
+
+let players = new Map(); // personId -> index entry
+let buildPromise = null;
+
+/**
+ * Normalize a name for matching: strip accents and punctuation, lowercase
+ * "Ronald Acuña Jr." -> "ronald acuna jr"
+ * @param {string} name - Display name or query
+ */
+export function normalizeName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[.'’`]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function createEntry(id, name, position, firstSeason, lastSeason) {
+  const norm = normalizeName(name);
+  return { id, name, position, firstSeason, lastSeason, norm, tokens: norm.split(' ') };
+}
+
+/**
+ * Add a player to the index, widening the seasons and filling in the position of an existing entry
+ * Career leaders come without seasons or position (null / '')
+ */
+function addPlayer(id, name, position = '', firstSeason = null, lastSeason = null) {
+  const existing = players.get(id);
+  if (!existing) {
+    players.set(id, createEntry(id, name, position, firstSeason, lastSeason));
+    return;
+  }
+  if (firstSeason !== null) existing.firstSeason = existing.firstSeason === null ? firstSeason : Math.min(existing.firstSeason, firstSeason);
+  if (lastSeason !== null) existing.lastSeason = existing.lastSeason === null ? lastSeason : Math.max(existing.lastSeason, lastSeason);
+  if (!existing.position) existing.position = position;
+}
+
+// ---------------------------------------------------------------------------
+// IndexedDB persistence
+// ---------------------------------------------------------------------------
+
+function openIndexDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openIndexDb();
+  if (!db) return null;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    const request = fn(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve(request?.result ?? null);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Restore the stored index
+ * @returns {Promise<boolean>} Whether it was found and is still fresh
+ */
+async function restoreIndex() {
+  // Earlier versions kept the index in the localStorage cache
+  removeCache(LEGACY_CACHE_KEY);
+  try {
+    const stored = await withStore('readonly', store => store.get(INDEX_KEY));
+    if (stored?.version !== INDEX_VERSION) return false;
+    players = new Map(stored.players.map(([id, name, position, first, last]) => [id, createEntry(id, name, position, first, last)]));
+    return Date.now() - stored.timestamp <= INDEX_TTL;
+  } catch (error) {
+    console.error('Error restoring player index:', error);
+    return false;
+  }
+}
+
+async function persistIndex() {
+  try {
+    await withStore('readwrite', store => store.put({
+      version: INDEX_VERSION,
+      timestamp: Date.now(),
+      players: Array.from(players.values()).map(p => [p.id, p.name, p.position, p.firstSeason, p.lastSeason])
+    }, INDEX_KEY));
+  } catch (error) {
+    console.error('Error saving player index:', error);
+  }
+}
+
+/**
+ * The index's sources, each a function that adds its players
+ */
+function getIndexSources() {
+  const currentSeason = getCurrentBaseballSeason();
+  const rosters = Array.from({ length: ACTIVE_SEASONS }, (_, i) => currentSeason - i).map(season => async () => {
+    const people = await getSeasonPlayers(season);
+    (people || []).forEach(person =>
+      addPlayer(person.id, person.fullName, person.primaryPosition?.abbreviation || '', season, season)
+    );
+  });
+  const careerBoards = Object.keys(STAT_TYPES)
+    .filter(statType => STAT_TYPES[statType].apiParam && !STAT_TYPES[statType].custom)
+    .map(statType => async () => {
+      const leaders = await getCareerLeaders(statType, CAREER_LEADERS_DEPTH, { gameType: 'R', sportId: MLB_SPORT_ID });
+      leaders.forEach(leader => addPlayer(leader.personId, leader.player));
+    });
+  const dataset = async () => {
+    (await getDatasetPlayers()).forEach(player =>
+      addPlayer(player.personId, player.name, '', player.firstSeason, player.lastSeason)
+    );
+  };
+  return [...rosters, ...careerBoards, dataset];
+}
+
+/**
+ * Load (or rebuild) the search index
+ * A stored index is searchable straight away; a stale one is refreshed from its sources
+ * @param {Function} onProgress - Called with {indexed, total} after each source
+ * @returns {Promise<number>} Number of indexed players
+ */
+export function loadPlayerIndex(onProgress) {
+  if (!buildPromise) {
+    buildPromise = (async () => {
+      if (await restoreIndex()) return players.size;
+
+      const sources = getIndexSources();
+      for (let i = 0; i < sources.length; i++) {
+        try {
+          await sources[i]();
+        } catch (error) {
+          console.error('Error indexing players:', error);
+        }
+        onProgress?.({ indexed: i + 1, total: sources.length });
+      }
+
+      await persistIndex();
+      return players.size;
+    })().catch(error => {
+      console.error('Error building player index:', error);
+      buildPromise = null;
+      return players.size;
+    });
+  }
+  return buildPromise;
+}
+
+/**
+ * Levenshtein edit distance between two short strings
+ */
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let prev = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const temp = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = temp;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Score how well one query token matches one name token
+ * 3 = exact, 2 = prefix, 1 = within typo tolerance, 0 = no match
+ */
+function scoreToken(queryToken, nameToken) {
+  if (nameToken === queryToken) return 3;
+  if (nameToken.startsWith(queryToken)) return 2;
+
+  const maxDistance = queryToken.length >= 7 ? 2 : queryToken.length >= 4 ? 1 : 0;
+  if (maxDistance === 0) return 0;
+  const distance = Math.min(
+    editDistance(queryToken, nameToken),
+    editDistance(queryToken, nameToken.slice(0, queryToken.length))
+  );
+  return distance <= maxDistance ? 1 : 0;
+}
+
+function scoreEntry(entry, query, queryTokens) {
+  if (entry.norm === query) return 100;
+
+  // Every query token must match some name token
+  let score = 0;
+  for (const queryToken of queryTokens) {
+    const best = Math.max(...entry.tokens.map(nameToken => scoreToken(queryToken, nameToken)));
+    if (best === 0) {
+      return entry.norm.includes(query) ? 5 : 0;
+    }
+    score += best;
+  }
+  if (entry.norm.startsWith(query)) score += 3;
+  return score;
+}
+
+/**
+ * Search the index for players matching a (possibly partial, misspelled or unaccented) name
+ * @param {string} query - Search text, e.g. "Acuna" or "ohtan"
+ * @param {number} limit - Maximum results
+ * @returns {{personId: number, name: string, position: string, firstSeason: number|null, lastSeason: number|null}[]}
+ *   Seasons are null for career leaders not seen on a recent roster or in the dataset
+ */
+export function searchPlayers(query, limit = 8) {
+  const normalized = normalizeName(query);
+  if (normalized.length < 2) return [];
+  const queryTokens = normalized.split(' ');
+
+  const matches = [];
+  players.forEach(entry => {
+    const score = scoreEntry(entry, normalized, queryTokens);
+    if (score > 0) matches.push({ entry, score });
+  });
+
+  return matches
+    // Best match first; recent players win ties
+    .sort((a, b) => b.score - a.score || (b.entry.lastSeason ?? 0) - (a.entry.lastSeason ?? 0))
+    .slice(0, limit)
+    .map(({ entry }) => ({
+      personId: entry.id,
+      name: entry.name,
+      position: entry.position,
+      firstSeason: entry.firstSeason,
+      lastSeason: entry.lastSeason
+    }));
+}
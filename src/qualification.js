@@ -0,0 +1,110 @@
+// Qualification rules for rate stats (AVG, ERA, OPS, ...)
+// Standard: 3.1 plate appearances or 1 inning pitched per team game; custom: fixed minimums
+
+const SETTINGS_KEY = 'mlb_stats_hub_qualification';
+
+export const QUALIFICATION_RULES = {
+  standard: { key: 'standard', label: 'Standard', description: '3.1 PA / 1 IP per team game' },
+  custom: { key: 'custom', label: 'Custom', description: 'Fixed PA / IP minimums' }
+};
+
+// Playing-time measure for each category (innings are true innings, 45.2 -> 45.667)
+export const PLAYING_TIME = {
+  hitting: { field: 'plateAppearances', abbr: 'PA', perTeamGame: 3.1 },
+  pitching: { field: 'inningsPitched', abbr: 'IP', perTeamGame: 1 }
+};
+
+const DEFAULT_SETTINGS = { rule: 'standard', minPlateAppearances: 300, minInningsPitched: 100 };
+
+function readSettings() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+  } catch {
+    stored = {};
+  }
+  const settings = { ...DEFAULT_SETTINGS, ...stored };
+  return {
+    rule: QUALIFICATION_RULES[settings.rule] ? settings.rule : 'standard',
+    minPlateAppearances: Math.max(0, parseInt(settings.minPlateAppearances) || 0),
+    minInningsPitched: Math.max(0, parseInt(settings.minInningsPitched) || 0)
+  };
+}
+
+let settings = readSettings();
+
+/**
+ * Get the active qualification settings
+ * @returns {{rule: string, minPlateAppearances: number, minInningsPitched: number}}
+ */
+export function getQualificationSettings() {
+  return settings;
+}
+
+/**
+ * Persist qualification settings (applies immediately)
+ * @param {{rule?: string, minPlateAppearances?: number, minInningsPitched?: number}} changes
+ * @returns {Object} The new settings
+ */
+export function setQualificationSettings(changes) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...settings, ...changes }));
+  } catch (error) {
+    console.error('Qualification settings write error:', error);
+  }
+  settings = readSettings();
+  return settings;
+}
+
+/**
+ * Cache key suffix for rate-stat results under the active rule ('' for the standard rule)
+ */
+export function getQualificationKey() {
+  return settings.rule === 'standard'
+    ? ''
+    : `_min${settings.minPlateAppearances}pa${settings.minInningsPitched}ip`;
+}
+
+/**
+ * Whether the active rule matches the API's own qualified player pool
+ */
+export function isStandardQualification() {
+  return settings.rule === 'standard';
+}
+
+/**
+ * Minimum playing time to qualify under the active rule
+ * @param {string} category - 'hitting' or 'pitching'
+ * @param {number|null} teamGames - Games the player's team has played (standard rule only)
+ * @returns {number|null} PA or IP minimum, null if it can't be determined
+ */
+export function getQualificationMinimum(category, teamGames = null) {
+  if (settings.rule === 'custom') {
+    return category === 'pitching' ? settings.minInningsPitched : settings.minPlateAppearances;
+  }
+  if (!teamGames) return null;
+  // MLB rounds to a whole number (3.1 x 162 = 502.2 -> 502 PA)
+  return Math.round(PLAYING_TIME[category].perTeamGame * teamGames);
+}
+
+/**
+ * Check a season's playing time against the active rule
+ * Unknown minimums (e.g. team games unavailable) count as qualified rather than hiding data
+ * @param {number} playingTime - Plate appearances or true innings pitched
+ * @param {string} category - 'hitting' or 'pitching'
+ * @param {number|null} teamGames - Games the player's team has played
+ */
+export function isQualified(playingTime, category, teamGames = null) {
+  const minimum = getQualificationMinimum(category, teamGames);
+  return minimum === null || playingTime >= minimum;
+}
+
+/**
+ * Describe the active rule for a category, e.g. "3.1 PA per team game" or "300+ PA"
+ */
+export function describeQualification(category) {
+  const { abbr, perTeamGame } = PLAYING_TIME[category];
+  return settings.rule === 'custom'
+    ? `${getQualificationMinimum(category)}+ ${abbr}`
+    : `${perTeamGame} ${abbr} per team game`;
+}
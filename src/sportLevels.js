@@ -0,0 +1,61 @@
+// Levels of play (Stats API sportIds) honored by leaderboards, records and trajectories
+// Like the game type, the selection is session state: every page load starts on MLB unless the URL names a level
+
+export const MLB_SPORT_ID = 1;
+
+// Levels shown first in the selector, in climb order; other sports come from the API's /sports list
+export const SPORT_LEVELS = {
+  1: { id: 1, label: 'MLB', abbr: 'MLB', order: 0, firstSeason: 1901 },
+  11: { id: 11, label: 'Triple-A', abbr: 'AAA', order: 1, minors: true, firstSeason: 2005 },
+  12: { id: 12, label: 'Double-A', abbr: 'AA', order: 2, minors: true, firstSeason: 2005 },
+  13: { id: 13, label: 'High-A', abbr: 'A+', order: 3, minors: true, firstSeason: 2005 },
+  14: { id: 14, label: 'Single-A', abbr: 'A', order: 4, minors: true, firstSeason: 2005 },
+  15: { id: 15, label: 'Short Season A', abbr: 'A-', order: 5, minors: true, firstSeason: 2005 },
+  16: { id: 16, label: 'Rookie', abbr: 'ROK', order: 6, minors: true, firstSeason: 2005 }
+};
+
+// Sports reported by the API beyond the built-in levels (winter, independent and international leagues)
+let extraLevels = {};
+let activeSportId = MLB_SPORT_ID;
+
+/**
+ * Register sports from the API's /sports list so they can be selected
+ * @param {{id: number, label: string, abbr: string}[]} levels
+ */
+export function registerSportLevels(levels) {
+  extraLevels = Object.fromEntries(levels
+    .filter(level => !SPORT_LEVELS[level.id])
+    .map((level, index) => [level.id, { firstSeason: 2005, ...level, order: 100 + index }]));
+}
+
+/**
+ * Look up a level by sportId, built-in or registered
+ */
+export function getSportLevel(sportId) {
+  return SPORT_LEVELS[sportId] || extraLevels[sportId] || null;
+}
+
+/**
+ * Get the active sportId
+ */
+export function getSportId() {
+  return activeSportId;
+}
+
+/**
+ * Set the active sportId (unknown IDs fall back to MLB)
+ * @returns {number} The active sportId
+ */
+export function setSportId(sportId) {
+  const id = Number(sportId);
+  activeSportId = getSportLevel(id) ? id : MLB_SPORT_ID;
+  return activeSportId;
+}
+
+/**
+ * Cache key suffix for a level ('' for MLB, so existing keys stay valid)
+ * @param {number} [sportId] - Defaults to the active sportId
+ */
+export function getSportKey(sportId = activeSportId) {
+  return sportId === MLB_SPORT_ID ? '' : `_sp${sportId}`;
+}
@@ -0,0 +1,197 @@
+// View state <-> URL query string, so every view can be bookmarked, shared and reached with back/forward
+// Only values that differ from the defaults are written (?tab=seasons&stat=homeRuns&season=1998);
+// unknown or invalid parameters are ignored and dropped from the address bar
+
+import { STAT_TYPES, LEAGUES, ERAS, HISTORICAL_DEPTHS, STAT_SPLITS, EXPECTED_STATS_FIRST_SEASON, getCurrentBaseballSeason, getTeams } from './mlbApi'
+import { GAME_TYPES } from './gameTypes'
+import { MLB_SPORT_ID, getSportLevel } from './sportLevels'
+
+export const VIEW_TABS = ['historical', 'career', 'seasons', 'trends', 'streaks', 'chase', 'postseason', 'franchise', 'live', 'projections'];
+
+// Expected Stats table columns
+export const SORT_COLUMNS = ['player', 'actualBA', 'xBA', 'diff', 'hardHitPct', 'barrelPct', 'exitVelo', 'whiffPct', 'kRate'];
+
+const FIRST_DECADE = 1900;
+
+/**
+ * Default view state (what the app shows with no query string)
+ */
+export function getDefaultViewState() {
+  return {
+    tab: 'historical',
+    category: 'hitting',
+    stat: 'homeRuns',
+    season: getCurrentBaseballSeason(),
+    decade: null,
+    search: '',
+    expectedSeason: getCurrentBaseballSeason(),
+    sortColumn: 'actualBA',
+    sortDirection: 'desc',
+    league: 'MLB',
+    team: null,
+    franchise: null,
+    split: null,
+    seasonsView: 'players',
+    trendsView: 'top',
+    depth: HISTORICAL_DEPTHS[0],
+    era: 'all',
+    eraAdjusted: false,
+    gameType: 'R',
+    sportId: MLB_SPORT_ID
+  };
+}
+
+// AL/NL are MLB filters; historical leagues only have (unadjusted) records boards
+function isLeagueAvailable(key, state) {
+  const league = LEAGUES[key];
+  if (!league || state.sportId !== MLB_SPORT_ID) return false;
+  return !league.historical || (state.tab === 'historical' && !state.eraAdjusted);
+}
+
+function parseInteger(value) {
+  return /^\d+$/.test(value || '') ? Number(value) : null;
+}
+
+/**
+ * Parse a query string into a complete, valid view state
+ * Each parameter is checked on its own, so one bad value only resets that setting
+ * @param {string} [search] - Defaults to the current location's query string
+ */
+export function parseViewState(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const state = getDefaultViewState();
+
+  const tab = params.get('tab');
+  if (VIEW_TABS.includes(tab)) state.tab = tab;
+
+  // Custom stats are valid once loadCustomStats() has registered them
+  const stat = params.get('stat');
+  if (STAT_TYPES[stat]) {
+    state.stat = stat;
+    state.category = STAT_TYPES[stat].category;
+  }
+
+  const sportId = parseInteger(params.get('level'));
+  if (sportId && getSportLevel(sportId)) state.sportId = sportId;
+
+  const season = parseInteger(params.get('season'));
+  const firstSeason = getSportLevel(state.sportId).firstSeason;
+  if (season && season >= firstSeason && season <= state.season) state.season = season;
+
+  const decade = parseInteger(params.get('decade'));
+  if (decade && decade % 10 === 0 && decade >= FIRST_DECADE && decade <= state.season) state.decade = decade;
+
+  state.search = params.get('q') || '';
+
+  // Expected Stats season (Statcast era only)
+  const expectedSeason = parseInteger(params.get('xseason'));
+  if (expectedSeason && expectedSeason >= EXPECTED_STATS_FIRST_SEASON && expectedSeason <= state.expectedSeason) {
+    state.expectedSeason = expectedSeason;
+  }
+
+  const sortColumn = params.get('sort');
+  if (SORT_COLUMNS.includes(sortColumn)) state.sortColumn = sortColumn;
+  if (params.get('dir') === 'asc') state.sortDirection = 'asc';
+
+  const eraAdjusted = params.get('adjusted');
+  state.eraAdjusted = eraAdjusted === '1' || eraAdjusted === 'true';
+
+  const league = params.get('league');
+  if (isLeagueAvailable(league, state)) state.league = league;
+
+  // Clubs are MLB teams too
+  const team = parseInteger(params.get('team'));
+  if (team && state.sportId === MLB_SPORT_ID && getTeams().some(t => t.id === team)) state.team = team;
+
+  // Franchise record books are MLB-only whatever the level, so they don't depend on it
+  const franchise = parseInteger(params.get('franchise'));
+  if (franchise && getTeams().some(t => t.id === franchise)) state.franchise = franchise;
+
+  const split = params.get('split');
+  if (STAT_SPLITS[split]) state.split = split;
+
+  if (params.get('view') === 'teams') state.seasonsView = 'teams';
+  if (params.get('trends') === 'compare') state.trendsView = 'compare';
+
+  const depth = parseInteger(params.get('depth'));
+  if (HISTORICAL_DEPTHS.includes(depth)) state.depth = depth;
+
+  const era = params.get('era');
+  if (ERAS[era]) state.era = era;
+
+  const gameType = params.get('games');
+  if (GAME_TYPES[gameType]) state.gameType = gameType;
+
+  return state;
+}
+
+/**
+ * Build the query string for a view state ('' for the default view)
+ * @param {Object} state - Same shape as getDefaultViewState()
+ */
+export function buildViewSearch(state) {
+  const defaults = getDefaultViewState();
+  const params = new URLSearchParams();
+  const set = (name, value, defaultValue) => {
+    if (value !== defaultValue && value !== null && value !== undefined && value !== '') params.set(name, value);
+  };
+
+  set('tab', state.tab, defaults.tab);
+  set('stat', state.stat, defaults.stat);
+  set('season', state.season, defaults.season);
+  set('decade', state.decade, defaults.decade);
+  // A historical league left over from the Historical tab is reset by the app, so it isn't written
+  if (isLeagueAvailable(state.league, state)) set('league', state.league, defaults.league);
+  set('team', state.team, defaults.team);
+  set('franchise', state.franchise, defaults.franchise);
+  set('split', state.split, defaults.split);
+  set('view', state.seasonsView, defaults.seasonsView);
+  set('trends', state.trendsView, defaults.trendsView);
+  set('depth', state.depth, defaults.depth);
+  set('era', state.era, defaults.era);
+  if (state.eraAdjusted) params.set('adjusted', '1');
+  set('games', state.gameType, defaults.gameType);
+  set('level', state.sportId, defaults.sportId);
+  set('xseason', state.expectedSeason, defaults.expectedSeason);
+  set('sort', state.sortColumn, defaults.sortColumn);
+  set('dir', state.sortDirection, defaults.sortDirection);
+  set('q', state.search, defaults.search);
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+function withoutSearchTerm(search) {
+  const params = new URLSearchParams(search);
+  params.delete('q');
+  return params.toString();
+}
+
+/**
+ * Read the view state from the address bar, replacing the current entry with its
+ * canonical form when parameters were invalid (so back/forward never land on them)
+ */
+export function readViewState() {
+  const state = parseViewState();
+  const search = buildViewSearch(state);
+  if (search !== window.location.search) {
+    window.history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+  }
+  return state;
+}
+
+/**
+ * Write the view state to the address bar
+ * Each change adds a history entry, except typing in the search box, which updates the current one
+ * @param {Object} state - Same shape as getDefaultViewState()
+ */
+export function writeViewState(state) {
+  const search = buildViewSearch(state);
+  if (search === window.location.search) return;
+  const url = `${window.location.pathname}${search}${window.location.hash}`;
+  if (withoutSearchTerm(search) === withoutSearchTerm(window.location.search)) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+}